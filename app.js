@@ -0,0 +1,61 @@
+// app.js
+//
+// The Express application: middleware, routes and error handling, without a database connection
+// or a listening server. index.js starts the server; scripts/check_openapi.js inspects the routes.
+
+// Require the express module, which is a minimal and flexible Node.js web application framework.
+const express = require("express");
+// Create a new instance of the express application. This 'app' object will be used to configure the server.
+const app = express();
+// Load the server settings (port, public base URL, CORS origins, limits) from the environment.
+// Invalid settings throw here, so the server refuses to start rather than run misconfigured.
+const config = require("./config/server");
+// Require the middleware that lets browser apps on the configured origins call the API.
+const { cors } = require("./middleware/cors");
+// Require the middleware that answers unmatched routes and errors in the common error format.
+const { notFound, errorHandler } = require("./middleware/error_handler");
+
+// Take the client's address from X-Forwarded-For only when it comes from a trusted proxy, so `req.ip`
+// (used by rate limits, voter fingerprints and the audit log) is the client behind the proxy
+// rather than the proxy itself, and can't be spoofed by clients connecting directly.
+app.set("trust proxy", config.trustProxy);
+
+/**
+ * Middleware to answer CORS preflights and add CORS headers for the allowed origins.
+ * Registered first so preflights don't go through body parsing or authentication.
+ */
+app.use(cors);
+
+/**
+ * Middleware to parse request bodies and make them available under the `req.body` property.
+ * JSON bodies are accepted everywhere, which is the only way to send nested data such as whole polls.
+ * URL-encoded bodies keep working for simple forms; `extended: false` means that the querystring
+ * library will be used for parsing, which handles simpler data structures.
+ * Imports carry whole database exports, so they get a larger size limit than other requests;
+ * the general JSON parser then leaves their already-parsed body alone.
+ */
+app.use(
+  ["/questions/import", "/api/v1/questions/import"],
+  express.json({ limit: config.limits.importBodySize })
+);
+app.use(express.json({ limit: config.limits.bodySize }));
+app.use(express.urlencoded({ extended: false, limit: config.limits.bodySize }));
+
+/**
+ * Mount the application's router.
+ * This line tells the Express app to use the router defined in the './routes' module
+ * for any requests that start with the path '/'.
+ * All API endpoints and web routes will be defined within that routes module.
+ */
+app.use("/", require("./routes"));
+
+/**
+ * Answer requests no route matched with a 404, and send every error passed on by the routes
+ * (validation failures, missing records, unexpected failures, ...) in the common error format.
+ * The error handler must be registered last, after all routes.
+ */
+app.use(notFound);
+app.use(errorHandler);
+
+// Export the configured application so index.js can start it.
+module.exports = app;
@@ -0,0 +1,16 @@
+// config/archive.js
+
+// Import the helper that reads and validates whole numbers from environment variables.
+const { integer: fromEnv } = require("./env");
+
+/**
+ * Settings for deleted (archived) questions and options (see models/archivable.js).
+ * Deleting a question or option archives it; an admin can restore it for `retentionDays` days,
+ * after which the purge job in services/purge.js removes it for good.
+ */
+module.exports = {
+  // How long archived questions and options are kept, in days.
+  retentionDays: fromEnv("ARCHIVE_RETENTION_DAYS", 30),
+  // How often the purge job looks for archived items past their retention period, in minutes.
+  purgeIntervalMinutes: fromEnv("ARCHIVE_PURGE_INTERVAL_MINUTES", 60),
+};
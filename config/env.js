@@ -0,0 +1,174 @@
+// config/env.js
+//
+// Helpers that read settings from environment variables and validate them.
+// Each helper throws when a variable is set to something unusable, so a typo fails at startup
+// instead of silently falling back to a default. Unset or empty variables use the fallback.
+
+// Node's net module, used to check the proxy addresses of TRUST_PROXY.
+const net = require("net");
+
+/**
+ * Reads the raw value of an environment variable.
+ * @param {string} name - The environment variable.
+ * @returns {string|undefined} - The trimmed value, or undefined if it isn't set or is empty.
+ */
+function read(name) {
+  const raw = process.env[name];
+  if (raw === undefined || raw.trim() === "") {
+    return undefined;
+  }
+  return raw.trim();
+}
+
+/**
+ * Reads a whole number.
+ * @param {string} name - The environment variable.
+ * @param {number} fallback - The value used when the variable isn't set.
+ * @param {object} [range] - The allowed range.
+ * @param {number} [range.min=1] - The smallest allowed value.
+ * @param {number} [range.max=Infinity] - The largest allowed value.
+ * @returns {number} - The configured value.
+ * @throws {Error} - If the variable isn't a whole number in the range.
+ */
+function integer(name, fallback, { min = 1, max = Infinity } = {}) {
+  const raw = read(name);
+  if (raw === undefined) {
+    return fallback;
+  }
+  const value = Number(raw);
+  if (!Number.isInteger(value) || value < min || value > max) {
+    throw new Error(
+      min === 1 && max === Infinity
+        ? `${name} must be a positive whole number`
+        : `${name} must be a whole number from ${min} to ${max}`
+    );
+  }
+  return value;
+}
+
+/**
+ * Reads an http(s) URL, such as the public base URL of the API.
+ * @param {string} name - The environment variable.
+ * @param {string} fallback - The value used when the variable isn't set.
+ * @returns {string} - The URL without a trailing slash, so paths can be appended to it.
+ * @throws {Error} - If the variable isn't an http(s) URL without query string or fragment.
+ */
+function url(name, fallback) {
+  const raw = read(name);
+  if (raw === undefined) {
+    return fallback;
+  }
+  let parsed;
+  try {
+    parsed = new URL(raw);
+  } catch (err) {
+    parsed = null;
+  }
+  if (
+    !parsed ||
+    !["http:", "https:"].includes(parsed.protocol) ||
+    parsed.search ||
+    parsed.hash
+  ) {
+    throw new Error(
+      `${name} must be an http(s) URL without query string or fragment, e.g. https://polls.example.com`
+    );
+  }
+  return parsed.href.replace(/\/+$/, "");
+}
+
+/**
+ * Reads a comma-separated list of origins allowed to call the API from a browser (CORS).
+ * @param {string} name - The environment variable.
+ * @returns {Array<string>} - The origins, `['*']` to allow any origin, or an empty list if the variable isn't set.
+ * @throws {Error} - If an entry isn't an origin such as https://app.example.com.
+ */
+function origins(name) {
+  const raw = read(name);
+  if (raw === undefined) {
+    return [];
+  }
+  const list = raw
+    .split(",")
+    .map((entry) => entry.trim().replace(/\/+$/, ""))
+    .filter((entry) => entry !== "");
+  if (list.includes("*")) {
+    return ["*"];
+  }
+  for (const entry of list) {
+    let origin;
+    try {
+      origin = new URL(entry).origin;
+    } catch (err) {
+      origin = null;
+    }
+    if (origin !== entry) {
+      throw new Error(
+        `${name} must list origins (scheme, host and optional port, e.g. https://app.example.com) or *; got "${entry}"`
+      );
+    }
+  }
+  return list;
+}
+
+/**
+ * Reads a size in bytes, written as a number with an optional unit: '500kb', '10mb', '1024'.
+ * @param {string} name - The environment variable.
+ * @param {string} fallback - The value used when the variable isn't set.
+ * @returns {string} - The size, in the form the Express body parsers accept.
+ * @throws {Error} - If the variable isn't a size.
+ */
+function byteSize(name, fallback) {
+  const raw = read(name);
+  if (raw === undefined) {
+    return fallback;
+  }
+  if (!/^\d+(?:\.\d+)?\s*(?:b|kb|mb|gb)?$/i.test(raw)) {
+    throw new Error(`${name} must be a size such as 500kb or 10mb`);
+  }
+  return raw.toLowerCase();
+}
+
+/**
+ * Reads which proxies in front of the server are trusted to report the client's address in
+ * X-Forwarded-For, in the forms Express's "trust proxy" setting accepts:
+ * 'true' (every proxy), 'false', a number of hops, or a comma-separated list of addresses,
+ * subnets (e.g. 10.0.0.0/8) and the names loopback, linklocal and uniquelocal.
+ * @param {string} name - The environment variable.
+ * @returns {boolean|number|Array<string>} - The value for `app.set('trust proxy')`; false if the variable isn't set.
+ * @throws {Error} - If the variable is none of these.
+ */
+function trustProxy(name) {
+  const raw = read(name);
+  if (raw === undefined || raw.toLowerCase() === "false") {
+    return false;
+  }
+  if (raw.toLowerCase() === "true") {
+    return true;
+  }
+  if (/^\d+$/.test(raw)) {
+    return integer(name, 0, { min: 0, max: 10 });
+  }
+  const list = raw
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter((entry) => entry !== "");
+  for (const entry of list) {
+    const [address, prefix, ...rest] = entry.split("/");
+    const version = net.isIP(address);
+    const named = ["loopback", "linklocal", "uniquelocal"].includes(entry);
+    const subnet =
+      version !== 0 &&
+      rest.length === 0 &&
+      (prefix === undefined ||
+        (/^\d+$/.test(prefix) && Number(prefix) <= (version === 4 ? 32 : 128)));
+    if (!named && !subnet) {
+      throw new Error(
+        `${name} must be true, false, a number of proxy hops, or a comma-separated list of addresses, subnets and loopback, linklocal or uniquelocal; got "${entry}"`
+      );
+    }
+  }
+  return list;
+}
+
+module.exports = { integer, url, origins, byteSize, trustProxy };
@@ -0,0 +1,17 @@
+// config/lifecycle.js
+
+// Import the helper that reads and validates whole numbers from environment variables.
+const { integer: fromEnv } = require("./env");
+
+/**
+ * Settings for scheduled openings and closings (see services/lifecycle.js).
+ * Questions report their scheduled state as soon as `opensAt` or `closesAt` passes; the lifecycle
+ * job stores that state and sends the `question.opened` and `question.closed` events within
+ * `sweepIntervalSeconds` of it.
+ */
+module.exports = {
+  // How often the lifecycle job looks for questions whose opening or closing time has passed, in seconds.
+  sweepIntervalSeconds: fromEnv("LIFECYCLE_SWEEP_INTERVAL_SECONDS", 30, {
+    max: 3600,
+  }),
+};
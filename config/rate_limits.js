@@ -0,0 +1,29 @@
+// config/rate_limits.js
+
+// Import the helper that reads and validates whole numbers from environment variables.
+const { integer: fromEnv } = require("./env");
+
+/**
+ * Rate limits, applied per client over a sliding window (see middleware/rate_limit.js).
+ * Each group has a limit for anonymous callers, counted per IP address,
+ * and one for authenticated callers, counted per API key.
+ *   - default: every request.
+ *   - create:  creating questions, options, imports and webhooks, and sending webhook pings and replays.
+ *   - vote:    casting and changing votes, far stricter than reads since floods of votes skew results.
+ */
+module.exports = {
+  // Length of the sliding window, in milliseconds.
+  windowMs: fromEnv("RATE_LIMIT_WINDOW_MS", 60000),
+  default: {
+    ip: fromEnv("RATE_LIMIT_IP", 300),
+    apiKey: fromEnv("RATE_LIMIT_API_KEY", 600),
+  },
+  create: {
+    ip: fromEnv("RATE_LIMIT_CREATE_IP", 10),
+    apiKey: fromEnv("RATE_LIMIT_CREATE_API_KEY", 60),
+  },
+  vote: {
+    ip: fromEnv("RATE_LIMIT_VOTE_IP", 30),
+    apiKey: fromEnv("RATE_LIMIT_VOTE_API_KEY", 30),
+  },
+};
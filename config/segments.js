@@ -0,0 +1,18 @@
+// config/segments.js
+
+// Import the helper that reads and validates whole numbers from environment variables.
+const { integer: fromEnv } = require("./env");
+
+/**
+ * Settings for results broken down by voter attributes (see services/segments.js).
+ * A segment with fewer ballots than the minimum cell size is suppressed, so nobody can work out
+ * how the few voters sharing an attribute value voted. Questions may raise the minimum, not lower it.
+ */
+module.exports = {
+  // The fewest ballots a segment needs for its tallies to be shown.
+  minCellSize: fromEnv("SEGMENT_MIN_CELL_SIZE", 5),
+  // The most voter attributes a question may define.
+  maxAttributes: fromEnv("SEGMENT_MAX_ATTRIBUTES", 10),
+  // The most allowed values one attribute may list.
+  maxValues: fromEnv("SEGMENT_MAX_VALUES", 50),
+};
@@ -0,0 +1,40 @@
+// config/server.js
+
+// Import the helpers that read and validate environment variables.
+const env = require("./env");
+
+// The port the HTTP server listens on.
+const port = env.integer("PORT", 3000, { min: 1, max: 65535 });
+
+/**
+ * Server settings, read from the environment once at startup (see the Configuration section of the README).
+ *   - port:       PORT, default 3000.
+ *   - baseUrl:    PUBLIC_BASE_URL, the address clients reach the API at, used to build links such as
+ *                 `link_to_vote`. Defaults to http://localhost:<port>; set it when running behind a proxy
+ *                 or under a public domain.
+ *   - corsOrigins: CORS_ORIGINS, comma-separated origins whose browser apps may call the API, or *.
+ *                 Unset means no cross-origin access.
+ *   - trustProxy: TRUST_PROXY, the proxies trusted to report the client's address in X-Forwarded-For.
+ *                 Unset means none, so `req.ip` is the address of the connecting peer. Behind a proxy,
+ *                 that is the proxy for every request, and rate limits, voter fingerprints and the
+ *                 audit log would all see one client.
+ *   - limits:     request size limits.
+ */
+module.exports = {
+  port,
+  baseUrl: env.url("PUBLIC_BASE_URL", `http://localhost:${port}`),
+  corsOrigins: env.origins("CORS_ORIGINS"),
+  trustProxy: env.trustProxy("TRUST_PROXY"),
+  limits: {
+    // The largest request body accepted, JSON or URL-encoded.
+    bodySize: env.byteSize("BODY_LIMIT", "100kb"),
+    // The largest import document accepted; exports of whole databases can be large.
+    importBodySize: env.byteSize("IMPORT_BODY_LIMIT", "10mb"),
+    // The most questions one import may create.
+    importQuestions: env.integer("IMPORT_MAX_QUESTIONS", 500),
+    // The most questions one batch request may create.
+    batchQuestions: env.integer("BATCH_MAX_QUESTIONS", 50),
+    // The largest page of questions a client may ask for.
+    pageSize: env.integer("PAGE_MAX_SIZE", 100),
+  },
+};
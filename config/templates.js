@@ -0,0 +1,19 @@
+// config/templates.js
+
+// Import the helper that reads and validates whole numbers from environment variables.
+const { integer: fromEnv } = require("./env");
+
+/**
+ * Settings for recurring question templates (see services/templates.js).
+ * The recurrence job looks for due templates every `recurrenceIntervalMinutes` and creates each
+ * instance up to `recurrenceLeadMinutes` before it opens, so it exists, as a scheduled draft,
+ * by the time voting starts.
+ */
+module.exports = {
+  // How often the recurrence job looks for templates with an instance due, in minutes.
+  recurrenceIntervalMinutes: fromEnv("TEMPLATE_RECURRENCE_INTERVAL_MINUTES", 5),
+  // How long before its opening time each instance is created, in minutes.
+  recurrenceLeadMinutes: fromEnv("TEMPLATE_RECURRENCE_LEAD_MINUTES", 60, {
+    min: 0,
+  }),
+};
@@ -0,0 +1,20 @@
+// config/webhooks.js
+
+// Import the helper that reads and validates whole numbers from environment variables.
+const { integer: fromEnv } = require("./env");
+
+/**
+ * Webhook delivery settings (see services/webhooks.js).
+ * A failed delivery is retried with exponential backoff: after `retryDelaySeconds`, then twice
+ * that, four times that, and so on, until it succeeds or `maxAttempts` attempts have failed.
+ */
+module.exports = {
+  // Attempts per delivery, the first one included.
+  maxAttempts: fromEnv("WEBHOOK_MAX_ATTEMPTS", 6, { min: 1, max: 20 }),
+  // Delay before the first retry, in seconds; each further retry waits twice as long.
+  retryDelaySeconds: fromEnv("WEBHOOK_RETRY_DELAY_SECONDS", 30),
+  // How long a receiver has to answer, in milliseconds, before the attempt counts as failed.
+  timeoutMs: fromEnv("WEBHOOK_TIMEOUT_MS", 5000, { min: 100, max: 60000 }),
+  // How long deliveries are kept in the delivery log, in days.
+  logRetentionDays: fromEnv("WEBHOOK_LOG_DAYS", 30),
+};
@@ -0,0 +1,92 @@
+// controller/audit_controller.js
+
+// Import the AuditEntry model, which holds the audit log.
+const AuditEntry = require("../models/audit_entry");
+// Import the Question model to check who may read a question's audit log.
+const Question = require("../models/question");
+// Import the error type the error handler turns into the common error envelope.
+const ApiError = require("../utils/api_error");
+// Import the helpers that turn the position of the last listed entry into an opaque cursor and back.
+const { encodeCursor, decodeCursor } = require("../utils/cursor");
+
+// The default page size of the audit log.
+const DEFAULT_LIMIT = 20;
+
+/**
+ * Controller function to list the audit log of a question, newest first, one page at a time.
+ * The log covers every change to the question, its options and its ballots, with who made it,
+ * from where, and the record before and after. Deleted questions keep their log, so it can be
+ * read until they are purged (and the entries themselves are never removed).
+ * @param {object} req - The Express request object. Expected `req.params.id` (question ID), and optionally
+ *                       `req.query.action`, `actor` (a user ID), `from` and `to` (ISO dates bounding
+ *                       when the change was made), `limit` and `cursor` (the `nextCursor` of the previous page).
+ * @param {object} res - The Express response object used to send back the result.
+ * @param {function} next - Passes errors on to the error handler.
+ * @returns {Promise<object>} - JSON response containing a page of audit entries and the paging information.
+ */
+module.exports.list = async function (req, res, next) {
+  try {
+    // Deleted questions are included, since their log shows who deleted them.
+    const question = await Question.findById(req.params.id, "owner").setOptions(
+      { includeArchived: true }
+    );
+    if (!question) {
+      throw new ApiError(404, "QUESTION_NOT_FOUND", "Question not found");
+    }
+    if (
+      req.user.role !== "admin" &&
+      !(question.owner && question.owner.equals(req.user._id))
+    ) {
+      throw new ApiError(
+        403,
+        "FORBIDDEN",
+        "Only the owner of this question or an admin can read its audit log"
+      );
+    }
+
+    const { action, actor, from, to, cursor } = req.query;
+    const limit = req.query.limit || DEFAULT_LIMIT;
+
+    const filter = { question: question._id };
+    if (action) {
+      filter.action = action;
+    }
+    if (actor) {
+      filter["actor.user"] = actor;
+    }
+    if (from || to) {
+      filter.at = {};
+      if (from) {
+        filter.at.$gte = from;
+      }
+      if (to) {
+        filter.at.$lte = to;
+      }
+    }
+    if (cursor) {
+      const position = decodeCursor(cursor);
+      if (!position) {
+        throw new ApiError(400, "VALIDATION_FAILED", "Invalid cursor");
+      }
+      filter._id = { $lt: position._id };
+    }
+
+    // Fetch one extra entry to know whether there is a next page.
+    let entries = await AuditEntry.find(filter)
+      .sort({ _id: -1 })
+      .limit(limit + 1);
+    const hasMore = entries.length > limit;
+    entries = entries.slice(0, limit);
+    const nextCursor = hasMore
+      ? encodeCursor({ _id: String(entries[entries.length - 1]._id) })
+      : null;
+
+    return res.status(200).json({
+      message: "Audit log retrieved successfully",
+      data: entries,
+      pageInfo: { limit, hasMore, nextCursor },
+    });
+  } catch (err) {
+    return next(err);
+  }
+};
@@ -0,0 +1,425 @@
+// controller/ballot_controller.js
+
+// Import the Question model to load the question a ballot is submitted to.
+const Question = require("../models/question");
+// Import the Vote model to look up a voter's existing ballot.
+const Vote = require("../models/vote");
+// Import the helper that works out who is voting (API key, user ID or IP/user-agent fingerprint).
+const { identifyVoter } = require("../utils/voter");
+// Import the ballot helpers that validate ballots and keep the option counters consistent with them.
+const {
+  validateBallot,
+  castBallot,
+  replaceBallot,
+} = require("../services/ballot");
+// Import the helper that works out what a written-in answer stands for.
+const { resolveWriteIn } = require("../services/write_ins");
+// Import the poll event bus, notified after every change so live result streams can update.
+const { publish } = require("../services/poll_events");
+// Import the audit log, which records that a ballot was cast or changed, without who cast it or its choices.
+const { recordAudit } = require("../services/audit");
+// Import the error type the error handler turns into the common error envelope.
+const ApiError = require("../utils/api_error");
+// Import the check that keeps private polls to the callers holding their access token.
+const { assertPollAccess } = require("../utils/poll_access");
+
+/**
+ * Loads the question for a ballot and checks that the caller may vote on it and that it is accepting votes.
+ * Routes under /p/:code find the poll by its share code, the others by its ID.
+ * @param {object} req - The Express request object. Expected `req.params.id` (question ID) or `req.params.code` (share code).
+ * @returns {Promise<object>} - The Question document.
+ * @throws {ApiError} - If the question doesn't exist, is private and no access token was sent, or isn't open.
+ */
+async function loadOpenQuestion(req) {
+  const question = req.params.code
+    ? await Question.findOne({ shareCode: req.params.code })
+    : await Question.findById(req.params.id);
+  if (!question) {
+    throw new ApiError(404, "QUESTION_NOT_FOUND", "Question not found");
+  }
+  assertPollAccess(req, question);
+  const status = question.currentStatus();
+  if (status !== "open") {
+    throw new ApiError(
+      409,
+      "QUESTION_NOT_OPEN",
+      `Question is ${status}; ballots are only accepted while it is open`
+    );
+  }
+  return question;
+}
+
+/**
+ * Validates a ballot against the question type and the voter attributes it asks for, and works out
+ * what its written-in answer, if any, stands for (see services/write_ins.js).
+ * @param {object} question - The Question document.
+ * @param {object} body - The request body.
+ * @param {{ replacing?: boolean }} [mode] - Set `replacing` for a ballot that replaces the voter's earlier one.
+ * @returns {Promise<{ choices: Array<object>, attributes?: object, writeIn?: object }>} - The ballot's
+ *          choices, voter attributes and the written-in answer still to be moderated.
+ * @throws {ApiError} - If the ballot doesn't fit the question, or its answer was rejected.
+ */
+async function checkBallot(question, body, mode) {
+  const validated = validateBallot(question, body, mode);
+  if (validated.error) {
+    throw new ApiError(400, "VALIDATION_FAILED", validated.error);
+  }
+  const { ballot, error, rejected } = await resolveWriteIn(question, validated);
+  if (rejected) {
+    throw new ApiError(409, "WRITE_IN_REJECTED", error);
+  }
+  if (error) {
+    throw new ApiError(400, "VALIDATION_FAILED", error);
+  }
+  return {
+    choices: ballot.choices,
+    attributes: ballot.attributes,
+    writeIn: ballot.writeIn,
+  };
+}
+
+/**
+ * Shapes a Vote document for the response, leaving out the voter's (hashed) identity.
+ * @param {object} vote - The Vote document.
+ * @returns {object} - The public view of the ballot.
+ */
+function ballotView(vote) {
+  return {
+    _id: vote._id,
+    question: vote.question,
+    choices: vote.choices,
+    writeIn: vote.writeIn,
+    attributes: vote.attributes,
+  };
+}
+
+/**
+ * Translates a ballot that names options by their position in the poll (1 for the first option),
+ * as sent to the share-code routes, into the ID-based ballot `validateBallot` expects.
+ * @param {object} question - The Question document.
+ * @param {object} body - The ballot, with positions in place of option IDs.
+ * @returns {object} - The same ballot with option IDs.
+ * @throws {ApiError} - If a position doesn't match an option of the poll.
+ */
+function fromPositions(question, body) {
+  const optionAt = (position) => {
+    const index = Number(position) - 1;
+    if (
+      !Number.isInteger(index) ||
+      index < 0 ||
+      index >= question.options.length
+    ) {
+      throw new ApiError(
+        400,
+        "VALIDATION_FAILED",
+        `There is no option ${position} on this poll`
+      );
+    }
+    return String(question.options[index]._id || question.options[index]);
+  };
+  const list = (value) =>
+    value === undefined || value === ""
+      ? value
+      : [].concat(value).map(optionAt);
+
+  const ballot = {
+    option:
+      body.option === undefined || body.option === ""
+        ? body.option
+        : optionAt(body.option),
+    options: list(body.options),
+    ranking: list(body.ranking),
+    ratings: body.ratings,
+    writeIn: body.writeIn,
+    attributes: body.attributes,
+  };
+  if (Array.isArray(body.ratings)) {
+    ballot.ratings = body.ratings.map((entry) => ({
+      ...entry,
+      option: optionAt(entry && entry.option),
+    }));
+  } else if (body.ratings && typeof body.ratings === "object") {
+    ballot.ratings = {};
+    for (const position of Object.keys(body.ratings)) {
+      ballot.ratings[optionAt(position)] = body.ratings[position];
+    }
+  }
+  return ballot;
+}
+
+/**
+ * Shapes a Vote document for the share-code routes: like `ballotView`, but options are named by
+ * their position in the poll and the poll by its share code, so no internal ID is sent.
+ * @param {object} question - The Question document.
+ * @param {object} vote - The Vote document.
+ * @returns {object} - The public view of the ballot.
+ */
+function sharedBallotView(question, vote) {
+  const positions = question.options.map((option) =>
+    String(option._id || option)
+  );
+  return {
+    poll: question.shareCode,
+    choices: vote.choices.map((choice) => ({
+      position: positions.indexOf(String(choice.option)) + 1,
+      rank: choice.rank,
+      score: choice.score,
+    })),
+    writeIn: vote.writeIn
+      ? { text: vote.writeIn.text, status: vote.writeIn.status }
+      : undefined,
+    attributes: vote.attributes,
+  };
+}
+
+/**
+ * Loads the written-in answer of a stored ballot for the response, with its text and moderation status.
+ * @param {object} vote - The Vote document.
+ * @returns {Promise<object>} - The same Vote document, with `writeIn` populated if it has one.
+ */
+function withWriteIn(vote) {
+  return vote.writeIn ? vote.populate("writeIn", "text status") : vote;
+}
+
+/**
+ * Stores a new ballot, then notifies listeners and records it in the audit log.
+ * @param {object} req - The Express request object, used to identify the voter.
+ * @param {object} question - The Question document.
+ * @param {{ choices: Array<object>, attributes?: object, writeIn?: object }} ballot - The validated ballot, from `checkBallot`.
+ * @returns {Promise<object>} - The new Vote document, with its written-in answer populated.
+ * @throws {ApiError} - 409 if the voter already has a ballot on the question, or its written-in
+ *                      answer was moderated while the ballot was being stored.
+ */
+async function storeBallot(req, question, { choices, attributes, writeIn }) {
+  // The unique index on (question, voter) rejects a second ballot.
+  const voter = identifyVoter(req);
+  let vote;
+  try {
+    vote = await castBallot(question, voter, choices, attributes, writeIn);
+  } catch (err) {
+    if (err.code === 11000) {
+      throw new ApiError(
+        409,
+        "ALREADY_VOTED",
+        "You have already submitted a ballot on this question. Use PUT to replace it."
+      );
+    }
+    throw err;
+  }
+  if (!vote) {
+    throw new ApiError(
+      409,
+      "CONCURRENT_UPDATE",
+      "Your written-in answer was moderated while your ballot was being stored. Please retry."
+    );
+  }
+
+  publish("vote.cast", question._id);
+  await recordAudit(req, "vote.cast", question._id, {
+    kind: "vote",
+    id: vote._id,
+    after: vote,
+  });
+  return withWriteIn(vote);
+}
+
+/**
+ * Replaces the voter's existing ballot, then notifies listeners and records it in the audit log.
+ * @param {object} req - The Express request object, used to identify the voter.
+ * @param {object} question - The Question document.
+ * @param {{ choices: Array<object>, attributes?: object|null, writeIn?: object }} ballot - The validated new ballot, from `checkBallot`.
+ * @returns {Promise<object>} - The updated Vote document, with its written-in answer populated.
+ * @throws {ApiError} - 404 if the voter has no ballot to replace, 409 if it changed concurrently.
+ */
+async function storeReplacement(
+  req,
+  question,
+  { choices, attributes, writeIn }
+) {
+  const voter = identifyVoter(req);
+  const vote = await Vote.findOne({ question: question._id, ...voter });
+  if (!vote) {
+    throw new ApiError(
+      404,
+      "VOTE_NOT_FOUND",
+      "You have not submitted a ballot on this question yet. Use POST to submit one."
+    );
+  }
+
+  // Replace the ballot, unless another request changed it since we read it.
+  const updated = await replaceBallot(
+    question,
+    vote,
+    choices,
+    attributes,
+    writeIn
+  );
+  if (!updated) {
+    throw new ApiError(
+      409,
+      "CONCURRENT_UPDATE",
+      "Your ballot was changed by another request. Please retry."
+    );
+  }
+
+  publish("vote.changed", question._id);
+  await recordAudit(req, "vote.changed", question._id, {
+    kind: "vote",
+    id: vote._id,
+    before: vote,
+    after: updated,
+  });
+  return withWriteIn(updated);
+}
+
+/**
+ * Controller function to submit a ballot on a question.
+ * The ballot is validated against the question type (see services/ballot.js for the accepted shapes).
+ * Each voter may submit one ballot per question; use `replace` to change it.
+ * @param {object} req - The Express request object. Expected `req.params.id` (question ID) and the ballot in `req.body`.
+ * @param {object} res - The Express response object used to send back the result.
+ * @param {function} next - Passes errors on to the error handler.
+ * @returns {Promise<object>} - JSON response containing the stored ballot.
+ */
+module.exports.submit = async function (req, res, next) {
+  try {
+    const question = await loadOpenQuestion(req);
+
+    // Reject ballots that don't fit the question type before touching the database.
+    const ballot = await checkBallot(question, req.body);
+    const vote = await storeBallot(req, question, ballot);
+
+    return res.status(201).json({
+      message: "Ballot submitted successfully",
+      data: ballotView(vote),
+    });
+  } catch (err) {
+    return next(err);
+  }
+};
+
+/**
+ * Controller function to replace the caller's existing ballot on a question.
+ * The option counters are moved from the old choices to the new ones.
+ * @param {object} req - The Express request object. Expected `req.params.id` (question ID) and the new ballot in `req.body`.
+ * @param {object} res - The Express response object used to send back the result.
+ * @param {function} next - Passes errors on to the error handler.
+ * @returns {Promise<object>} - JSON response containing the updated ballot.
+ */
+module.exports.replace = async function (req, res, next) {
+  try {
+    const question = await loadOpenQuestion(req);
+
+    const ballot = await checkBallot(question, req.body, { replacing: true });
+    const updated = await storeReplacement(req, question, ballot);
+
+    return res.status(200).json({
+      message: "Ballot replaced successfully",
+      data: ballotView(updated),
+    });
+  } catch (err) {
+    return next(err);
+  }
+};
+
+/**
+ * Controller function to submit a ballot through a poll's share code, for any poll type.
+ * The ballot has the same shape as for `submit`, with options named by their position in the
+ * poll (1 for the first option) instead of their ID.
+ * @param {object} req - The Express request object. Expected `req.params.code` (share code) and the ballot in `req.body`.
+ * @param {object} res - The Express response object used to send back the result.
+ * @param {function} next - Passes errors on to the error handler.
+ * @returns {Promise<object>} - JSON response containing the stored ballot.
+ */
+module.exports.submitByCode = async function (req, res, next) {
+  try {
+    const question = await loadOpenQuestion(req);
+    const ballot = await checkBallot(
+      question,
+      fromPositions(question, req.body)
+    );
+    const vote = await storeBallot(req, question, ballot);
+
+    return res.status(201).json({
+      message: "Ballot submitted successfully",
+      data: sharedBallotView(question, vote),
+    });
+  } catch (err) {
+    return next(err);
+  }
+};
+
+/**
+ * Controller function to replace the caller's ballot through a poll's share code.
+ * @param {object} req - The Express request object. Expected `req.params.code` (share code) and the new ballot,
+ *                       with options named by position, in `req.body`.
+ * @param {object} res - The Express response object used to send back the result.
+ * @param {function} next - Passes errors on to the error handler.
+ * @returns {Promise<object>} - JSON response containing the updated ballot.
+ */
+module.exports.replaceByCode = async function (req, res, next) {
+  try {
+    const question = await loadOpenQuestion(req);
+    const ballot = await checkBallot(
+      question,
+      fromPositions(question, req.body),
+      { replacing: true }
+    );
+    const updated = await storeReplacement(req, question, ballot);
+
+    return res.status(200).json({
+      message: "Ballot replaced successfully",
+      data: sharedBallotView(question, updated),
+    });
+  } catch (err) {
+    return next(err);
+  }
+};
+
+/**
+ * Controller function behind the vote links of a shared poll: casts (POST) or moves (PUT) the
+ * caller's vote to the option at `req.params.position`. Like the option vote routes, this only
+ * applies to single-choice polls; other poll types take a full ballot.
+ * @param {object} req - The Express request object. Expected `req.params.code` (share code) and
+ *                       `req.params.position` (the option's position, starting at 1).
+ * @param {object} res - The Express response object used to send back the result.
+ * @param {function} next - Passes errors on to the error handler.
+ * @returns {Promise<object>} - JSON response containing the stored ballot.
+ */
+module.exports.voteByCode = async function (req, res, next) {
+  try {
+    const question = await loadOpenQuestion(req);
+    if (question.type !== "single") {
+      throw new ApiError(
+        409,
+        "WRONG_POLL_TYPE",
+        `Question is a ${question.type} poll; submit a ballot to /p/${question.shareCode}/ballot instead.`
+      );
+    }
+    // Like a ballot, a vote may carry voter attributes; moving a vote keeps them unless new ones are sent.
+    const replacing = req.method === "PUT";
+    const ballot = await checkBallot(
+      question,
+      fromPositions(question, {
+        option: req.params.position,
+        attributes: req.body.attributes,
+      }),
+      { replacing }
+    );
+
+    if (replacing) {
+      const updated = await storeReplacement(req, question, ballot);
+      return res.status(200).json({
+        message: "Vote changed successfully",
+        data: sharedBallotView(question, updated),
+      });
+    }
+    const vote = await storeBallot(req, question, ballot);
+    return res.status(201).json({
+      message: "Vote added successfully",
+      data: sharedBallotView(question, vote),
+    });
+  } catch (err) {
+    return next(err);
+  }
+};
@@ -0,0 +1,53 @@
+// controller/docs_controller.js
+
+// Import the OpenAPI document describing every route.
+const { openApiDocument } = require("../openapi");
+
+// The docs page: Swagger UI, served from /docs by routes/docs.js, pointed at /openapi.json.
+// Paths are relative so the page also works when the API is served under a path prefix.
+const DOCS_PAGE = `<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1" />
+    <title>Polling System API</title>
+    <link rel="stylesheet" href="swagger-ui.css" />
+  </head>
+  <body>
+    <div id="swagger-ui"></div>
+    <script src="swagger-ui-bundle.js"></script>
+    <script>
+      window.ui = SwaggerUIBundle({
+        url: "../openapi.json",
+        dom_id: "#swagger-ui",
+        deepLinking: true,
+        persistAuthorization: true,
+      });
+    </script>
+  </body>
+</html>
+`;
+
+/**
+ * Controller function to send the OpenAPI document.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object used to send back the document.
+ * @returns {object} - JSON response containing the OpenAPI 3 document.
+ */
+module.exports.openApi = function (req, res) {
+  return res.status(200).json(openApiDocument());
+};
+
+/**
+ * Controller function to send the interactive API documentation page.
+ * The page loads its assets relative to '/docs/', so '/docs' is first redirected there.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object used to send back the page.
+ * @returns {object} - HTML response containing the docs page, or a redirect.
+ */
+module.exports.docs = function (req, res) {
+  if (!req.originalUrl.split("?")[0].endsWith("/")) {
+    return res.redirect(301, "docs/");
+  }
+  return res.status(200).type("html").send(DOCS_PAGE);
+};
@@ -1,45 +1,218 @@
-// Import the Mongoose library, likely used here for its ObjectId validation or other utility functions,
-// although it's not directly used in this specific function's logic beyond interacting with the Mongoose Model.
+// Import the Mongoose library, used here for ObjectId validation and construction of filter values.
 const mongoose = require("mongoose");
 
 // Import the Mongoose model for 'Question'. This model provides methods
 // to interact with the 'questions' collection in the MongoDB database.
 const Question = require("../models/question");
+// Import the helpers that turn the position of the last listed question into an opaque cursor and back.
+const { encodeCursor, decodeCursor } = require("../utils/cursor");
+// Import the error type the error handler turns into the common error envelope.
+const ApiError = require("../utils/api_error");
+// Import the helper that lists a question's options in the order the caller should see them.
+const { presentOptions } = require("../utils/option_order");
+
+// Page size used when the client doesn't ask for one (the largest allowed is set in schemas/question.js).
+const DEFAULT_LIMIT = 20;
+
+// Supported sort orders: the MongoDB sort, and the field (besides _id) a cursor must remember.
+// Sorting by _id doubles as sorting by creation time, since ObjectIds start with a timestamp.
+const SORTS = {
+  newest: { sort: { _id: -1 }, field: null },
+  oldest: { sort: { _id: 1 }, field: null },
+  votes: { sort: { totalVotes: -1, _id: -1 }, field: "totalVotes" },
+};
+
+/**
+ * Builds the filter that continues a listing after the cursor position.
+ * @param {string} sortName - The sort order in use.
+ * @param {object} position - The decoded cursor.
+ * @returns {object} - A MongoDB query filter.
+ */
+function afterCursor(sortName, position) {
+  const id = new mongoose.Types.ObjectId(position._id);
+  if (sortName === "oldest") {
+    return { _id: { $gt: id } };
+  }
+  if (sortName === "votes") {
+    // Questions created before the counter existed have no totalVotes. MongoDB sorts a missing
+    // value below every number, so they come after zero, and the cursor keeps them apart from
+    // zero (as null) to continue in the same order.
+    const value = typeof position.value === "number" ? position.value : null;
+    if (value === null) {
+      return { totalVotes: null, _id: { $lt: id } };
+    }
+    return {
+      $or: [
+        { totalVotes: { $lt: value } },
+        { totalVotes: null },
+        { totalVotes: value, _id: { $lt: id } },
+      ],
+    };
+  }
+  return { _id: { $lt: id } };
+}
 
 /**
  * Controller function to handle requests for the home or listing page,
- * retrieving all questions along with their associated options.
+ * returning one page of questions with their associated options.
+ *
+ * Supported query parameters (all optional):
+ *   - limit:          page size, 1 to 100 (default 20).
+ *   - cursor:         the `nextCursor` from the previous page.
+ *   - sort:           'newest' (default), 'oldest' or 'votes' (most ballots first).
+ *   - search:         text search on the question title.
+ *   - status:         'draft', 'open' or 'closed'.
+ *   - owner:          a user ID, or 'me' for the authenticated caller.
+ *   - tag:            one tag, or several separated by commas (questions must have all of them).
+ *   - createdFrom / createdTo: ISO dates bounding the creation date.
+ *   - includeOptions: 'false' to return option IDs instead of populated options.
+ *   - archived:       'true' to list deleted (archived) questions instead of live ones; admins only.
+ * Private polls are left out, except for their owner and admins.
+ * The parameters' types and ranges are checked by the route's schema (see schemas/question.js).
  *
  * @param {object} req - The Express request object, containing information about the incoming request.
  * @param {object} res - The Express response object, used to send a response back to the client.
- * @returns {Promise<object>} - Returns a promise that resolves with the Express response object,
- *                               either sending back the list of questions or an error message.
+ * @param {function} next - Passes errors on to the error handler.
+ * @returns {Promise<object>} - Returns a promise that resolves with the Express response object
+ *                               sending back the page of questions.
  */
-module.exports.home = async function (req, res) {
-  // Use a try...catch block to handle potential errors during database operations or other processing.
+module.exports.home = async function (req, res, next) {
+  const query = req.query;
+
+  // Paging and sorting parameters, with their defaults.
+  const limit = query.limit || DEFAULT_LIMIT;
+  const sortName = query.sort || "newest";
+
+  // Collect every filter as a separate condition and combine them with $and,
+  // since several of them ($text aside) use $or internally.
+  const conditions = [];
+
+  if (query.cursor) {
+    const position = decodeCursor(query.cursor);
+    if (!position || position.sort !== sortName) {
+      return next(
+        new ApiError(
+          400,
+          "VALIDATION_FAILED",
+          "Invalid cursor for this sort order"
+        )
+      );
+    }
+    conditions.push(afterCursor(sortName, position));
+  }
+
+  if (query.search) {
+    conditions.push({ $text: { $search: query.search } });
+  }
+
+  if (query.status) {
+    conditions.push(Question.statusFilter(query.status));
+  }
+
+  if (query.owner) {
+    // 'me' means the caller; anonymous callers own nothing.
+    if (query.owner === "me" && !req.user) {
+      return next(
+        new ApiError(400, "VALIDATION_FAILED", "owner=me requires an API key")
+      );
+    }
+    const ownerId = query.owner === "me" ? String(req.user._id) : query.owner;
+    conditions.push({ owner: ownerId });
+  }
+
+  if (query.tag) {
+    const tags = String(query.tag)
+      .split(",")
+      .map((tag) => tag.trim().toLowerCase())
+      .filter((tag) => tag !== "");
+    if (tags.length > 0) {
+      conditions.push({ tags: { $all: tags } });
+    }
+  }
+
+  const { createdFrom, createdTo } = query;
+  if (createdFrom || createdTo) {
+    const createdAt = {};
+    if (createdFrom) {
+      createdAt.$gte = createdFrom;
+    }
+    if (createdTo) {
+      createdAt.$lte = createdTo;
+    }
+    conditions.push({ createdAt });
+  }
+
+  // Private polls are only listed for their owner and admins; voters reach them through their share link.
+  if (!req.user || req.user.role !== "admin") {
+    conditions.push(
+      req.user
+        ? { $or: [{ accessToken: null }, { owner: req.user._id }] }
+        : { accessToken: null }
+    );
+  }
+
+  // Deleted questions are archived until the purge job removes them; only admins may list them,
+  // e.g. to find one to restore.
+  if (query.archived) {
+    if (!req.user || req.user.role !== "admin") {
+      return next(
+        new ApiError(403, "FORBIDDEN", "Only admins can list deleted questions")
+      );
+    }
+    conditions.push({ archivedAt: { $ne: null } });
+  }
+
+  // Use a try...catch block to hand errors during database operations to the error handler.
   try {
-    // Asynchronously find all documents in the 'Question' collection.
-    // The empty object `{}` as the query filter means "match all documents".
-    // `.populate('options')` is used to automatically replace the ObjectIds stored in the 'options' field
-    // of each Question document with the actual corresponding Option documents from the 'options' collection.
-    // This assumes the 'options' field in the Question schema is defined as a reference (ref) to the Option model.
-    // 'await' pauses the execution until the database query and population are complete.
-    let questions = await Question.find({}).populate("options");
+    // Fetch one extra question to find out whether there is another page after this one.
+    let listing = Question.find(conditions.length ? { $and: conditions } : {})
+      .setOptions({ includeArchived: Boolean(query.archived) })
+      .sort(SORTS[sortName].sort)
+      .limit(limit + 1);
+
+    // `.populate('options')` replaces the option IDs with the Option documents,
+    // unless the client asked for the lighter listing without them.
+    if (query.includeOptions !== false) {
+      listing = listing.populate("options");
+    }
+
+    let questions = await listing.exec();
+
+    const hasMore = questions.length > limit;
+    questions = questions.slice(0, limit);
+
+    // The cursor for the next page points at the last question on this page.
+    let nextCursor = null;
+    if (hasMore) {
+      const last = questions[questions.length - 1];
+      const field = SORTS[sortName].field;
+      nextCursor = encodeCursor({
+        sort: sortName,
+        _id: String(last._id),
+        ...(field ? { value: last[field] ?? null } : {}),
+      });
+    }
+
+    // Populated options carry their `position`, in the order each caller should see them
+    // (see utils/option_order.js).
+    const data = questions.map((question) => {
+      const listed = question.toJSON();
+      if (query.includeOptions !== false) {
+        listed.options = presentOptions(req, question, question.options);
+      }
+      return listed;
+    });
 
     // If the database query is successful, send an HTTP status code 200 (OK)
-    // along with the retrieved 'questions' array formatted as a JSON response.
-    return res.status(200).json(questions);
+    // along with the page of questions and the information needed to fetch the next page.
+    return res.status(200).json({
+      message: "Questions retrieved successfully",
+      data,
+      pageInfo: { limit, hasMore, nextCursor },
+    });
   } catch (err) {
     // If any error occurs within the 'try' block (e.g., database connection issue, schema mismatch),
-    // log the error details to the server's console for debugging purposes.
-    console.log("Error fetching questions:", err);
-
-    // Send an HTTP status code 500 (Internal Server Error) to the client,
-    // along with a generic error message in JSON format.
-    // Avoid sending detailed error information back to the client for security reasons.
-    return res.status(500).json({
-      message: "Error retrieving questions from the database.", // Changed message for clarity
-      error: "Internal server error", // Kept original error key for consistency if expected by frontend
-    });
+    // the error handler logs it and sends a generic 500, without detailed error information.
+    return next(err);
   }
 };
@@ -1,195 +1,755 @@
-// Import the Mongoose library for interacting with MongoDB.
-const mongoose = require("mongoose");
 // Import the Option model, which represents the schema for options in the database.
 const Option = require("../models/option");
 // Import the Question model, which represents the schema for questions in the database.
 const Question = require("../models/question");
+// Import the Vote model, which records each voter's vote on a question.
+const Vote = require("../models/vote");
+// Import the helper that works out who is voting (API key, user ID or IP/user-agent fingerprint).
+const { identifyVoter } = require("../utils/voter");
+// Import the ballot helpers that store votes and keep the option counters consistent with them.
+const {
+  castBallot,
+  replaceBallot,
+  validateAttributes,
+} = require("../services/ballot");
+// Import the poll event bus, notified after every change so live result streams can update.
+const { publish } = require("../services/poll_events");
+// Import the audit log, which records every change with who made it.
+const { recordAudit } = require("../services/audit");
+// Import the archive settings, which say how long deleted options can still be restored.
+const archive = require("../config/archive");
+// Import the error type the error handler turns into the common error envelope.
+const ApiError = require("../utils/api_error");
+// Import the helper that builds each option's voting link from the question's share code.
+const { shareVoteLink } = require("../utils/links");
+// Import the check that keeps private polls to the callers holding their access token.
+const { assertPollAccess } = require("../utils/poll_access");
+// Import the helper that lists a question's options in the order the caller should see them.
+const { presentOptions } = require("../utils/option_order");
+
+// The details of an option besides its text. Unlike the text, they can be changed after votes
+// are cast, except the description, which could change what voters chose as much as the text.
+const OPTION_DETAILS = ["description", "imageUrl", "color"];
+
+/**
+ * Creates the error for an option that doesn't exist.
+ * @param {string} id - The option ID from the URL.
+ * @returns {ApiError} - A 404 error.
+ */
+function optionNotFound(id) {
+  return new ApiError(
+    404,
+    "OPTION_NOT_FOUND",
+    `Option with ID ${id} not found.`
+  );
+}
 
 /**
- * Controller function to create a new option for a specific question.
- * @param {object} req - The Express request object. Expected to have `req.params.id` (question ID)
- *                       and `req.body.text` (option text).
+ * Creates the error for a question that doesn't exist, or that an option doesn't belong to.
+ * @param {string} message - What went wrong.
+ * @returns {ApiError} - A 404 error.
+ */
+function questionNotFound(message) {
+  return new ApiError(404, "QUESTION_NOT_FOUND", message);
+}
+
+/**
+ * Controller function to create a new option for a specific question. New options are added
+ * at the end of the question's options.
+ * @param {object} req - The Express request object. Expected to have `req.params.id` (question ID),
+ *                       `req.body.text` (option text) and optionally `description`, `imageUrl` and
+ *                       `color`, checked by the route's schema.
  * @param {object} res - The Express response object used to send back the result.
- * @returns {Promise<object>} - JSON response containing the newly created option or an error message.
+ * @param {function} next - Passes errors on to the error handler.
+ * @returns {Promise<object>} - JSON response containing the newly created option.
  */
-module.exports.create = async function (req, res) {
-  // Log the request parameters and body for debugging purposes (optional, can be removed in production)
-  console.log("Creating option for question ID:", req.params.id);
-  console.log("Option data:", req.body);
+module.exports.create = async function (req, res, next) {
+  // Use a try-catch block to hand any error, expected or not, to the error handler.
+  try {
+    // Find the parent question by its ID, provided in the request parameters.
+    let question = await Question.findById(req.params.id);
 
-  // Find the parent question by its ID, provided in the request parameters.
-  let question = await Question.findById(req.params.id);
+    // Check if the question with the given ID actually exists in the database.
+    if (!question) {
+      throw questionNotFound(`Question with ID ${req.params.id} not found.`);
+    }
 
-  // Check if the question with the given ID actually exists in the database.
-  if (question) {
-    // Use a try-catch block to handle potential errors during database operations.
-    try {
-      // Create a new Option document in the database using the text provided in the request body.
-      let option = await Option.create({
-        text: req.body.text,
-        // 'votes' field will default to 0 based on the schema.
-      });
+    // The set of options is frozen once the poll opens, so options can only be added to drafts.
+    const status = question.currentStatus();
+    if (status !== "draft") {
+      throw new ApiError(
+        409,
+        "QUESTION_NOT_DRAFT",
+        `Question is ${status}; options can only be added while it is a draft.`
+      );
+    }
 
-      // Construct the URL that clients can use to vote for this newly created option.
-      // Note: The host and port ('http://localhost:8000') are hardcoded.
-      // In a production environment, this should be dynamically generated or configured.
-      option.link_to_vote = `http://localhost:8000/options/${option._id}/add_vote`;
-      // Save the option document again to persist the 'link_to_vote' field.
-      await option.save(); // Ensure save operation completes
-
-      // Add the ObjectId of the newly created option to the 'options' array
-      // within the parent Question document.
-      question.options.push(option._id);
-      // Save the updated Question document to persist the changes to its 'options' array.
-      await question.save(); // Ensure save operation completes
-
-      // Send a JSON response back to the client containing the newly created option data.
-      // The default status code is 200 (OK).
-      return res.json(option);
-    } catch (err) {
-      // If any error occurs during the try block (e.g., database error, validation error),
-      // log the error to the console for server-side debugging.
-      console.log("Error creating option:", err);
-      // Send an HTTP 500 Internal Server Error status code and a generic error message to the client.
-      return res.status(500).json({
-        message: "Error creating the option.", // More specific message
-        error: "Internal server error",
-      });
+    // Create a new Option document in the database using the text provided in the request body.
+    let option = await Option.create({
+      text: req.body.text,
+      // Empty details are left out.
+      description: req.body.description || undefined,
+      imageUrl: req.body.imageUrl || undefined,
+      color: req.body.color || undefined,
+      // Keep a back-reference to the question so votes can be tied to it.
+      question: question._id,
+      // 'votes' field will default to 0 based on the schema.
+    });
+
+    // Add the ObjectId of the newly created option to the 'options' array
+    // within the parent Question document.
+    question.options.push(option._id);
+    // Save the updated Question document to persist the changes to its 'options' array
+    // (this also gives questions created before share codes existed a share code).
+    await question.save(); // Ensure save operation completes
+
+    // Construct the URL that clients can use to vote for this newly created option, from the
+    // question's share code and the option's position, so no internal ID appears in it.
+    const link = {
+      shareCode: question.shareCode,
+      position: question.options.length,
+    };
+    option.link_to_vote = shareVoteLink(link.shareCode, link.position);
+    // Save the option document again to persist the 'link_to_vote' field.
+    await option.save(); // Ensure save operation completes
+
+    publish("option.added", question._id, { option: option._id });
+    await recordAudit(req, "option.added", question._id, {
+      kind: "option",
+      id: option._id,
+      after: option,
+    });
+
+    // Send a JSON response back to the client containing the newly created option data,
+    // with the same share vote link. The default status code is 200 (OK).
+    return res.json(option.toJSON(link));
+  } catch (err) {
+    // The error handler answers with the error's status, or logs it and sends a 500 if it was unexpected.
+    return next(err);
+  }
+};
+
+/**
+ * Controller function to list the options of a question, in the order they are shown to the caller
+ * (see utils/option_order.js), each with its `position`.
+ * @param {object} req - The Express request object. Expected to have `req.params.id` (question ID).
+ * @param {object} res - The Express response object used to send back the result.
+ * @param {function} next - Passes errors on to the error handler.
+ * @returns {Promise<object>} - JSON response containing the question's options.
+ */
+module.exports.list = async function (req, res, next) {
+  try {
+    const question = await Question.findById(req.params.id)
+      .populate("options")
+      .exec();
+    if (!question) {
+      throw questionNotFound(`Question with ID ${req.params.id} not found.`);
     }
-  } else {
-    // If the question with the provided ID was not found,
-    // send an HTTP 404 Not Found status code and an error message.
-    return res.status(404).json({
-      message: `Question with ID ${req.params.id} not found.`, // More specific message
-      error: "Cannot find question",
+    assertPollAccess(req, question);
+    return res.json({
+      message: "Options retrieved successfully",
+      data: presentOptions(req, question, question.options),
     });
+  } catch (err) {
+    return next(err);
+  }
+};
+
+/**
+ * Controller function to arrange the options of a question in a new order. Like the set of options,
+ * the order is frozen once the poll opens, since share links name options by their position.
+ * @param {object} req - The Express request object. Expected to have `req.params.id` (question ID) and
+ *                       `req.body.options`, the IDs of all of the question's options in their new order.
+ * @param {object} res - The Express response object used to send back the result.
+ * @param {function} next - Passes errors on to the error handler.
+ * @returns {Promise<object>} - JSON response containing the options in their new order.
+ */
+module.exports.reorder = async function (req, res, next) {
+  try {
+    const question = await Question.findById(req.params.id);
+    if (!question) {
+      throw questionNotFound(`Question with ID ${req.params.id} not found.`);
+    }
+    const status = question.currentStatus();
+    if (status !== "draft") {
+      throw new ApiError(
+        409,
+        "QUESTION_NOT_DRAFT",
+        `Question is ${status}; options can only be reordered while it is a draft.`
+      );
+    }
+
+    // The new order must list every current option exactly once.
+    const order = req.body.options.map(String);
+    const current = question.options.map(String);
+    if (
+      new Set(order).size !== order.length ||
+      order.length !== current.length ||
+      order.some((id) => !current.includes(id))
+    ) {
+      throw new ApiError(
+        400,
+        "VALIDATION_FAILED",
+        "options must list the IDs of all of the question's options, each once",
+        { details: { options: current } }
+      );
+    }
+
+    // Only store the order if the options are still the ones checked above, so an option
+    // added or deleted meanwhile isn't lost or brought back.
+    const updated = await Question.findOneAndUpdate(
+      { _id: question._id, options: { $all: current, $size: current.length } },
+      { $set: { options: order } },
+      { new: true }
+    ).populate("options");
+    if (!updated) {
+      throw new ApiError(
+        409,
+        "CONCURRENT_UPDATE",
+        "The question's options changed while they were being reordered; retry."
+      );
+    }
+
+    publish("question.updated", question._id, { fields: ["options"] });
+    await recordAudit(req, "question.updated", question._id, {
+      kind: "question",
+      id: question._id,
+      before: { options: question.options },
+      after: { options: updated.options.map((option) => option._id) },
+    });
+
+    return res.json({
+      message: "Options reordered successfully",
+      data: presentOptions(req, updated, updated.options),
+    });
+  } catch (err) {
+    return next(err);
   }
 };
 
 /**
  * Controller function to delete an option by its ID.
- * An option can only be deleted if it has zero votes.
+ * An option can only be deleted if it has zero votes, while its question is a draft.
+ * The option is archived rather than removed, so an admin can restore it until the purge job
+ * removes it for good (see services/purge.js); orphan options are removed right away.
  * @param {object} req - The Express request object. Expected to have `req.params.id` (option ID).
  * @param {object} res - The Express response object used to send back the result.
- * @returns {Promise<object>} - JSON response indicating success or an error message.
+ * @param {function} next - Passes errors on to the error handler.
+ * @returns {Promise<object>} - JSON response indicating success.
  */
-module.exports.delete = async function (req, res) {
-  // Use a try-catch block to handle potential errors.
+module.exports.delete = async function (req, res, next) {
+  // Use a try-catch block to hand any error, expected or not, to the error handler.
   try {
     // Find the option by its ID, provided in the request parameters.
     let option = await Option.findById(req.params.id);
 
     // Check if an option with the given ID exists.
-    if (option) {
-      // Check if the option has any votes associated with it.
-      // Options with votes cannot be deleted to maintain data integrity.
-      if (option.votes < 1) {
-        // Before deleting the option, find the parent question that references it.
-        // This query looks for a Question document where the 'options' array contains the ID of the option to be deleted.
-        let question = await Question.findOne({
-          options: { $elemMatch: { $eq: req.params.id } },
-        });
+    if (!option) {
+      throw optionNotFound(req.params.id);
+    }
+
+    // Check if the option has any votes associated with it.
+    // Options with votes cannot be deleted to maintain data integrity.
+    if (option.votes >= 1) {
+      throw new ApiError(
+        403,
+        "HAS_VOTES",
+        `Option with ID ${req.params.id} has votes and cannot be deleted.`
+      );
+    }
+
+    // Before deleting the option, find the parent question that references it.
+    // This query looks for a Question document where the 'options' array contains the ID of the option to be deleted.
+    let question = await Question.findOne({
+      options: { $elemMatch: { $eq: req.params.id } },
+    });
+
+    // No question references the option: the data is inconsistent (an orphan option).
+    // Log it and delete the option anyway, since nothing can vote on it.
+    if (!question) {
+      console.log(
+        `Warning: Option ${req.params.id} found but no parent question references it. Deleting orphan option.`
+      );
+      await Option.findByIdAndDelete(req.params.id);
+      return res.json({
+        message: "Orphan option deleted successfully",
+        data: option,
+      });
+    }
+
+    // Options can only be removed while the question is still a draft.
+    const status = question.currentStatus();
+    if (status !== "draft") {
+      throw new ApiError(
+        409,
+        "QUESTION_NOT_DRAFT",
+        `Question is ${status}; options can only be deleted while it is a draft.`
+      );
+    }
+
+    // Archive the option document. Its question is recorded so it can be restored to it later,
+    // even if it predates the `question` back-reference.
+    // The vote guard is repeated in the update filter so a vote cast after the check above
+    // makes the update match nothing, instead of deleting a voted option.
+    const archived = await Option.findOneAndUpdate(
+      { _id: req.params.id, votes: { $lt: 1 } },
+      {
+        $set: {
+          archivedAt: new Date(),
+          archivedBy: req.user._id,
+          question: question._id,
+        },
+      },
+      { new: true }
+    );
+    if (!archived) {
+      throw new ApiError(
+        403,
+        "HAS_VOTES",
+        `Option with ID ${req.params.id} has votes and cannot be deleted.`
+      );
+    }
+
+    // Remove the reference (ObjectId) of the archived option from the parent question's 'options' array.
+    // `$pull` operator removes all instances of a value or values that match a specified condition.
+    await Question.updateOne(
+      { _id: question._id },
+      { $pull: { options: req.params.id } }
+    ); // Simplified $pull
 
-        // Check if a parent question referencing this option was found.
-        if (question) {
-          // Delete the option document itself from the 'options' collection.
-          await Option.findByIdAndDelete(req.params.id);
-
-          // Remove the reference (ObjectId) of the deleted option from the parent question's 'options' array.
-          // `$pull` operator removes all instances of a value or values that match a specified condition.
-          await Question.updateOne(
-            { _id: question._id },
-            { $pull: { options: req.params.id } }
-          ); // Simplified $pull
-
-          // Send a success response indicating the option was deleted.
-          // Optionally include the data of the deleted option.
-          return res.json({
-            message: "Option deleted successfully",
-            data: option,
-          });
-        } else {
-          // This case might indicate inconsistent data (option exists but no question references it).
-          // Log it and potentially just delete the option if desired, or return an error.
-          console.log(
-            `Warning: Option ${req.params.id} found but no parent question references it. Deleting orphan option.`
-          );
-          await Option.findByIdAndDelete(req.params.id);
-          return res.json({
-            message: "Orphan option deleted successfully",
-            data: option,
-          });
-          // Or return an error:
-          // return res.status(500).json({ message: 'Data inconsistency: Parent question not found for option.' });
-        }
+    publish("option.deleted", question._id, { option: option._id });
+    await recordAudit(req, "option.deleted", question._id, {
+      kind: "option",
+      id: option._id,
+      before: option,
+      after: archived,
+    });
+
+    // Send a success response indicating the option was deleted.
+    // Optionally include the data of the deleted option.
+    return res.json({
+      message: `Option deleted successfully. An admin can restore it within ${archive.retentionDays} days.`,
+      data: archived,
+    });
+  } catch (err) {
+    // The error handler answers with the error's status, or logs it and sends a 500 if it was unexpected.
+    return next(err);
+  }
+};
+
+/**
+ * Controller function to restore a deleted (archived) option to its question, before the purge
+ * job removes it. Like adding an option, this is only allowed while the question is a draft.
+ * @param {object} req - The Express request object. Expected to have `req.params.id` (option ID).
+ * @param {object} res - The Express response object used to send back the result.
+ * @param {function} next - Passes errors on to the error handler.
+ * @returns {Promise<object>} - JSON response containing the restored option.
+ */
+module.exports.restore = async function (req, res, next) {
+  try {
+    const option = await Option.findOne({ _id: req.params.id }).setOptions({
+      includeArchived: true,
+    });
+    if (!option) {
+      throw optionNotFound(req.params.id);
+    }
+    if (!option.isArchived()) {
+      throw new ApiError(
+        409,
+        "NOT_ARCHIVED",
+        `Option with ID ${req.params.id} is not deleted; there is nothing to restore.`
+      );
+    }
+
+    // The question must still exist (and not be deleted itself) to take the option back.
+    const question = await Question.findForOption(option);
+    if (!question) {
+      throw questionNotFound(
+        `The question of option ${req.params.id} no longer exists; restore the question first.`
+      );
+    }
+    const status = question.currentStatus();
+    if (status !== "draft") {
+      throw new ApiError(
+        409,
+        "QUESTION_NOT_DRAFT",
+        `Question is ${status}; options can only be restored while it is a draft.`
+      );
+    }
+
+    const restored = await Option.findOneAndUpdate(
+      { _id: option._id, archivedAt: { $ne: null } },
+      { $set: { archivedAt: null }, $unset: { archivedBy: 1 } },
+      { new: true }
+    );
+    if (!restored) {
+      throw new ApiError(
+        409,
+        "NOT_ARCHIVED",
+        `Option with ID ${req.params.id} is not deleted; there is nothing to restore.`
+      );
+    }
+    await Question.updateOne(
+      { _id: question._id },
+      { $addToSet: { options: option._id } }
+    );
+
+    publish("option.restored", question._id, { option: option._id });
+    await recordAudit(req, "option.restored", question._id, {
+      kind: "option",
+      id: option._id,
+      before: option,
+      after: restored,
+    });
+
+    return res.json({
+      message: "Option restored successfully",
+      data: restored,
+    });
+  } catch (err) {
+    return next(err);
+  }
+};
+
+/**
+ * Controller function to change the text or the details (description, image URL, color) of an option.
+ * Like deletion, changing the text or description is refused once the option has votes, since it would
+ * change what those voters chose; an admin can pass `force` to correct it anyway (e.g. to fix a typo).
+ * The image URL and color only change how the option looks, so they can be changed at any time.
+ * Every successful edit is recorded in the option's `revisions`.
+ * @param {object} req - The Express request object. Expected to have `req.params.id` (option ID),
+ *                       any of `text`, `description`, `imageUrl` and `color` in the body (an empty detail
+ *                       clears it), and optionally `req.body.force` (admins only).
+ * @param {object} res - The Express response object used to send back the result.
+ * @param {function} next - Passes errors on to the error handler.
+ * @returns {Promise<object>} - JSON response containing the updated option.
+ */
+module.exports.update = async function (req, res, next) {
+  try {
+    // The route's schema has already trimmed the text, rejected empty text and checked the details.
+    const body = req.body;
+    // True if the body mentions the field at all, even with an empty value.
+    const has = (field) => Object.prototype.hasOwnProperty.call(body, field);
+    const updates = {};
+    if (has("text")) {
+      updates.text = body.text;
+    }
+    for (const field of OPTION_DETAILS) {
+      if (has(field)) {
+        updates[field] = body[field] || undefined;
+      }
+    }
+    if (updates.color) {
+      updates.color = updates.color.toLowerCase();
+    }
+    if (Object.keys(updates).length === 0) {
+      throw new ApiError(
+        400,
+        "VALIDATION_FAILED",
+        `Nothing to update; editable fields are: text, ${OPTION_DETAILS.join(
+          ", "
+        )}`
+      );
+    }
+
+    const force = body.force === true;
+    if (force && req.user.role !== "admin") {
+      throw new ApiError(403, "FORBIDDEN", "Only an admin can force an edit");
+    }
+
+    const option = await Option.findById(req.params.id);
+    if (!option) {
+      throw optionNotFound(req.params.id);
+    }
+
+    // Keep only the fields whose value actually changes.
+    const changes = Object.keys(updates)
+      .filter((field) => option[field] !== updates[field])
+      .map((field) => ({ field, from: option[field], to: updates[field] }));
+    if (changes.length === 0) {
+      return res.json({
+        message: "Option is already up to date",
+        data: option,
+      });
+    }
+
+    // The counter only covers first preferences on ranked-choice questions,
+    // so also look for ballots that rank the option lower down.
+    const guarded = changes.some(({ field }) =>
+      ["text", "description"].includes(field)
+    );
+    const question = await Question.findForOption(option);
+    const hasVotes =
+      guarded &&
+      (option.votes > 0 ||
+        (question !== null &&
+          (await Vote.exists({
+            question: question._id,
+            "choices.option": option._id,
+          })) !== null));
+    if (hasVotes && !force) {
+      throw new ApiError(
+        403,
+        "HAS_VOTES",
+        `Option with ID ${req.params.id} has votes; only an admin passing force=true can change its text or description.`
+      );
+    }
+
+    // Write the changes and their revision in a single update, so neither can be saved without the other.
+    const update = {
+      $push: {
+        revisions: { editedBy: req.user._id, forced: hasVotes, changes },
+      },
+    };
+    changes.forEach(({ field, to }) => {
+      if (to === undefined) {
+        update.$unset = { ...update.$unset, [field]: "" };
       } else {
-        // If the option has one or more votes, it cannot be deleted.
-        // Send an HTTP 403 Forbidden status code and an error message.
-        return res.status(403).json({
-          message: `Option with ID ${req.params.id} has votes and cannot be deleted.`, // More specific message
-          error: "Option votes are given, cannot delete it",
-        });
+        update.$set = { ...update.$set, [field]: to };
       }
-    } else {
-      // If the option with the provided ID was not found,
-      // send an HTTP 404 Not Found status code and an error message.
-      return res.status(404).json({
-        message: `Option with ID ${req.params.id} not found.`, // More specific message
-        error: "Cannot find option",
+    });
+    // As in `delete`, the vote guard is repeated in the update filter so a vote cast after the
+    // check above makes the update match nothing, instead of changing a voted option.
+    const updated = await Option.findOneAndUpdate(
+      guarded && !hasVotes
+        ? { _id: option._id, votes: { $lt: 1 } }
+        : { _id: option._id },
+      update,
+      { new: true }
+    );
+    if (!updated) {
+      throw new ApiError(
+        403,
+        "HAS_VOTES",
+        `Option with ID ${req.params.id} has votes; only an admin passing force=true can change its text or description.`
+      );
+    }
+
+    if (question) {
+      publish("option.updated", question._id, { option: option._id });
+      await recordAudit(req, "option.updated", question._id, {
+        kind: "option",
+        id: option._id,
+        before: option,
+        after: updated,
       });
     }
-  } catch (err) {
-    // If any error occurs during the try block, log it to the console.
-    console.log("Error deleting option:", err);
-    // Send an HTTP 500 Internal Server Error status code and a generic error message.
-    return res.status(500).json({
-      message: "Error deleting the option.", // More specific message
-      error: "Internal server error",
+
+    return res.json({
+      message: "Option updated successfully",
+      data: updated,
     });
+  } catch (err) {
+    return next(err);
   }
 };
 
 /**
- * Controller function to increment the vote count for a specific option.
- * @param {object} req - The Express request object. Expected to have `req.params.id` (option ID).
+ * Controller function to cast a vote for a specific option.
+ * Each voter may only vote once per question: a vote record is stored per voter, and a second
+ * vote on the same question is rejected with 409 Conflict (use `changeVote` to move a vote instead).
+ * Only single-choice questions can be voted on this way; other poll types take a full ballot
+ * through `POST /questions/:id/ballot`.
+ * @param {object} req - The Express request object. Expected to have `req.params.id` (option ID), and the
+ *                       voter attributes the question asks for in `req.body.attributes`.
  * @param {object} res - The Express response object used to send back the result.
- * @returns {Promise<object>} - JSON response containing the updated option data or an error message.
+ * @param {function} next - Passes errors on to the error handler.
+ * @returns {Promise<object>} - JSON response containing the updated option data.
  */
-module.exports.addVote = async function (req, res) {
-  // Use a try-catch block for error handling.
+module.exports.addVote = async function (req, res, next) {
+  // Use a try-catch block to hand any error, expected or not, to the error handler.
   try {
     // Find the option by its ID from the request parameters.
     let option = await Option.findById(req.params.id);
 
-    // Check if the option exists.
-    if (option) {
-      // Increment the 'votes' counter for the found option document.
-      // Using `+= 1` is simple, but for high concurrency, consider using Mongoose's `$inc` operator for atomic updates.
-      // Example using $inc: await Option.findByIdAndUpdate(req.params.id, { $inc: { votes: 1 } }, { new: true });
-      option.votes += 1;
-      // Save the updated option document back to the database.
-      await option.save(); // Ensure save operation completes
+    // If the option with the provided ID was not found, respond with 404 Not Found.
+    if (!option) {
+      throw optionNotFound(req.params.id);
+    }
+
+    // Votes are limited per question, so work out which question this option belongs to.
+    const question = await Question.findForOption(option);
+    if (!question) {
+      throw questionNotFound(
+        `Option with ID ${req.params.id} does not belong to any question.`
+      );
+    }
+    // Private polls only take votes from callers with their access token.
+    assertPollAccess(req, question);
+
+    // Votes are only accepted while the poll is open.
+    const status = question.currentStatus();
+    if (status !== "open") {
+      throw new ApiError(
+        409,
+        "QUESTION_NOT_OPEN",
+        `Question is ${status}; votes are only accepted while it is open.`
+      );
+    }
+
+    // A single option can't express a multi-select, ranked or rating ballot.
+    if (question.type !== "single") {
+      throw new ApiError(
+        409,
+        "WRONG_POLL_TYPE",
+        `Question is a ${question.type} poll; submit a ballot to /questions/${question._id}/ballot instead.`
+      );
+    }
+
+    // The voter attributes the question asks for, sent in the body as `attributes`.
+    const { attributes, error } = validateAttributes(
+      question,
+      (req.body || {}).attributes
+    );
+    if (error) {
+      throw new ApiError(400, "VALIDATION_FAILED", error);
+    }
+
+    // Identify the voter, then record their vote and increment the counter in one transaction,
+    // so the counter can never drift from the vote records (see services/ballot.js).
+    // The unique index on (question, voter) makes the database reject a second vote,
+    // even if two requests from the same voter arrive at the same time.
+    const voter = identifyVoter(req);
+    let vote;
+    try {
+      vote = await castBallot(
+        question,
+        voter,
+        [{ option: option._id }],
+        attributes
+      );
+    } catch (err) {
+      // Duplicate key error: this voter already has a vote on this question.
+      if (err.code === 11000) {
+        const existing = await Vote.findOne({
+          question: question._id,
+          ...voter,
+        });
+        throw new ApiError(
+          409,
+          "ALREADY_VOTED",
+          "You have already voted on this question. Use change_vote to move your vote to another option.",
+          {
+            // A ballot holding only a pending write-in has no option yet.
+            details:
+              existing && existing.choices.length > 0
+                ? { option: existing.choices[0].option }
+                : undefined,
+          }
+        );
+      }
+      throw err;
+    }
+
+    publish("vote.cast", question._id, { option: option._id });
+    await recordAudit(req, "vote.cast", question._id, {
+      kind: "vote",
+      id: vote._id,
+      after: vote,
+    });
+
+    // Reload the option to return its updated counter.
+    option = await Option.findById(option._id);
+
+    // Send a success response including the updated option data.
+    return res.json({
+      message: "Vote added successfully to option",
+      data: option,
+    });
+  } catch (err) {
+    // The error handler answers with the error's status, or logs it and sends a 500 if it was unexpected.
+    return next(err);
+  }
+};
+
+/**
+ * Controller function to move a voter's existing vote to another option of the same question.
+ * The vote counters of the previous and the new option are adjusted accordingly.
+ * Like `addVote`, this only applies to single-choice questions.
+ * @param {object} req - The Express request object. Expected to have `req.params.id` (ID of the option to move the vote to).
+ * @param {object} res - The Express response object used to send back the result.
+ * @param {function} next - Passes errors on to the error handler.
+ * @returns {Promise<object>} - JSON response containing the updated option data.
+ */
+module.exports.changeVote = async function (req, res, next) {
+  try {
+    // Find the option the voter wants to move their vote to.
+    let option = await Option.findById(req.params.id);
+    if (!option) {
+      throw optionNotFound(req.params.id);
+    }
+
+    const question = await Question.findForOption(option);
+    if (!question) {
+      throw questionNotFound(
+        `Option with ID ${req.params.id} does not belong to any question.`
+      );
+    }
+    assertPollAccess(req, question);
+
+    // Votes are only accepted while the poll is open.
+    const status = question.currentStatus();
+    if (status !== "open") {
+      throw new ApiError(
+        409,
+        "QUESTION_NOT_OPEN",
+        `Question is ${status}; votes are only accepted while it is open.`
+      );
+    }
+
+    if (question.type !== "single") {
+      throw new ApiError(
+        409,
+        "WRONG_POLL_TYPE",
+        `Question is a ${question.type} poll; replace your ballot with PUT /questions/${question._id}/ballot instead.`
+      );
+    }
+
+    // Look up the voter's current vote on this question.
+    const voter = identifyVoter(req);
+    const vote = await Vote.findOne({ question: question._id, ...voter });
+    if (!vote) {
+      throw new ApiError(
+        404,
+        "VOTE_NOT_FOUND",
+        "You have not voted on this question yet. Use add_vote to cast a vote."
+      );
+    }
 
-      // Send a success response including the updated option data.
+    // Nothing to do if the vote is already on the requested option.
+    if (vote.choices.length > 0 && vote.choices[0].option.equals(option._id)) {
       return res.json({
-        message: "Vote added successfully to option",
+        message: "Vote is already on this option",
         data: option,
       });
-    } else {
-      // If the option with the provided ID was not found,
-      // send an HTTP 404 Not Found status code and an error message.
-      return res.status(404).json({
-        message: `Option with ID ${req.params.id} not found.`, // More specific message
-        error: "Option not found",
-      });
     }
-  } catch (err) {
-    // If any error occurs during the try block, log it.
-    console.log("Error adding vote to option:", err);
-    // Send an HTTP 500 Internal Server Error status code and a generic error message.
-    return res.status(500).json({
-      message: "Error adding vote to the option.", // More specific message
-      error: "Internal server error",
+
+    // Move the vote record and both counters in one transaction.
+    // If a concurrent request changed the vote since we read it, nothing is written.
+    const updated = await replaceBallot(question, vote, [
+      { option: option._id },
+    ]);
+    if (!updated) {
+      throw new ApiError(
+        409,
+        "CONCURRENT_UPDATE",
+        "Your vote was changed by another request. Please retry."
+      );
+    }
+    publish("vote.changed", question._id, { option: option._id });
+    await recordAudit(req, "vote.changed", question._id, {
+      kind: "vote",
+      id: vote._id,
+      before: vote,
+      after: updated,
     });
+    option = await Option.findById(option._id);
+
+    return res.json({
+      message: "Vote changed successfully",
+      data: option,
+    });
+  } catch (err) {
+    return next(err);
   }
 };
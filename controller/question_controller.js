@@ -1,34 +1,103 @@
 // controller/question_controller.js
 
-// Import Mongoose for database interactions and ObjectId validation.
-const mongoose = require("mongoose");
 // Import the Question model to interact with the 'questions' collection.
 const Question = require("../models/question"); // Ensure this path points to your Question model file
-// Import the Option model to interact with the 'options' collection, especially for deletion.
-const Option = require("../models/option"); // Ensure this path points to your Option model file
+// Import the Option model, so it is registered before questions' options are populated.
+require("../models/option"); // Ensure this path points to your Option model file
+// Import the archive settings, which say how long deleted questions can still be restored.
+const archive = require("../config/archive");
+// Import the error type the error handler turns into the common error envelope.
+const ApiError = require("../utils/api_error");
+// Import the results helper that adds percentages, ranks, leaders and the outcome to the tally.
+const { buildResults } = require("../services/results");
+// Import the helper that breaks results down by voter attribute.
+const { segmentResults } = require("../services/segments");
+// Import the analytics helper, which follows a question's votes over time.
+const { voteTimeline } = require("../services/analytics");
+// Import the poll event bus, notified after every change so live result streams can update.
+const { publish } = require("../services/poll_events");
+// Import the audit log, which records every change with who made it.
+const { recordAudit } = require("../services/audit");
+// Import the helper that builds the poll's share link from the configured base URL.
+const { shareLink } = require("../utils/links");
+// Import the check that keeps private polls to the callers holding their access token.
+const { assertPollAccess } = require("../utils/poll_access");
+// Import the helper that lists a question's options in the order the caller should see them.
+const { presentOptions } = require("../utils/option_order");
+// Import the live result stream and the adapter that serves it as Server-Sent Events.
+const { subscribe } = require("../services/result_stream");
+const { sseTransport } = require("../services/stream_transports");
+// Import the helper that builds a copy of a question and its options.
+const { pollFromQuestion } = require("../services/templates");
+// Import the helpers that validate new questions and create whole polls at once.
+const {
+  parseOptionalNumber,
+  parseTags,
+  parseOptionalDate,
+  parseVoterAttributes,
+  validateQuestion,
+  validatePoll,
+  createPolls,
+} = require("../services/question_builder");
+
+// The fields `update` can change, and until when each of them may change:
+//   - 'always':    any time (wording, tags, the smallest segment shown and the order options are
+//                  shown in don't affect ballots or the tally).
+//   - 'draft':     only while the question is a draft, since ballots cast under the old
+//                  poll type, schedule or voter attributes would no longer fit.
+//   - 'notClosed': until the question closes (answers already written in stay in the
+//                  moderation queue when write-ins are turned off).
+//   - 'forceable': until the question closes; afterwards only an admin passing `force`,
+//                  since the validity rules decide a closed question's declared outcome.
+const QUESTION_EDIT_RULES = {
+  title: "always",
+  tags: "always",
+  type: "draft",
+  minSelections: "draft",
+  maxSelections: "draft",
+  opensAt: "draft",
+  voterAttributes: "draft",
+  closesAt: "notClosed",
+  quorum: "forceable",
+  electorateSize: "forceable",
+  minTurnout: "forceable",
+  minCellSize: "always",
+  shuffleOptions: "always",
+  allowWriteIns: "notClosed",
+};
 
 /**
  * Controller function to create a new question.
  * Expects the question title in the request body.
  * @param {object} req - The Express request object. Expected `req.body.title` to contain the question text.
  * @param {object} res - The Express response object used to send back the result.
- * @returns {Promise<object>} - JSON response containing the newly created question or an error message.
+ * @param {function} next - Passes errors on to the error handler.
+ * @returns {Promise<object>} - JSON response containing the newly created question.
  */
-module.exports.create = async function (req, res) {
-  // Basic validation: Check if the 'title' field exists in the request body and is not just whitespace.
-  if (!req.body.title || req.body.title.trim() === "") {
-    // If validation fails, send a 400 Bad Request status with an informative message.
-    return res.status(400).json({
-      message: "Question title cannot be empty",
-    });
-  }
-
-  // Use a try-catch block to handle potential errors during database interaction.
+module.exports.create = async function (req, res, next) {
+  // Use a try-catch block to hand any error, expected or not, to the error handler.
   try {
+    // The body's shape is checked by the route's schema; this adds the rules that span
+    // several fields, e.g. closesAt after opensAt (see services/question_builder.js).
+    const { question: fields, error } = validateQuestion(req.body);
+    if (error) {
+      throw new ApiError(400, "VALIDATION_FAILED", error);
+    }
+
     // Create a new document in the 'questions' collection using the Question model.
-    // The 'title' is taken from the request body and trimmed of leading/trailing whitespace.
+    // The fields come from `validateQuestion`, e.g. the title trimmed of leading/trailing whitespace.
+    // New questions always start as drafts so all options can be added before voting begins.
     let question = await Question.create({
-      title: req.body.title.trim(), // Trim whitespace before saving
+      ...fields,
+      // The authenticated caller owns the question and may manage it.
+      owner: req.user._id,
+    });
+
+    publish("question.created", question._id);
+    await recordAudit(req, "question.created", question._id, {
+      kind: "question",
+      id: question._id,
+      after: question,
     });
 
     // If creation is successful, send a 201 Created status code.
@@ -39,93 +108,246 @@ module.exports.create = async function (req, res) {
       data: question, // Send back the created question object
     });
   } catch (err) {
-    // Log the error to the console for server-side debugging.
-    console.error("Error creating question:", err);
-    // If an error occurs (e.g., database connection issue), send a 500 Internal Server Error status.
-    // Include a more specific error message in the JSON response.
-    return res.status(500).json({
-      message: "Internal server error while creating question", // More specific message
+    // The error handler logs unexpected errors and answers with the common error format.
+    return next(err);
+  }
+};
+
+/**
+ * Controller function to create a question together with all of its options in one request.
+ * The whole poll is validated before anything is written, then stored atomically:
+ * either the question and every option exist afterwards, or nothing does.
+ * @param {object} req - The Express request object. Expects the fields accepted by `create` plus
+ *                       `req.body.options`, a list of option texts (or `{ text }` objects).
+ * @param {object} res - The Express response object used to send back the result.
+ * @param {function} next - Passes errors on to the error handler.
+ * @returns {Promise<object>} - JSON response containing the new question with its options.
+ */
+module.exports.bulkCreate = async function (req, res, next) {
+  try {
+    const { poll, error } = validatePoll(req.body);
+    if (error) {
+      throw new ApiError(400, "VALIDATION_FAILED", error);
+    }
+
+    const [question] = await createPolls([poll], req.user);
+    publish("question.created", question._id);
+    await recordAudit(req, "question.created", question._id, {
+      kind: "question",
+      id: question._id,
+      after: question,
+    });
+    return res.status(201).json({
+      message: "Question Created Successfully",
+      data: question,
+    });
+  } catch (err) {
+    return next(err);
+  }
+};
+
+/**
+ * Controller function to create several questions, each with its options, in one request.
+ * Every poll is validated before anything is written; if any is invalid, none are created and the
+ * response lists the problems by position. Valid batches are stored atomically as a whole.
+ * @param {object} req - The Express request object. Expects `req.body.questions`, a list of polls
+ *                       in the format accepted by `bulkCreate`.
+ * @param {object} res - The Express response object used to send back the result.
+ * @param {function} next - Passes errors on to the error handler.
+ * @returns {Promise<object>} - JSON response containing the new questions.
+ */
+module.exports.batchCreate = async function (req, res, next) {
+  try {
+    // The route's schema has already checked that `questions` is a list of acceptable length.
+    const items = req.body.questions;
+
+    // Validate every poll up-front and report all the problems at once.
+    const polls = [];
+    const errors = [];
+    items.forEach((item, index) => {
+      const { poll, error } = validatePoll(item);
+      if (error) {
+        errors.push({ index, message: error });
+      } else {
+        polls.push(poll);
+      }
+    });
+    if (errors.length > 0) {
+      throw new ApiError(
+        400,
+        "VALIDATION_FAILED",
+        `${errors.length} of ${items.length} questions are invalid; none were created`,
+        { details: errors }
+      );
+    }
+
+    const questions = await createPolls(polls, req.user);
+    for (const question of questions) {
+      publish("question.created", question._id);
+      await recordAudit(req, "question.created", question._id, {
+        kind: "question",
+        id: question._id,
+        after: question,
+      });
+    }
+    return res.status(201).json({
+      message: `${questions.length} questions created successfully`,
+      data: questions,
+    });
+  } catch (err) {
+    return next(err);
+  }
+};
+
+/**
+ * Controller function to copy a question with its options into a new draft owned by the caller.
+ * The copy has the original's settings but none of its votes, and no schedule unless one is sent.
+ * It remembers the original in `clonedFrom`.
+ * @param {object} req - The Express request object. Expected `req.params.id` (question ID), and optionally
+ *                       `req.body.title` (defaults to the original's), `opensAt` and `closesAt`.
+ * @param {object} res - The Express response object used to send back the result.
+ * @param {function} next - Passes errors on to the error handler.
+ * @returns {Promise<object>} - JSON response containing the new question with its options.
+ */
+module.exports.clone = async function (req, res, next) {
+  try {
+    const original = await Question.findById(req.params.id).populate("options");
+    if (!original) {
+      throw new ApiError(404, "QUESTION_NOT_FOUND", "Question not found");
+    }
+
+    const { title, opensAt, closesAt } = req.body;
+    const { poll, error } = pollFromQuestion(original, {
+      title,
+      opensAt,
+      closesAt,
+    });
+    if (error) {
+      // E.g. a draft with fewer than two options.
+      throw new ApiError(
+        400,
+        "VALIDATION_FAILED",
+        `The question can't be copied: ${error}`
+      );
+    }
+
+    const [question] = await createPolls([poll], req.user);
+    publish("question.created", question._id);
+    await recordAudit(req, "question.created", question._id, {
+      kind: "question",
+      id: question._id,
+      after: question,
     });
+    return res.status(201).json({
+      message: "Question Created Successfully",
+      data: question,
+    });
+  } catch (err) {
+    return next(err);
   }
 };
 
 /**
- * Controller function to delete a question and its associated options.
- * A question can only be deleted if none of its options have any votes.
+ * Controller function to delete a question. The question is archived rather than removed:
+ * it disappears from the question list and every other route, votes included, but its options
+ * and ballots are kept so an admin can restore it until the purge job removes it for good
+ * (after ARCHIVE_RETENTION_DAYS, see services/purge.js). Questions with votes can be deleted too.
  * @param {object} req - The Express request object. Expected `req.params.id` to contain the ID of the question to delete.
  * @param {object} res - The Express response object used to send back the result.
- * @returns {Promise<object>} - JSON response indicating success or failure with appropriate messages.
+ * @param {function} next - Passes errors on to the error handler.
+ * @returns {Promise<object>} - JSON response containing the archived question.
  */
-module.exports.delete = async function (req, res) {
-  // Use a try-catch block for robust error handling during find and delete operations.
+module.exports.delete = async function (req, res, next) {
+  // Use a try-catch block to hand any error, expected or not, to the error handler.
   try {
-    // Find the question by the ID provided in the URL parameters (`req.params.id`).
-    // Use `.populate('options')` to load the actual option documents referenced in the question's 'options' array.
-    // Use `.exec()` to ensure a full Mongoose Promise is returned, which is good practice with populate.
-    const question = await Question.findById(req.params.id)
-      .populate("options") // Load associated option documents
-      .exec(); // Execute the query and return a promise
+    // Archived questions don't match, so deleting a question twice answers 404
+    // like any other missing question.
+    const before = await Question.findById(req.params.id);
+    // Archive the question; the filter only matches while it is still live, in case another
+    // request archived it since it was read.
+    const question =
+      before &&
+      (await Question.findOneAndUpdate(
+        { _id: before._id },
+        { $set: { archivedAt: new Date(), archivedBy: req.user._id } },
+        { new: true }
+      ));
 
-    // If `findById` returns null or undefined, the question with the given ID was not found.
+    // If no question matched, the question with the given ID was not found.
     if (!question) {
-      // Send a 404 Not Found status and a message indicating the question doesn't exist.
-      return res.status(404).json({ message: "Question not found" }); // Changed 'error' key to 'message' for consistency
-    }
-
-    // Check if any of the associated options have received votes.
-    // The `.some()` array method efficiently checks if at least one element satisfies the condition.
-    // It stops iterating as soon as it finds an option with `votes > 0`.
-    const hasVotes = question.options.some((option) => option.votes > 0);
-
-    // If any option has votes, the question cannot be deleted.
-    if (hasVotes) {
-      // Send a 403 Forbidden status, as the action is disallowed due to existing votes.
-      return res
-        .status(403) // 403 Forbidden is appropriate here
-        .json({
-          message:
-            "Cannot delete this question as one or more of its options have votes",
-        }); // Changed 'error' key to 'message'
-    }
-
-    // If the question exists and none of its options have votes, proceed with deletion.
-    // First, delete all the options associated with this question.
-    // Check if there are options to delete to avoid an unnecessary database call.
-    if (question.options.length > 0) {
-      // Use `Option.deleteMany` to remove multiple documents based on a query.
-      // The query `$in` matches any document whose `_id` is in the provided array of option IDs.
-      await Option.deleteMany({
-        _id: { $in: question.options.map((opt) => opt._id) }, // Create an array of Option ObjectIds
-      });
+      // Respond with 404 Not Found, since the question doesn't exist.
+      throw new ApiError(404, "QUESTION_NOT_FOUND", "Question not found");
     }
 
-    // After deleting the options, delete the question document itself.
-    // `findByIdAndDelete` finds the document by ID and removes it atomically.
-    await Question.findByIdAndDelete(req.params.id);
-    // Alternatively, if you need the deleted document data:
-    // const deletedQuestion = await Question.findByIdAndDelete(req.params.id);
+    publish("question.deleted", question._id);
+    await recordAudit(req, "question.deleted", question._id, {
+      kind: "question",
+      id: question._id,
+      before,
+      after: question,
+    });
 
     // Send a 200 OK status indicating successful deletion.
     return res.status(200).json({
-      message: "Question and associated options deleted successfully",
-      // Optionally, you could return the data of the deleted question:
-      // data: deletedQuestion // If you captured the result from findByIdAndDelete
+      message: `Question deleted successfully. An admin can restore it within ${archive.retentionDays} days.`,
+      data: question,
     });
   } catch (err) {
-    // Log the error for server-side debugging.
-    console.error("Error deleting question:", err);
+    // The error handler answers with the error's status, or logs it and sends a 500 if it was unexpected.
+    return next(err);
+  }
+};
+
+/**
+ * Controller function to restore a deleted (archived) question, with its options and ballots,
+ * before the purge job removes it.
+ * @param {object} req - The Express request object. Expected `req.params.id` to contain the ID of the question to restore.
+ * @param {object} res - The Express response object used to send back the result.
+ * @param {function} next - Passes errors on to the error handler.
+ * @returns {Promise<object>} - JSON response containing the restored question and its options.
+ */
+module.exports.restore = async function (req, res, next) {
+  try {
+    const before = await Question.findById(req.params.id).setOptions({
+      includeArchived: true,
+    });
+    if (!before) {
+      throw new ApiError(404, "QUESTION_NOT_FOUND", "Question not found");
+    }
+    const notArchived = new ApiError(
+      409,
+      "NOT_ARCHIVED",
+      "Question is not deleted; there is nothing to restore"
+    );
+    if (!before.isArchived()) {
+      throw notArchived;
+    }
 
-    // Specific check for invalid MongoDB ObjectId format errors.
-    // Mongoose sometimes throws errors with a `kind` property for validation issues.
-    if (err.kind === "ObjectId") {
-      // If the ID format is wrong, send a 400 Bad Request.
-      return res.status(400).json({ message: "Invalid Question ID format" });
+    // The filter only matches while the question is still archived, in case another request
+    // restored it since it was read.
+    const question = await Question.findOneAndUpdate(
+      { _id: before._id, archivedAt: { $ne: null } },
+      { $set: { archivedAt: null }, $unset: { archivedBy: 1 } },
+      { new: true }
+    ).populate("options");
+    if (!question) {
+      throw notArchived;
     }
 
-    // For any other type of error (e.g., database connection issues), send a 500 Internal Server Error.
-    return res
-      .status(500)
-      .json({ message: "Internal server error while deleting question" }); // Changed 'error' key to 'message'
+    publish("question.restored", question._id);
+    await recordAudit(req, "question.restored", question._id, {
+      kind: "question",
+      id: question._id,
+      before,
+      after: question,
+    });
+
+    return res.status(200).json({
+      message: "Question restored successfully",
+      data: question,
+    });
+  } catch (err) {
+    return next(err);
   }
 };
 
@@ -134,11 +356,12 @@ module.exports.delete = async function (req, res) {
  * along with its populated options, each including a dynamically generated voting link.
  * @param {object} req - The Express request object. Expected `req.params.id` to contain the ID of the question to retrieve.
  * @param {object} res - The Express response object used to send back the result.
- * @returns {Promise<object>} - JSON response containing the question details or an error message.
+ * @param {function} next - Passes errors on to the error handler.
+ * @returns {Promise<object>} - JSON response containing the question details.
  */
-module.exports.getQuestion = async function (req, res) {
+module.exports.getQuestion = async function (req, res, next) {
   // Added 'async' keyword as this function uses 'await'.
-  // Use a try-catch block to handle potential errors during database query or processing.
+  // Use a try-catch block to hand any error, expected or not, to the error handler.
   try {
     // Find the question by ID using `findById`.
     // Populate the 'options' field to get the full option documents.
@@ -149,15 +372,13 @@ module.exports.getQuestion = async function (req, res) {
 
     // Check if the `question` variable holds a document (i.e., if the question was found).
     if (question) {
-      // If the question is found, enhance the options data by adding a `link_to_vote`.
-      // Map over the populated `question.options` array.
-      const optionsWithLinks = question.options.map((option) => ({
-        ...option.toObject(), // Convert the Mongoose document to a plain JavaScript object to allow adding new properties.
-        // Construct the voting URL dynamically based on the current request's protocol and host, and the option's ID.
-        link_to_vote: `${req.protocol}://${req.get("host")}/options/${
-          option._id
-        }/add_vote`,
-      }));
+      // Private polls are only shown to callers with their access token (and to their owner).
+      assertPollAccess(req, question);
+
+      // If the question is found, prepare its options: each carries its `link_to_vote` (built from
+      // the configured public base URL) and its `position`, and questions with `shuffleOptions`
+      // list them in the caller's own order.
+      const optionsWithLinks = presentOptions(req, question, question.options);
 
       // Send a 200 OK status with a success message.
       // Structure the response data clearly, including the question details and the enhanced options array.
@@ -167,28 +388,564 @@ module.exports.getQuestion = async function (req, res) {
           // Structure the response data for clarity
           _id: question._id,
           title: question.title,
+          type: question.type,
+          minSelections: question.minSelections,
+          maxSelections: question.maxSelections,
+          status: question.currentStatus(),
+          opensAt: question.opensAt,
+          closesAt: question.closesAt,
+          // The voter attributes ballots carry, to break results down by.
+          voterAttributes: question.voterAttributes,
+          minCellSize: question.minCellSize,
+          shuffleOptions: question.shuffleOptions,
+          // Whether ballots may write in an answer of their own (see POST /questions/:id/ballots).
+          allowWriteIns: question.allowWriteIns,
+          // The short link voters can use instead of the ID (see GET /p/:code).
+          shareCode: question.shareCode,
+          shareUrl: question.shareCode
+            ? shareLink(question.shareCode)
+            : undefined,
+          private: Boolean(question.accessToken),
           options: optionsWithLinks, // Send the array of options, each now including the 'link_to_vote'
         },
       });
     } else {
       // If `findById` returns `null`, the question with the given ID doesn't exist.
-      // Send a 404 Not Found status with an appropriate message.
-      return res.status(404).json({ message: "Question not found" });
+      // Respond with 404 Not Found.
+      throw new ApiError(404, "QUESTION_NOT_FOUND", "Question not found");
+    }
+  } catch (err) {
+    // The error handler logs unexpected errors and answers with the common error format.
+    return next(err);
+  }
+};
+
+/**
+ * Controller function to edit a question's title, tags, poll settings, schedule or validity rules.
+ * Only the fields present in the body are changed; an empty value clears an optional field.
+ * Each field may only change while the question is in certain states (see QUESTION_EDIT_RULES);
+ * every successful edit is recorded in the question's `revisions`.
+ * @param {object} req - The Express request object. Expected `req.params.id` (question ID) and any of
+ *                       `title`, `tags`, `type`, `minSelections`, `maxSelections`, `opensAt`, `closesAt`,
+ *                       `quorum`, `electorateSize`, `minTurnout`, `voterAttributes`, `minCellSize`,
+ *                       `shuffleOptions` and `allowWriteIns` in the body, plus `force` (admins only).
+ * @param {object} res - The Express response object used to send back the result.
+ * @param {function} next - Passes errors on to the error handler.
+ * @returns {Promise<object>} - JSON response containing the updated question.
+ */
+module.exports.update = async function (req, res, next) {
+  try {
+    // The route's schema has already checked each field's type and range.
+    const body = req.body;
+    // True if the body mentions the field at all, even with an empty value.
+    const has = (field) => Object.prototype.hasOwnProperty.call(body, field);
+    const updates = {};
+
+    if (has("title")) {
+      updates.title = body.title;
+    }
+    if (has("tags")) {
+      updates.tags = parseTags(body.tags).map((tag) => tag.toLowerCase());
+    }
+    if (has("type")) {
+      updates.type = body.type;
+    }
+    for (const field of [
+      "minSelections",
+      "maxSelections",
+      "quorum",
+      "electorateSize",
+      "minTurnout",
+    ]) {
+      if (has(field)) {
+        const value = parseOptionalNumber(body[field]);
+        // Every question has a minimum selection; clearing it restores the default.
+        updates[field] =
+          field === "minSelections" && value === undefined ? 1 : value;
+      }
+    }
+    for (const field of ["opensAt", "closesAt"]) {
+      if (has(field)) {
+        updates[field] = parseOptionalDate(body[field]);
+      }
+    }
+    if (has("voterAttributes")) {
+      const { attributes, error } = parseVoterAttributes(body.voterAttributes);
+      if (error) {
+        throw new ApiError(400, "VALIDATION_FAILED", error);
+      }
+      updates.voterAttributes = attributes;
+    }
+    if (has("minCellSize")) {
+      updates.minCellSize = parseOptionalNumber(body.minCellSize);
+    }
+    if (has("shuffleOptions")) {
+      // Sending it empty turns shuffling off.
+      updates.shuffleOptions = body.shuffleOptions === true;
+    }
+    if (has("allowWriteIns")) {
+      // Sending it empty turns write-ins off; the model checks that the poll type allows them.
+      updates.allowWriteIns = body.allowWriteIns === true;
+    }
+    if (updates.closesAt && updates.closesAt <= new Date()) {
+      throw new ApiError(
+        400,
+        "VALIDATION_FAILED",
+        "closesAt must be in the future; use POST /questions/:id/close to close the question now"
+      );
+    }
+
+    if (Object.keys(updates).length === 0) {
+      throw new ApiError(
+        400,
+        "VALIDATION_FAILED",
+        `Nothing to update; editable fields are: ${Object.keys(
+          QUESTION_EDIT_RULES
+        ).join(", ")}`
+      );
+    }
+
+    const force = body.force === true;
+    if (force && req.user.role !== "admin") {
+      throw new ApiError(403, "FORBIDDEN", "Only an admin can force an edit");
+    }
+
+    const question = await Question.findById(req.params.id);
+    if (!question) {
+      throw new ApiError(404, "QUESTION_NOT_FOUND", "Question not found");
+    }
+
+    // Keep only the fields whose value actually changes.
+    const before = question.toObject();
+    const changes = Object.keys(updates)
+      .filter(
+        (field) =>
+          JSON.stringify(before[field]) !== JSON.stringify(updates[field])
+      )
+      .map((field) => ({ field, from: before[field], to: updates[field] }));
+    if (changes.length === 0) {
+      return res.status(200).json({
+        message: "Question is already up to date",
+        data: question,
+      });
+    }
+
+    // Check every change against the question's current state.
+    const status = question.currentStatus();
+    let forced = false;
+    for (const { field } of changes) {
+      const rule = QUESTION_EDIT_RULES[field];
+      if (rule === "draft" && status !== "draft") {
+        throw new ApiError(
+          409,
+          "QUESTION_NOT_DRAFT",
+          `Question is ${status}; ${field} can only be changed while it is a draft.`
+        );
+      }
+      if (rule === "notClosed" && status === "closed") {
+        throw new ApiError(
+          409,
+          "QUESTION_CLOSED",
+          `Question is closed; ${field} can no longer be changed.`
+        );
+      }
+      if (rule === "forceable" && status === "closed") {
+        if (!force) {
+          throw new ApiError(
+            409,
+            "QUESTION_CLOSED",
+            `Question is closed; changing ${field} would change its declared outcome. An admin can pass force=true to change it anyway.`
+          );
+        }
+        forced = true;
+      }
+    }
+
+    // Apply the changes in memory first, so the model's cross-field checks
+    // (closesAt after opensAt, minSelections <= maxSelections, ...) run on the result.
+    // A failed check is a Mongoose ValidationError, which the error handler answers with 400.
+    changes.forEach(({ field, to }) => question.set(field, to));
+    await question.validate();
+
+    // Write the changes and their revision in a single update, so neither can be saved without the other.
+    const update = {
+      $push: {
+        revisions: { editedBy: req.user._id, forced, changes },
+      },
+    };
+    changes.forEach(({ field, to }) => {
+      if (to === undefined) {
+        update.$unset = { ...update.$unset, [field]: "" };
+      } else {
+        update.$set = { ...update.$set, [field]: to };
+      }
+    });
+    // Only write them if the question is still in the state they were checked against: opening,
+    // closing or a schedule passing in the meantime could make a draft-only change invalid.
+    const updated = await Question.findOneAndUpdate(
+      { _id: question._id, ...Question.statusFilter(status) },
+      update,
+      { new: true }
+    );
+    if (!updated) {
+      throw new ApiError(
+        409,
+        "CONCURRENT_UPDATE",
+        "The question was opened or closed while it was being edited; retry."
+      );
+    }
+
+    publish("question.updated", question._id, {
+      fields: changes.map((change) => change.field),
+    });
+    await recordAudit(req, "question.updated", question._id, {
+      kind: "question",
+      id: question._id,
+      before,
+      after: updated,
+    });
+
+    return res.status(200).json({
+      message: "Question updated successfully",
+      data: updated,
+    });
+  } catch (err) {
+    return next(err);
+  }
+};
+
+/**
+ * Controller function to open a draft question for voting, immediately or at a scheduled time.
+ * Once open, options can no longer be added or removed.
+ * @param {object} req - The Express request object. Expected `req.params.id` (question ID), and optionally
+ *                       `req.body.opensAt` (schedule the opening instead of opening now) and `req.body.closesAt`.
+ * @param {object} res - The Express response object used to send back the result.
+ * @param {function} next - Passes errors on to the error handler.
+ * @returns {Promise<object>} - JSON response containing the updated question.
+ */
+module.exports.open = async function (req, res, next) {
+  try {
+    // The route's schema has already checked that both dates are valid, if given.
+    const opensAt = parseOptionalDate(req.body.opensAt);
+    const closesAt = parseOptionalDate(req.body.closesAt);
+
+    const question = await Question.findById(req.params.id);
+    if (!question) {
+      throw new ApiError(404, "QUESTION_NOT_FOUND", "Question not found");
+    }
+
+    // Only drafts can be opened; an open or closed poll can't go back to accepting changes.
+    const status = question.currentStatus();
+    if (status !== "draft") {
+      throw new ApiError(
+        409,
+        "QUESTION_NOT_DRAFT",
+        `Question is already ${status}`
+      );
+    }
+
+    // A poll needs something to choose between before voters see it.
+    if (question.options.length < 2) {
+      throw new ApiError(
+        409,
+        "NOT_ENOUGH_OPTIONS",
+        "A question needs at least two options before it can be opened"
+      );
+    }
+
+    // A multi-select poll must offer enough options to satisfy its minimum selection.
+    if (
+      question.type === "multi" &&
+      question.options.length < question.minSelections
+    ) {
+      throw new ApiError(
+        409,
+        "NOT_ENOUGH_OPTIONS",
+        `A multi-select question requiring ${question.minSelections} selections needs at least that many options`
+      );
+    }
+
+    // Keep the question as it was for the audit log, before it is changed below.
+    const before = question.toObject();
+    const now = new Date();
+    const changes = {};
+    if (opensAt && opensAt > now) {
+      // Schedule the opening: the question stays a draft until `opensAt` passes.
+      changes.opensAt = opensAt;
+    } else {
+      changes.status = "open";
+      changes.opensAt = now;
+    }
+    if (closesAt) {
+      changes.closesAt = closesAt;
+    }
+    question.set(changes);
+    if (question.closesAt && question.closesAt <= question.opensAt) {
+      throw new ApiError(
+        400,
+        "VALIDATION_FAILED",
+        "closesAt must be later than opensAt"
+      );
+    }
+    await question.validate();
+
+    // Only store the change if the question is still a draft: the lifecycle job (services/lifecycle.js)
+    // or another request may have opened or closed it since it was read, and then already
+    // sent the event.
+    const updated = await Question.findOneAndUpdate(
+      { _id: question._id, ...Question.statusFilter("draft", now) },
+      { $set: changes },
+      { new: true }
+    );
+    if (!updated) {
+      throw new ApiError(
+        409,
+        "CONCURRENT_UPDATE",
+        "The question was opened or closed by another request; retry."
+      );
+    }
+
+    // Scheduling an opening is logged as an update; the poll only opens once `opensAt` passes.
+    const action =
+      updated.status === "open" ? "question.opened" : "question.updated";
+    if (updated.status === "open") {
+      publish("question.opened", updated._id);
+    }
+    await recordAudit(req, action, updated._id, {
+      kind: "question",
+      id: updated._id,
+      before,
+      after: updated,
+    });
+
+    return res.status(200).json({
+      message:
+        updated.status === "open"
+          ? "Question opened for voting"
+          : "Question scheduled to open",
+      data: updated,
+    });
+  } catch (err) {
+    return next(err);
+  }
+};
+
+/**
+ * Controller function to close a question so no further votes are accepted.
+ * Closing is permanent; a closed question can't be reopened.
+ * @param {object} req - The Express request object. Expected `req.params.id` (question ID).
+ * @param {object} res - The Express response object used to send back the result.
+ * @param {function} next - Passes errors on to the error handler.
+ * @returns {Promise<object>} - JSON response containing the updated question.
+ */
+module.exports.close = async function (req, res, next) {
+  try {
+    const question = await Question.findById(req.params.id);
+    if (!question) {
+      throw new ApiError(404, "QUESTION_NOT_FOUND", "Question not found");
+    }
+
+    if (question.currentStatus() === "closed") {
+      throw new ApiError(409, "QUESTION_CLOSED", "Question is already closed");
+    }
+
+    // Record the actual closing time, replacing any later scheduled one.
+    const before = question.toObject();
+    const closedAt = new Date();
+    const update = { $set: { status: "closed", closesAt: closedAt } };
+    if (question.opensAt && question.opensAt >= closedAt) {
+      // Closing a draft that was scheduled to open later: it never opened.
+      update.$unset = { opensAt: "" };
+    }
+
+    // Only close it if nothing else has, so `question.closed` is sent once even when the
+    // lifecycle job (services/lifecycle.js) or another request closes it at the same moment.
+    const updated = await Question.findOneAndUpdate(
+      { _id: question._id, status: { $ne: "closed" } },
+      update,
+      { new: true }
+    );
+    if (!updated) {
+      throw new ApiError(409, "QUESTION_CLOSED", "Question is already closed");
+    }
+
+    publish("question.closed", updated._id);
+    await recordAudit(req, "question.closed", updated._id, {
+      kind: "question",
+      id: updated._id,
+      before,
+      after: updated,
+    });
+
+    return res.status(200).json({
+      message: "Question closed",
+      data: updated,
+    });
+  } catch (err) {
+    return next(err);
+  }
+};
+
+/**
+ * Controller function to compute the results of a question.
+ * The tally depends on the question type: vote counts for single-choice and multi-select polls,
+ * an instant-runoff count for ranked-choice polls, and average scores for rating polls.
+ * On top of the tally, each option gets a percentage and rank, the leader(s) are reported with
+ * tie detection, the quorum/turnout rules are checked, and closed questions get a declared outcome.
+ * @param {object} req - The Express request object. Expected `req.params.id` (question ID).
+ * @param {object} res - The Express response object used to send back the result.
+ * @param {function} next - Passes errors on to the error handler.
+ * @returns {Promise<object>} - JSON response containing the tally.
+ */
+module.exports.results = async function (req, res, next) {
+  try {
+    const question = await Question.findById(req.params.id)
+      .populate("options")
+      .exec();
+    if (!question) {
+      throw new ApiError(404, "QUESTION_NOT_FOUND", "Question not found");
+    }
+    assertPollAccess(req, question);
+
+    const results = await buildResults(question);
+
+    return res.status(200).json({
+      message: "Question results retrieved successfully",
+      data: {
+        _id: question._id,
+        title: question.title,
+        ...results,
+      },
+    });
+  } catch (err) {
+    return next(err);
+  }
+};
+
+/**
+ * Controller function to break the results of a question down by one of the voter attributes its
+ * ballots carry (a crosstab): the tally of each option within every value of the attribute.
+ * Segments with too few ballots to keep their voters anonymous are suppressed (see services/segments.js).
+ * @param {object} req - The Express request object. Expected `req.params.id` (question ID) and
+ *                       `req.query.by` (the name of the voter attribute).
+ * @param {object} res - The Express response object used to send back the result.
+ * @param {function} next - Passes errors on to the error handler.
+ * @returns {Promise<object>} - JSON response containing the segments.
+ */
+module.exports.segments = async function (req, res, next) {
+  try {
+    const question = await Question.findById(req.params.id)
+      .populate("options")
+      .exec();
+    if (!question) {
+      throw new ApiError(404, "QUESTION_NOT_FOUND", "Question not found");
+    }
+    assertPollAccess(req, question);
+
+    const defined = question.voterAttributes || [];
+    const attribute = defined.find((item) => item.name === req.query.by);
+    if (!attribute) {
+      throw new ApiError(
+        400,
+        "VALIDATION_FAILED",
+        defined.length > 0
+          ? `Question has no voter attribute "${
+              req.query.by
+            }"; it asks for: ${defined.map((item) => item.name).join(", ")}`
+          : "Question doesn't ask for voter attributes"
+      );
     }
+
+    const breakdown = await segmentResults(question, attribute);
+
+    return res.status(200).json({
+      message: "Question results by segment retrieved successfully",
+      data: {
+        _id: question._id,
+        title: question.title,
+        ...breakdown,
+      },
+    });
+  } catch (err) {
+    return next(err);
+  }
+};
+
+/**
+ * Controller function to show how a question's votes developed over time: per option and in total,
+ * the votes gained and lost in each interval and the running count, to see when opinion swung.
+ * @param {object} req - The Express request object. Expected `req.params.id` (question ID), and optionally
+ *                       `req.query.bucket` ('minute', 'hour' or 'day'; default 'hour'), `timezone`
+ *                       (default 'UTC'), `from` and `to` (ISO dates bounding the timeline).
+ * @param {object} res - The Express response object used to send back the result.
+ * @param {function} next - Passes errors on to the error handler.
+ * @returns {Promise<object>} - JSON response containing the timeline.
+ */
+module.exports.analytics = async function (req, res, next) {
+  try {
+    const question = await Question.findById(req.params.id)
+      .populate("options")
+      .exec();
+    if (!question) {
+      throw new ApiError(404, "QUESTION_NOT_FOUND", "Question not found");
+    }
+    assertPollAccess(req, question);
+
+    const { bucket, timezone, from, to } = req.query;
+    const timeline = await voteTimeline(question, {
+      bucket,
+      timezone,
+      from,
+      to,
+    });
+
+    return res.status(200).json({
+      message: "Question analytics retrieved successfully",
+      data: {
+        _id: question._id,
+        title: question.title,
+        type: question.type,
+        ...timeline,
+      },
+    });
   } catch (err) {
-    // --- IMPORTANT: Log the actual error for debugging! ---
-    console.error("Error fetching question:", err);
+    return next(err);
+  }
+};
 
-    // Check if the error is due to an invalid MongoDB ObjectId format.
-    if (err.kind === "ObjectId") {
-      // Send a 400 Bad Request if the ID format is invalid.
-      return res.status(400).json({ message: "Invalid Question ID format" });
+/**
+ * Controller function to stream live results of a question as Server-Sent Events.
+ * The client first receives a 'snapshot' event with the full results (same shape as `results`),
+ * then a 'delta' event with only the changed fields and options whenever a vote is cast or changed,
+ * an option is added or deleted, or the question opens or closes. A heartbeat comment is sent
+ * periodically to keep the connection open. The same URL also accepts WebSocket upgrades
+ * (see services/websocket_server.js).
+ * @param {object} req - The Express request object. Expected `req.params.id` (question ID).
+ * @param {object} res - The Express response object, kept open for the stream.
+ * @param {function} next - Passes errors on to the error handler.
+ * @returns {Promise<void>}
+ */
+module.exports.stream = async function (req, res, next) {
+  try {
+    // Check access before the stream starts, while an error can still be sent as a response.
+    const question = await Question.findById(
+      req.params.id,
+      "owner accessToken"
+    );
+    if (!question) {
+      throw new ApiError(404, "QUESTION_NOT_FOUND", "Question not found");
     }
+    assertPollAccess(req, question);
 
-    // For any other unexpected errors during the process, send a 500 Internal Server Error.
-    return res
-      .status(500)
-      .json({ message: "Internal server error while fetching question" });
+    const unsubscribe = await subscribe(req.params.id, sseTransport(res));
+    if (!unsubscribe) {
+      throw new ApiError(404, "QUESTION_NOT_FOUND", "Question not found");
+    }
+    // Stop sending updates once the client goes away.
+    req.on("close", unsubscribe);
+  } catch (err) {
+    // Once the stream has started, the error handler can only cut the connection.
+    return next(err);
   }
 };
 
@@ -0,0 +1,219 @@
+// controller/share_controller.js
+
+// Import the Question model to find polls by their share code and manage their access tokens.
+const Question = require("../models/question");
+// Import the poll event bus, notified when a poll is made private or public.
+const { publish } = require("../services/poll_events");
+// Import the audit log, which records who changed a poll's access.
+const { recordAudit } = require("../services/audit");
+// Import the error type the error handler turns into the common error envelope.
+const ApiError = require("../utils/api_error");
+// Import the helpers that build a poll's share links from the configured base URL.
+const { shareLink, shareVoteLink } = require("../utils/links");
+// Import the check that keeps private polls to the callers holding their access token.
+const { assertPollAccess, sentToken } = require("../utils/poll_access");
+// Import the helper that lists a question's options in the order the caller should see them.
+const { presentOptions } = require("../utils/option_order");
+
+/**
+ * Builds the share links of a poll: the voter view, the ballot route and, for single-choice
+ * polls, one vote link per option.
+ * @param {object} question - The Question document.
+ * @param {string} [token] - The access token to put in the links, for private polls.
+ * @returns {{ url: string, ballotUrl: string, voteUrls: Array<string>|undefined }}
+ */
+function shareLinks(question, token) {
+  return {
+    url: shareLink(question.shareCode, token),
+    ballotUrl: shareLink(question.shareCode, token, "/ballot"),
+    voteUrls:
+      question.type === "single"
+        ? question.options.map((option, index) =>
+            shareVoteLink(question.shareCode, index + 1, token)
+          )
+        : undefined,
+  };
+}
+
+/**
+ * Loads a question for its owner's share settings. Questions created before share codes existed
+ * are given one here, so every poll can be shared.
+ * @param {*} id - The question ID.
+ * @returns {Promise<object>} - The Question document.
+ * @throws {ApiError} - 404 if the question doesn't exist.
+ */
+async function loadSharedQuestion(id) {
+  const question = await Question.findById(id);
+  if (!question) {
+    throw new ApiError(404, "QUESTION_NOT_FOUND", "Question not found");
+  }
+  if (!question.shareCode) {
+    // The code is assigned when the question is validated (see models/question.js).
+    await question.save();
+  }
+  return question;
+}
+
+/**
+ * Shapes the share settings of a question for its owner.
+ * @param {object} question - The Question document.
+ * @returns {object} - The share code, links and access token.
+ */
+function shareSettings(question) {
+  return {
+    code: question.shareCode,
+    private: Boolean(question.accessToken),
+    accessToken: question.accessToken || null,
+    ...shareLinks(question, question.accessToken),
+  };
+}
+
+/**
+ * Controller function to show a poll to voters through its share code (GET /p/:code).
+ * The view leaves out every internal ID: options are named by their position in the arranged order,
+ * with the link that votes for each, so voters never need the question or option IDs. Polls with
+ * `shuffleOptions` list them in the voter's own order; positions still refer to the arranged one.
+ * @param {object} req - The Express request object. Expected `req.params.code` (share code), and the
+ *                       access token of a private poll as `req.query.token` or the X-Poll-Token header.
+ * @param {object} res - The Express response object used to send back the result.
+ * @param {function} next - Passes errors on to the error handler.
+ * @returns {Promise<object>} - JSON response containing the poll.
+ */
+module.exports.view = async function (req, res, next) {
+  try {
+    const question = await Question.findOne({
+      shareCode: req.params.code,
+    }).populate("options");
+    if (!question) {
+      throw new ApiError(404, "QUESTION_NOT_FOUND", "Question not found");
+    }
+    assertPollAccess(req, question);
+
+    // Links keep the token the poll was opened with, so voters can follow them as they are.
+    const token = question.accessToken ? sentToken(req) : undefined;
+    const links = shareLinks(question, token);
+
+    return res.status(200).json({
+      message: "Poll retrieved successfully",
+      data: {
+        code: question.shareCode,
+        title: question.title,
+        type: question.type,
+        status: question.currentStatus(),
+        minSelections: question.minSelections,
+        maxSelections: question.maxSelections,
+        opensAt: question.opensAt,
+        closesAt: question.closesAt,
+        private: Boolean(question.accessToken),
+        // The voter attributes to send with a vote or ballot, as `attributes`.
+        voterAttributes: question.voterAttributes,
+        // Whether a ballot may write in an answer of its own, as `writeIn`.
+        allowWriteIns: question.allowWriteIns,
+        options: presentOptions(req, question, question.options).map(
+          (option) => ({
+            position: option.position,
+            text: option.text,
+            description: option.description,
+            imageUrl: option.imageUrl,
+            color: option.color,
+            voteUrl: links.voteUrls
+              ? links.voteUrls[option.position - 1]
+              : undefined,
+          })
+        ),
+        ballotUrl: links.ballotUrl,
+      },
+    });
+  } catch (err) {
+    return next(err);
+  }
+};
+
+/**
+ * Controller function to return the share settings of a question to its owner: the share code,
+ * the links to hand out (with the access token of a private poll) and the token itself.
+ * @param {object} req - The Express request object. Expected `req.params.id` (question ID).
+ * @param {object} res - The Express response object used to send back the result.
+ * @param {function} next - Passes errors on to the error handler.
+ * @returns {Promise<object>} - JSON response containing the share settings.
+ */
+module.exports.get = async function (req, res, next) {
+  try {
+    const question = await loadSharedQuestion(req.params.id);
+    return res.status(200).json({
+      message: "Share settings retrieved successfully",
+      data: shareSettings(question),
+    });
+  } catch (err) {
+    return next(err);
+  }
+};
+
+/**
+ * Controller function to make a poll private, or to replace its access token. From then on,
+ * only callers sending the new token (and the owner and admins) can see and vote on the poll;
+ * links with an earlier token stop working.
+ * @param {object} req - The Express request object. Expected `req.params.id` (question ID).
+ * @param {object} res - The Express response object used to send back the result.
+ * @param {function} next - Passes errors on to the error handler.
+ * @returns {Promise<object>} - JSON response containing the share settings with the new token.
+ */
+module.exports.createAccessToken = async function (req, res, next) {
+  try {
+    const question = await loadSharedQuestion(req.params.id);
+    const wasPrivate = Boolean(question.accessToken);
+
+    question.accessToken = Question.generateAccessToken();
+    await question.save();
+
+    publish("question.updated", question._id);
+    // The token itself is left out of the audit log, which only records that access changed.
+    await recordAudit(req, "question.updated", question._id, {
+      kind: "question",
+      id: question._id,
+      before: { private: wasPrivate },
+      after: { private: true },
+    });
+
+    return res.status(201).json({
+      message: wasPrivate
+        ? "Access token replaced; links with the previous token no longer work"
+        : "Poll is now private",
+      data: shareSettings(question),
+    });
+  } catch (err) {
+    return next(err);
+  }
+};
+
+/**
+ * Controller function to make a private poll public again by removing its access token.
+ * @param {object} req - The Express request object. Expected `req.params.id` (question ID).
+ * @param {object} res - The Express response object used to send back the result.
+ * @param {function} next - Passes errors on to the error handler.
+ * @returns {Promise<object>} - JSON response containing the share settings.
+ */
+module.exports.removeAccessToken = async function (req, res, next) {
+  try {
+    const question = await loadSharedQuestion(req.params.id);
+    if (question.accessToken) {
+      question.accessToken = undefined;
+      await question.save();
+
+      publish("question.updated", question._id);
+      await recordAudit(req, "question.updated", question._id, {
+        kind: "question",
+        id: question._id,
+        before: { private: true },
+        after: { private: false },
+      });
+    }
+
+    return res.status(200).json({
+      message: "Poll is now public",
+      data: shareSettings(question),
+    });
+  } catch (err) {
+    return next(err);
+  }
+};
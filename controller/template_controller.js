@@ -0,0 +1,311 @@
+// controller/template_controller.js
+
+// Import the Template model, which holds the saved questions.
+const Template = require("../models/template");
+// Import the Question model to save existing questions as templates.
+const Question = require("../models/question");
+// Import the error type the error handler turns into the common error envelope.
+const ApiError = require("../utils/api_error");
+// Import the helper that stores new polls atomically.
+const { createPolls } = require("../services/question_builder");
+// Import the helpers that validate templates and their recurrence and build questions from them.
+const {
+  templateSettings,
+  optionFields,
+  validateTemplate,
+  parseRecurrence,
+  pollFromTemplate,
+} = require("../services/templates");
+// Import the event bus and the audit log, which record the questions created from templates.
+const { publish } = require("../services/poll_events");
+const { recordAudit } = require("../services/audit");
+
+// The fields of a template's question that `update` can change, besides `options`.
+const QUESTION_FIELDS = [
+  "title",
+  "tags",
+  "type",
+  "minSelections",
+  "maxSelections",
+  "quorum",
+  "electorateSize",
+  "minTurnout",
+  "voterAttributes",
+  "minCellSize",
+  "shuffleOptions",
+  "allowWriteIns",
+];
+
+/**
+ * Loads the template in `req.params.id` and checks that the caller may use it:
+ * admins may use any template, owners only the templates they saved.
+ * @param {object} req - The Express request object (with `req.user` set).
+ * @returns {Promise<object>} - The Template document.
+ * @throws {ApiError} - 404 if the template doesn't exist, 403 if it isn't the caller's.
+ */
+async function loadTemplate(req) {
+  const template = await Template.findById(req.params.id);
+  if (!template) {
+    throw new ApiError(404, "TEMPLATE_NOT_FOUND", "Template not found");
+  }
+  if (req.user.role !== "admin" && !template.owner.equals(req.user._id)) {
+    throw new ApiError(
+      403,
+      "FORBIDDEN",
+      "Only the owner of this template or an admin can do this"
+    );
+  }
+  return template;
+}
+
+/**
+ * Controller function to save a question and its options as a template.
+ * The body is a poll in the format of POST /questions/bulk, without a schedule, plus the
+ * template's `name`, optional `description` and optional `recurrence`.
+ * @param {object} req - The Express request object. Expects `req.body.name`, `title`, `options`,
+ *                       the optional question settings, `description` and `recurrence`.
+ * @param {object} res - The Express response object used to send back the result.
+ * @param {function} next - Passes errors on to the error handler.
+ * @returns {Promise<object>} - JSON response containing the new template.
+ */
+module.exports.create = async function (req, res, next) {
+  try {
+    const { question, options, error } = validateTemplate(req.body);
+    if (error) {
+      throw new ApiError(400, "VALIDATION_FAILED", error);
+    }
+    const { recurrence, error: recurrenceError } = parseRecurrence(
+      req.body.recurrence
+    );
+    if (recurrenceError) {
+      throw new ApiError(400, "VALIDATION_FAILED", recurrenceError);
+    }
+
+    const template = await Template.create({
+      name: req.body.name,
+      description: req.body.description || undefined,
+      question,
+      options,
+      recurrence,
+      owner: req.user._id,
+    });
+    return res.status(201).json({
+      message: "Template created successfully",
+      data: template,
+    });
+  } catch (err) {
+    return next(err);
+  }
+};
+
+/**
+ * Controller function to save an existing question, with its current options, as a template.
+ * Its votes, state and schedule aren't part of the template.
+ * @param {object} req - The Express request object. Expected `req.params.id` (question ID), and optionally
+ *                       `req.body.name` (defaults to the question's title), `description` and `recurrence`.
+ * @param {object} res - The Express response object used to send back the result.
+ * @param {function} next - Passes errors on to the error handler.
+ * @returns {Promise<object>} - JSON response containing the new template.
+ */
+module.exports.fromQuestion = async function (req, res, next) {
+  try {
+    const source = await Question.findById(req.params.id).populate("options");
+    if (!source) {
+      throw new ApiError(404, "QUESTION_NOT_FOUND", "Question not found");
+    }
+
+    const { question, options, error } = validateTemplate({
+      ...templateSettings(source),
+      options: source.options.map(optionFields),
+    });
+    if (error) {
+      // E.g. a draft with fewer than two options.
+      throw new ApiError(
+        400,
+        "VALIDATION_FAILED",
+        `The question can't be saved as a template: ${error}`
+      );
+    }
+    const { recurrence, error: recurrenceError } = parseRecurrence(
+      req.body.recurrence
+    );
+    if (recurrenceError) {
+      throw new ApiError(400, "VALIDATION_FAILED", recurrenceError);
+    }
+
+    const template = await Template.create({
+      name: req.body.name || source.title,
+      description: req.body.description || undefined,
+      question,
+      options,
+      recurrence,
+      owner: req.user._id,
+    });
+    return res.status(201).json({
+      message: "Template created successfully",
+      data: template,
+    });
+  } catch (err) {
+    return next(err);
+  }
+};
+
+/**
+ * Controller function to list templates: the caller's own, or every template for admins.
+ * @param {object} req - The Express request object. Optional `req.query.recurring` narrows the list
+ *                       to templates that do (true) or don't (false) recur.
+ * @param {object} res - The Express response object used to send back the result.
+ * @param {function} next - Passes errors on to the error handler.
+ * @returns {Promise<object>} - JSON response containing the templates, newest first.
+ */
+module.exports.list = async function (req, res, next) {
+  try {
+    const filter = req.user.role === "admin" ? {} : { owner: req.user._id };
+    if (req.query.recurring !== undefined) {
+      filter.recurrence = req.query.recurring ? { $ne: null } : null;
+    }
+    const templates = await Template.find(filter).sort({ _id: -1 });
+    return res.status(200).json({
+      message: "Templates retrieved successfully",
+      data: templates,
+    });
+  } catch (err) {
+    return next(err);
+  }
+};
+
+/**
+ * Controller function to retrieve a template.
+ * @param {object} req - The Express request object. Expected `req.params.id`.
+ * @param {object} res - The Express response object used to send back the result.
+ * @param {function} next - Passes errors on to the error handler.
+ * @returns {Promise<object>} - JSON response containing the template.
+ */
+module.exports.get = async function (req, res, next) {
+  try {
+    const template = await loadTemplate(req);
+    return res.status(200).json({
+      message: "Template retrieved successfully",
+      data: template,
+    });
+  } catch (err) {
+    return next(err);
+  }
+};
+
+/**
+ * Controller function to edit a template. Only the fields sent are changed: the name, description,
+ * any question setting, the options (sent as a whole list) and the recurrence. The template is then
+ * validated as a whole again. A new recurrence starts counting from its `startsAt`; an empty one
+ * stops the template from recurring. Questions already created from the template are left alone.
+ * @param {object} req - The Express request object. Expected `req.params.id` and the fields to change in `req.body`.
+ * @param {object} res - The Express response object used to send back the result.
+ * @param {function} next - Passes errors on to the error handler.
+ * @returns {Promise<object>} - JSON response containing the updated template.
+ */
+module.exports.update = async function (req, res, next) {
+  try {
+    const template = await loadTemplate(req);
+    const body = req.body;
+
+    const changed = [...QUESTION_FIELDS, "options"].filter(
+      (field) => body[field] !== undefined
+    );
+    if (changed.length > 0) {
+      const merged = {
+        ...templateSettings(template.question),
+        options: template.options.map(optionFields),
+      };
+      for (const field of changed) {
+        merged[field] = body[field];
+      }
+      const { question, options, error } = validateTemplate(merged);
+      if (error) {
+        throw new ApiError(400, "VALIDATION_FAILED", error);
+      }
+      template.question = question;
+      template.options = options;
+    }
+
+    if (body.recurrence !== undefined) {
+      const { recurrence, error } = parseRecurrence(body.recurrence);
+      if (error) {
+        throw new ApiError(400, "VALIDATION_FAILED", error);
+      }
+      template.recurrence = recurrence;
+    }
+    if (body.name !== undefined) {
+      template.name = body.name;
+    }
+    if (body.description !== undefined) {
+      template.description = body.description || undefined;
+    }
+    await template.save();
+
+    return res.status(200).json({
+      message: "Template updated successfully",
+      data: template,
+    });
+  } catch (err) {
+    return next(err);
+  }
+};
+
+/**
+ * Controller function to delete a template. Questions created from it are kept.
+ * @param {object} req - The Express request object. Expected `req.params.id`.
+ * @param {object} res - The Express response object used to send back the result.
+ * @param {function} next - Passes errors on to the error handler.
+ * @returns {Promise<object>} - JSON response containing the deleted template.
+ */
+module.exports.delete = async function (req, res, next) {
+  try {
+    const template = await loadTemplate(req);
+    await Template.deleteOne({ _id: template._id });
+    return res.status(200).json({
+      message: "Template deleted successfully",
+      data: template,
+    });
+  } catch (err) {
+    return next(err);
+  }
+};
+
+/**
+ * Controller function to create a new question, with its options, from a template.
+ * The question starts as a draft owned by the caller; `{date}` in the title is replaced with the
+ * date it opens (or today's, without `opensAt`).
+ * @param {object} req - The Express request object. Expected `req.params.id`, and optionally
+ *                       `req.body.title` (replaces the template's), `opensAt` and `closesAt`.
+ * @param {object} res - The Express response object used to send back the result.
+ * @param {function} next - Passes errors on to the error handler.
+ * @returns {Promise<object>} - JSON response containing the new question with its options.
+ */
+module.exports.instantiate = async function (req, res, next) {
+  try {
+    const template = await loadTemplate(req);
+    const { title, opensAt, closesAt } = req.body;
+    const { poll, error } = pollFromTemplate(template, {
+      title,
+      opensAt,
+      closesAt,
+    });
+    if (error) {
+      throw new ApiError(400, "VALIDATION_FAILED", error);
+    }
+
+    const [question] = await createPolls([poll], req.user);
+    publish("question.created", question._id);
+    await recordAudit(req, "question.created", question._id, {
+      kind: "question",
+      id: question._id,
+      after: question,
+    });
+    return res.status(201).json({
+      message: "Question Created Successfully",
+      data: question,
+    });
+  } catch (err) {
+    return next(err);
+  }
+};
@@ -0,0 +1,138 @@
+// controller/transfer_controller.js
+
+// Import Node's `once` helper to wait for a congested response to drain during full exports.
+const { once } = require("events");
+// Import the Question model to load the question being exported.
+const Question = require("../models/question");
+// Import the helpers that convert polls to and from the export formats.
+const {
+  exportQuestion,
+  exportAll,
+  resultsCsv,
+  ballotsCsv,
+  validateImport,
+  importPolls,
+} = require("../services/poll_transfer");
+// Import the error type the error handler turns into the common error envelope.
+const ApiError = require("../utils/api_error");
+// Import the poll event bus, notified of every imported question.
+const { publish } = require("../services/poll_events");
+// Import the audit log, which records every imported question with who imported it.
+const { recordAudit } = require("../services/audit");
+
+/**
+ * Controller function to export one question with its options, results and anonymized ballots.
+ * Query parameters:
+ *   - format: 'json' (default) or 'csv'.
+ *   - part:   for CSV only, 'results' (default; one row per option) or 'ballots' (one row per choice on a ballot).
+ * The JSON export can be imported again with `importPolls`.
+ * @param {object} req - The Express request object. Expected `req.params.id` (question ID).
+ * @param {object} res - The Express response object used to send back the export as a download.
+ * @param {function} next - Passes errors on to the error handler.
+ * @returns {Promise<object>} - The export file.
+ */
+module.exports.exportQuestion = async function (req, res, next) {
+  // The route's schema has already checked both parameters.
+  const format = req.query.format || "json";
+  const part = req.query.part || "results";
+
+  try {
+    const question = await Question.findById(req.params.id)
+      .populate("options")
+      .exec();
+    if (!question) {
+      throw new ApiError(404, "QUESTION_NOT_FOUND", "Question not found");
+    }
+
+    if (format === "csv") {
+      const csv =
+        part === "ballots"
+          ? await ballotsCsv(question)
+          : await resultsCsv(question);
+      res.attachment(`question-${question._id}-${part}.csv`);
+      return res.type("text/csv").send(csv);
+    }
+
+    res.attachment(`question-${question._id}.json`);
+    return res.status(200).json(await exportQuestion(question));
+  } catch (err) {
+    return next(err);
+  }
+};
+
+/**
+ * Controller function to export every question and its options as one JSON document.
+ * The document is streamed as it is produced, so large databases don't have to fit in memory.
+ * Pass `ballots=true` to include each question's anonymized ballots.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object used to stream the export.
+ * @param {function} next - Passes errors on to the error handler.
+ * @returns {Promise<void>}
+ */
+module.exports.exportAll = async function (req, res, next) {
+  try {
+    res.attachment("polls-export.json");
+    res.type("application/json");
+    for await (const chunk of exportAll({
+      ballots: req.query.ballots === true,
+    })) {
+      // Respect backpressure: wait until the client has taken the previous chunks.
+      if (!res.write(chunk)) {
+        await once(res, "drain");
+      }
+    }
+    res.end();
+  } catch (err) {
+    if (!res.headersSent) {
+      // Nothing was sent yet, so the error can still be answered normally.
+      res.removeHeader("Content-Disposition");
+      return next(err);
+    }
+    // The export is already partly sent; cut the connection so the client sees an incomplete download.
+    console.error("Error exporting questions:", err);
+    res.destroy(err);
+  }
+};
+
+/**
+ * Controller function to import questions, options and ballots from a JSON export.
+ * The whole document is validated before anything is stored, then imported atomically under new IDs.
+ * The caller becomes the owner of every imported question.
+ * @param {object} req - The Express request object. The body is an export document (see `exportQuestion` and `exportAll`).
+ * @param {object} res - The Express response object used to send back the result.
+ * @param {function} next - Passes errors on to the error handler.
+ * @returns {Promise<object>} - JSON response with what was created and the map from old to new IDs.
+ */
+module.exports.importPolls = async function (req, res, next) {
+  try {
+    const { polls, error, errors } = validateImport(req.body);
+    if (error) {
+      throw new ApiError(400, "VALIDATION_FAILED", error);
+    }
+    if (errors) {
+      throw new ApiError(
+        400,
+        "VALIDATION_FAILED",
+        `${errors.length} of ${req.body.questions.length} questions are invalid; nothing was imported`,
+        { details: errors }
+      );
+    }
+
+    const summary = await importPolls(polls, req.user);
+    summary.questionIds.forEach((id) => publish("question.created", id));
+    const imported = await Question.find({ _id: { $in: summary.questionIds } });
+    for (const question of imported) {
+      await recordAudit(req, "question.created", question._id, {
+        kind: "question",
+        id: question._id,
+        after: question,
+      });
+    }
+    return res.status(201).json({
+      message: `${summary.questions} questions imported successfully`,
+      data: summary,
+    });
+  } catch (err) {
+    return next(err);
+  }
+};
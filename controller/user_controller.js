@@ -0,0 +1,70 @@
+// controller/user_controller.js
+
+// Import the User model to manage API users and their keys.
+const User = require("../models/user");
+// Import the error type the error handler turns into the common error envelope.
+const ApiError = require("../utils/api_error");
+
+/**
+ * Controller function to create a new API user and issue their API key.
+ * The key is only returned in this response; only its hash is stored.
+ * @param {object} req - The Express request object. Expected `req.body.name` and optionally `req.body.role` (default 'voter'),
+ *                       both checked by the route's schema.
+ * @param {object} res - The Express response object used to send back the result.
+ * @param {function} next - Passes errors on to the error handler.
+ * @returns {Promise<object>} - JSON response containing the new user and their API key.
+ */
+module.exports.create = async function (req, res, next) {
+  try {
+    const apiKey = User.generateApiKey();
+    const user = await User.create({
+      name: req.body.name,
+      role: req.body.role || "voter",
+      apiKeyHash: User.hashApiKey(apiKey),
+    });
+
+    return res.status(201).json({
+      message:
+        "User created successfully. Store the API key now; it can't be shown again.",
+      data: { user, apiKey },
+    });
+  } catch (err) {
+    return next(err);
+  }
+};
+
+/**
+ * Controller function to return the user the request is authenticated as.
+ * @param {object} req - The Express request object, with `req.user` set by the auth middleware.
+ * @param {object} res - The Express response object used to send back the result.
+ * @returns {object} - JSON response containing the current user.
+ */
+module.exports.me = function (req, res) {
+  return res.status(200).json({
+    message: "Current user retrieved successfully",
+    data: req.user,
+  });
+};
+
+/**
+ * Controller function to delete a user, revoking their API key.
+ * Questions they own are kept; from then on only admins can manage them.
+ * @param {object} req - The Express request object. Expected `req.params.id` (user ID).
+ * @param {object} res - The Express response object used to send back the result.
+ * @param {function} next - Passes errors on to the error handler.
+ * @returns {Promise<object>} - JSON response indicating success.
+ */
+module.exports.delete = async function (req, res, next) {
+  try {
+    const user = await User.findByIdAndDelete(req.params.id);
+    if (!user) {
+      throw new ApiError(404, "USER_NOT_FOUND", "User not found");
+    }
+    return res.status(200).json({
+      message: "User deleted and API key revoked",
+      data: user,
+    });
+  } catch (err) {
+    return next(err);
+  }
+};
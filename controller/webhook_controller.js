@@ -0,0 +1,354 @@
+// controller/webhook_controller.js
+
+// Import the Webhook and WebhookDelivery models, which hold the webhooks and their delivery log.
+const Webhook = require("../models/webhook");
+const WebhookDelivery = require("../models/webhook_delivery");
+// Import the Question model to check the question a webhook is registered for.
+const Question = require("../models/question");
+// Import the error type the error handler turns into the common error envelope.
+const ApiError = require("../utils/api_error");
+// Import the helpers that turn the position of the last listed delivery into an opaque cursor and back.
+const { encodeCursor, decodeCursor } = require("../utils/cursor");
+// Import the helpers that send test pings and replay logged deliveries.
+const { sendPing, replayDelivery } = require("../services/webhooks");
+// Import the check that keeps deliveries away from private and reserved addresses.
+const { publicUrlProblem } = require("../utils/public_address");
+
+// The default page size of the delivery log.
+const DEFAULT_LIMIT = 20;
+
+/**
+ * Loads the webhook in `req.params.id` and checks that the caller may manage it:
+ * admins may manage any webhook, owners only the webhooks they registered.
+ * @param {object} req - The Express request object (with `req.user` set).
+ * @returns {Promise<object>} - The Webhook document.
+ * @throws {ApiError} - 404 if the webhook doesn't exist, 403 if it isn't the caller's.
+ */
+async function loadWebhook(req) {
+  const webhook = await Webhook.findById(req.params.id);
+  if (!webhook) {
+    throw new ApiError(404, "WEBHOOK_NOT_FOUND", "Webhook not found");
+  }
+  if (req.user.role !== "admin" && !webhook.owner.equals(req.user._id)) {
+    throw new ApiError(
+      403,
+      "FORBIDDEN",
+      "Only the owner of this webhook or an admin can do this"
+    );
+  }
+  return webhook;
+}
+
+/**
+ * Checks that a webhook URL's host resolves to public addresses only, so webhooks can't be used to
+ * reach the server's own network. The route's schema has already checked the URL itself.
+ * @param {string} url - The webhook URL.
+ * @throws {ApiError} - 400 if the host can't be resolved or resolves to a private or reserved address.
+ */
+async function assertPublicUrl(url) {
+  const problem = await publicUrlProblem(url);
+  if (problem) {
+    throw new ApiError(400, "VALIDATION_FAILED", `url ${problem}`, {
+      details: [{ in: "body", field: "url", message: `url ${problem}` }],
+    });
+  }
+}
+
+/**
+ * Shapes the delivery a ping or replay made for the caller: whether it was delivered, without the
+ * receiver's answer (status code, error). Those are kept in the delivery log; echoing them here
+ * would let callers probe hosts and ports by pinging them.
+ * @param {object} delivery - The WebhookDelivery document.
+ * @returns {object} - The delivery without its attempts.
+ */
+function deliveryOutcome(delivery) {
+  const { attempts, ...outcome } = delivery.toJSON();
+  return outcome;
+}
+
+/**
+ * Controller function to register a webhook for one question, or for every question.
+ * A signing secret is generated for it and returned only in this response.
+ * @param {object} req - The Express request object. Expects `req.body.url` and optionally `events`,
+ *                       `question` and `description`, checked by the route's schema.
+ * @param {object} res - The Express response object used to send back the result.
+ * @param {function} next - Passes errors on to the error handler.
+ * @returns {Promise<object>} - JSON response containing the webhook and its signing secret.
+ */
+module.exports.create = async function (req, res, next) {
+  try {
+    const { url, events, question: questionId, description } = req.body;
+
+    // Owners may only watch their own questions; only admins may watch every question.
+    if (questionId) {
+      const question = await Question.findById(questionId, "owner");
+      if (!question) {
+        throw new ApiError(404, "QUESTION_NOT_FOUND", "Question not found");
+      }
+      if (
+        req.user.role !== "admin" &&
+        !(question.owner && question.owner.equals(req.user._id))
+      ) {
+        throw new ApiError(
+          403,
+          "FORBIDDEN",
+          "Only the owner of this question or an admin can register webhooks for it"
+        );
+      }
+    } else if (req.user.role !== "admin") {
+      throw new ApiError(
+        403,
+        "FORBIDDEN",
+        "Only admins can register webhooks for every question; pass a question ID"
+      );
+    }
+    await assertPublicUrl(url);
+
+    const secret = Webhook.generateSecret();
+    const webhook = await Webhook.create({
+      url,
+      events: events ? [].concat(events) : [],
+      question: questionId || null,
+      description: description || undefined,
+      owner: req.user._id,
+      secret,
+    });
+
+    return res.status(201).json({
+      message:
+        "Webhook created successfully. Store the signing secret now; it can't be shown again.",
+      data: { webhook, secret },
+    });
+  } catch (err) {
+    return next(err);
+  }
+};
+
+/**
+ * Controller function to list webhooks: the caller's own, or every webhook for admins.
+ * @param {object} req - The Express request object. Optional `req.query.question` narrows the list to one question.
+ * @param {object} res - The Express response object used to send back the result.
+ * @param {function} next - Passes errors on to the error handler.
+ * @returns {Promise<object>} - JSON response containing the webhooks, newest first.
+ */
+module.exports.list = async function (req, res, next) {
+  try {
+    const filter = req.user.role === "admin" ? {} : { owner: req.user._id };
+    if (req.query.question) {
+      filter.question = req.query.question;
+    }
+    const webhooks = await Webhook.find(filter).sort({ _id: -1 });
+    return res.status(200).json({
+      message: "Webhooks retrieved successfully",
+      data: webhooks,
+    });
+  } catch (err) {
+    return next(err);
+  }
+};
+
+/**
+ * Controller function to retrieve a webhook.
+ * @param {object} req - The Express request object. Expected `req.params.id`.
+ * @param {object} res - The Express response object used to send back the result.
+ * @param {function} next - Passes errors on to the error handler.
+ * @returns {Promise<object>} - JSON response containing the webhook.
+ */
+module.exports.get = async function (req, res, next) {
+  try {
+    const webhook = await loadWebhook(req);
+    return res.status(200).json({
+      message: "Webhook retrieved successfully",
+      data: webhook,
+    });
+  } catch (err) {
+    return next(err);
+  }
+};
+
+/**
+ * Controller function to change a webhook's URL, events or description, or to pause or resume it.
+ * An empty `events` list subscribes to every event; an empty `description` clears it.
+ * @param {object} req - The Express request object. Expected `req.params.id` and the fields to change in `req.body`.
+ * @param {object} res - The Express response object used to send back the result.
+ * @param {function} next - Passes errors on to the error handler.
+ * @returns {Promise<object>} - JSON response containing the updated webhook.
+ */
+module.exports.update = async function (req, res, next) {
+  try {
+    const webhook = await loadWebhook(req);
+    const { url, events, description, active } = req.body;
+
+    if (url !== undefined) {
+      await assertPublicUrl(url);
+      webhook.url = url;
+    }
+    if (events !== undefined) {
+      webhook.events = events ? [].concat(events) : [];
+    }
+    if (description !== undefined) {
+      webhook.description = description || undefined;
+    }
+    if (active !== undefined && active !== "") {
+      webhook.active = active;
+    }
+    await webhook.save();
+
+    return res.status(200).json({
+      message: "Webhook updated successfully",
+      data: webhook,
+    });
+  } catch (err) {
+    return next(err);
+  }
+};
+
+/**
+ * Controller function to delete a webhook and its delivery log. Pending deliveries are dropped.
+ * @param {object} req - The Express request object. Expected `req.params.id`.
+ * @param {object} res - The Express response object used to send back the result.
+ * @param {function} next - Passes errors on to the error handler.
+ * @returns {Promise<object>} - JSON response containing the deleted webhook.
+ */
+module.exports.delete = async function (req, res, next) {
+  try {
+    const webhook = await loadWebhook(req);
+    await WebhookDelivery.deleteMany({ webhook: webhook._id });
+    await Webhook.deleteOne({ _id: webhook._id });
+    return res.status(200).json({
+      message: "Webhook and its delivery log deleted successfully",
+      data: webhook,
+    });
+  } catch (err) {
+    return next(err);
+  }
+};
+
+/**
+ * Controller function to send a test 'ping' event to a webhook and report whether it was delivered.
+ * @param {object} req - The Express request object. Expected `req.params.id`.
+ * @param {object} res - The Express response object used to send back the result.
+ * @param {function} next - Passes errors on to the error handler.
+ * @returns {Promise<object>} - JSON response containing the ping's delivery, without its attempts.
+ */
+module.exports.ping = async function (req, res, next) {
+  try {
+    const webhook = await loadWebhook(req);
+    const delivery = await sendPing(webhook);
+    return res.status(201).json({
+      message:
+        delivery.status === "delivered"
+          ? "Ping delivered"
+          : "Ping not delivered; it is retried like any other delivery",
+      data: deliveryOutcome(delivery),
+    });
+  } catch (err) {
+    return next(err);
+  }
+};
+
+/**
+ * Controller function to list a webhook's delivery log, newest first, one page at a time.
+ * @param {object} req - The Express request object. Expected `req.params.id`, and optionally
+ *                       `req.query.status`, `limit` and `cursor` (the `nextCursor` of the previous page).
+ * @param {object} res - The Express response object used to send back the result.
+ * @param {function} next - Passes errors on to the error handler.
+ * @returns {Promise<object>} - JSON response containing a page of deliveries and the paging information.
+ */
+module.exports.deliveries = async function (req, res, next) {
+  try {
+    const webhook = await loadWebhook(req);
+    const limit = req.query.limit || DEFAULT_LIMIT;
+
+    const filter = { webhook: webhook._id };
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+    if (req.query.cursor) {
+      const position = decodeCursor(req.query.cursor);
+      if (!position) {
+        throw new ApiError(400, "VALIDATION_FAILED", "Invalid cursor");
+      }
+      filter._id = { $lt: position._id };
+    }
+
+    // Fetch one extra delivery to know whether there is a next page.
+    let deliveries = await WebhookDelivery.find(filter)
+      .sort({ _id: -1 })
+      .limit(limit + 1);
+    const hasMore = deliveries.length > limit;
+    deliveries = deliveries.slice(0, limit);
+    const nextCursor = hasMore
+      ? encodeCursor({ _id: String(deliveries[deliveries.length - 1]._id) })
+      : null;
+
+    return res.status(200).json({
+      message: "Deliveries retrieved successfully",
+      data: deliveries,
+      pageInfo: { limit, hasMore, nextCursor },
+    });
+  } catch (err) {
+    return next(err);
+  }
+};
+
+/**
+ * Loads a delivery of the webhook in `req.params.id`.
+ * @param {object} req - The Express request object. Expected `req.params.id` and `req.params.deliveryId`.
+ * @returns {Promise<object>} - The WebhookDelivery document.
+ * @throws {ApiError} - If the webhook or the delivery doesn't exist, or the webhook isn't the caller's.
+ */
+async function loadDelivery(req) {
+  const webhook = await loadWebhook(req);
+  const delivery = await WebhookDelivery.findOne({
+    _id: req.params.deliveryId,
+    webhook: webhook._id,
+  });
+  if (!delivery) {
+    throw new ApiError(404, "DELIVERY_NOT_FOUND", "Delivery not found");
+  }
+  return delivery;
+}
+
+/**
+ * Controller function to retrieve one delivery of a webhook, with its payload and every attempt.
+ * @param {object} req - The Express request object. Expected `req.params.id` and `req.params.deliveryId`.
+ * @param {object} res - The Express response object used to send back the result.
+ * @param {function} next - Passes errors on to the error handler.
+ * @returns {Promise<object>} - JSON response containing the delivery.
+ */
+module.exports.getDelivery = async function (req, res, next) {
+  try {
+    const delivery = await loadDelivery(req);
+    return res.status(200).json({
+      message: "Delivery retrieved successfully",
+      data: delivery,
+    });
+  } catch (err) {
+    return next(err);
+  }
+};
+
+/**
+ * Controller function to send a logged delivery's payload again, e.g. after fixing a receiver.
+ * The replay is a new delivery, retried like any other if it fails.
+ * @param {object} req - The Express request object. Expected `req.params.id` and `req.params.deliveryId`.
+ * @param {object} res - The Express response object used to send back the result.
+ * @param {function} next - Passes errors on to the error handler.
+ * @returns {Promise<object>} - JSON response containing the new delivery, without its attempts.
+ */
+module.exports.replay = async function (req, res, next) {
+  try {
+    const delivery = await loadDelivery(req);
+    const replayed = await replayDelivery(delivery);
+    return res.status(201).json({
+      message:
+        replayed.status === "delivered"
+          ? "Delivery replayed successfully"
+          : "Replay not delivered; it is retried like any other delivery",
+      data: deliveryOutcome(replayed),
+    });
+  } catch (err) {
+    return next(err);
+  }
+};
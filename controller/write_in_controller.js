@@ -0,0 +1,304 @@
+// controller/write_in_controller.js
+
+// Import the WriteIn model, which holds the answers voters wrote in.
+const WriteIn = require("../models/write_in");
+// Import the Question and Option models to check the question and the option an answer goes to.
+const Question = require("../models/question");
+const Option = require("../models/option");
+// Import the error type the error handler turns into the common error envelope.
+const ApiError = require("../utils/api_error");
+// Import the helpers that turn the position of the last listed entry into an opaque cursor and back.
+const { encodeCursor, decodeCursor } = require("../utils/cursor");
+// Import the moderation decisions, which move the ballots carrying an answer.
+const {
+  writeInKey,
+  countBallots,
+  approveWriteIn,
+  mergeWriteIn,
+  rejectWriteIn,
+} = require("../services/write_ins");
+// Import the event bus and the audit log, which record every moderation decision.
+const { publish } = require("../services/poll_events");
+const { recordAudit } = require("../services/audit");
+
+// The default page size of the moderation queue.
+const DEFAULT_LIMIT = 20;
+
+/**
+ * Loads the question in `req.params.id` and the written-in answer in `req.params.writeInId`, and checks
+ * that the answer can still be moderated. Answers of a closed question can only be moderated by an admin
+ * passing `force`, since moving ballots changes its declared outcome.
+ * @param {object} req - The Express request object. Expected `req.params.id`, `req.params.writeInId`
+ *                       and optionally `req.body.force`.
+ * @returns {Promise<{ question: object, entry: object }>} - The Question and the pending WriteIn document.
+ * @throws {ApiError} - 404 if either doesn't exist, 409 if the answer was already moderated or the
+ *                      question is closed, 403 if a non-admin passes `force`.
+ */
+async function loadPending(req) {
+  const force = req.body.force === true;
+  if (force && req.user.role !== "admin") {
+    throw new ApiError(
+      403,
+      "FORBIDDEN",
+      "Only an admin can force a moderation decision"
+    );
+  }
+
+  const question = await Question.findById(req.params.id);
+  if (!question) {
+    throw new ApiError(404, "QUESTION_NOT_FOUND", "Question not found");
+  }
+  const entry = await WriteIn.findOne({
+    _id: req.params.writeInId,
+    question: question._id,
+  });
+  if (!entry) {
+    throw new ApiError(404, "WRITE_IN_NOT_FOUND", "Write-in not found");
+  }
+  if (entry.status !== "pending") {
+    throw new ApiError(
+      409,
+      "WRITE_IN_NOT_PENDING",
+      `This write-in was already ${entry.status}`
+    );
+  }
+  if (question.currentStatus() === "closed" && !force) {
+    throw new ApiError(
+      409,
+      "QUESTION_CLOSED",
+      "Question is closed; moderating its write-ins would change its declared outcome. An admin can pass force=true to do it anyway."
+    );
+  }
+  return { question, entry };
+}
+
+/**
+ * Creates the error for an answer another moderator decided on while this decision was being made.
+ * @returns {ApiError} - A 409 error.
+ */
+function alreadyModerated() {
+  return new ApiError(
+    409,
+    "WRITE_IN_NOT_PENDING",
+    "This write-in was moderated by another request"
+  );
+}
+
+/**
+ * Controller function to list the answers written in on a question, oldest first, one page at a time.
+ * Pending answers carry the number of ballots waiting on them; moderated ones the number of ballots
+ * their moderation moved or dropped.
+ * @param {object} req - The Express request object. Expected `req.params.id` (question ID), and optionally
+ *                       `req.query.status`, `limit` and `cursor` (the `nextCursor` of the previous page).
+ * @param {object} res - The Express response object used to send back the result.
+ * @param {function} next - Passes errors on to the error handler.
+ * @returns {Promise<object>} - JSON response containing a page of write-ins and the paging information.
+ */
+module.exports.list = async function (req, res, next) {
+  try {
+    const question = await Question.findById(req.params.id, "_id");
+    if (!question) {
+      throw new ApiError(404, "QUESTION_NOT_FOUND", "Question not found");
+    }
+    const limit = req.query.limit || DEFAULT_LIMIT;
+
+    const filter = { question: question._id };
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+    if (req.query.cursor) {
+      const position = decodeCursor(req.query.cursor);
+      if (!position) {
+        throw new ApiError(400, "VALIDATION_FAILED", "Invalid cursor");
+      }
+      filter._id = { $gt: position._id };
+    }
+
+    // Fetch one extra answer to know whether there is a next page.
+    let entries = await WriteIn.find(filter)
+      .sort({ _id: 1 })
+      .limit(limit + 1);
+    const hasMore = entries.length > limit;
+    entries = entries.slice(0, limit);
+    const nextCursor = hasMore
+      ? encodeCursor({ _id: String(entries[entries.length - 1]._id) })
+      : null;
+
+    const pending = entries.filter((entry) => entry.status === "pending");
+    const counts = await countBallots(pending);
+    const data = entries.map((entry) =>
+      entry.status === "pending"
+        ? { ...entry.toJSON(), votes: counts.get(String(entry._id)) || 0 }
+        : entry
+    );
+
+    return res.status(200).json({
+      message: "Write-ins retrieved successfully",
+      data,
+      pageInfo: { limit, hasMore, nextCursor },
+    });
+  } catch (err) {
+    return next(err);
+  }
+};
+
+/**
+ * Controller function to approve a pending answer: it becomes a new option of the question, and
+ * the ballots that wrote it in count for it from then on, as if the voters had picked it.
+ * @param {object} req - The Express request object. Expected `req.params.id`, `req.params.writeInId`, and
+ *                       optionally `req.body.text` (the option's text, to correct the answer's spelling)
+ *                       and `force` (admins only, for closed questions).
+ * @param {object} res - The Express response object used to send back the result.
+ * @param {function} next - Passes errors on to the error handler.
+ * @returns {Promise<object>} - JSON response containing the moderated write-in and the new option.
+ */
+module.exports.approve = async function (req, res, next) {
+  try {
+    const { question, entry } = await loadPending(req);
+
+    // An answer matching an existing option should be merged into it instead.
+    const text = req.body.text ? req.body.text.trim() : entry.text;
+    const options = await Option.find(
+      { _id: { $in: question.options } },
+      "text"
+    );
+    const existing = options.find(
+      (option) => writeInKey(option.text) === writeInKey(text)
+    );
+    if (existing) {
+      throw new ApiError(
+        409,
+        "DUPLICATE",
+        `The question already has the option "${existing.text}"; merge the write-in into it instead`,
+        { details: { option: existing._id } }
+      );
+    }
+
+    const result = await approveWriteIn(question, entry, req.user, text);
+    if (!result) {
+      throw alreadyModerated();
+    }
+    const { writeIn, option, position } = result;
+
+    publish("option.added", question._id, { option: option._id });
+    publish("writeIn.approved", question._id, {
+      writeIn: writeIn._id,
+      option: option._id,
+    });
+    await recordAudit(req, "option.added", question._id, {
+      kind: "option",
+      id: option._id,
+      after: option,
+    });
+    await recordAudit(req, "writeIn.approved", question._id, {
+      kind: "writeIn",
+      id: writeIn._id,
+      before: entry,
+      after: writeIn,
+    });
+
+    // The new option's voting link goes through the question's share code, like in every option list.
+    return res.status(200).json({
+      message: "Write-in approved successfully",
+      data: {
+        writeIn,
+        option: question.shareCode
+          ? option.toJSON({ shareCode: question.shareCode, position })
+          : option,
+      },
+    });
+  } catch (err) {
+    return next(err);
+  }
+};
+
+/**
+ * Controller function to merge a pending answer into an existing option of the question that means
+ * the same: the ballots that wrote it in count for that option from then on.
+ * @param {object} req - The Express request object. Expected `req.params.id`, `req.params.writeInId` and
+ *                       `req.body.option` (the option's ID), and optionally `force` (admins only, for
+ *                       closed questions).
+ * @param {object} res - The Express response object used to send back the result.
+ * @param {function} next - Passes errors on to the error handler.
+ * @returns {Promise<object>} - JSON response containing the moderated write-in and the option.
+ */
+module.exports.merge = async function (req, res, next) {
+  try {
+    const { question, entry } = await loadPending(req);
+
+    const listed = question.options.some((id) => id.equals(req.body.option));
+    const option = listed ? await Option.findById(req.body.option) : null;
+    if (!option) {
+      throw new ApiError(
+        404,
+        "OPTION_NOT_FOUND",
+        `Option with ID '${req.body.option}' is not an option of this question`
+      );
+    }
+
+    const result = await mergeWriteIn(question, entry, req.user, option);
+    if (!result) {
+      throw alreadyModerated();
+    }
+    const { writeIn, option: merged } = result;
+
+    publish("writeIn.merged", question._id, {
+      writeIn: writeIn._id,
+      option: merged._id,
+    });
+    await recordAudit(req, "writeIn.merged", question._id, {
+      kind: "writeIn",
+      id: writeIn._id,
+      before: entry,
+      after: writeIn,
+    });
+
+    return res.status(200).json({
+      message: "Write-in merged successfully",
+      data: { writeIn, option: merged },
+    });
+  } catch (err) {
+    return next(err);
+  }
+};
+
+/**
+ * Controller function to reject a pending answer: it is dropped from the ballots that wrote it in,
+ * and ballots left without any choice are removed, so those voters can vote again. Ballots writing
+ * in the same answer later are refused.
+ * @param {object} req - The Express request object. Expected `req.params.id` and `req.params.writeInId`,
+ *                       and optionally `req.body.force` (admins only, for closed questions).
+ * @param {object} res - The Express response object used to send back the result.
+ * @param {function} next - Passes errors on to the error handler.
+ * @returns {Promise<object>} - JSON response containing the moderated write-in and the number of
+ *                              ballots removed.
+ */
+module.exports.reject = async function (req, res, next) {
+  try {
+    const { question, entry } = await loadPending(req);
+
+    const result = await rejectWriteIn(question, entry, req.user);
+    if (!result) {
+      throw alreadyModerated();
+    }
+    const { writeIn, removedBallots } = result;
+
+    publish("writeIn.rejected", question._id, {
+      writeIn: writeIn._id,
+      removedBallots,
+    });
+    await recordAudit(req, "writeIn.rejected", question._id, {
+      kind: "writeIn",
+      id: writeIn._id,
+      before: entry,
+      after: writeIn,
+    });
+
+    return res.status(200).json({
+      message: "Write-in rejected successfully",
+      data: { writeIn, removedBallots },
+    });
+  } catch (err) {
+    return next(err);
+  }
+};
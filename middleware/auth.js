@@ -0,0 +1,186 @@
+// Import Mongoose for ObjectId validation of route parameters.
+const mongoose = require("mongoose");
+// Import the User model to look up the caller's API key.
+const User = require("../models/user");
+// Import the Question and Option models to check ownership of the question being managed.
+const Question = require("../models/question");
+const Option = require("../models/option");
+// Import the error type the error handler turns into the common error envelope.
+const ApiError = require("../utils/api_error");
+// Import the constant-time comparison used for secrets sent by clients.
+const { tokenMatches } = require("../utils/poll_access");
+
+/**
+ * Extracts the API key from the request.
+ * Accepted as `Authorization: Bearer <key>` or as an `X-API-Key` header.
+ * @param {object} req - The Express request object.
+ * @returns {string|null} - The API key, or null if none was sent.
+ */
+function readApiKey(req) {
+  const authorization = req.get("authorization");
+  if (authorization && /^Bearer\s+/i.test(authorization)) {
+    return authorization.replace(/^Bearer\s+/i, "").trim() || null;
+  }
+  return req.get("x-api-key") || null;
+}
+
+/**
+ * Creates a 401 Unauthorized error with the matching `WWW-Authenticate` challenge.
+ * @param {string} message - What went wrong.
+ * @returns {ApiError} - The error to pass to `next`.
+ */
+function unauthorized(message) {
+  return new ApiError(401, "UNAUTHORIZED", message, {
+    headers: { "WWW-Authenticate": 'Bearer realm="polling-api"' },
+  });
+}
+
+/**
+ * Middleware that identifies the caller from their API key and stores the User on `req.user`.
+ * Requests without a key continue anonymously (`req.user` is null); requests with an unknown key are rejected.
+ *
+ * If the `ADMIN_API_KEY` environment variable is set, that key always authenticates as an admin.
+ * The matching admin user is created on first use, so a fresh deployment can bootstrap its other users.
+ */
+module.exports.authenticate = async function (req, res, next) {
+  req.user = null;
+  const apiKey = readApiKey(req);
+  if (!apiKey) {
+    return next();
+  }
+
+  try {
+    let user = await User.findByApiKey(apiKey);
+    // Compare the hashes, which always have the same length, in constant time, so the
+    // response time gives away neither the admin key nor its length.
+    if (
+      !user &&
+      process.env.ADMIN_API_KEY &&
+      tokenMatches(
+        User.hashApiKey(process.env.ADMIN_API_KEY),
+        User.hashApiKey(apiKey)
+      )
+    ) {
+      user = await User.findOneAndUpdate(
+        { apiKeyHash: User.hashApiKey(apiKey) },
+        { $setOnInsert: { name: "Bootstrap admin", role: "admin" } },
+        { upsert: true, new: true }
+      );
+    }
+    if (!user) {
+      return next(unauthorized("Invalid API key"));
+    }
+    req.user = user;
+    return next();
+  } catch (err) {
+    return next(err);
+  }
+};
+
+/**
+ * Middleware that only lets authenticated callers through.
+ */
+module.exports.requireAuth = function (req, res, next) {
+  if (!req.user) {
+    return next(unauthorized("An API key is required for this action"));
+  }
+  return next();
+};
+
+/**
+ * Creates middleware that only lets callers with one of the given roles through.
+ * @param {...string} roles - The allowed roles.
+ * @returns {function} - The middleware.
+ */
+module.exports.requireRole = function (...roles) {
+  return function (req, res, next) {
+    if (!req.user) {
+      return next(unauthorized("An API key is required for this action"));
+    }
+    if (!roles.includes(req.user.role)) {
+      return next(
+        new ApiError(
+          403,
+          "FORBIDDEN",
+          `This action requires one of the roles: ${roles.join(", ")}`
+        )
+      );
+    }
+    return next();
+  };
+};
+
+/**
+ * Checks that the caller may manage a question: admins may manage any question,
+ * owners only the questions they created. Questions without an owner can only be managed by admins.
+ * @param {object} req - The Express request object (with `req.user` set).
+ * @param {object} res - The Express response object.
+ * @param {function} next - The next middleware.
+ * @param {object|null} question - The question being managed, or null if it doesn't exist.
+ */
+function checkOwnership(req, res, next, question) {
+  if (!req.user) {
+    return next(unauthorized("An API key is required for this action"));
+  }
+  // Let the controller report missing questions and options with its usual 404.
+  // (Options whose question is missing are handled by `requireOptionOwner`.)
+  if (!question || req.user.role === "admin") {
+    return next();
+  }
+  if (question.owner && question.owner.equals(req.user._id)) {
+    return next();
+  }
+  return next(
+    new ApiError(
+      403,
+      "FORBIDDEN",
+      "Only the owner of this question or an admin can do this"
+    )
+  );
+}
+
+/**
+ * Middleware that only lets the owner of the question in `req.params.id`, or an admin, through.
+ */
+module.exports.requireQuestionOwner = async function (req, res, next) {
+  if (!req.user) {
+    return next(unauthorized("An API key is required for this action"));
+  }
+  try {
+    const question = mongoose.isValidObjectId(req.params.id)
+      ? await Question.findById(req.params.id, "owner")
+      : null;
+    return checkOwnership(req, res, next, question);
+  } catch (err) {
+    return next(err);
+  }
+};
+
+/**
+ * Middleware that only lets the owner of the question the option in `req.params.id` belongs to,
+ * or an admin, through.
+ */
+module.exports.requireOptionOwner = async function (req, res, next) {
+  if (!req.user) {
+    return next(unauthorized("An API key is required for this action"));
+  }
+  try {
+    const option = mongoose.isValidObjectId(req.params.id)
+      ? await Option.findById(req.params.id)
+      : null;
+    const question = option ? await Question.findForOption(option) : null;
+    // An option whose question is gone has no owner to check against, so only admins may manage it.
+    if (option && !question && req.user.role !== "admin") {
+      return next(
+        new ApiError(
+          403,
+          "FORBIDDEN",
+          "This option belongs to no question; only an admin can manage it"
+        )
+      );
+    }
+    return checkOwnership(req, res, next, question);
+  } catch (err) {
+    return next(err);
+  }
+};
@@ -0,0 +1,45 @@
+// middleware/cors.js
+
+// Import the server settings, which list the origins allowed to call the API from a browser.
+const { corsOrigins } = require("../config/server");
+
+// What browser apps may send, and which response headers they may read.
+const ALLOWED_METHODS = "GET, POST, PUT, PATCH, DELETE";
+// X-Poll-Token carries a private poll's access token (see utils/poll_access.js).
+const ALLOWED_HEADERS = "Authorization, X-API-Key, X-Poll-Token, Content-Type";
+const EXPOSED_HEADERS =
+  "RateLimit-Limit, RateLimit-Remaining, Retry-After, Deprecation, Link, Content-Disposition";
+
+/**
+ * Middleware that lets browser apps on the configured origins (CORS_ORIGINS) call the API.
+ * Requests from allowed origins get the CORS headers; preflight (OPTIONS) requests from them are
+ * answered here with 204, before authentication, since browsers send preflights without credentials.
+ * Requests from other origins get no CORS headers, so browsers refuse to hand them the response.
+ * API keys travel in headers rather than cookies, so credentials are never allowed.
+ */
+module.exports.cors = function (req, res, next) {
+  const origin = req.get("origin");
+  // The answer depends on the Origin header, so caches must keep one copy per origin.
+  res.vary("Origin");
+  if (
+    !origin ||
+    (!corsOrigins.includes("*") && !corsOrigins.includes(origin))
+  ) {
+    return next();
+  }
+
+  res.set(
+    "Access-Control-Allow-Origin",
+    corsOrigins.includes("*") ? "*" : origin
+  );
+  res.set("Access-Control-Expose-Headers", EXPOSED_HEADERS);
+
+  if (req.method === "OPTIONS" && req.get("access-control-request-method")) {
+    res.set("Access-Control-Allow-Methods", ALLOWED_METHODS);
+    res.set("Access-Control-Allow-Headers", ALLOWED_HEADERS);
+    // Let browsers reuse the preflight answer for ten minutes.
+    res.set("Access-Control-Max-Age", "600");
+    return res.status(204).end();
+  }
+  return next();
+};
@@ -0,0 +1,25 @@
+// The date the legacy routes were deprecated in favour of /api/v1, sent in the `Deprecation` header
+// as a structured-field date (seconds since the epoch, see RFC 9745).
+const LEGACY_DEPRECATED_AT = `@${Date.UTC(2026, 9, 19) / 1000}`;
+
+/**
+ * Creates a middleware that marks a legacy route as deprecated.
+ * Responses get a `Deprecation` header and a `Link` header pointing at the route that replaces it
+ * (`rel="successor-version"`), so clients can find the new route without consulting the docs.
+ * The route itself keeps working unchanged.
+ * @param {string} successor - The replacing route, e.g. '/api/v1/questions/:id'. Parameters such as ':id'
+ *                             are filled in from the request's route parameters.
+ * @returns {function} - The Express middleware.
+ */
+module.exports.deprecated = function (successor) {
+  return function (req, res, next) {
+    const path = successor.replace(/:(\w+)/g, (placeholder, name) =>
+      req.params[name] !== undefined
+        ? encodeURIComponent(req.params[name])
+        : placeholder
+    );
+    res.set("Deprecation", LEGACY_DEPRECATED_AT);
+    res.append("Link", `<${path}>; rel="successor-version"`);
+    next();
+  };
+};
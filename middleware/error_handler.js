@@ -0,0 +1,116 @@
+// middleware/error_handler.js
+
+// Import the error type controllers and middleware throw for expected failures.
+const ApiError = require("../utils/api_error");
+
+/**
+ * Turns any error into an ApiError, so every failure is answered in the same format.
+ * Besides ApiErrors themselves, this recognizes the errors Mongoose and the body parsers raise
+ * for bad input; anything else is an unexpected failure and becomes a 500.
+ * @param {Error} err - The error passed to `next` or thrown by a controller.
+ * @returns {ApiError} - The error to respond with.
+ */
+function toApiError(err) {
+  if (err instanceof ApiError) {
+    return err;
+  }
+
+  // A malformed ObjectId (or other value) that Mongoose couldn't cast for a query.
+  if (err.name === "CastError") {
+    return new ApiError(
+      400,
+      "VALIDATION_FAILED",
+      `Invalid ${err.path === "_id" ? "ID" : err.path} format`,
+      { details: [{ field: err.path, message: err.message }] }
+    );
+  }
+
+  // A document that failed the model's own validation rules.
+  if (err.name === "ValidationError" && err.errors) {
+    const problems = Object.values(err.errors).map((error) => ({
+      field: error.path,
+      message: error.message,
+    }));
+    return new ApiError(
+      400,
+      "VALIDATION_FAILED",
+      problems.map((problem) => problem.message).join("; "),
+      { details: problems }
+    );
+  }
+
+  // A write that broke a unique index, e.g. two requests racing to create the same record.
+  if (err.code === 11000) {
+    return new ApiError(409, "DUPLICATE", "This record already exists");
+  }
+
+  // Errors raised by express.json() and express.urlencoded() while reading the body.
+  if (err.type === "entity.parse.failed") {
+    return new ApiError(
+      400,
+      "INVALID_JSON",
+      "The request body is not valid JSON"
+    );
+  }
+  if (err.type === "entity.too.large") {
+    return new ApiError(
+      413,
+      "PAYLOAD_TOO_LARGE",
+      `The request body is larger than the ${err.limit} bytes allowed`
+    );
+  }
+  if (err.expose && err.status >= 400 && err.status < 500) {
+    return new ApiError(err.status, "BAD_REQUEST", err.message);
+  }
+
+  return new ApiError(500, "INTERNAL_ERROR", "Internal server error");
+}
+
+/**
+ * Middleware for requests no route matched; answers with a 404 in the common error format.
+ */
+module.exports.notFound = function (req, res, next) {
+  next(
+    new ApiError(
+      404,
+      "ROUTE_NOT_FOUND",
+      `No route for ${req.method} ${req.path}`
+    )
+  );
+};
+
+/**
+ * Error-handling middleware that sends every error as the common error envelope:
+ *
+ *   { "message": "<what went wrong>", "error": { "code": "<CODE>", "details": <optional> } }
+ *
+ * Mounted last in index.js, so it receives everything controllers and middleware pass to `next(err)`.
+ * Unexpected errors are logged and answered with a generic 500, without leaking their internals.
+ * @param {Error} err - The error.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ * @param {function} next - The next middleware; only used when a response has already started.
+ */
+module.exports.errorHandler = function (err, req, res, next) {
+  // A streamed response that failed halfway can't be turned into an error response anymore;
+  // let Express cut the connection.
+  if (res.headersSent) {
+    return next(err);
+  }
+
+  const error = toApiError(err);
+  if (error.status >= 500) {
+    console.error(`Error handling ${req.method} ${req.originalUrl}:`, err);
+  }
+
+  if (error.headers) {
+    res.set(error.headers);
+  }
+  return res.status(error.status).json({
+    message: error.message,
+    error: {
+      code: error.code,
+      ...(error.details !== undefined ? { details: error.details } : {}),
+    },
+  });
+};
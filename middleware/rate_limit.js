@@ -0,0 +1,155 @@
+// Import the configured limits for each group of routes.
+const limits = require("../config/rate_limits");
+// Import the error type the error handler turns into the common error envelope.
+const ApiError = require("../utils/api_error");
+
+/**
+ * Creates an in-memory counter store for the rate limiter.
+ * Counters live in this process only, so each server instance limits separately;
+ * deployments with several instances should plug in a shared store (see `useRateLimitStore`).
+ *
+ * A store must provide:
+ *   - increment(key, ttlMs): adds one to the counter `key` (creating it with a lifetime of `ttlMs`
+ *     if it doesn't exist) and resolves with the new count.
+ *   - get(key): resolves with the counter's current value, or 0 if it doesn't exist.
+ * Both may return promises, so stores backed by e.g. Redis (INCR + PEXPIRE, GET) fit the same interface.
+ *
+ * @returns {{ increment: function, get: function }} - The store.
+ */
+function createMemoryStore() {
+  const counters = new Map();
+
+  // Drop expired counters every minute so memory doesn't grow with every client ever seen.
+  const sweeper = setInterval(() => {
+    const now = Date.now();
+    counters.forEach((counter, key) => {
+      if (counter.expiresAt <= now) {
+        counters.delete(key);
+      }
+    });
+  }, 60000);
+  // Don't keep the process alive just for the sweeper.
+  sweeper.unref();
+
+  return {
+    increment(key, ttlMs) {
+      const now = Date.now();
+      let counter = counters.get(key);
+      if (!counter || counter.expiresAt <= now) {
+        counter = { count: 0, expiresAt: now + ttlMs };
+        counters.set(key, counter);
+      }
+      counter.count += 1;
+      return counter.count;
+    },
+    get(key) {
+      const counter = counters.get(key);
+      return counter && counter.expiresAt > Date.now() ? counter.count : 0;
+    },
+  };
+}
+
+// The store shared by every limiter; replaced with `useRateLimitStore`.
+let store = createMemoryStore();
+
+/**
+ * Works out how long a client over its limit must wait before its next request would be allowed.
+ * @param {number} previous - Requests counted in the previous window.
+ * @param {number} current - Requests counted in the current window.
+ * @param {number} limit - The client's limit.
+ * @param {number} elapsed - How far into the current window we are, from 0 to 1.
+ * @param {number} windowMs - The window length.
+ * @returns {number} - The wait, in milliseconds.
+ */
+function retryAfterMs(previous, current, limit, elapsed, windowMs) {
+  // Still room in this window once enough of the previous window has slid out of view.
+  if (current + 1 <= limit && previous > 0) {
+    return (1 - (limit - current - 1) / previous - elapsed) * windowMs;
+  }
+  // Otherwise wait for the next window, until enough of this one has slid out of view.
+  const intoNext = Math.max(0, 1 - (limit - 1) / current);
+  return (1 - elapsed + intoNext) * windowMs;
+}
+
+/**
+ * Creates a middleware that rate-limits a group of routes (see config/rate_limits.js).
+ *
+ * Authenticated callers are counted per API key, anonymous callers per IP address, so many voters
+ * behind one shared address aren't limited by each other's authenticated traffic.
+ * The limit applies over a sliding window, approximated from two fixed windows: the previous window's
+ * count is weighted by how much of it still overlaps the sliding window. This avoids the burst of
+ * twice the limit that fixed windows allow around each window boundary, at two counters per client.
+ *
+ * Every response carries `RateLimit-Limit` and `RateLimit-Remaining` headers. Requests over the limit
+ * get 429 Too Many Requests with a `Retry-After` header (in seconds). If the store fails, requests are
+ * let through rather than taking the API down with it.
+ *
+ * @param {string} group - The group of limits to apply: 'default', 'create' or 'vote'.
+ * @returns {function} - The Express middleware.
+ */
+module.exports.rateLimit = function (group) {
+  const rule = limits[group];
+
+  return async function (req, res, next) {
+    const windowMs = limits.windowMs;
+    const caller = req.user ? `key:${req.user._id}` : `ip:${req.ip}`;
+    const limit = req.user ? rule.apiKey : rule.ip;
+
+    const now = Date.now();
+    const window = Math.floor(now / windowMs);
+    const elapsed = (now - window * windowMs) / windowMs;
+
+    let current;
+    let previous;
+    try {
+      // Counters outlive their window by one more, so the next window can still weigh them in.
+      current = await store.increment(
+        `${group}:${caller}:${window}`,
+        windowMs * 2
+      );
+      previous = await store.get(`${group}:${caller}:${window - 1}`);
+    } catch (err) {
+      console.error(
+        "Rate limit store failed; letting the request through:",
+        err
+      );
+      return next();
+    }
+
+    const count = previous * (1 - elapsed) + current;
+    res.set("RateLimit-Limit", String(limit));
+    res.set(
+      "RateLimit-Remaining",
+      String(Math.max(0, Math.floor(limit - count)))
+    );
+    if (count <= limit) {
+      return next();
+    }
+
+    const retryAfter = Math.max(
+      1,
+      Math.ceil(
+        retryAfterMs(previous, current, limit, elapsed, windowMs) / 1000
+      )
+    );
+    return next(
+      new ApiError(
+        429,
+        "RATE_LIMITED",
+        `Too many requests; try again in ${retryAfter} seconds.`,
+        { headers: { "Retry-After": String(retryAfter) } }
+      )
+    );
+  };
+};
+
+/**
+ * Replaces the counter store used by every rate limiter, e.g. with one shared between server instances.
+ * @param {{ increment: function, get: function }} newStore - The store (see `createMemoryStore` for the interface).
+ */
+module.exports.useRateLimitStore = function (newStore) {
+  store = newStore;
+};
+
+// Exported so a fresh store can be created, e.g. to reset the limits.
+module.exports.createMemoryStore = createMemoryStore;
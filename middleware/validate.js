@@ -0,0 +1,220 @@
+// middleware/validate.js
+
+// Import the error type the error handler turns into the common error envelope.
+const ApiError = require("../utils/api_error");
+
+// Marks a value that can't be converted to the expected type.
+const INVALID = Symbol("invalid");
+
+// How each type is read from the request, and how it is described in error messages.
+// URL-encoded bodies, query strings and route parameters only carry strings,
+// so numbers, booleans and dates are also accepted in their string form.
+const TYPES = {
+  string: {
+    description: "a string",
+    convert: (value) => (typeof value === "string" ? value.trim() : INVALID),
+  },
+  number: {
+    description: "a number",
+    convert: toNumber,
+  },
+  integer: {
+    description: "a whole number",
+    convert: (value) => {
+      const number = toNumber(value);
+      return Number.isInteger(number) ? number : INVALID;
+    },
+  },
+  boolean: {
+    description: "true or false",
+    convert: (value) => {
+      if (value === true || value === "true") {
+        return true;
+      }
+      if (value === false || value === "false") {
+        return false;
+      }
+      return INVALID;
+    },
+  },
+  date: {
+    description: "a valid date",
+    convert: (value) => {
+      if (!["string", "number"].includes(typeof value)) {
+        return INVALID;
+      }
+      const date = new Date(value);
+      return isNaN(date.getTime()) ? INVALID : date;
+    },
+  },
+  objectId: {
+    description: "a valid ID",
+    convert: (value) =>
+      typeof value === "string" && /^[0-9a-fA-F]{24}$/.test(value)
+        ? value
+        : INVALID,
+  },
+  array: {
+    description: "a list",
+    convert: (value) => (Array.isArray(value) ? value : INVALID),
+  },
+  object: {
+    description: "an object",
+    convert: (value) =>
+      typeof value === "object" && value !== null && !Array.isArray(value)
+        ? value
+        : INVALID,
+  },
+};
+
+/**
+ * Reads a number sent as a number or as a numeric string.
+ * @param {*} value - The raw value.
+ * @returns {number|symbol} - The number, or INVALID.
+ */
+function toNumber(value) {
+  if (typeof value === "string" && value.trim() !== "") {
+    value = Number(value);
+  }
+  return typeof value === "number" && Number.isFinite(value) ? value : INVALID;
+}
+
+/**
+ * Checks one value against its rule.
+ * @param {string} field - The field name, used in error messages.
+ * @param {*} value - The raw value from the request.
+ * @param {object} rule - The field's rule (see `validate`).
+ * @param {object} req - The Express request object, passed on to custom checks.
+ * @returns {{ value?: *, error?: string, skip?: boolean }} - The converted value, an error message,
+ *          or `skip` if the field is absent (or empty) and allowed to be.
+ */
+function checkField(field, value, rule, req) {
+  const isEmpty =
+    value === null || (typeof value === "string" && value.trim() === "");
+  if (value === undefined) {
+    return rule.required ? { error: `${field} is required` } : { skip: true };
+  }
+  if (isEmpty) {
+    // Optional fields may be sent empty, e.g. to clear them on an update.
+    return rule.required || rule.allowEmpty === false
+      ? { error: `${field} cannot be empty` }
+      : { skip: true };
+  }
+
+  // Try each accepted type in turn; the first one that fits decides the value.
+  if (rule.type) {
+    const types = [].concat(rule.type);
+    let converted = INVALID;
+    for (const type of types) {
+      converted = TYPES[type].convert(value);
+      if (converted !== INVALID) {
+        break;
+      }
+    }
+    if (converted === INVALID) {
+      const expected = types.map((type) => TYPES[type].description);
+      return { error: `${field} must be ${expected.join(" or ")}` };
+    }
+    value = converted;
+  }
+
+  if (rule.oneOf && !rule.oneOf.includes(value)) {
+    return { error: `${field} must be one of: ${rule.oneOf.join(", ")}` };
+  }
+  if (typeof value === "number") {
+    if (rule.min !== undefined && value < rule.min) {
+      return { error: `${field} must be at least ${rule.min}` };
+    }
+    if (rule.max !== undefined && value > rule.max) {
+      return { error: `${field} must be at most ${rule.max}` };
+    }
+  }
+  if (
+    typeof value === "string" &&
+    rule.maxLength &&
+    value.length > rule.maxLength
+  ) {
+    return {
+      error: `${field} must be at most ${rule.maxLength} characters long`,
+    };
+  }
+  if (Array.isArray(value)) {
+    if (rule.minItems !== undefined && value.length < rule.minItems) {
+      return { error: `${field} must list at least ${rule.minItems} items` };
+    }
+    if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+      return { error: `${field} may list at most ${rule.maxItems} items` };
+    }
+  }
+  if (rule.check) {
+    const error = rule.check(value, req);
+    if (error) {
+      return { error: `${field} ${error}` };
+    }
+  }
+  return { value };
+}
+
+/**
+ * Creates a middleware that validates a request against a schema before it reaches the controller.
+ *
+ * The schema lists the expected fields of `params`, `query` and `body`, each with a rule:
+ *   - type:      'string', 'number', 'integer', 'boolean', 'date', 'objectId', 'array' or 'object',
+ *                or a list of them when several are accepted.
+ *   - required:  the field must be present and not empty.
+ *   - allowEmpty: false to reject an optional field sent empty (by default empty values are let
+ *                through unchanged, which updates use to clear a field).
+ *   - oneOf:     the allowed values.
+ *   - min / max: bounds for numbers; minItems / maxItems for lists; maxLength for strings.
+ *   - check:     a function (value, req) returning an error message (completing "<field> ..."), or nothing.
+ *   - message:   replaces the generated error message for this field.
+ * Fields not listed in the schema are left alone.
+ *
+ * Valid values are written back converted (strings trimmed, numbers, booleans and dates parsed), so
+ * controllers can rely on their types. If any field is invalid, the request fails with 400 and the
+ * 'VALIDATION_FAILED' code, listing every problem in the error's `details`.
+ *
+ * @param {{ params?: object, query?: object, body?: object }} schema - The rules for each part of the request.
+ * @returns {function} - The Express middleware.
+ */
+module.exports.validate = function (schema) {
+  return function (req, res, next) {
+    const problems = [];
+    for (const location of ["params", "query", "body"]) {
+      const rules = schema[location];
+      if (!rules) {
+        continue;
+      }
+      // Bodies that weren't parsed (e.g. no Content-Type) are validated as empty.
+      if (location === "body" && (typeof req.body !== "object" || !req.body)) {
+        req.body = {};
+      }
+      const values = req[location];
+      for (const field of Object.keys(rules)) {
+        const rule = rules[field];
+        const result = checkField(field, values[field], rule, req);
+        if (result.error) {
+          problems.push({
+            in: location,
+            field,
+            message: rule.message || result.error,
+          });
+        } else if (!result.skip) {
+          values[field] = result.value;
+        }
+      }
+    }
+
+    if (problems.length > 0) {
+      return next(
+        new ApiError(
+          400,
+          "VALIDATION_FAILED",
+          problems.map((problem) => problem.message).join("; "),
+          { details: problems }
+        )
+      );
+    }
+    return next();
+  };
+};
@@ -0,0 +1,57 @@
+// Import Mongoose for the ObjectId type of the `archivedBy` field.
+const mongoose = require("mongoose");
+
+// The queries that leave archived documents out unless asked not to. Deletes aren't among them,
+// so the purge job (services/purge.js) can still remove archived documents.
+const HIDING_QUERIES = [
+  "find",
+  "findOne",
+  "findOneAndUpdate",
+  "countDocuments",
+  "updateOne",
+  "updateMany",
+];
+
+/**
+ * Mongoose plugin that adds soft deletion to a schema: deleting a document through the API sets
+ * `archivedAt` instead of removing it, and every read or update leaves archived documents out,
+ * as if they were gone. A query that needs them (restoring, purging, listing the archive) opts in
+ * with `.setOptions({ includeArchived: true })`, or by filtering on `archivedAt` itself.
+ * Archived documents are removed for good once the retention period has passed (see services/purge.js).
+ * @param {mongoose.Schema} schema - The schema to extend.
+ */
+module.exports = function archivable(schema) {
+  schema.add({
+    // When the document was archived; unset while it is live.
+    archivedAt: {
+      type: Date,
+      default: null,
+    },
+    // The user who archived it.
+    archivedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  });
+
+  // Index used by the purge job to find documents whose retention period has passed.
+  schema.index({ archivedAt: 1 });
+
+  schema.pre(HIDING_QUERIES, function () {
+    const { includeArchived } = this.getOptions();
+    // The option is only meant for this hook; don't pass it on to the MongoDB driver.
+    delete this.options.includeArchived;
+    if (!includeArchived && this.getFilter().archivedAt === undefined) {
+      // Documents created before archiving existed have no `archivedAt`; `null` matches them too.
+      this.where({ archivedAt: null });
+    }
+  });
+
+  /**
+   * Whether the document is archived.
+   * @returns {boolean}
+   */
+  schema.methods.isArchived = function () {
+    return Boolean(this.archivedAt);
+  };
+};
@@ -0,0 +1,103 @@
+// Import Mongoose to define the schema and model for the audit log.
+const mongoose = require("mongoose");
+// Import the poll event types, which double as the audited actions.
+const { EVENT_TYPES } = require("../services/poll_events");
+
+// The queries that would change or remove audit entries; the log is append-only, so they are refused.
+const WRITE_QUERIES = [
+  "updateOne",
+  "updateMany",
+  "findOneAndUpdate",
+  "replaceOne",
+  "findOneAndReplace",
+  "deleteOne",
+  "deleteMany",
+  "findOneAndDelete",
+];
+
+/**
+ * Defines the schema for the 'AuditEntry' model: one change made to a question, its options or
+ * its votes, with who made it and the record before and after. Entries are written by the
+ * controllers (see services/audit.js) and never changed or removed, not even when the question is purged.
+ */
+const auditEntrySchema = new mongoose.Schema({
+  // What happened, named like the poll event it goes with, e.g. 'option.deleted' or 'vote.cast'.
+  action: {
+    type: String,
+    enum: EVENT_TYPES,
+    required: true,
+  },
+  // The question the change belongs to.
+  question: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Question",
+    required: true,
+  },
+  // The record that changed: the question itself, one of its options, a ballot, or a written-in answer.
+  target: {
+    kind: {
+      type: String,
+      enum: ["question", "option", "vote", "writeIn"],
+      required: true,
+    },
+    id: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+  },
+  // Who made the change. Anonymous callers have no user; they are only known by IP address and user agent.
+  // Empty for ballots, which must not be tied to their voter, and for changes the server makes on its own.
+  actor: {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    role: {
+      type: String,
+    },
+    ip: {
+      type: String,
+    },
+    userAgent: {
+      type: String,
+    },
+  },
+  // The record before the change; absent for records that were created.
+  before: {
+    type: mongoose.Schema.Types.Mixed,
+  },
+  // The record after the change.
+  after: {
+    type: mongoose.Schema.Types.Mixed,
+  },
+  // When the change was made.
+  at: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Index used to list a question's audit log, newest first.
+auditEntrySchema.index({ question: 1, _id: -1 });
+
+/**
+ * Refuses to save changes to an entry that is already stored.
+ */
+auditEntrySchema.pre("save", function (next) {
+  if (!this.isNew) {
+    return next(new Error("Audit entries are append-only"));
+  }
+  return next();
+});
+
+/**
+ * Refuses every query that would change or remove stored entries.
+ */
+auditEntrySchema.pre(WRITE_QUERIES, function (next) {
+  next(new Error("Audit entries are append-only"));
+});
+
+// Create the 'AuditEntry' model; Mongoose will store documents in the 'auditentries' collection.
+const AuditEntry = mongoose.model("AuditEntry", auditEntrySchema);
+
+module.exports = AuditEntry;
@@ -1,6 +1,12 @@
 // Importing the Mongoose library, which provides tools for modeling MongoDB data
 // and interacting with the database in an object-oriented way.
 const mongoose = require("mongoose");
+// Import the embedded schema used to record each edit made to an option.
+const revisionSchema = require("./revision");
+// Import the plugin that makes deleted options archived (soft-deleted) rather than removed.
+const archivable = require("./archivable");
+// Import the helpers that build an option's voting link from the configured base URL.
+const { voteLink, shareVoteLink } = require("../utils/links");
 
 /**
  * Defines the schema for the 'Option' model.
@@ -13,22 +19,77 @@ const optionSchema = new mongoose.Schema({
     type: String, // Specifies the data type as String.
     required: true, // Makes this field mandatory; an option must have text.
   },
+  // An optional longer explanation of the option, shown under its text.
+  description: {
+    type: String,
+    trim: true,
+  },
+  // An optional http(s) URL of an image to show with the option.
+  imageUrl: {
+    type: String,
+    trim: true,
+  },
+  // An optional hex color (e.g. '#1e90ff') to draw the option in, such as its bar in a results chart.
+  color: {
+    type: String,
+    lowercase: true,
+    match: /^#[0-9a-f]{6}$/,
+  },
   // The number of votes this particular option has received.
+  // For multi-select polls this counts the ballots that selected the option, for ranked-choice polls
+  // the ballots that ranked it first, and for rating polls the number of ratings it received.
   votes: {
     type: Number, // Specifies the data type as Number.
     default: 0, // Sets a default value of 0 if no value is provided when creating an option.
     // Ensures that new options start with zero votes.
   },
+  // The sum of all scores given to this option on rating polls.
+  // Divided by `votes` (the number of ratings) to get the average rating.
+  scoreTotal: {
+    type: Number,
+    default: 0,
+  },
   // A string field intended to store a URL that can be used to directly add a vote to this option.
   // This is typically generated dynamically when the option is created or retrieved.
   link_to_vote: {
     type: String, // Specifies the data type as String.
     // Note: This field is not set to 'required' as it might be populated after the initial creation.
   },
+  // A back-reference to the question this option belongs to.
+  // Used to find the question when a vote is cast, so one vote per voter per question can be enforced.
+  // Options created before this field existed don't have it; the controllers fall back to
+  // looking the question up through its 'options' array.
+  question: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Question",
+  },
+  // The history of edits made through PATCH /options/:id, oldest first.
+  // Not loaded by default, since no read of the option itself needs it.
+  revisions: {
+    type: [revisionSchema],
+    select: false,
+  },
   // Mongoose automatically adds an _id field of type ObjectId.
   // Timestamps (createdAt, updatedAt) could also be added using { timestamps: true } in the schema options if needed.
 });
 
+// Deleting an option archives it, like questions (see models/archivable.js).
+optionSchema.plugin(archivable);
+
+// Always serialize the voting link from the configured base URL, so links stored by older versions
+// (or under a different PUBLIC_BASE_URL) never reach clients. Given the question's share code and the
+// option's position (`option.toJSON({ shareCode, position, token })`, see utils/option_order.js), the
+// link goes through the share code, so no internal ID appears in it; otherwise it falls back to the
+// option's v1 vote route.
+optionSchema.set("toJSON", {
+  transform: function (doc, ret, options) {
+    ret.link_to_vote = options.shareCode
+      ? shareVoteLink(options.shareCode, options.position, options.token)
+      : voteLink(ret._id);
+    return ret;
+  },
+});
+
 /**
  * Creates the Mongoose model for the 'Option' schema.
  * A Mongoose model is a constructor compiled from a schema definition.
@@ -1,6 +1,18 @@
 // Import the Mongoose library, which provides an interface for interacting with MongoDB databases
 // in an object-oriented manner (Object Data Modeling - ODM).
 const mongoose = require("mongoose");
+// Import Node's crypto module to generate share codes and access tokens.
+const crypto = require("crypto");
+// Import the helper that builds a poll's share link from the configured base URL.
+const { shareLink, shareVoteLink } = require("../utils/links");
+// Import the embedded schema used to record each edit made to a question.
+const revisionSchema = require("./revision");
+// Import the embedded schema of the voter attributes a question asks for.
+const voterAttributeSchema = require("./voter_attribute");
+// Import the plugin that makes deleted questions archived (soft-deleted) rather than removed.
+const archivable = require("./archivable");
+// Import the segment settings, which set the smallest segment results may show.
+const segments = require("../config/segments");
 
 /**
  * Defines the schema for the 'Question' model.
@@ -15,6 +27,8 @@ const questionSchema = new mongoose.Schema({
   },
   // An array field to store references to the options associated with this question.
   // This creates a one-to-many relationship between a Question and its Options.
+  // The order of the array is the order options are shown in; owners change it with
+  // PUT /api/v1/questions/:id/options/order.
   options: [
     {
       // Defines 'options' as an array.
@@ -26,8 +40,325 @@ const questionSchema = new mongoose.Schema({
       // the related Option documents along with the Question document.
     },
   ],
+  // The kind of poll, which decides what a ballot looks like and how results are tallied:
+  //   - 'single': pick exactly one option.
+  //   - 'multi':  pick between `minSelections` and `maxSelections` options.
+  //   - 'ranked': rank options in order of preference; tallied with instant-runoff.
+  //   - 'rating': rate options from 1 to 5; results report the average rating.
+  type: {
+    type: String,
+    enum: ["single", "multi", "ranked", "rating"],
+    default: "single",
+  },
+  // For multi-select polls: the fewest options a ballot must select.
+  minSelections: {
+    type: Number,
+    min: 1,
+    default: 1,
+  },
+  // For multi-select polls: the most options a ballot may select. Unset means no limit.
+  maxSelections: {
+    type: Number,
+    min: 1,
+  },
+  // Whether each voter sees the options in their own random (but stable) order, to reduce the
+  // bias towards options listed first (see utils/option_order.js).
+  shuffleOptions: {
+    type: Boolean,
+    default: false,
+  },
+  // Whether voters may submit an answer that isn't listed with their ballot (single-choice and
+  // multi-select questions only). Write-ins wait in a moderation queue until the owner approves,
+  // merges or rejects them (see models/write_in.js).
+  allowWriteIns: {
+    type: Boolean,
+    default: false,
+  },
+  // Free-form labels for grouping and filtering questions (stored lowercased).
+  tags: [
+    {
+      type: String,
+      trim: true,
+      lowercase: true,
+    },
+  ],
+  // The number of ballots cast on this question, kept in step with the Vote records by
+  // services/ballot.js. Stored on the question so the list can be sorted by popularity.
+  totalVotes: {
+    type: Number,
+    default: 0,
+  },
+  // The user who created the question. Owners (and admins) may manage the question:
+  // add and delete options, open, close and delete it.
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  // Optional quorum: the minimum number of ballots for the result to be valid.
+  quorum: {
+    type: Number,
+    min: 1,
+  },
+  // Optional size of the electorate (everyone eligible to vote), used to compute turnout.
+  electorateSize: {
+    type: Number,
+    min: 1,
+  },
+  // Optional minimum turnout, as a percentage of `electorateSize`, for the result to be valid.
+  minTurnout: {
+    type: Number,
+    min: 0,
+    max: 100,
+  },
+  // The lifecycle state of the poll:
+  //   - 'draft':  options can still be added or removed, votes are not accepted yet.
+  //   - 'open':   voting is allowed, the set of options is frozen.
+  //   - 'closed': voting has ended for good.
+  // New questions start as drafts. Use `currentStatus()` rather than reading this field directly,
+  // since a scheduled `opensAt`/`closesAt` moves the poll along before the lifecycle job
+  // (services/lifecycle.js) stores it here.
+  status: {
+    type: String,
+    enum: ["draft", "open", "closed"],
+    default: "draft",
+  },
+  // Optional time at which a draft poll opens automatically.
+  opensAt: {
+    type: Date,
+  },
+  // Optional time at which an open poll closes automatically.
+  closesAt: {
+    type: Date,
+  },
+  // The history of edits made through PATCH /questions/:id, oldest first.
+  // Not loaded by default, since no read of the question itself needs it.
+  revisions: {
+    type: [revisionSchema],
+    select: false,
+  },
+  // The voter attributes ballots carry, to break results down by (see models/voter_attribute.js).
+  voterAttributes: {
+    type: [voterAttributeSchema],
+    default: undefined,
+  },
+  // The fewest ballots a segment of the results by voter attribute needs to be shown.
+  // Unset means the server-wide minimum (SEGMENT_MIN_CELL_SIZE), which is also the lowest allowed value.
+  minCellSize: {
+    type: Number,
+    min: segments.minCellSize,
+  },
+  // The template the question was created from, by hand or as an instance of a recurring template.
+  template: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Template",
+  },
+  // The question this one is a copy of (see POST /api/v1/questions/:id/clone).
+  clonedFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Question",
+  },
+  // The short code voters use to find and vote on the poll at /p/:code, instead of its ID.
+  // Generated when the question is first saved.
+  shareCode: {
+    type: String,
+  },
+  // The access token of a private poll. Voters must send it to see or vote on the poll;
+  // unset for public polls. Never serialized; owners read it through GET /questions/:id/share.
+  accessToken: {
+    type: String,
+  },
   // Mongoose automatically adds an _id field of type ObjectId.
-  // Timestamps (createdAt, updatedAt) can be added by passing { timestamps: true } as a second argument to mongoose.Schema if needed.
+});
+
+// Record when each question was created and last updated (createdAt, updatedAt),
+// used to filter the question list by creation date.
+questionSchema.set("timestamps", true);
+
+// Deleting a question archives it: it disappears from every query, but can be restored
+// by an admin until the purge job removes it (see models/archivable.js).
+questionSchema.plugin(archivable);
+
+// Text index used by the question list's `search` parameter.
+questionSchema.index({ title: "text" });
+// Indexes backing the question list's filters and sort orders.
+questionSchema.index({ owner: 1, _id: -1 });
+questionSchema.index({ tags: 1, _id: -1 });
+questionSchema.index({ totalVotes: -1, _id: -1 });
+// Indexes used by the lifecycle job to find questions whose opening or closing time has passed.
+questionSchema.index({ opensAt: 1, status: 1 });
+questionSchema.index({ closesAt: 1, status: 1 });
+// Share codes must identify a single question; older questions without one are left out.
+questionSchema.index({ shareCode: 1 }, { unique: true, sparse: true });
+
+// The characters share codes are made of: lowercase letters and digits, without the ones
+// that are easily confused when read aloud or copied by hand (0/o, 1/l/i).
+const SHARE_CODE_ALPHABET = "23456789abcdefghjkmnpqrstuvwxyz";
+// The length of a share code; 31^8 codes make collisions between questions vanishingly rare.
+const SHARE_CODE_LENGTH = 8;
+
+/**
+ * Generates a random share code.
+ * @returns {string} - A new share code, e.g. 'k7m2xq9d'.
+ */
+questionSchema.statics.generateShareCode = function () {
+  let code = "";
+  for (let i = 0; i < SHARE_CODE_LENGTH; i++) {
+    code += SHARE_CODE_ALPHABET[crypto.randomInt(SHARE_CODE_ALPHABET.length)];
+  }
+  return code;
+};
+
+/**
+ * Generates a random access token for a private poll.
+ * @returns {string} - A new URL-safe token.
+ */
+questionSchema.statics.generateAccessToken = function () {
+  return crypto.randomBytes(18).toString("base64url");
+};
+
+/**
+ * Checks whether a share code has the format of the generated ones, before looking it up.
+ * @param {string} code - The code from the URL.
+ * @returns {boolean}
+ */
+questionSchema.statics.isShareCode = function (code) {
+  return (
+    typeof code === "string" &&
+    code.length === SHARE_CODE_LENGTH &&
+    [...code].every((char) => SHARE_CODE_ALPHABET.includes(char))
+  );
+};
+
+/**
+ * Assigns a share code to questions that don't have one yet, then validates settings that
+ * depend on each other before saving: a poll can't be set to close before it opens,
+ * a multi-select range can't be inverted, a turnout rule needs an electorate to be measured against,
+ * and write-ins only fit single-choice and multi-select questions.
+ */
+questionSchema.pre("validate", function (next) {
+  // Give new questions (and older ones, on their next save) a share code.
+  if (!this.shareCode) {
+    this.shareCode = this.constructor.generateShareCode();
+  }
+  if (this.opensAt && this.closesAt && this.closesAt <= this.opensAt) {
+    this.invalidate("closesAt", "closesAt must be later than opensAt");
+  }
+  if (this.maxSelections && this.maxSelections < this.minSelections) {
+    this.invalidate(
+      "maxSelections",
+      "maxSelections must not be lower than minSelections"
+    );
+  }
+  if (this.minTurnout && !this.electorateSize) {
+    this.invalidate(
+      "minTurnout",
+      "minTurnout requires electorateSize to be set"
+    );
+  }
+  if (this.allowWriteIns && !["single", "multi"].includes(this.type)) {
+    this.invalidate(
+      "allowWriteIns",
+      "Only single and multi questions can allow write-ins"
+    );
+  }
+  next();
+});
+
+/**
+ * Works out the poll's state at a given moment, taking the `opensAt`/`closesAt` schedule into account.
+ * A draft whose `opensAt` has passed counts as open, and any poll whose `closesAt` has passed counts as closed.
+ * @param {Date} [now=new Date()] - The moment to evaluate the state at.
+ * @returns {string} - One of 'draft', 'open' or 'closed'.
+ */
+questionSchema.methods.currentStatus = function (now = new Date()) {
+  if (this.status === "closed") {
+    return "closed";
+  }
+  if (this.closesAt && this.closesAt <= now) {
+    return "closed";
+  }
+  if (this.status === "open") {
+    return "open";
+  }
+  if (this.opensAt && this.opensAt <= now) {
+    return "open";
+  }
+  return "draft";
+};
+
+/**
+ * Loads the question an option belongs to.
+ * Newer options carry a `question` back-reference; older ones are looked up
+ * through the parent question's 'options' array.
+ * @param {object} option - The Option document.
+ * @returns {Promise<object|null>} - The Question document, or null if the option is orphaned.
+ */
+questionSchema.statics.findForOption = function (option) {
+  if (option.question) {
+    return this.findById(option.question);
+  }
+  return this.findOne({ options: option._id });
+};
+
+/**
+ * Builds a query filter matching questions that are in the given state at a given moment,
+ * following the same rules as `currentStatus()`.
+ * @param {string} status - One of 'draft', 'open' or 'closed'.
+ * @param {Date} [now=new Date()] - The moment to evaluate the state at.
+ * @returns {object} - A MongoDB query filter.
+ */
+questionSchema.statics.statusFilter = function (status, now = new Date()) {
+  const notClosedBySchedule = {
+    $or: [{ closesAt: null }, { closesAt: { $gt: now } }],
+  };
+  if (status === "closed") {
+    return { $or: [{ status: "closed" }, { closesAt: { $lte: now } }] };
+  }
+  if (status === "open") {
+    return {
+      $and: [
+        { status: { $ne: "closed" } },
+        notClosedBySchedule,
+        { $or: [{ status: "open" }, { opensAt: { $lte: now } }] },
+      ],
+    };
+  }
+  // Drafts: not opened, by hand or by schedule, and not closed. Questions created before the
+  // lifecycle existed have no stored status and count as drafts too.
+  return {
+    $and: [
+      { status: { $in: ["draft", null] } },
+      notClosedBySchedule,
+      { $or: [{ opensAt: null }, { opensAt: { $gt: now } }] },
+    ],
+  };
+};
+
+// Report the scheduled state, not the stored one, whenever a question is serialized to JSON,
+// so API clients never see a poll as 'draft' after its opening time has passed.
+// The share link is added, without the token: the access token of a private poll is replaced by
+// a `private` flag, so it never ends up in a response by accident; owners read it through
+// GET /questions/:id/share. Populated options get their voting link through the share code too.
+questionSchema.set("toJSON", {
+  transform: function (doc, ret) {
+    ret.status = doc.currentStatus();
+    if (ret.shareCode) {
+      ret.shareUrl = shareLink(ret.shareCode);
+    }
+    if (ret.shareCode && Array.isArray(ret.options)) {
+      ret.options = ret.options.map((option, index) =>
+        option && option.link_to_vote
+          ? {
+              ...option,
+              link_to_vote: shareVoteLink(ret.shareCode, index + 1),
+            }
+          : option
+      );
+    }
+    ret.private = Boolean(ret.accessToken);
+    delete ret.accessToken;
+    return ret;
+  },
 });
 
 /**
@@ -0,0 +1,40 @@
+// Import Mongoose to define the embedded schema used to record edits.
+const mongoose = require("mongoose");
+
+/**
+ * Defines the schema for one edit of a question or option.
+ * Revisions are embedded in the edited document (see the `revisions` field on the Question and
+ * Option models) and are never modified once written.
+ */
+const revisionSchema = new mongoose.Schema(
+  {
+    // The user who made the edit.
+    editedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    // When the edit was made.
+    editedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // True if an admin forced an edit that the vote-safety rules would otherwise have refused.
+    forced: {
+      type: Boolean,
+      default: false,
+    },
+    // The fields that changed, with their values before and after the edit.
+    changes: [
+      {
+        _id: false,
+        field: { type: String, required: true },
+        from: { type: mongoose.Schema.Types.Mixed },
+        to: { type: mongoose.Schema.Types.Mixed },
+      },
+    ],
+  },
+  { _id: false }
+);
+
+// Export the schema (not a model): revisions only exist inside other documents.
+module.exports = revisionSchema;
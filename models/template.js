@@ -0,0 +1,178 @@
+// Import Mongoose to define the schema and model for question templates.
+const mongoose = require("mongoose");
+// Import the embedded schema of the voter attributes a question asks for.
+const voterAttributeSchema = require("./voter_attribute");
+
+/**
+ * Defines the settings new questions get from a template: the same fields a question is created
+ * with, except its schedule, which belongs to each instance (see `recurrence` for recurring polls).
+ */
+const templateQuestionSchema = new mongoose.Schema(
+  {
+    // The title of new questions. '{date}' is replaced with the date the instance opens (or is created).
+    title: {
+      type: String,
+      required: true,
+    },
+    tags: [
+      {
+        type: String,
+        trim: true,
+        lowercase: true,
+      },
+    ],
+    type: {
+      type: String,
+      enum: ["single", "multi", "ranked", "rating"],
+      default: "single",
+    },
+    minSelections: {
+      type: Number,
+      min: 1,
+    },
+    maxSelections: {
+      type: Number,
+      min: 1,
+    },
+    quorum: {
+      type: Number,
+      min: 1,
+    },
+    electorateSize: {
+      type: Number,
+      min: 1,
+    },
+    minTurnout: {
+      type: Number,
+      min: 0,
+      max: 100,
+    },
+    voterAttributes: {
+      type: [voterAttributeSchema],
+      default: undefined,
+    },
+    minCellSize: {
+      type: Number,
+    },
+    shuffleOptions: {
+      type: Boolean,
+    },
+    allowWriteIns: {
+      type: Boolean,
+    },
+  },
+  { _id: false }
+);
+
+/**
+ * Defines when a recurring template creates its instances. Occurrences are counted from `startsAt`,
+ * every `interval` days, weeks or months (in UTC); each instance is created as a draft that opens
+ * at its occurrence and, with `openFor`, closes that many minutes later.
+ */
+const recurrenceSchema = new mongoose.Schema(
+  {
+    // How often an instance is created.
+    frequency: {
+      type: String,
+      enum: ["daily", "weekly", "monthly"],
+      required: true,
+    },
+    // Every how many days, weeks or months.
+    interval: {
+      type: Number,
+      min: 1,
+      default: 1,
+    },
+    // When the first instance opens.
+    startsAt: {
+      type: Date,
+      required: true,
+    },
+    // How long each instance stays open, in minutes. Unset leaves instances open until closed by hand.
+    openFor: {
+      type: Number,
+      min: 1,
+    },
+    // No instances open after this time.
+    until: {
+      type: Date,
+    },
+    // How many occurrences have been handled so far (instances created, or skipped while the server was down).
+    count: {
+      type: Number,
+      default: 0,
+    },
+    // When the next instance opens; null once the recurrence has ended.
+    nextRunAt: {
+      type: Date,
+    },
+    // The most recent instance.
+    lastQuestion: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Question",
+    },
+  },
+  { _id: false }
+);
+
+/**
+ * Defines the schema for the 'Template' model: a question with its options saved for reuse.
+ * New questions are created from it on request (POST /api/v1/templates/:id/questions) or, for
+ * recurring templates, by the recurrence job (see services/templates.js). Instances are ordinary
+ * questions that only remember which template they came from; changing or deleting the template
+ * leaves them alone.
+ */
+const templateSchema = new mongoose.Schema(
+  {
+    // A name to find the template by, e.g. "Weekly retro".
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // A note for the people using the template.
+    description: {
+      type: String,
+      trim: true,
+    },
+    // The settings of new questions.
+    question: {
+      type: templateQuestionSchema,
+      required: true,
+    },
+    // The options new questions get, in order: their texts and optional details.
+    options: [
+      {
+        _id: false,
+        text: { type: String, required: true },
+        description: { type: String },
+        imageUrl: { type: String },
+        color: { type: String },
+      },
+    ],
+    // When to create new questions automatically; null for templates only used by hand.
+    recurrence: {
+      type: recurrenceSchema,
+      default: null,
+    },
+    // The user who saved the template; they (and admins) may use and manage it.
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Index used to list the templates of a user.
+templateSchema.index({ owner: 1, _id: -1 });
+// Index used by the recurrence job to find templates with an instance due.
+templateSchema.index({ "recurrence.nextRunAt": 1 });
+
+// Create the 'Template' model; Mongoose will store documents in the 'templates' collection.
+const Template = mongoose.model("Template", templateSchema);
+
+module.exports = Template;
@@ -0,0 +1,77 @@
+// Import Mongoose to define the schema and model for API users.
+const mongoose = require("mongoose");
+// Import Node's crypto module to generate and hash API keys.
+const crypto = require("crypto");
+
+/**
+ * Defines the schema for the 'User' model.
+ * A user is an API client identified by an API key. Only a SHA-256 hash of the key is stored;
+ * the key itself is shown once, when the user is created.
+ */
+const userSchema = new mongoose.Schema(
+  {
+    // A human-readable name for the client (e.g. "Marketing dashboard").
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // What the user may do:
+    //   - 'admin': everything, including managing users and any question.
+    //   - 'owner': create questions and manage the questions they own.
+    //   - 'voter': vote and read only.
+    role: {
+      type: String,
+      enum: ["admin", "owner", "voter"],
+      default: "voter",
+    },
+    // SHA-256 hash of the user's API key, used to look the user up on each request.
+    apiKeyHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Never include the key hash when a user is serialized into a response.
+userSchema.set("toJSON", {
+  transform: function (doc, ret) {
+    delete ret.apiKeyHash;
+    return ret;
+  },
+});
+
+/**
+ * Hashes an API key the same way it is stored.
+ * @param {string} apiKey - The API key.
+ * @returns {string} - The hex encoded SHA-256 hash.
+ */
+userSchema.statics.hashApiKey = function (apiKey) {
+  return crypto.createHash("sha256").update(apiKey).digest("hex");
+};
+
+/**
+ * Generates a new random API key.
+ * @returns {string} - The API key, prefixed with 'pk_' so it is recognisable in logs and config files.
+ */
+userSchema.statics.generateApiKey = function () {
+  return `pk_${crypto.randomBytes(24).toString("hex")}`;
+};
+
+/**
+ * Finds the user an API key belongs to.
+ * @param {string} apiKey - The API key from the request.
+ * @returns {Promise<object|null>} - The User document, or null if the key is unknown.
+ */
+userSchema.statics.findByApiKey = function (apiKey) {
+  return this.findOne({ apiKeyHash: this.hashApiKey(apiKey) });
+};
+
+// Create the 'User' model; Mongoose will store documents in the 'users' collection.
+const User = mongoose.model("User", userSchema);
+
+module.exports = User;
@@ -0,0 +1,102 @@
+// Import the Mongoose library to define the schema and model for individual vote records.
+const mongoose = require("mongoose");
+
+/**
+ * Defines the schema for a single entry on a ballot.
+ * Which fields are used depends on the question type:
+ *   - single / multi: only `option`.
+ *   - ranked: `option` and its `rank` (1 = first preference).
+ *   - rating: `option` and its `score` (1 to 5).
+ */
+const choiceSchema = new mongoose.Schema(
+  {
+    // The option this entry refers to.
+    option: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Option",
+      required: true,
+    },
+    // Position of the option on a ranked-choice ballot.
+    rank: {
+      type: Number,
+    },
+    // Score given to the option on a rating ballot.
+    score: {
+      type: Number,
+    },
+  },
+  // Choices are plain values inside a ballot and don't need their own IDs.
+  { _id: false }
+);
+
+/**
+ * Defines the schema for the 'Vote' model.
+ * Each document is one voter's ballot on one question, holding the choices they made.
+ * The counters on the Option model are kept consistent with these records (see services/ballot.js):
+ * they are incremented when a ballot is cast and adjusted when a voter changes their ballot.
+ */
+const voteSchema = new mongoose.Schema(
+  {
+    // The question this vote belongs to. A voter may only hold one vote per question.
+    question: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Question",
+      required: true,
+    },
+    // The voter's current choices. A single-choice ballot holds exactly one entry, unless the
+    // voter wrote in an answer instead, which leaves it empty while the answer is pending.
+    choices: {
+      type: [choiceSchema],
+      required: true,
+    },
+    // The answer the voter wrote in, while it waits for moderation (see models/write_in.js).
+    // It counts as one of the ballot's selections, but for no option until it is approved or
+    // merged into one, which moves it into `choices`.
+    writeIn: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "WriteIn",
+    },
+    // The voter attributes sent with the ballot, by name, e.g. { region: 'EU', plan: 'pro' }.
+    // Which ones a ballot may carry is defined per question (see `voterAttributes` in models/question.js).
+    attributes: {
+      type: Map,
+      of: String,
+      default: undefined,
+    },
+    // How the voter was identified: an authenticated user, or a fingerprint derived from the
+    // client's IP address and user agent (see utils/voter.js). 'apiKey' is kept for votes
+    // recorded before API keys were tied to users, and 'imported' marks ballots restored from an
+    // export, whose voters are anonymous.
+    voterType: {
+      type: String,
+      enum: ["apiKey", "user", "fingerprint", "imported"],
+      required: true,
+    },
+    // The voter's identity: the user ID, or a SHA-256 hash of the fingerprint (never the raw IP address).
+    voterId: {
+      type: String,
+      required: true,
+    },
+  },
+  {
+    // Record when the vote was first cast (createdAt) and when it was last changed (updatedAt).
+    timestamps: true,
+  }
+);
+
+// Enforce "one vote per voter per question" at the database level.
+// A second insert for the same voter and question fails with a duplicate key error (code 11000),
+// which the controller turns into a 409 Conflict response.
+voteSchema.index({ question: 1, voterType: 1, voterId: 1 }, { unique: true });
+
+// Index used when counting or clearing the votes of a single option.
+voteSchema.index({ "choices.option": 1 });
+
+// Index used to find the ballots carrying a write-in when it is moderated.
+voteSchema.index({ writeIn: 1 }, { sparse: true });
+
+// Create the 'Vote' model; Mongoose will store documents in the 'votes' collection.
+const Vote = mongoose.model("Vote", voteSchema);
+
+// Export the Vote model for use in the option and question controllers.
+module.exports = Vote;
@@ -0,0 +1,44 @@
+// Import Mongoose to define the schema and model for the vote history.
+const mongoose = require("mongoose");
+
+/**
+ * Defines the schema for the 'VoteEvent' model: one change to an option's vote count, with when it
+ * happened. The Option counters only hold running totals; these events keep the history behind them,
+ * so results can be followed over time (see services/analytics.js). They are written together with
+ * the counter updates (see services/ballot.js) and follow the same rules: casting a ballot adds one
+ * for each option it counts for, and changing a ballot removes one from the old options and adds one
+ * to the new ones. Events don't name the ballot or the voter.
+ */
+const voteEventSchema = new mongoose.Schema({
+  // The question the vote belongs to.
+  question: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Question",
+    required: true,
+  },
+  // The option whose count changed.
+  option: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Option",
+    required: true,
+  },
+  // The change to the option's count: 1 for a vote gained, -1 for a vote lost to a changed ballot.
+  delta: {
+    type: Number,
+    enum: [1, -1],
+    required: true,
+  },
+  // When the vote was cast or changed.
+  at: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Index used to aggregate a question's votes over time.
+voteEventSchema.index({ question: 1, at: 1 });
+
+// Create the 'VoteEvent' model; Mongoose will store documents in the 'voteevents' collection.
+const VoteEvent = mongoose.model("VoteEvent", voteEventSchema);
+
+module.exports = VoteEvent;
@@ -0,0 +1,34 @@
+// Import Mongoose to define the embedded schema for voter attributes.
+const mongoose = require("mongoose");
+
+/**
+ * Defines a voter attribute a question asks for, such as the voter's region, plan or team.
+ * Ballots carry the voter's value for each attribute, so results can be broken down by them
+ * (see services/segments.js). Embedded in questions, and in the templates they are created from.
+ */
+const voterAttributeSchema = new mongoose.Schema(
+  {
+    // The key ballots send the value under, e.g. 'region'.
+    name: {
+      type: String,
+      required: true,
+      match: /^[A-Za-z][A-Za-z0-9_]{0,39}$/,
+    },
+    // The values a ballot may send; when empty, any text is accepted.
+    values: [
+      {
+        type: String,
+        trim: true,
+      },
+    ],
+    // Whether every ballot must carry a value.
+    required: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  // Attributes are identified by their name and don't need their own IDs.
+  { _id: false }
+);
+
+module.exports = voterAttributeSchema;
@@ -0,0 +1,96 @@
+// Import Mongoose to define the schema and model for webhooks.
+const mongoose = require("mongoose");
+// Import Node's crypto module to generate signing secrets.
+const crypto = require("crypto");
+// Import the poll event types a webhook can subscribe to.
+const { EVENT_TYPES } = require("../services/poll_events");
+
+/**
+ * Defines the schema for the 'Webhook' model.
+ * A webhook is a URL that receives a signed POST request for every poll event it subscribes to
+ * (see services/webhooks.js), either for one question or for every question.
+ */
+const webhookSchema = new mongoose.Schema(
+  {
+    // The http(s) URL deliveries are POSTed to.
+    url: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // The event types to deliver; an empty list means every event type.
+    events: {
+      type: [{ type: String, enum: EVENT_TYPES }],
+      default: [],
+    },
+    // The question whose events are delivered, or null for the events of every question.
+    // Only admins may register webhooks for every question.
+    question: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Question",
+      default: null,
+    },
+    // A note for people managing the webhook, e.g. "Team chat".
+    description: {
+      type: String,
+      trim: true,
+    },
+    // Paused webhooks keep their settings and delivery log but receive nothing.
+    active: {
+      type: Boolean,
+      default: true,
+    },
+    // The user who registered the webhook; they (and admins) may manage it.
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // The key deliveries are signed with (HMAC-SHA256). Unlike API keys it has to be kept in
+    // the clear to sign with, so it is only loaded when signing and only shown when created.
+    secret: {
+      type: String,
+      required: true,
+      select: false,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Index used to find the webhooks an event goes to.
+webhookSchema.index({ active: 1, question: 1 });
+// Index used to list the webhooks of a user.
+webhookSchema.index({ owner: 1, _id: -1 });
+
+// Never include the signing secret when a webhook is serialized into a response,
+// even if it was loaded for signing.
+webhookSchema.set("toJSON", {
+  transform: function (doc, ret) {
+    delete ret.secret;
+    return ret;
+  },
+});
+
+/**
+ * Generates a new random signing secret.
+ * @returns {string} - The secret, prefixed with 'whsec_' so it is recognisable in config files.
+ */
+webhookSchema.statics.generateSecret = function () {
+  return `whsec_${crypto.randomBytes(24).toString("hex")}`;
+};
+
+/**
+ * Checks whether the webhook subscribes to an event type.
+ * @param {string} type - The event type.
+ * @returns {boolean} - True if the event should be delivered to it.
+ */
+webhookSchema.methods.wants = function (type) {
+  return this.events.length === 0 || this.events.includes(type);
+};
+
+// Create the 'Webhook' model; Mongoose will store documents in the 'webhooks' collection.
+const Webhook = mongoose.model("Webhook", webhookSchema);
+
+module.exports = Webhook;
@@ -0,0 +1,103 @@
+// Import Mongoose to define the schema and model for the webhook delivery log.
+const mongoose = require("mongoose");
+// Import the webhook settings, which say how long deliveries are kept.
+const { logRetentionDays } = require("../config/webhooks");
+
+/**
+ * Defines the schema for one attempt at a delivery, embedded in the delivery.
+ */
+const attemptSchema = new mongoose.Schema(
+  {
+    // When the attempt was made.
+    at: {
+      type: Date,
+      required: true,
+    },
+    // The HTTP status the receiver answered with; absent if it couldn't be reached.
+    statusCode: {
+      type: Number,
+    },
+    // Why the attempt failed, in generic terms: a non-2xx answer, a timeout, an unreachable receiver or
+    // a private or reserved address. The receiver's own error text is never stored.
+    error: {
+      type: String,
+    },
+    // How long the receiver took to answer, in milliseconds.
+    durationMs: {
+      type: Number,
+    },
+  },
+  { _id: false }
+);
+
+/**
+ * Defines the schema for the 'WebhookDelivery' model: one event sent (or to be sent) to one webhook.
+ * Deliveries form the delivery log; the dispatcher in services/webhooks.js picks up pending ones
+ * once their `nextAttemptAt` has passed.
+ */
+const webhookDeliverySchema = new mongoose.Schema(
+  {
+    // The webhook the event is delivered to.
+    webhook: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Webhook",
+      required: true,
+    },
+    // The event type, e.g. 'vote.cast', or 'ping' for test deliveries.
+    event: {
+      type: String,
+      required: true,
+    },
+    // The JSON body sent to the receiver; the same on every attempt and on replays.
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    // Where the delivery stands:
+    //   - 'pending':   not delivered yet; attempted (again) once `nextAttemptAt` has passed.
+    //   - 'delivered': the receiver answered with a 2xx status.
+    //   - 'failed':    every attempt failed; the delivery won't be retried, but can be replayed.
+    status: {
+      type: String,
+      enum: ["pending", "delivered", "failed"],
+      default: "pending",
+    },
+    // When the next attempt is due, for pending deliveries. While an attempt is running, this is
+    // pushed past its timeout, so no other dispatcher picks the delivery up at the same time.
+    nextAttemptAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // Every attempt made so far, oldest first.
+    attempts: {
+      type: [attemptSchema],
+      default: [],
+    },
+    // For replays, the delivery whose payload was sent again.
+    replayOf: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "WebhookDelivery",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Index used by the dispatcher to find the deliveries that are due.
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+// Index used to list the delivery log of a webhook, newest first.
+webhookDeliverySchema.index({ webhook: 1, _id: -1 });
+// Let MongoDB remove deliveries once they are older than the retention period (WEBHOOK_LOG_DAYS).
+webhookDeliverySchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: logRetentionDays * 24 * 60 * 60 }
+);
+
+// Create the 'WebhookDelivery' model; Mongoose will store documents in the 'webhookdeliveries' collection.
+const WebhookDelivery = mongoose.model(
+  "WebhookDelivery",
+  webhookDeliverySchema
+);
+
+module.exports = WebhookDelivery;
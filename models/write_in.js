@@ -0,0 +1,73 @@
+// Import Mongoose to define the schema and model for write-in answers.
+const mongoose = require("mongoose");
+
+/**
+ * Defines the schema for the 'WriteIn' model: an answer voters wrote in on a question that allows
+ * write-ins, instead of picking a listed option. Voters who write in the same answer (ignoring case
+ * and spacing) share one entry. Ballots that carry a pending write-in point at it (see `writeIn` in
+ * models/vote.js) and don't count for any option until the question's owner moderates it:
+ *   - 'approved': the answer became a new option, and the ballots now count for it.
+ *   - 'merged':   the ballots now count for an existing option that means the same.
+ *   - 'rejected': the answer was dropped from the ballots.
+ * Later ballots with a moderated answer follow the decision (see services/write_ins.js).
+ */
+const writeInSchema = new mongoose.Schema(
+  {
+    // The question the answer was written in on.
+    question: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Question",
+      required: true,
+    },
+    // The answer as the first voter wrote it.
+    text: {
+      type: String,
+      trim: true,
+      required: true,
+    },
+    // The answer in lowercase with single spaces, so the same answer is only queued once.
+    key: {
+      type: String,
+      required: true,
+    },
+    // Where the answer is in moderation.
+    status: {
+      type: String,
+      enum: ["pending", "approved", "merged", "rejected"],
+      default: "pending",
+    },
+    // The option the answer became ('approved') or was merged into ('merged').
+    option: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Option",
+    },
+    // The number of ballots moved to the option, or dropped, when the answer was moderated.
+    // Pending answers are counted from their ballots instead.
+    votes: {
+      type: Number,
+    },
+    // Who moderated the answer, and when.
+    moderatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    moderatedAt: {
+      type: Date,
+    },
+  },
+  {
+    // createdAt is when the answer was first written in; updatedAt moves with every ballot
+    // that writes it in again, and with its moderation.
+    timestamps: true,
+  }
+);
+
+// One entry per answer and question; ballots writing in the same answer find it through this index.
+writeInSchema.index({ question: 1, key: 1 }, { unique: true });
+// Index backing the moderation queue of a question.
+writeInSchema.index({ question: 1, status: 1, _id: 1 });
+
+// Create the 'WriteIn' model; Mongoose will store documents in the 'writeins' collection.
+const WriteIn = mongoose.model("WriteIn", writeInSchema);
+
+module.exports = WriteIn;
@@ -0,0 +1,865 @@
+// openapi/components.js
+//
+// The reusable parts of the OpenAPI document: the models the API returns, the common error
+// responses, and the two ways of sending an API key.
+
+// Import the poll types a question can have.
+const { QUESTION_TYPES } = require("../services/question_builder");
+// Import the poll event types webhooks can subscribe to, which also name the audited actions.
+const { EVENT_TYPES } = require("../services/poll_events");
+// Import the intervals the vote analytics can be grouped by.
+const { BUCKETS } = require("../services/analytics");
+// Import the frequencies a template can recur at.
+const { FREQUENCIES } = require("../services/templates");
+
+// Shorthand for a reference to another schema of this document.
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+// A date sent and returned as an ISO 8601 string.
+const dateTime = { type: "string", format: "date-time" };
+
+/**
+ * Describes the `archivedAt` field of questions and options, set when they are deleted.
+ * @param {string} record - What is archived, e.g. 'question'.
+ * @returns {object} - The OpenAPI schema.
+ */
+function archivedAt(record) {
+  return {
+    ...dateTime,
+    nullable: true,
+    description: `When the ${record} was deleted; null while it is live.`,
+  };
+}
+
+const schemas = {
+  ObjectId: {
+    type: "string",
+    pattern: "^[0-9a-fA-F]{24}$",
+    example: "64b7f0c2e4a1f2a3b4c5d6e7",
+  },
+
+  // The common error envelope sent by middleware/error_handler.js.
+  Error: {
+    type: "object",
+    required: ["message", "error"],
+    properties: {
+      message: {
+        type: "string",
+        description: "What went wrong, meant for people; may change.",
+      },
+      error: {
+        type: "object",
+        required: ["code"],
+        properties: {
+          code: {
+            type: "string",
+            description: "Stable, machine-readable error code.",
+          },
+          details: {
+            description:
+              "More about the error when there is more to say, e.g. `[{ in, field, message }]` listing every invalid field for VALIDATION_FAILED.",
+          },
+        },
+      },
+    },
+  },
+
+  Option: {
+    type: "object",
+    properties: {
+      _id: ref("ObjectId"),
+      text: { type: "string" },
+      description: { type: "string" },
+      imageUrl: { type: "string", format: "uri" },
+      color: {
+        type: "string",
+        pattern: "^#[0-9a-f]{6}$",
+        description: "A hex color to show the option in, e.g. '#1e90ff'.",
+      },
+      position: {
+        type: "integer",
+        minimum: 1,
+        description:
+          "The option's place in the order the owner arranged, from 1. Questions with `shuffleOptions` list options in each voter's own order, so the list order can differ.",
+      },
+      votes: {
+        type: "integer",
+        description:
+          "Ballots that include the option (ratings given, on rating polls).",
+      },
+      scoreTotal: {
+        type: "integer",
+        description: "Sum of the scores given on rating polls.",
+      },
+      question: ref("ObjectId"),
+      link_to_vote: {
+        type: "string",
+        format: "uri",
+        description:
+          "Where to POST a vote for the option, built from PUBLIC_BASE_URL, the question's share code and the option's position (`POST /p/{code}/vote/{position}`). Falls back to `POST /api/v1/options/{id}/votes` for questions without a share code.",
+      },
+      archivedAt: archivedAt("option"),
+    },
+  },
+
+  Question: {
+    type: "object",
+    properties: {
+      _id: ref("ObjectId"),
+      title: { type: "string" },
+      type: { type: "string", enum: QUESTION_TYPES },
+      options: {
+        type: "array",
+        description: "The options, or only their IDs where they aren't loaded.",
+        items: { oneOf: [ref("Option"), ref("ObjectId")] },
+      },
+      tags: { type: "array", items: { type: "string" } },
+      minSelections: { type: "integer" },
+      maxSelections: { type: "integer" },
+      totalVotes: { type: "integer" },
+      owner: ref("ObjectId"),
+      quorum: { type: "integer" },
+      electorateSize: { type: "integer" },
+      minTurnout: { type: "number" },
+      status: { type: "string", enum: ["draft", "open", "closed"] },
+      opensAt: dateTime,
+      closesAt: dateTime,
+      createdAt: dateTime,
+      updatedAt: dateTime,
+      archivedAt: archivedAt("question"),
+      voterAttributes: {
+        type: "array",
+        description:
+          "The voter attributes ballots carry, to break results down by.",
+        items: ref("VoterAttribute"),
+      },
+      minCellSize: {
+        type: "integer",
+        description:
+          "The fewest ballots a segment of the results by voter attribute needs to be shown.",
+      },
+      shuffleOptions: {
+        type: "boolean",
+        description:
+          "Whether each voter sees the options in their own random order, the same on every request.",
+      },
+      allowWriteIns: {
+        type: "boolean",
+        description:
+          "Single and multi polls: whether ballots may write in an answer of their own, which the owner moderates.",
+      },
+      template: ref("ObjectId"),
+      clonedFrom: ref("ObjectId"),
+      shareCode: {
+        type: "string",
+        description: "The code of the poll's share link, `/p/{code}`.",
+      },
+      shareUrl: { type: "string", format: "uri" },
+      private: {
+        type: "boolean",
+        description:
+          "Whether the poll needs an access token to be seen and voted on.",
+      },
+    },
+  },
+
+  // The results of a question broken down by a voter attribute (services/segments.js).
+  SegmentResults: {
+    type: "object",
+    properties: {
+      _id: ref("ObjectId"),
+      title: { type: "string" },
+      attribute: { type: "string" },
+      type: { type: "string", enum: QUESTION_TYPES },
+      minCellSize: { type: "integer" },
+      segments: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            value: {
+              type: "string",
+              nullable: true,
+              description:
+                "The attribute value; null for ballots without one. Left out of suppressed segments whose value isn't one of the attribute's allowed values.",
+            },
+            suppressed: {
+              type: "boolean",
+              description:
+                "True if the segment is too small to be shown; it then has no counts.",
+            },
+            ballots: { type: "integer" },
+            options: {
+              type: "array",
+              description:
+                "Per-option counts by poll type (votes, firstPreferences, or ratings and average), with percentage of the segment's ballots.",
+              items: {
+                type: "object",
+                additionalProperties: true,
+                properties: {
+                  _id: ref("ObjectId"),
+                  text: { type: "string" },
+                  percentage: { type: "number" },
+                },
+              },
+            },
+          },
+        },
+      },
+    },
+  },
+
+  // One interval of the vote analytics (services/analytics.js).
+  AnalyticsInterval: {
+    type: "object",
+    properties: {
+      at: { ...dateTime, description: "When the interval starts." },
+      votes: { type: "integer", description: "Votes gained in the interval." },
+      removed: {
+        type: "integer",
+        description: "Votes lost in the interval to changed ballots.",
+      },
+      net: { type: "integer" },
+      cumulative: {
+        type: "integer",
+        description: "The vote count at the end of the interval.",
+      },
+    },
+  },
+
+  Analytics: {
+    type: "object",
+    properties: {
+      _id: ref("ObjectId"),
+      title: { type: "string" },
+      type: { type: "string", enum: QUESTION_TYPES },
+      bucket: { type: "string", enum: BUCKETS },
+      timezone: { type: "string" },
+      from: { ...dateTime, nullable: true },
+      to: { ...dateTime, nullable: true },
+      options: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            _id: ref("ObjectId"),
+            text: { type: "string" },
+            series: { type: "array", items: ref("AnalyticsInterval") },
+          },
+        },
+      },
+      totals: {
+        type: "array",
+        description: "Every option together.",
+        items: ref("AnalyticsInterval"),
+      },
+    },
+  },
+
+  // A poll as voters see it through its share code (GET /p/{code}), without internal IDs.
+  SharedPoll: {
+    type: "object",
+    properties: {
+      code: { type: "string" },
+      title: { type: "string" },
+      type: { type: "string", enum: QUESTION_TYPES },
+      status: { type: "string", enum: ["draft", "open", "closed"] },
+      minSelections: { type: "integer" },
+      maxSelections: { type: "integer" },
+      opensAt: dateTime,
+      closesAt: dateTime,
+      private: { type: "boolean" },
+      voterAttributes: { type: "array", items: ref("VoterAttribute") },
+      allowWriteIns: { type: "boolean" },
+      options: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            position: {
+              type: "integer",
+              minimum: 1,
+              description:
+                "The option's place in the arranged order; polls with `shuffleOptions` list options in the voter's own order.",
+            },
+            text: { type: "string" },
+            description: { type: "string" },
+            imageUrl: { type: "string", format: "uri" },
+            color: { type: "string" },
+            voteUrl: {
+              type: "string",
+              format: "uri",
+              description:
+                "Single-choice polls: POST to it to vote for the option.",
+            },
+          },
+        },
+      },
+      ballotUrl: { type: "string", format: "uri" },
+    },
+  },
+
+  // A ballot stored through a share link, with options named by position.
+  SharedBallot: {
+    type: "object",
+    properties: {
+      poll: { type: "string", description: "The poll's share code." },
+      choices: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            position: { type: "integer", minimum: 1 },
+            rank: { type: "integer" },
+            score: { type: "integer", minimum: 1, maximum: 5 },
+          },
+        },
+      },
+      writeIn: {
+        type: "object",
+        description:
+          "The answer the voter wrote in, while it awaits moderation.",
+        properties: {
+          text: { type: "string" },
+          status: { type: "string", enum: ["pending"] },
+        },
+      },
+      attributes: {
+        type: "object",
+        description: "The voter attributes sent with the ballot.",
+        additionalProperties: { type: "string" },
+      },
+    },
+  },
+
+  // The share settings of a question, for its owner.
+  ShareSettings: {
+    type: "object",
+    properties: {
+      code: { type: "string" },
+      private: { type: "boolean" },
+      accessToken: { type: "string", nullable: true },
+      url: {
+        type: "string",
+        format: "uri",
+        description:
+          "The poll's share link, with the access token of a private poll.",
+      },
+      ballotUrl: { type: "string", format: "uri" },
+      voteUrls: {
+        type: "array",
+        description:
+          "Single-choice polls: the vote link of each option, in order.",
+        items: { type: "string", format: "uri" },
+      },
+    },
+  },
+
+  VoterAttribute: {
+    type: "object",
+    required: ["name"],
+    properties: {
+      name: { type: "string", pattern: "^[A-Za-z][A-Za-z0-9_]{0,39}$" },
+      values: {
+        type: "array",
+        description: "The values a ballot may send; any text if empty.",
+        items: { type: "string" },
+      },
+      required: { type: "boolean" },
+    },
+  },
+
+  // One entry of a ballot; which fields are set depends on the question type.
+  Choice: {
+    type: "object",
+    properties: {
+      option: ref("ObjectId"),
+      rank: {
+        type: "integer",
+        description: "Ranked polls: 1 is the first preference.",
+      },
+      score: {
+        type: "integer",
+        minimum: 1,
+        maximum: 5,
+        description: "Rating polls.",
+      },
+    },
+  },
+
+  Ballot: {
+    type: "object",
+    properties: {
+      _id: ref("ObjectId"),
+      question: ref("ObjectId"),
+      choices: {
+        type: "array",
+        description:
+          "Empty on a single-choice ballot whose written-in answer awaits moderation.",
+        items: ref("Choice"),
+      },
+      writeIn: {
+        type: "object",
+        description:
+          "The answer the voter wrote in, while it awaits moderation; once moderated, it is a choice or gone.",
+        properties: {
+          _id: ref("ObjectId"),
+          text: { type: "string" },
+          status: { type: "string", enum: ["pending"] },
+        },
+      },
+      attributes: {
+        type: "object",
+        description: "The voter attributes sent with the ballot.",
+        additionalProperties: { type: "string" },
+      },
+    },
+  },
+
+  // An answer voters wrote in on a question, and where it is in moderation (models/write_in.js).
+  WriteIn: {
+    type: "object",
+    properties: {
+      _id: ref("ObjectId"),
+      question: ref("ObjectId"),
+      text: { type: "string", description: "The answer as first written in." },
+      key: {
+        type: "string",
+        description:
+          "The answer in lowercase with single spaces; the same answer is queued once.",
+      },
+      status: {
+        type: "string",
+        enum: ["pending", "approved", "merged", "rejected"],
+      },
+      option: {
+        allOf: [ref("ObjectId")],
+        description:
+          "The option the answer became (approved) or was merged into (merged).",
+      },
+      votes: {
+        type: "integer",
+        description:
+          "Pending: the ballots waiting on the answer. Moderated: the ballots moved to the option, or dropped.",
+      },
+      moderatedBy: ref("ObjectId"),
+      moderatedAt: dateTime,
+      createdAt: dateTime,
+      updatedAt: dateTime,
+    },
+  },
+
+  // The results computed by services/results.js.
+  Results: {
+    type: "object",
+    properties: {
+      _id: ref("ObjectId"),
+      title: { type: "string" },
+      type: { type: "string", enum: QUESTION_TYPES },
+      status: { type: "string", enum: ["draft", "open", "closed"] },
+      totalBallots: { type: "integer" },
+      options: {
+        type: "array",
+        description:
+          "Per-option counts by poll type (votes, ratings and average, or firstPreferences and eliminatedInRound), with percentage and rank.",
+        items: {
+          type: "object",
+          additionalProperties: true,
+          properties: {
+            _id: ref("ObjectId"),
+            text: { type: "string" },
+            percentage: { type: "number" },
+            rank: { type: "integer" },
+          },
+        },
+      },
+      leaders: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: { _id: ref("ObjectId"), text: { type: "string" } },
+        },
+      },
+      tie: { type: "boolean" },
+      quorum: {
+        type: "object",
+        properties: {
+          ballots: { type: "integer" },
+          minBallots: { type: "integer", nullable: true },
+          electorateSize: { type: "integer", nullable: true },
+          minTurnout: { type: "number", nullable: true },
+          turnout: { type: "number", nullable: true },
+          met: { type: "boolean" },
+        },
+      },
+      valid: { type: "boolean" },
+      outcome: {
+        type: "object",
+        nullable: true,
+        description: "Only set once the question is closed.",
+        properties: {
+          decided: { type: "boolean" },
+          reason: {
+            type: "string",
+            enum: ["quorum_not_met", "no_votes", "tie"],
+          },
+          winner: { type: "object", additionalProperties: true },
+          tiedOptions: { type: "array", items: { type: "object" } },
+        },
+      },
+      rounds: {
+        type: "array",
+        description: "Ranked polls: the instant-runoff rounds.",
+        items: { type: "object", additionalProperties: true },
+      },
+      winners: {
+        type: "array",
+        description: "Ranked polls: the runoff winner(s).",
+        items: ref("ObjectId"),
+      },
+    },
+  },
+
+  User: {
+    type: "object",
+    properties: {
+      _id: ref("ObjectId"),
+      name: { type: "string" },
+      role: { type: "string", enum: ["admin", "owner", "voter"] },
+      createdAt: dateTime,
+      updatedAt: dateTime,
+    },
+  },
+
+  PageInfo: {
+    type: "object",
+    properties: {
+      limit: { type: "integer" },
+      hasMore: { type: "boolean" },
+      nextCursor: {
+        type: "string",
+        nullable: true,
+        description: "Pass as `cursor` to get the next page.",
+      },
+    },
+  },
+
+  // The document produced by the export routes and accepted by the import routes.
+  ExportDocument: {
+    type: "object",
+    required: ["format", "version", "questions"],
+    properties: {
+      format: { type: "string", enum: ["polling-system.polls"] },
+      version: { type: "integer", enum: [1] },
+      exportedAt: dateTime,
+      questions: {
+        type: "array",
+        items: {
+          type: "object",
+          additionalProperties: true,
+          description:
+            "A question's settings and options, plus its results and anonymized ballots when exported with them.",
+        },
+      },
+    },
+  },
+
+  Template: {
+    type: "object",
+    properties: {
+      _id: ref("ObjectId"),
+      name: { type: "string" },
+      description: { type: "string" },
+      question: {
+        type: "object",
+        description:
+          "The settings of new questions: `title` ('{date}' is replaced with the date a question opens), `tags`, `type`, `minSelections`, `maxSelections`, `quorum`, `electorateSize`, `minTurnout`, `voterAttributes`, `minCellSize`, `shuffleOptions` and `allowWriteIns`.",
+        additionalProperties: true,
+        properties: {
+          title: { type: "string" },
+          type: { type: "string", enum: QUESTION_TYPES },
+        },
+      },
+      options: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            text: { type: "string" },
+            description: { type: "string" },
+            imageUrl: { type: "string", format: "uri" },
+            color: { type: "string" },
+          },
+        },
+      },
+      recurrence: {
+        type: "object",
+        nullable: true,
+        description:
+          "When new questions are created automatically; null for templates only used by hand.",
+        properties: {
+          frequency: { type: "string", enum: FREQUENCIES },
+          interval: {
+            type: "integer",
+            description: "Every how many days, weeks or months.",
+          },
+          startsAt: {
+            ...dateTime,
+            description: "When the first question opens.",
+          },
+          openFor: {
+            type: "integer",
+            description:
+              "How long each question stays open, in minutes; unset leaves it open until closed by hand.",
+          },
+          until: dateTime,
+          count: {
+            type: "integer",
+            description: "How many occurrences have been handled so far.",
+          },
+          nextRunAt: {
+            ...dateTime,
+            nullable: true,
+            description:
+              "When the next question opens; null once the recurrence has ended.",
+          },
+          lastQuestion: ref("ObjectId"),
+        },
+      },
+      owner: ref("ObjectId"),
+      createdAt: dateTime,
+      updatedAt: dateTime,
+    },
+  },
+
+  Webhook: {
+    type: "object",
+    properties: {
+      _id: ref("ObjectId"),
+      url: { type: "string", format: "uri" },
+      events: {
+        type: "array",
+        description: "The event types delivered; empty for all of them.",
+        items: { type: "string", enum: EVENT_TYPES },
+      },
+      question: {
+        allOf: [ref("ObjectId")],
+        nullable: true,
+        description:
+          "The question whose events are delivered; null for every question.",
+      },
+      description: { type: "string" },
+      active: { type: "boolean" },
+      owner: ref("ObjectId"),
+      createdAt: dateTime,
+      updatedAt: dateTime,
+    },
+  },
+
+  WebhookDelivery: {
+    type: "object",
+    properties: {
+      _id: ref("ObjectId"),
+      webhook: ref("ObjectId"),
+      event: { type: "string", description: "The event type, or `ping`." },
+      payload: {
+        type: "object",
+        description: "The JSON body sent to the receiver.",
+        properties: {
+          id: {
+            type: "string",
+            description:
+              "The event ID, the same for every webhook, retry and replay.",
+          },
+          event: { type: "string" },
+          questionId: { type: "string", nullable: true },
+          data: { type: "object", additionalProperties: true },
+          occurredAt: dateTime,
+        },
+      },
+      status: { type: "string", enum: ["pending", "delivered", "failed"] },
+      nextAttemptAt: dateTime,
+      attempts: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            at: dateTime,
+            statusCode: { type: "integer" },
+            error: { type: "string" },
+            durationMs: { type: "integer" },
+          },
+        },
+      },
+      replayOf: ref("ObjectId"),
+      createdAt: dateTime,
+      updatedAt: dateTime,
+    },
+  },
+
+  AuditEntry: {
+    type: "object",
+    properties: {
+      _id: ref("ObjectId"),
+      action: {
+        type: "string",
+        enum: EVENT_TYPES,
+        description: "What happened, named like the poll event it goes with.",
+      },
+      question: ref("ObjectId"),
+      target: {
+        type: "object",
+        description: "The record that changed.",
+        properties: {
+          kind: {
+            type: "string",
+            enum: ["question", "option", "vote", "writeIn"],
+          },
+          id: ref("ObjectId"),
+        },
+      },
+      actor: {
+        type: "object",
+        description:
+          "Who made the change. Anonymous callers have no `user` or `role`; ballots and questions created by a recurring template have no actor.",
+        properties: {
+          user: ref("ObjectId"),
+          role: { type: "string" },
+          ip: { type: "string" },
+          userAgent: { type: "string" },
+        },
+      },
+      before: {
+        type: "object",
+        additionalProperties: true,
+        description: "The record before the change; absent for new records.",
+      },
+      after: {
+        type: "object",
+        additionalProperties: true,
+        description: "The record after the change.",
+      },
+      at: dateTime,
+    },
+  },
+
+  ImportSummary: {
+    type: "object",
+    properties: {
+      questions: { type: "integer" },
+      options: { type: "integer" },
+      ballots: { type: "integer" },
+      questionIds: {
+        type: "array",
+        description: "The IDs of the imported questions.",
+        items: ref("ObjectId"),
+      },
+      idMap: {
+        type: "object",
+        description:
+          "The new ID given to each imported question and option, by old ID.",
+        properties: {
+          questions: { type: "object", additionalProperties: ref("ObjectId") },
+          options: { type: "object", additionalProperties: ref("ObjectId") },
+        },
+      },
+    },
+  },
+};
+
+/**
+ * Describes an error response, restricted to the codes it can carry.
+ * @param {string} description - When the response is sent.
+ * @param {Array<string>} codes - The error codes.
+ * @param {object} [headers] - Response headers sent with the error.
+ * @returns {object} - The OpenAPI response.
+ */
+function errorResponse(description, codes, headers) {
+  return {
+    description,
+    ...(headers ? { headers } : {}),
+    content: {
+      "application/json": {
+        schema: {
+          allOf: [
+            ref("Error"),
+            {
+              type: "object",
+              properties: {
+                error: {
+                  type: "object",
+                  properties: { code: { type: "string", enum: codes } },
+                },
+              },
+            },
+          ],
+        },
+      },
+    },
+  };
+}
+
+// The error responses, by name; the codes match the table in the README.
+const responses = {
+  BadRequest: errorResponse(
+    "The parameters, query string or body are invalid.",
+    ["VALIDATION_FAILED", "INVALID_JSON", "BAD_REQUEST"]
+  ),
+  Unauthorized: errorResponse(
+    "No API key was sent where one is required, or the key is unknown.",
+    ["UNAUTHORIZED"],
+    { "WWW-Authenticate": { schema: { type: "string" } } }
+  ),
+  Forbidden: errorResponse(
+    "The caller's role or ownership doesn't allow the action, the record already has votes, or the poll is private and its access token wasn't sent.",
+    ["FORBIDDEN", "HAS_VOTES", "POLL_TOKEN_REQUIRED"]
+  ),
+  NotFound: errorResponse("The record doesn't exist.", [
+    "QUESTION_NOT_FOUND",
+    "OPTION_NOT_FOUND",
+    "VOTE_NOT_FOUND",
+    "USER_NOT_FOUND",
+    "WEBHOOK_NOT_FOUND",
+    "DELIVERY_NOT_FOUND",
+    "TEMPLATE_NOT_FOUND",
+    "WRITE_IN_NOT_FOUND",
+  ]),
+  Conflict: errorResponse("The record's state doesn't allow the action.", [
+    "QUESTION_NOT_DRAFT",
+    "QUESTION_NOT_OPEN",
+    "QUESTION_CLOSED",
+    "NOT_ENOUGH_OPTIONS",
+    "WRONG_POLL_TYPE",
+    "ALREADY_VOTED",
+    "CONCURRENT_UPDATE",
+    "DUPLICATE",
+    "NOT_ARCHIVED",
+    "WRITE_IN_NOT_PENDING",
+    "WRITE_IN_REJECTED",
+  ]),
+  PayloadTooLarge: errorResponse(
+    "The request body is larger than allowed (BODY_LIMIT, or IMPORT_BODY_LIMIT for imports).",
+    ["PAYLOAD_TOO_LARGE"]
+  ),
+  TooManyRequests: errorResponse(
+    "Too many requests; retry after the number of seconds in Retry-After.",
+    ["RATE_LIMITED"],
+    { "Retry-After": { schema: { type: "integer" } } }
+  ),
+  InternalError: errorResponse(
+    "An unexpected failure; details are logged on the server.",
+    ["INTERNAL_ERROR"]
+  ),
+};
+
+// API keys are accepted as a bearer token or in the X-API-Key header (see middleware/auth.js).
+const securitySchemes = {
+  bearerAuth: {
+    type: "http",
+    scheme: "bearer",
+    description: "The API key as a bearer token.",
+  },
+  apiKeyHeader: { type: "apiKey", in: "header", name: "X-API-Key" },
+};
+
+module.exports = { schemas, responses, securitySchemes };
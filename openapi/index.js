@@ -0,0 +1,180 @@
+// openapi/index.js
+//
+// Assembles the OpenAPI 3 document served at /openapi.json from the route list (./operations),
+// the request schemas (via ./rules) and the shared models and error responses (./components).
+
+// Import the package manifest, whose version is the API's version.
+const { version } = require("../package.json");
+// Import the server settings, whose public base URL is the API's server address.
+const { baseUrl } = require("../config/server");
+const { schemas, responses, securitySchemes } = require("./components");
+const { listOperations } = require("./operations");
+const { parametersFor, requestBodyFor } = require("./rules");
+
+// The tags operations are grouped by, in the order the docs show them.
+const TAGS = [
+  { name: "Questions", description: "Create, list, edit and delete polls." },
+  { name: "Options", description: "The answers a poll offers." },
+  { name: "Lifecycle", description: "Open and close polls." },
+  { name: "Voting", description: "Cast and change votes and ballots." },
+  {
+    name: "Write-ins",
+    description: "Moderate the answers voters write in.",
+  },
+  { name: "Results", description: "Results, once and live." },
+  {
+    name: "Sharing",
+    description: "Short share links for voters, and private polls.",
+  },
+  {
+    name: "Templates",
+    description: "Reusable and recurring polls, and copies of polls.",
+  },
+  { name: "Import and export", description: "Move polls between deployments." },
+  { name: "Audit", description: "Who changed a poll, and when." },
+  { name: "Users", description: "API users and their keys." },
+  { name: "Webhooks", description: "Signed notifications of poll events." },
+  { name: "Documentation", description: "This document and the docs UI." },
+];
+
+// Callers may send an API key either way; public routes also accept requests without one.
+const WITH_KEY = [{ bearerAuth: [] }, { apiKeyHeader: [] }];
+const KEY_OPTIONAL = [{}, ...WITH_KEY];
+
+// The status code of each error response in ./components.
+const ERROR_STATUS = {
+  BadRequest: 400,
+  Unauthorized: 401,
+  Forbidden: 403,
+  NotFound: 404,
+  Conflict: 409,
+  PayloadTooLarge: 413,
+  TooManyRequests: 429,
+  InternalError: 500,
+};
+
+/**
+ * Converts an Express path to an OpenAPI path: '/questions/:id' becomes '/questions/{id}'.
+ * @param {string} path - The Express path.
+ * @returns {string} - The OpenAPI path.
+ */
+function toOpenApiPath(path) {
+  return path.replace(/:(\w+)/g, "{$1}");
+}
+
+/**
+ * Describes who may call a route, for the operation's description.
+ * @param {string|Array<string>} access - The operation's access rule (see ./operations).
+ * @returns {string} - The sentence.
+ */
+function describeAccess(access) {
+  if (access === "public") {
+    return "Access: anyone, with or without an API key.";
+  }
+  if (access === "authenticated") {
+    return "Access: any caller with an API key.";
+  }
+  if (access === "questionOwner") {
+    return "Access: the owner of the question, or an admin.";
+  }
+  if (access === "optionOwner") {
+    return "Access: the owner of the option's question, or an admin.";
+  }
+  return `Access: the ${access.join(" or ")} role${
+    access.length > 1 ? "s" : ""
+  }.`;
+}
+
+/**
+ * Lists the responses of an operation: its success responses, its own error responses,
+ * and the errors every route of its kind can send.
+ * @param {object} op - The operation (see ./operations).
+ * @returns {object} - The OpenAPI responses, by status code.
+ */
+function withCommonErrors(op) {
+  const errors = new Set(op.errors || []);
+  // Unknown API keys are rejected on every route, and every route is rate limited.
+  errors.add("Unauthorized").add("TooManyRequests").add("InternalError");
+  if (op.request) {
+    errors.add("BadRequest");
+  }
+  if (op.request && op.request.body) {
+    errors.add("PayloadTooLarge");
+  }
+  if (op.access !== "public" && op.access !== "authenticated") {
+    errors.add("Forbidden");
+  }
+
+  const result = { ...op.success };
+  for (const [name, status] of Object.entries(ERROR_STATUS)) {
+    if (errors.has(name)) {
+      result[status] = { $ref: `#/components/responses/${name}` };
+    }
+  }
+  return result;
+}
+
+/**
+ * Builds the OpenAPI operation object of a route.
+ * @param {object} op - The operation (see ./operations).
+ * @returns {object} - The OpenAPI operation.
+ */
+function toOperation(op) {
+  const parameters = parametersFor(op.request);
+  const requestBody = requestBodyFor(op.request);
+  return {
+    tags: [op.tag],
+    summary: op.summary,
+    description: [op.description, describeAccess(op.access)]
+      .filter(Boolean)
+      .join("\n\n"),
+    operationId: op.operationId,
+    ...(op.deprecated ? { deprecated: true } : {}),
+    ...(parameters.length > 0 ? { parameters } : {}),
+    ...(requestBody ? { requestBody } : {}),
+    responses: withCommonErrors(op),
+    security: op.access === "public" ? KEY_OPTIONAL : WITH_KEY,
+  };
+}
+
+/**
+ * Builds the OpenAPI document describing every route of the API.
+ * @returns {object} - The OpenAPI 3 document.
+ */
+function buildDocument() {
+  const paths = {};
+  for (const op of listOperations()) {
+    const path = toOpenApiPath(op.path);
+    paths[path] = paths[path] || {};
+    paths[path][op.method] = toOperation(op);
+  }
+  return {
+    openapi: "3.0.3",
+    info: {
+      title: "Polling System API",
+      version,
+      description:
+        "Create polls, vote and follow the results. Errors share one envelope, `{ message, error: { code, details } }`. Routes outside /api/v1 are deprecated aliases kept for existing clients, except /users.",
+    },
+    servers: [{ url: baseUrl }],
+    tags: TAGS,
+    paths,
+    components: { schemas, responses, securitySchemes },
+  };
+}
+
+// The document only depends on the code and the configuration, so it is built once.
+let cached = null;
+
+/**
+ * Returns the OpenAPI document, building it on first use.
+ * @returns {object} - The OpenAPI 3 document.
+ */
+module.exports.openApiDocument = function () {
+  if (!cached) {
+    cached = buildDocument();
+  }
+  return cached;
+};
+
+module.exports.toOpenApiPath = toOpenApiPath;
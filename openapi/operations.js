@@ -0,0 +1,1071 @@
+// openapi/operations.js
+//
+// Every route of the API, as OpenAPI operations. The /api/v1 routes are described in full; the
+// deprecated legacy routes and the unversioned /users routes reuse the description of their
+// /api/v1 counterpart. Paths are written the Express way (':id'), like in the routers.
+// When adding a route, add it here as well: `npm test` fails for routes missing from this list.
+
+// Import the request schemas, which describe each route's parameters and body.
+const questionSchemas = require("../schemas/question");
+const optionSchemas = require("../schemas/option");
+const userSchemas = require("../schemas/user");
+const webhookSchemas = require("../schemas/webhook");
+const shareSchemas = require("../schemas/share");
+const templateSchemas = require("../schemas/template");
+const writeInSchemas = require("../schemas/write_in");
+
+// Shorthand for a reference to a schema of this document.
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+/**
+ * Describes a JSON response in the API's usual `{ message, data }` shape.
+ * @param {string} description - What the response contains.
+ * @param {object} [data] - The schema of `data`; omitted for responses that only carry a message.
+ * @param {object} [extra] - Further top-level properties, e.g. `pageInfo`.
+ * @returns {object} - The OpenAPI response.
+ */
+function json(description, data, extra = {}) {
+  return {
+    description,
+    content: {
+      "application/json": {
+        schema: {
+          type: "object",
+          properties: {
+            message: { type: "string" },
+            ...(data ? { data } : {}),
+            ...extra,
+          },
+        },
+      },
+    },
+  };
+}
+
+// The /api/v1 routes. `access` is one of:
+//   - 'public':        anyone, with or without an API key.
+//   - 'authenticated': any caller with a valid API key.
+//   - a list of roles: callers with one of these roles.
+//   - 'questionOwner' / 'optionOwner': the owner of the question (or of the option's question), or an admin.
+// `request` is the route's schema from schemas/, and `errors` the error responses besides those
+// every route can send (see `withCommonErrors` in openapi/index.js).
+const v1 = [
+  {
+    method: "get",
+    path: "/api/v1/questions",
+    operationId: "listQuestions",
+    tag: "Questions",
+    summary: "List questions",
+    description:
+      "One page of questions, newest first by default. Pass `pageInfo.nextCursor` as `cursor` to get the next page. `owner=me` needs an API key. Admins can pass `archived=true` to list deleted questions instead.",
+    access: "public",
+    request: questionSchemas.list,
+    success: {
+      200: json(
+        "A page of questions.",
+        { type: "array", items: ref("Question") },
+        {
+          pageInfo: ref("PageInfo"),
+        }
+      ),
+    },
+  },
+  {
+    method: "post",
+    path: "/api/v1/questions",
+    operationId: "createQuestion",
+    tag: "Questions",
+    summary: "Create a question",
+    description:
+      "New questions start as drafts; the caller becomes their owner.",
+    access: ["admin", "owner"],
+    request: questionSchemas.create,
+    success: { 201: json("The created question.", ref("Question")) },
+  },
+  {
+    method: "post",
+    path: "/api/v1/questions/bulk",
+    operationId: "bulkCreateQuestion",
+    tag: "Questions",
+    summary: "Create a question with its options",
+    description: "Creates the question and its options in one atomic request.",
+    access: ["admin", "owner"],
+    request: questionSchemas.bulkCreate,
+    success: {
+      201: json("The created question, with its options.", ref("Question")),
+    },
+  },
+  {
+    method: "post",
+    path: "/api/v1/questions/batch",
+    operationId: "batchCreateQuestions",
+    tag: "Questions",
+    summary: "Create many questions",
+    description:
+      "Creates every question, each with its options, or none of them. Invalid polls are listed in `error.details` as `{ index, message }`.",
+    access: ["admin", "owner"],
+    request: questionSchemas.batchCreate,
+    success: {
+      201: json("The created questions.", {
+        type: "array",
+        items: ref("Question"),
+      }),
+    },
+  },
+  {
+    method: "get",
+    path: "/api/v1/questions/export",
+    operationId: "exportQuestions",
+    tag: "Import and export",
+    summary: "Export every question",
+    description:
+      "Streams every question and its options as one JSON document, with anonymized ballots if `ballots=true`.",
+    access: ["admin"],
+    request: questionSchemas.exportAll,
+    success: {
+      200: {
+        description: "The export document, sent as an attachment.",
+        content: { "application/json": { schema: ref("ExportDocument") } },
+      },
+    },
+  },
+  {
+    method: "post",
+    path: "/api/v1/questions/import",
+    operationId: "importQuestions",
+    tag: "Import and export",
+    summary: "Import questions",
+    description:
+      "Imports the questions, options and ballots of an export document under new IDs. Nothing is imported if any question is invalid.",
+    access: ["admin", "owner"],
+    request: questionSchemas.importPolls,
+    success: { 201: json("What was imported.", ref("ImportSummary")) },
+  },
+  {
+    method: "get",
+    path: "/api/v1/questions/:id",
+    operationId: "getQuestion",
+    tag: "Questions",
+    summary: "Get a question",
+    access: "public",
+    request: questionSchemas.byId,
+    success: { 200: json("The question, with its options.", ref("Question")) },
+    errors: ["NotFound", "Forbidden"],
+  },
+  {
+    method: "patch",
+    path: "/api/v1/questions/:id",
+    operationId: "updateQuestion",
+    tag: "Questions",
+    summary: "Edit a question",
+    description:
+      "Each edit is recorded in the question's revision history. Empty values clear optional settings. Some settings can only change while the question is a draft; once it is closed, only an admin passing `force` may change settings that affect its outcome.",
+    access: "questionOwner",
+    request: questionSchemas.update,
+    success: { 200: json("The updated question.", ref("Question")) },
+    errors: ["NotFound", "Conflict"],
+  },
+  {
+    method: "delete",
+    path: "/api/v1/questions/:id",
+    operationId: "deleteQuestion",
+    tag: "Questions",
+    summary: "Delete a question",
+    description:
+      "Archives the question, even if it has votes: it disappears from every route, but its options and ballots are kept. An admin can restore it until it is purged, ARCHIVE_RETENTION_DAYS after deletion.",
+    access: "questionOwner",
+    request: questionSchemas.byId,
+    success: { 200: json("The deleted question.", ref("Question")) },
+    errors: ["NotFound"],
+  },
+  {
+    method: "post",
+    path: "/api/v1/questions/:id/restore",
+    operationId: "restoreQuestion",
+    tag: "Questions",
+    summary: "Restore a deleted question",
+    description:
+      "Brings back a deleted question, with its options and ballots, until it is purged.",
+    access: ["admin"],
+    request: questionSchemas.byId,
+    success: { 200: json("The restored question.", ref("Question")) },
+    errors: ["NotFound", "Conflict"],
+  },
+  {
+    method: "get",
+    path: "/api/v1/questions/:id/options",
+    operationId: "listOptions",
+    tag: "Options",
+    summary: "List the options of a question",
+    description:
+      "Options are listed in the order the owner arranged, each with its `position`. On questions with `shuffleOptions`, every caller but the owner and admins gets them in their own random order, the same on every request.",
+    access: "public",
+    request: optionSchemas.list,
+    success: {
+      200: json("The options.", { type: "array", items: ref("Option") }),
+    },
+    errors: ["NotFound", "Forbidden"],
+  },
+  {
+    method: "post",
+    path: "/api/v1/questions/:id/options",
+    operationId: "createOption",
+    tag: "Options",
+    summary: "Add an option to a draft question",
+    description:
+      "The option is added at the end of the list and may carry a `description`, an http(s) `imageUrl` and a hex `color`.",
+    access: "questionOwner",
+    request: optionSchemas.create,
+    success: {
+      200: {
+        description: "The created option.",
+        content: { "application/json": { schema: ref("Option") } },
+      },
+    },
+    errors: ["NotFound", "Conflict"],
+  },
+  {
+    method: "put",
+    path: "/api/v1/questions/:id/options/order",
+    operationId: "reorderOptions",
+    tag: "Options",
+    summary: "Arrange the options of a question",
+    description:
+      "The body lists the IDs of all of the question's options, each once, in their new order. Only while the question is a draft, since share links name options by their position.",
+    access: "questionOwner",
+    request: optionSchemas.reorder,
+    success: {
+      200: json("The options in their new order.", {
+        type: "array",
+        items: ref("Option"),
+      }),
+    },
+    errors: ["NotFound", "Conflict"],
+  },
+  {
+    method: "post",
+    path: "/api/v1/questions/:id/open",
+    operationId: "openQuestion",
+    tag: "Lifecycle",
+    summary: "Open a question for voting",
+    description:
+      "Opens a draft now, or schedules it to open at `opensAt`. The question needs enough options for its type.",
+    access: "questionOwner",
+    request: questionSchemas.open,
+    success: {
+      200: json("The opened or scheduled question.", ref("Question")),
+    },
+    errors: ["NotFound", "Conflict"],
+  },
+  {
+    method: "post",
+    path: "/api/v1/questions/:id/close",
+    operationId: "closeQuestion",
+    tag: "Lifecycle",
+    summary: "Close a question",
+    description: "No further votes are accepted once a question is closed.",
+    access: "questionOwner",
+    request: questionSchemas.byId,
+    success: { 200: json("The closed question.", ref("Question")) },
+    errors: ["NotFound", "Conflict"],
+  },
+  {
+    method: "get",
+    path: "/api/v1/questions/:id/results",
+    operationId: "getResults",
+    tag: "Results",
+    summary: "Get the results of a question",
+    access: "public",
+    request: questionSchemas.byId,
+    success: { 200: json("The results.", ref("Results")) },
+    errors: ["NotFound", "Forbidden"],
+  },
+  {
+    method: "get",
+    path: "/api/v1/questions/:id/results/segments",
+    operationId: "getSegmentResults",
+    tag: "Results",
+    summary: "Break the results down by a voter attribute",
+    description:
+      "For each value of the voter attribute `by`, the ballots and each option's tally within them. Segments with fewer ballots than the question's minimum cell size are suppressed, together with the smallest other segments where needed, so their counts can't be worked out from the totals.",
+    access: "public",
+    request: questionSchemas.segments,
+    success: { 200: json("The segments.", ref("SegmentResults")) },
+    errors: ["NotFound", "Forbidden"],
+  },
+  {
+    method: "get",
+    path: "/api/v1/questions/:id/stream",
+    operationId: "streamResults",
+    tag: "Results",
+    summary: "Stream live results",
+    description:
+      "Server-Sent Events: a `results` event with the current results, then one after every change. WebSocket clients connect to the same path.",
+    access: "public",
+    request: questionSchemas.byId,
+    success: {
+      200: {
+        description: "The event stream.",
+        content: { "text/event-stream": { schema: { type: "string" } } },
+      },
+    },
+    errors: ["NotFound", "Forbidden"],
+  },
+  {
+    method: "get",
+    path: "/api/v1/questions/:id/analytics",
+    operationId: "getAnalytics",
+    tag: "Results",
+    summary: "Follow a question's votes over time",
+    description:
+      "Per option and in total, per `bucket` (minute, hour or day, aligned to `timezone`): the votes gained and lost in each interval and the count at its end. Only intervals with votes are listed. Ranked-choice polls count first preferences.",
+    access: "public",
+    request: questionSchemas.analytics,
+    success: { 200: json("The timeline.", ref("Analytics")) },
+    errors: ["NotFound", "Forbidden"],
+  },
+  {
+    method: "get",
+    path: "/api/v1/questions/:id/export",
+    operationId: "exportQuestion",
+    tag: "Import and export",
+    summary: "Export a question",
+    description:
+      "The question with its options, results and anonymized ballots as JSON, or its results or ballots (`part`) as CSV.",
+    access: "questionOwner",
+    request: questionSchemas.exportQuestion,
+    success: {
+      200: {
+        description: "The export, sent as an attachment.",
+        content: {
+          "application/json": { schema: ref("ExportDocument") },
+          "text/csv": { schema: { type: "string" } },
+        },
+      },
+    },
+    errors: ["NotFound"],
+  },
+  {
+    method: "get",
+    path: "/api/v1/questions/:id/audit",
+    operationId: "getQuestionAudit",
+    tag: "Audit",
+    summary: "Get a question's audit log",
+    description:
+      "Every change to the question, its options and its ballots, newest first, with who made it and the record before and after. Deleted questions keep their log. Pass `pageInfo.nextCursor` as `cursor` to get the next page.",
+    access: "questionOwner",
+    request: questionSchemas.audit,
+    success: {
+      200: json(
+        "A page of audit entries.",
+        { type: "array", items: ref("AuditEntry") },
+        { pageInfo: ref("PageInfo") }
+      ),
+    },
+    errors: ["NotFound"],
+  },
+  {
+    method: "get",
+    path: "/api/v1/questions/:id/share",
+    operationId: "getShareSettings",
+    tag: "Sharing",
+    summary: "Get a question's share links",
+    description:
+      "The share code, the links to hand out to voters and, for private polls, the access token they carry. Questions created before share codes existed are given one.",
+    access: "questionOwner",
+    request: questionSchemas.byId,
+    success: { 200: json("The share settings.", ref("ShareSettings")) },
+    errors: ["NotFound"],
+  },
+  {
+    method: "post",
+    path: "/api/v1/questions/:id/share/token",
+    operationId: "createAccessToken",
+    tag: "Sharing",
+    summary: "Make a poll private, or replace its access token",
+    description:
+      "From then on the poll can only be seen and voted on with the token (or by its owner and admins). Links with a previous token stop working.",
+    access: "questionOwner",
+    request: questionSchemas.byId,
+    success: {
+      201: json("The share settings with the new token.", ref("ShareSettings")),
+    },
+    errors: ["NotFound"],
+  },
+  {
+    method: "delete",
+    path: "/api/v1/questions/:id/share/token",
+    operationId: "removeAccessToken",
+    tag: "Sharing",
+    summary: "Make a private poll public",
+    access: "questionOwner",
+    request: questionSchemas.byId,
+    success: { 200: json("The share settings.", ref("ShareSettings")) },
+    errors: ["NotFound"],
+  },
+  {
+    method: "post",
+    path: "/api/v1/questions/:id/ballot",
+    operationId: "submitBallot",
+    tag: "Voting",
+    summary: "Submit a ballot",
+    description:
+      "The body depends on the poll type: `option` (single), `options` (multi), `ranking` (ranked) or `ratings` (rating, scores from 1 to 5). On questions with `allowWriteIns`, `writeIn` is an answer of the voter's own, instead of `option` or besides `options`: an answer matching an option counts for it, a new one waits for the owner's moderation, and one the owner rejected is refused with WRITE_IN_REJECTED. Each voter may submit one ballot per question.",
+    access: "public",
+    request: questionSchemas.ballot,
+    success: { 201: json("The stored ballot.", ref("Ballot")) },
+    errors: ["NotFound", "Forbidden", "Conflict"],
+  },
+  {
+    method: "put",
+    path: "/api/v1/questions/:id/ballot",
+    operationId: "replaceBallot",
+    tag: "Voting",
+    summary: "Replace a ballot",
+    description:
+      "Replaces the caller's existing ballot; the body is the same as when submitting.",
+    access: "public",
+    request: questionSchemas.ballot,
+    success: { 200: json("The stored ballot.", ref("Ballot")) },
+    errors: ["NotFound", "Forbidden", "Conflict"],
+  },
+  {
+    method: "get",
+    path: "/api/v1/questions/:id/write-ins",
+    operationId: "listWriteIns",
+    tag: "Write-ins",
+    summary: "List a question's write-ins",
+    description:
+      "The answers voters wrote in, oldest first, optionally only those with one `status`. Pending answers carry the number of ballots waiting on them.",
+    access: "questionOwner",
+    request: writeInSchemas.list,
+    success: {
+      200: json(
+        "A page of write-ins.",
+        { type: "array", items: ref("WriteIn") },
+        { pageInfo: ref("PageInfo") }
+      ),
+    },
+    errors: ["NotFound"],
+  },
+  {
+    method: "post",
+    path: "/api/v1/questions/:id/write-ins/:writeInId/approve",
+    operationId: "approveWriteIn",
+    tag: "Write-ins",
+    summary: "Approve a write-in",
+    description:
+      "Turns a pending answer into a new option, with `text` if sent (to correct its spelling), and counts the ballots that wrote it in for it. An answer matching an existing option is refused with DUPLICATE; merge it instead. A closed question's write-ins can only be moderated by an admin passing `force`.",
+    access: "questionOwner",
+    request: writeInSchemas.approve,
+    success: {
+      200: json("The moderated write-in and the new option.", {
+        type: "object",
+        properties: { writeIn: ref("WriteIn"), option: ref("Option") },
+      }),
+    },
+    errors: ["NotFound", "Forbidden", "Conflict"],
+  },
+  {
+    method: "post",
+    path: "/api/v1/questions/:id/write-ins/:writeInId/merge",
+    operationId: "mergeWriteIn",
+    tag: "Write-ins",
+    summary: "Merge a write-in into an option",
+    description:
+      "Counts the ballots that wrote in a pending answer for an existing `option` of the question that means the same. Later ballots writing in the answer count for the option too.",
+    access: "questionOwner",
+    request: writeInSchemas.merge,
+    success: {
+      200: json("The moderated write-in and the option.", {
+        type: "object",
+        properties: { writeIn: ref("WriteIn"), option: ref("Option") },
+      }),
+    },
+    errors: ["NotFound", "Forbidden", "Conflict"],
+  },
+  {
+    method: "post",
+    path: "/api/v1/questions/:id/write-ins/:writeInId/reject",
+    operationId: "rejectWriteIn",
+    tag: "Write-ins",
+    summary: "Reject a write-in",
+    description:
+      "Drops a pending answer from the ballots that wrote it in. Ballots left without any choice are removed, so those voters can vote again; later ballots writing in the answer are refused.",
+    access: "questionOwner",
+    request: writeInSchemas.reject,
+    success: {
+      200: json("The moderated write-in.", {
+        type: "object",
+        properties: {
+          writeIn: ref("WriteIn"),
+          removedBallots: {
+            type: "integer",
+            description:
+              "The ballots removed because the answer was their only choice.",
+          },
+        },
+      }),
+    },
+    errors: ["NotFound", "Forbidden", "Conflict"],
+  },
+  {
+    method: "patch",
+    path: "/api/v1/options/:id",
+    operationId: "updateOption",
+    tag: "Options",
+    summary: "Edit an option",
+    description:
+      "Only the fields sent are changed; an empty `description`, `imageUrl` or `color` removes it. Changing the text or description is refused once the option has votes, unless an admin passes `force`; the image and color can always be changed. Each edit is recorded in the option's revision history.",
+    access: "optionOwner",
+    request: optionSchemas.update,
+    success: { 200: json("The updated option.", ref("Option")) },
+    errors: ["NotFound", "Conflict"],
+  },
+  {
+    method: "delete",
+    path: "/api/v1/options/:id",
+    operationId: "deleteOption",
+    tag: "Options",
+    summary: "Delete an option",
+    description:
+      "Only options of draft questions without votes can be deleted. The option is archived; an admin can restore it until it is purged, ARCHIVE_RETENTION_DAYS after deletion.",
+    access: "optionOwner",
+    request: optionSchemas.byId,
+    success: { 200: json("The deleted option.", ref("Option")) },
+    errors: ["NotFound", "Conflict"],
+  },
+  {
+    method: "post",
+    path: "/api/v1/options/:id/restore",
+    operationId: "restoreOption",
+    tag: "Options",
+    summary: "Restore a deleted option",
+    description:
+      "Adds a deleted option back to its question, which must still be a draft, until the option is purged.",
+    access: ["admin"],
+    request: optionSchemas.byId,
+    success: { 200: json("The restored option.", ref("Option")) },
+    errors: ["NotFound", "Conflict"],
+  },
+  {
+    method: "post",
+    path: "/api/v1/options/:id/votes",
+    operationId: "addVote",
+    tag: "Voting",
+    summary: "Vote for an option",
+    description:
+      "Casts the caller's vote on a single-choice question. Other poll types take full ballots.",
+    access: "public",
+    request: optionSchemas.vote,
+    success: {
+      200: json("The option, with its updated count.", ref("Option")),
+    },
+    errors: ["NotFound", "Forbidden", "Conflict"],
+  },
+  {
+    method: "put",
+    path: "/api/v1/options/:id/votes",
+    operationId: "changeVote",
+    tag: "Voting",
+    summary: "Move a vote to an option",
+    description:
+      "Moves the caller's existing vote on the question to this option.",
+    access: "public",
+    request: optionSchemas.byId,
+    success: {
+      200: json("The option, with its updated count.", ref("Option")),
+    },
+    errors: ["NotFound", "Forbidden", "Conflict"],
+  },
+  {
+    method: "post",
+    path: "/api/v1/questions/:id/clone",
+    operationId: "cloneQuestion",
+    tag: "Templates",
+    summary: "Copy a question",
+    description:
+      "Creates a new draft owned by the caller with the question's settings and options, but none of its votes. The copy gets no schedule unless `opensAt`/`closesAt` are sent, and names the original in `clonedFrom`.",
+    access: "questionOwner",
+    request: questionSchemas.clone,
+    success: {
+      201: json("The new question, with its options.", ref("Question")),
+    },
+    errors: ["NotFound"],
+  },
+  {
+    method: "post",
+    path: "/api/v1/questions/:id/template",
+    operationId: "saveQuestionAsTemplate",
+    tag: "Templates",
+    summary: "Save a question as a template",
+    description:
+      "Saves the question's settings and current options as a template owned by the caller. `name` defaults to the question's title. See `createTemplate` for `recurrence`.",
+    access: "questionOwner",
+    request: templateSchemas.fromQuestion,
+    success: { 201: json("The new template.", ref("Template")) },
+    errors: ["NotFound"],
+  },
+  {
+    method: "get",
+    path: "/api/v1/templates",
+    operationId: "listTemplates",
+    tag: "Templates",
+    summary: "List templates",
+    description:
+      "The caller's templates; admins see every template. `recurring` narrows the list to templates that do or don't recur.",
+    access: ["admin", "owner"],
+    request: templateSchemas.list,
+    success: {
+      200: json("The templates, newest first.", {
+        type: "array",
+        items: ref("Template"),
+      }),
+    },
+  },
+  {
+    method: "post",
+    path: "/api/v1/templates",
+    operationId: "createTemplate",
+    tag: "Templates",
+    summary: "Create a template",
+    description:
+      "Saves a poll, in the format of `bulkCreateQuestion` without `opensAt`/`closesAt`, for reuse. `{date}` in the title is replaced with the date each question opens. With `recurrence` (`frequency`: daily, weekly or monthly; `interval`; `startsAt`; optional `openFor` in minutes and `until`), a new question is created for every occurrence, as a draft that opens at the occurrence.",
+    access: ["admin", "owner"],
+    request: templateSchemas.create,
+    success: { 201: json("The new template.", ref("Template")) },
+  },
+  {
+    method: "get",
+    path: "/api/v1/templates/:id",
+    operationId: "getTemplate",
+    tag: "Templates",
+    summary: "Get a template",
+    access: ["admin", "owner"],
+    request: templateSchemas.byId,
+    success: { 200: json("The template.", ref("Template")) },
+    errors: ["NotFound"],
+  },
+  {
+    method: "patch",
+    path: "/api/v1/templates/:id",
+    operationId: "updateTemplate",
+    tag: "Templates",
+    summary: "Edit a template",
+    description:
+      "Changes only the fields sent; `options` replaces the whole list. A new `recurrence` starts counting from its `startsAt`; an empty one stops the template from recurring. Questions already created from the template are left alone.",
+    access: ["admin", "owner"],
+    request: templateSchemas.update,
+    success: { 200: json("The updated template.", ref("Template")) },
+    errors: ["NotFound"],
+  },
+  {
+    method: "delete",
+    path: "/api/v1/templates/:id",
+    operationId: "deleteTemplate",
+    tag: "Templates",
+    summary: "Delete a template",
+    description:
+      "Deletes the template; the questions created from it are kept.",
+    access: ["admin", "owner"],
+    request: templateSchemas.byId,
+    success: { 200: json("The deleted template.", ref("Template")) },
+    errors: ["NotFound"],
+  },
+  {
+    method: "post",
+    path: "/api/v1/templates/:id/questions",
+    operationId: "createQuestionFromTemplate",
+    tag: "Templates",
+    summary: "Create a question from a template",
+    description:
+      "Creates a new draft owned by the caller with the template's settings and options. `title` replaces the template's title; `opensAt` and `closesAt` schedule the question.",
+    access: ["admin", "owner"],
+    request: templateSchemas.instantiate,
+    success: {
+      201: json("The new question, with its options.", ref("Question")),
+    },
+    errors: ["NotFound"],
+  },
+  {
+    method: "get",
+    path: "/api/v1/webhooks",
+    operationId: "listWebhooks",
+    tag: "Webhooks",
+    summary: "List webhooks",
+    description: "The caller's webhooks; admins see every webhook.",
+    access: ["admin", "owner"],
+    request: webhookSchemas.list,
+    success: {
+      200: json("The webhooks, newest first.", {
+        type: "array",
+        items: ref("Webhook"),
+      }),
+    },
+  },
+  {
+    method: "post",
+    path: "/api/v1/webhooks",
+    operationId: "createWebhook",
+    tag: "Webhooks",
+    summary: "Register a webhook",
+    description:
+      "Registers a URL to receive the events of one question (its owner or an admin), or of every question (admins only). `events` lists the event types to deliver; leave it out for all of them. The signing secret is only returned here; store it. URLs whose host is, or resolves to, a loopback, private, link-local or otherwise reserved address, and internal host names, are refused.",
+    access: ["admin", "owner"],
+    request: webhookSchemas.create,
+    success: {
+      201: json("The webhook and its signing secret.", {
+        type: "object",
+        properties: { webhook: ref("Webhook"), secret: { type: "string" } },
+      }),
+    },
+    errors: ["NotFound"],
+  },
+  {
+    method: "get",
+    path: "/api/v1/webhooks/:id",
+    operationId: "getWebhook",
+    tag: "Webhooks",
+    summary: "Get a webhook",
+    access: ["admin", "owner"],
+    request: webhookSchemas.byId,
+    success: { 200: json("The webhook.", ref("Webhook")) },
+    errors: ["NotFound"],
+  },
+  {
+    method: "patch",
+    path: "/api/v1/webhooks/:id",
+    operationId: "updateWebhook",
+    tag: "Webhooks",
+    summary: "Edit a webhook",
+    description:
+      "Changes the URL, events or description, or pauses (`active=false`) or resumes the webhook. An empty `events` list subscribes to every event. The URL is checked like on registration.",
+    access: ["admin", "owner"],
+    request: webhookSchemas.update,
+    success: { 200: json("The updated webhook.", ref("Webhook")) },
+    errors: ["NotFound"],
+  },
+  {
+    method: "delete",
+    path: "/api/v1/webhooks/:id",
+    operationId: "deleteWebhook",
+    tag: "Webhooks",
+    summary: "Delete a webhook",
+    description: "Deletes the webhook and its delivery log.",
+    access: ["admin", "owner"],
+    request: webhookSchemas.byId,
+    success: { 200: json("The deleted webhook.", ref("Webhook")) },
+    errors: ["NotFound"],
+  },
+  {
+    method: "post",
+    path: "/api/v1/webhooks/:id/ping",
+    operationId: "pingWebhook",
+    tag: "Webhooks",
+    summary: "Send a test event",
+    description:
+      "Sends a signed `ping` event right away, even to a paused webhook, and reports whether it was delivered. The receiver's answer is only kept in the delivery log.",
+    access: ["admin", "owner"],
+    request: webhookSchemas.byId,
+    success: {
+      201: json(
+        "The ping's delivery, without its attempts.",
+        ref("WebhookDelivery")
+      ),
+    },
+    errors: ["NotFound"],
+  },
+  {
+    method: "get",
+    path: "/api/v1/webhooks/:id/deliveries",
+    operationId: "listWebhookDeliveries",
+    tag: "Webhooks",
+    summary: "List a webhook's deliveries",
+    description:
+      "The delivery log, newest first. Deliveries are kept for WEBHOOK_LOG_DAYS days.",
+    access: ["admin", "owner"],
+    request: webhookSchemas.deliveries,
+    success: {
+      200: json(
+        "A page of deliveries.",
+        { type: "array", items: ref("WebhookDelivery") },
+        { pageInfo: ref("PageInfo") }
+      ),
+    },
+    errors: ["NotFound"],
+  },
+  {
+    method: "get",
+    path: "/api/v1/webhooks/:id/deliveries/:deliveryId",
+    operationId: "getWebhookDelivery",
+    tag: "Webhooks",
+    summary: "Get a delivery",
+    access: ["admin", "owner"],
+    request: webhookSchemas.delivery,
+    success: {
+      200: json("The delivery, with every attempt.", ref("WebhookDelivery")),
+    },
+    errors: ["NotFound"],
+  },
+  {
+    method: "post",
+    path: "/api/v1/webhooks/:id/deliveries/:deliveryId/replay",
+    operationId: "replayWebhookDelivery",
+    tag: "Webhooks",
+    summary: "Replay a delivery",
+    description:
+      "Sends the delivery's payload again right away, as a new delivery that is retried like any other if it fails.",
+    access: ["admin", "owner"],
+    request: webhookSchemas.delivery,
+    success: {
+      201: json(
+        "The new delivery, without its attempts.",
+        ref("WebhookDelivery")
+      ),
+    },
+    errors: ["NotFound"],
+  },
+];
+
+// The user routes, relative to where they are mounted: both /api/v1/users and /users.
+const users = [
+  {
+    method: "get",
+    path: "/me",
+    operationId: "getCurrentUser",
+    tag: "Users",
+    summary: "Get the caller's user",
+    access: "authenticated",
+    success: { 200: json("The user the API key belongs to.", ref("User")) },
+  },
+  {
+    method: "post",
+    path: "/",
+    operationId: "createUser",
+    tag: "Users",
+    summary: "Create a user",
+    description:
+      "Creates a user with a role and issues their API key. The key is only returned here; store it.",
+    access: ["admin"],
+    request: userSchemas.create,
+    success: {
+      201: json("The user and their API key.", {
+        type: "object",
+        properties: { user: ref("User"), apiKey: { type: "string" } },
+      }),
+    },
+  },
+  {
+    method: "delete",
+    path: "/:id",
+    operationId: "deleteUser",
+    tag: "Users",
+    summary: "Delete a user",
+    description: "Revokes the user's API key. Questions they own are kept.",
+    access: ["admin"],
+    request: userSchemas.byId,
+    success: { 200: json("The deleted user.", ref("User")) },
+    errors: ["NotFound"],
+  },
+];
+
+// The share links voters are given (/p/:code), which name polls by their share code and
+// options by their position (1 for the first option) rather than by ID. Private polls need their
+// access token, sent as the `token` query parameter or the X-Poll-Token header.
+const shared = [
+  {
+    method: "get",
+    path: "/p/:code",
+    operationId: "getSharedPoll",
+    tag: "Sharing",
+    summary: "Get a poll by its share code",
+    description:
+      "The poll as voters see it: no internal IDs, options listed by position with the link that votes for each.",
+    access: "public",
+    request: shareSchemas.view,
+    success: { 200: json("The poll.", ref("SharedPoll")) },
+    errors: ["NotFound", "Forbidden"],
+  },
+  {
+    method: "post",
+    path: "/p/:code/vote/:position",
+    operationId: "voteByPosition",
+    tag: "Sharing",
+    summary: "Vote for an option by its position",
+    description: "Single-choice polls only; other poll types take a ballot.",
+    access: "public",
+    request: shareSchemas.vote,
+    success: { 201: json("The stored ballot.", ref("SharedBallot")) },
+    errors: ["NotFound", "Forbidden", "Conflict"],
+  },
+  {
+    method: "put",
+    path: "/p/:code/vote/:position",
+    operationId: "changeVoteByPosition",
+    tag: "Sharing",
+    summary: "Move a vote to the option at a position",
+    access: "public",
+    request: shareSchemas.vote,
+    success: { 200: json("The stored ballot.", ref("SharedBallot")) },
+    errors: ["NotFound", "Forbidden", "Conflict"],
+  },
+  {
+    method: "post",
+    path: "/p/:code/ballot",
+    operationId: "submitSharedBallot",
+    tag: "Sharing",
+    summary: "Submit a ballot by share code",
+    description:
+      "The same ballot as `POST /api/v1/questions/{id}/ballot`, naming options by position instead of ID.",
+    access: "public",
+    request: shareSchemas.ballot,
+    success: { 201: json("The stored ballot.", ref("SharedBallot")) },
+    errors: ["NotFound", "Forbidden", "Conflict"],
+  },
+  {
+    method: "put",
+    path: "/p/:code/ballot",
+    operationId: "replaceSharedBallot",
+    tag: "Sharing",
+    summary: "Replace a ballot by share code",
+    access: "public",
+    request: shareSchemas.ballot,
+    success: { 200: json("The stored ballot.", ref("SharedBallot")) },
+    errors: ["NotFound", "Forbidden", "Conflict"],
+  },
+];
+
+// The legacy routes and the /api/v1 route that replaces each of them.
+const legacy = [
+  ["get /", "get /api/v1/questions"],
+  ["post /questions/create", "post /api/v1/questions"],
+  ["post /questions/bulk", "post /api/v1/questions/bulk"],
+  ["post /questions/batch", "post /api/v1/questions/batch"],
+  ["get /questions/export", "get /api/v1/questions/export"],
+  ["post /questions/import", "post /api/v1/questions/import"],
+  ["get /questions/:id", "get /api/v1/questions/:id"],
+  ["patch /questions/:id", "patch /api/v1/questions/:id"],
+  ["get /questions/:id/results", "get /api/v1/questions/:id/results"],
+  ["get /questions/:id/export", "get /api/v1/questions/:id/export"],
+  ["get /questions/:id/stream", "get /api/v1/questions/:id/stream"],
+  ["post /questions/:id/ballot", "post /api/v1/questions/:id/ballot"],
+  ["put /questions/:id/ballot", "put /api/v1/questions/:id/ballot"],
+  ["delete /questions/:id/delete", "delete /api/v1/questions/:id"],
+  ["post /questions/:id/open", "post /api/v1/questions/:id/open"],
+  ["post /questions/:id/close", "post /api/v1/questions/:id/close"],
+  ["post /options/:id/create", "post /api/v1/questions/:id/options"],
+  ["patch /options/:id", "patch /api/v1/options/:id"],
+  ["delete /options/:id/delete", "delete /api/v1/options/:id"],
+  ["get /options/:id/add_vote", "post /api/v1/options/:id/votes"],
+  ["post /options/:id/change_vote", "put /api/v1/options/:id/votes"],
+];
+
+/**
+ * Builds the operation ID of a route that reuses another route's description.
+ * @param {string} prefix - What sets the route apart, e.g. 'legacy'.
+ * @param {string} method - The HTTP method.
+ * @param {string} path - The route's path.
+ * @returns {string} - The operation ID, e.g. 'legacyPostOptionsByIdCreate'.
+ */
+function derivedOperationId(prefix, method, path) {
+  const words = [method, ...path.split(/[/_]/)]
+    .filter(Boolean)
+    .map((word) => (word.startsWith(":") ? `by_${word.slice(1)}` : word))
+    .join("_")
+    .split("_");
+  return (
+    prefix +
+    words.map((word) => word.charAt(0).toUpperCase() + word.slice(1)).join("")
+  );
+}
+
+/**
+ * Lists every documented route.
+ * @returns {Array<object>} - The operations, each with its `method` and Express-style `path`.
+ */
+function listOperations() {
+  const byRoute = new Map(v1.map((op) => [`${op.method} ${op.path}`, op]));
+  const operations = [...v1, ...shared];
+
+  for (const op of users) {
+    operations.push({
+      ...op,
+      path: `/api/v1/users${op.path === "/" ? "" : op.path}`,
+    });
+    operations.push({
+      ...op,
+      path: `/users${op.path === "/" ? "" : op.path}`,
+      operationId: `${op.operationId}Unversioned`,
+    });
+  }
+
+  // The legacy option routes are also reachable under /questions/options, where the option
+  // router is mounted a second time.
+  const legacyRoutes = [...legacy];
+  for (const [route, successor] of legacy) {
+    if (route.includes(" /options/")) {
+      legacyRoutes.push([
+        route.replace(" /options/", " /questions/options/"),
+        successor,
+      ]);
+    }
+  }
+  for (const [route, successor] of legacyRoutes) {
+    const [method, path] = route.split(" ");
+    const [successorMethod, successorPath] = successor.split(" ");
+    const replacement = byRoute.get(successor);
+    // GET routes take no body; the legacy add_vote can't send voter attributes.
+    const request =
+      method === "get" && replacement.request
+        ? { ...replacement.request, body: undefined }
+        : replacement.request;
+    operations.push({
+      ...replacement,
+      method,
+      path,
+      request,
+      operationId: derivedOperationId("legacy", method, path),
+      deprecated: true,
+      description: [
+        `Deprecated: use \`${successorMethod.toUpperCase()} ${successorPath}\`, which takes the same input.`,
+        replacement.description,
+      ]
+        .filter(Boolean)
+        .join(" "),
+    });
+  }
+
+  operations.push(
+    {
+      method: "get",
+      path: "/openapi.json",
+      operationId: "getOpenApiDocument",
+      tag: "Documentation",
+      summary: "Get this OpenAPI document",
+      access: "public",
+      success: {
+        200: {
+          description: "The OpenAPI 3 document describing the API.",
+          content: { "application/json": { schema: { type: "object" } } },
+        },
+      },
+    },
+    {
+      method: "get",
+      path: "/docs",
+      operationId: "getApiDocs",
+      tag: "Documentation",
+      summary: "Browse the interactive API documentation",
+      access: "public",
+      success: {
+        200: {
+          description: "The documentation page.",
+          content: { "text/html": { schema: { type: "string" } } },
+        },
+      },
+    }
+  );
+  return operations;
+}
+
+module.exports = { listOperations };
@@ -0,0 +1,117 @@
+// openapi/rules.js
+//
+// Turns the request schemas of schemas/*.js (the rules middleware/validate.js checks) into OpenAPI
+// parameters and request bodies, so the documented inputs can't drift from the validated ones.
+
+// How each validation type is described in OpenAPI.
+const TYPES = {
+  string: { type: "string" },
+  number: { type: "number" },
+  integer: { type: "integer" },
+  boolean: { type: "boolean" },
+  date: { type: "string", format: "date-time" },
+  objectId: { $ref: "#/components/schemas/ObjectId" },
+  array: { type: "array", items: {} },
+  object: { type: "object", additionalProperties: true },
+};
+
+/**
+ * Describes one validation rule as an OpenAPI schema.
+ * Custom `check` functions can't be expressed in OpenAPI; their rules are documented by the
+ * operation's description instead, and still enforced by the validator.
+ * @param {object} rule - The field's rule (see middleware/validate.js).
+ * @returns {object} - The OpenAPI schema.
+ */
+function ruleSchema(rule) {
+  const types = [].concat(rule.type || "string");
+  const variants = types.map((type) => ({ ...TYPES[type] }));
+  // Constraints only apply to the variant of the matching type.
+  for (const variant of variants) {
+    if (rule.oneOf && variant.type === "string") {
+      variant.enum = rule.oneOf;
+    }
+    if (["number", "integer"].includes(variant.type)) {
+      if (rule.min !== undefined) {
+        variant.minimum = rule.min;
+      }
+      if (rule.max !== undefined) {
+        variant.maximum = rule.max;
+      }
+    }
+    if (variant.type === "array") {
+      if (rule.minItems !== undefined) {
+        variant.minItems = rule.minItems;
+      }
+      if (rule.maxItems !== undefined) {
+        variant.maxItems = rule.maxItems;
+      }
+    }
+    if (variant.type === "string" && rule.maxLength) {
+      variant.maxLength = rule.maxLength;
+    }
+    if (
+      variant.type === "string" &&
+      (rule.required || rule.allowEmpty === false)
+    ) {
+      variant.minLength = 1;
+    }
+  }
+  return variants.length === 1 ? variants[0] : { oneOf: variants };
+}
+
+/**
+ * Lists the path and query parameters of a request schema.
+ * @param {object} [schema] - The request schema, with optional `params` and `query` rules.
+ * @returns {Array<object>} - The OpenAPI parameters.
+ */
+function parametersFor(schema = {}) {
+  const parameters = [];
+  for (const [location, where] of [
+    ["params", "path"],
+    ["query", "query"],
+  ]) {
+    for (const [name, rule] of Object.entries(schema[location] || {})) {
+      parameters.push({
+        name,
+        in: where,
+        // Path parameters are always required in OpenAPI.
+        required: where === "path" || Boolean(rule.required),
+        schema: ruleSchema(rule),
+      });
+    }
+  }
+  return parameters;
+}
+
+/**
+ * Describes the body of a request schema, accepted as JSON or as a URL-encoded form.
+ * @param {object} [schema] - The request schema, with optional `body` rules.
+ * @returns {object|undefined} - The OpenAPI request body, or undefined if the route takes none.
+ */
+function requestBodyFor(schema = {}) {
+  if (!schema.body) {
+    return undefined;
+  }
+  const properties = {};
+  const required = [];
+  for (const [name, rule] of Object.entries(schema.body)) {
+    properties[name] = ruleSchema(rule);
+    if (rule.required) {
+      required.push(name);
+    }
+  }
+  const bodySchema = {
+    type: "object",
+    properties,
+    ...(required.length > 0 ? { required } : {}),
+  };
+  return {
+    required: required.length > 0,
+    content: {
+      "application/json": { schema: bodySchema },
+      "application/x-www-form-urlencoded": { schema: bodySchema },
+    },
+  };
+}
+
+module.exports = { parametersFor, requestBodyFor };
@@ -0,0 +1,35 @@
+// Import the Express framework to create a router for the API documentation.
+const express = require("express");
+// Create a new router instance; it is mounted at the root in routes/index.js.
+const router = express.Router();
+
+// Import the location of the Swagger UI assets bundled with the 'swagger-ui-dist' package.
+const { getAbsoluteFSPath } = require("swagger-ui-dist");
+// Import the controller that serves the OpenAPI document and the docs page.
+const docsController = require("../controller/docs_controller");
+
+/**
+ * @route   GET /openapi.json
+ * @desc    Route to return the OpenAPI 3 document describing every route, model and error response.
+ * @access  Public (anonymous or any role)
+ * @controller docsController.openApi
+ */
+router.get("/openapi.json", docsController.openApi);
+
+/**
+ * @route   GET /docs
+ * @desc    Route to browse and try the API in Swagger UI.
+ * @access  Public (anonymous or any role)
+ * @controller docsController.docs
+ */
+router.get("/docs", docsController.docs);
+
+/**
+ * @description Serves the Swagger UI scripts and styles the docs page loads. Directory indexes are
+ *              off, so '/docs/' gets the page above rather than the package's demo index.html.
+ * @path /docs
+ */
+router.use("/docs", express.static(getAbsoluteFSPath(), { index: false }));
+
+// Export the router so it can be mounted in routes/index.js.
+module.exports = router;
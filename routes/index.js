@@ -22,14 +22,54 @@ const homeController = require("../controller/home_controller"); // Assuming the
 // or was part of previous code structure. It's not strictly necessary if all option logic is within './option'.
 const optionController = require("../controller/option_controller"); // Assuming the path is correct
 
+// Import the middleware that identifies the caller from their API key.
+const { authenticate } = require("../middleware/auth");
+// Import the rate limiter that protects the API from floods of requests.
+const { rateLimit } = require("../middleware/rate_limit");
+// Import the middleware that points clients of legacy routes at their /api/v1 successors.
+const { deprecated } = require("../middleware/deprecation");
+// Import the middleware that checks each request against its schema, and the question list's schema.
+const { validate } = require("../middleware/validate");
+const questionSchemas = require("../schemas/question");
+
+/**
+ * @description Middleware that runs before every route: resolves the API key sent as
+ *              `Authorization: Bearer <key>` or `X-API-Key` into `req.user`.
+ *              Requests without a key continue anonymously; an unknown key is rejected with 401.
+ *              Individual routes then decide which roles may use them.
+ */
+router.use(authenticate);
+
+/**
+ * @description Middleware that applies the default rate limit to every route, per API key for authenticated
+ *              callers and per IP address otherwise. Creating and voting routes add stricter limits of their own.
+ *              Over the limit, requests are rejected with 429 and a Retry-After header.
+ */
+router.use(rateLimit("default"));
+
+/**
+ * @description Middleware to delegate all routes starting with '/api/v1' to the versioned REST router.
+ *              The legacy routes below keep working, but answer with a Deprecation header and a Link
+ *              header naming their /api/v1 successor.
+ * @path /api/v1
+ * @router ./v1
+ */
+router.use("/api/v1", require("./v1"));
+
 /**
  * @route GET /
  * @description Route to handle requests to the root URL of the application.
  *              Delegates the request handling to the 'home' function within the 'homeController'.
  *              This typically displays a list of all questions or a welcome page.
+ * @deprecated Use GET /api/v1/questions.
  * @controller homeController.home
  */
-router.get("/", homeController.home);
+router.get(
+  "/",
+  deprecated("/api/v1/questions"),
+  validate(questionSchemas.list),
+  homeController.home
+);
 
 /**
  * @description Middleware to delegate all routes starting with '/questions' to a dedicated question router.
@@ -49,6 +89,28 @@ router.use("/questions", require("./question"));
  */
 router.use("/options", require("./option"));
 
+/**
+ * @description Middleware to delegate all routes starting with '/users' to the user management router.
+ * @path /users
+ * @router ./user
+ */
+router.use("/users", require("./user"));
+
+/**
+ * @description Middleware to delegate the share links of polls ('/p/:code/...') to the share router.
+ *              These short links are what voters are given, in place of the question and option IDs.
+ * @path /p
+ * @router ./share
+ */
+router.use("/p", require("./share"));
+
+/**
+ * @description Middleware to serve the API documentation: the OpenAPI document at '/openapi.json'
+ *              and the interactive docs at '/docs'.
+ * @router ./docs
+ */
+router.use(require("./docs"));
+
 // Export the configured router object so it can be mounted by the main application file (e.g., index.js or app.js).
 // This makes all the defined routes and delegated routes available to the application.
 module.exports = router;
@@ -9,6 +9,20 @@ const Option = require("../models/option"); // Assuming the path is correct rela
 
 // Import the controller module that contains the logic for handling option-related requests.
 const optionController = require("../controller/option_controller"); // Assuming the path is correct
+// Import the auth middleware that restricts option management to question owners and admins.
+const {
+  requireQuestionOwner,
+  requireOptionOwner,
+} = require("../middleware/auth");
+// Import the rate limiter; creating and voting get stricter limits than other routes.
+const { rateLimit } = require("../middleware/rate_limit");
+// Import the middleware that points clients of these legacy routes at their /api/v1 successors.
+const { deprecated } = require("../middleware/deprecation");
+// Import the middleware that checks each request against its schema, and the option route schemas.
+const { validate } = require("../middleware/validate");
+const optionSchemas = require("../schemas/option");
+
+// Every route in this file is deprecated in favour of routes/v1/option.js; each one names its successor.
 
 /**
  * @route   POST /options/:id/create
@@ -16,23 +30,51 @@ const optionController = require("../controller/option_controller"); // Assuming
  *          The ':id' parameter in the URL is expected to be the ID of the question
  *          for which the option is being created.
  *          The option details (like text) are expected in the request body.
- * @access  Public (or protected depending on overall app auth)
+ * @access  Owner of the question, or admin
  * @controller optionController.create
  */
 // Note: The route path might seem slightly unconventional. '/:id/create' suggests creating *something*
 // related to the resource identified by ':id'. Given the controller name and typical REST patterns,
 // ':id' likely refers to the *Question* ID to which this option should be added.
 // A more conventional REST path might be POST /questions/:questionId/options
-router.post("/:id/create", optionController.create);
+router.post(
+  "/:id/create",
+  deprecated("/api/v1/questions/:id/options"),
+  rateLimit("create"),
+  requireQuestionOwner,
+  validate(optionSchemas.create),
+  optionController.create
+);
+
+/**
+ * @route   PATCH /options/:id
+ * @desc    Route to edit an option's text and details. Changing the text or description is refused once the
+ *          option has votes, unless an admin passes `force`. Each edit is recorded in the option's revision history.
+ * @access  Owner of the option's question, or admin
+ * @controller optionController.update
+ */
+router.patch(
+  "/:id",
+  deprecated("/api/v1/options/:id"),
+  requireOptionOwner,
+  validate(optionSchemas.update),
+  optionController.update
+);
 
 /**
  * @route   DELETE /options/:id/delete
  * @desc    Route to delete a specific option by its ID.
  *          The ':id' parameter in the URL is expected to be the ID of the option to be deleted.
- * @access  Public (or protected)
+ * @access  Owner of the option's question, or admin
  * @controller optionController.delete
  */
-router.delete("/:id/delete", optionController.delete);
+router.delete(
+  "/:id/delete",
+  deprecated("/api/v1/options/:id"),
+  requireOptionOwner,
+  validate(optionSchemas.byId),
+  optionController.delete
+);
 
 /**
  * @route   GET /options/:id/add_vote
@@ -40,10 +82,32 @@ router.delete("/:id/delete", optionController.delete);
  *          The ':id' parameter in the URL is expected to be the ID of the option to vote for.
  *          Using GET for actions that modify data (like adding a vote) is generally discouraged in RESTful design;
  *          POST or PUT/PATCH would be more appropriate. However, this documents the current implementation.
- * @access  Public (or protected)
+ * @access  Public (anonymous or any role)
  * @controller optionController.addVote
  */
-router.get("/:id/add_vote", optionController.addVote);
+router.get(
+  "/:id/add_vote",
+  deprecated("/api/v1/options/:id/votes"),
+  rateLimit("vote"),
+  validate(optionSchemas.byId),
+  optionController.addVote
+);
+
+/**
+ * @route   POST /options/:id/change_vote
+ * @desc    Route to move the caller's existing vote on a question to another option of the same question.
+ *          The ':id' parameter in the URL is the ID of the option the vote should move to.
+ *          The voter is identified the same way as for add_vote (API key, user ID, or IP/user-agent fingerprint).
+ * @access  Public (anonymous or any role)
+ * @controller optionController.changeVote
+ */
+router.post(
+  "/:id/change_vote",
+  deprecated("/api/v1/options/:id/votes"),
+  rateLimit("vote"),
+  validate(optionSchemas.byId),
+  optionController.changeVote
+);
 
 // Export the configured router instance so it can be mounted in the main application router (e.g., in routes/index.js)
 // under the '/options' path prefix.
@@ -7,36 +7,252 @@ const router = express.Router();
 const Question = require("../models/question"); // Ensure the path to the model is correct
 // Import the controller module containing the logic for handling question-related requests.
 const questionController = require("../controller/question_controller"); // Ensure the path to the controller is correct
+// Import the controller module that handles ballot submission for all poll types.
+const ballotController = require("../controller/ballot_controller");
+// Import the controller module that exports and imports polls.
+const transferController = require("../controller/transfer_controller");
+// Import the auth middleware that restricts management routes to question owners and admins.
+const { requireRole, requireQuestionOwner } = require("../middleware/auth");
+// Import the rate limiter; creating and voting get stricter limits than other routes.
+const { rateLimit } = require("../middleware/rate_limit");
+// Import the middleware that points clients of these legacy routes at their /api/v1 successors.
+const { deprecated } = require("../middleware/deprecation");
+// Import the middleware that checks each request against its schema, and the question route schemas.
+const { validate } = require("../middleware/validate");
+const questionSchemas = require("../schemas/question");
+
+// Every route in this file is deprecated in favour of routes/v1/question.js; each one names its successor.
 
 /**
  * @route   POST /questions/create
  * @desc    Route to handle the creation of a new question.
  *          The request body should contain the necessary data (e.g., the question title).
  *          Delegates the request handling to the 'create' function in the 'questionController'.
- * @access  Public (or protected depending on overall app auth)
+ * @access  Admin or owner role (the caller becomes the question's owner)
  * @controller questionController.create
  */
-router.post("/create", questionController.create);
+router.post(
+  "/create",
+  deprecated("/api/v1/questions"),
+  rateLimit("create"),
+  requireRole("admin", "owner"),
+  validate(questionSchemas.create),
+  questionController.create
+);
+
+/**
+ * @route   POST /questions/bulk
+ * @desc    Route to create a question together with its options in one request.
+ *          Takes the same fields as /questions/create plus an 'options' list; the whole poll is validated
+ *          first and stored atomically, so either the question and all of its options exist or nothing does.
+ * @access  Admin or owner role (the caller becomes the question's owner)
+ * @controller questionController.bulkCreate
+ */
+router.post(
+  "/bulk",
+  deprecated("/api/v1/questions/bulk"),
+  rateLimit("create"),
+  requireRole("admin", "owner"),
+  validate(questionSchemas.bulkCreate),
+  questionController.bulkCreate
+);
+
+/**
+ * @route   POST /questions/batch
+ * @desc    Route to create many questions, each with its options, in one request ('questions' list in the body).
+ *          If any poll is invalid, none are created; otherwise all of them are stored atomically.
+ * @access  Admin or owner role (the caller becomes the owner of every question)
+ * @controller questionController.batchCreate
+ */
+router.post(
+  "/batch",
+  deprecated("/api/v1/questions/batch"),
+  rateLimit("create"),
+  requireRole("admin", "owner"),
+  validate(questionSchemas.batchCreate),
+  questionController.batchCreate
+);
+
+/**
+ * @route   GET /questions/export
+ * @desc    Route to export every question and its options as one JSON document (streamed as a download).
+ *          Pass 'ballots=true' to include each question's anonymized ballots.
+ * @access  Admin
+ * @controller transferController.exportAll
+ */
+router.get(
+  "/export",
+  deprecated("/api/v1/questions/export"),
+  requireRole("admin"),
+  validate(questionSchemas.exportAll),
+  transferController.exportAll
+);
+
+/**
+ * @route   POST /questions/import
+ * @desc    Route to import questions, options and ballots from a JSON export. The document is validated first,
+ *          then imported atomically under new IDs; the response maps the old IDs to the new ones.
+ * @access  Admin or owner role (the caller becomes the owner of every imported question)
+ * @controller transferController.importPolls
+ */
+router.post(
+  "/import",
+  deprecated("/api/v1/questions/import"),
+  rateLimit("create"),
+  requireRole("admin", "owner"),
+  validate(questionSchemas.importPolls),
+  transferController.importPolls
+);
 
 /**
  * @route   GET /questions/:id
  * @desc    Route to retrieve a specific question by its unique ID.
  *          The ':id' is a URL parameter representing the MongoDB ObjectId of the question.
  *          Delegates the request handling to the 'getQuestion' function in the 'questionController'.
- * @access  Public (or protected)
+ * @access  Public (anonymous or any role)
  * @controller questionController.getQuestion
  */
-router.get("/:id", questionController.getQuestion);
+router.get(
+  "/:id",
+  deprecated("/api/v1/questions/:id"),
+  validate(questionSchemas.byId),
+  questionController.getQuestion
+);
+
+/**
+ * @route   PATCH /questions/:id
+ * @desc    Route to edit a question. Only the fields in the body change; poll settings can only change
+ *          while the question is a draft, and validity rules of a closed question only with an admin's `force`.
+ *          Each edit is recorded in the question's revision history.
+ * @access  Owner of the question, or admin
+ * @controller questionController.update
+ */
+router.patch(
+  "/:id",
+  deprecated("/api/v1/questions/:id"),
+  requireQuestionOwner,
+  validate(questionSchemas.update),
+  questionController.update
+);
+
+/**
+ * @route   GET /questions/:id/results
+ * @desc    Route to compute the results of a question according to its type
+ *          (vote counts, instant-runoff rounds, or average ratings).
+ * @access  Public (anonymous or any role)
+ * @controller questionController.results
+ */
+router.get(
+  "/:id/results",
+  deprecated("/api/v1/questions/:id/results"),
+  validate(questionSchemas.byId),
+  questionController.results
+);
+
+/**
+ * @route   GET /questions/:id/export
+ * @desc    Route to export a question with its options, results and anonymized ballots,
+ *          as JSON ('format=json', importable again) or CSV ('format=csv', with 'part=results' or 'part=ballots').
+ * @access  Owner of the question, or admin
+ * @controller transferController.exportQuestion
+ */
+router.get(
+  "/:id/export",
+  deprecated("/api/v1/questions/:id/export"),
+  requireQuestionOwner,
+  validate(questionSchemas.exportQuestion),
+  transferController.exportQuestion
+);
+
+/**
+ * @route   GET /questions/:id/stream
+ * @desc    Route to subscribe to live results of a question as Server-Sent Events.
+ *          Sends a full 'snapshot' first, then a 'delta' whenever votes, options or the poll status change.
+ *          WebSocket clients connect to the same path (handled outside Express, see services/websocket_server.js).
+ * @access  Public (anonymous or any role)
+ * @controller questionController.stream
+ */
+router.get(
+  "/:id/stream",
+  deprecated("/api/v1/questions/:id/stream"),
+  validate(questionSchemas.byId),
+  questionController.stream
+);
+
+/**
+ * @route   POST /questions/:id/ballot
+ * @desc    Route to submit a ballot on a question. The ballot shape depends on the question type
+ *          and is validated before it is stored. One ballot per voter per question.
+ * @access  Public (anonymous or any role)
+ * @controller ballotController.submit
+ */
+router.post(
+  "/:id/ballot",
+  deprecated("/api/v1/questions/:id/ballot"),
+  rateLimit("vote"),
+  validate(questionSchemas.ballot),
+  ballotController.submit
+);
+
+/**
+ * @route   PUT /questions/:id/ballot
+ * @desc    Route to replace the caller's existing ballot on a question.
+ * @access  Public (anonymous or any role)
+ * @controller ballotController.replace
+ */
+router.put(
+  "/:id/ballot",
+  deprecated("/api/v1/questions/:id/ballot"),
+  rateLimit("vote"),
+  validate(questionSchemas.ballot),
+  ballotController.replace
+);
 
 /**
  * @route   DELETE /questions/:id/delete
  * @desc    Route to delete a specific question by its unique ID.
  *          The ':id' is a URL parameter representing the MongoDB ObjectId of the question to be deleted.
  *          Delegates the request handling to the 'delete' function in the 'questionController'.
- * @access  Public (or protected)
+ * @access  Question owner or admin
  * @controller questionController.delete
  */
-router.delete("/:id/delete", questionController.delete);
+router.delete(
+  "/:id/delete",
+  deprecated("/api/v1/questions/:id"),
+  requireQuestionOwner,
+  validate(questionSchemas.byId),
+  questionController.delete
+);
+
+/**
+ * @route   POST /questions/:id/open
+ * @desc    Route to open a draft question for voting, either immediately or at the time given in `opensAt`.
+ *          An optional `closesAt` schedules the automatic close.
+ *          Once open, options can no longer be added or removed.
+ * @access  Question owner or admin
+ * @controller questionController.open
+ */
+router.post(
+  "/:id/open",
+  deprecated("/api/v1/questions/:id/open"),
+  requireQuestionOwner,
+  validate(questionSchemas.open),
+  questionController.open
+);
+
+/**
+ * @route   POST /questions/:id/close
+ * @desc    Route to close a question so that no further votes are accepted.
+ * @access  Question owner or admin
+ * @controller questionController.close
+ */
+router.post(
+  "/:id/close",
+  deprecated("/api/v1/questions/:id/close"),
+  requireQuestionOwner,
+  validate(questionSchemas.byId),
+  questionController.close
+);
 
 /**
  * @description Mounts the option router (from './option.js') as a sub-router under the '/options' path *relative* to this question router.
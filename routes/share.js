@@ -0,0 +1,76 @@
+// Import the Express framework to create the router for share links.
+const express = require("express");
+// Create a new router instance; it is mounted under '/p' in routes/index.js.
+const router = express.Router();
+
+// Import the controllers that show shared polls and take ballots through their share code.
+const shareController = require("../controller/share_controller");
+const ballotController = require("../controller/ballot_controller");
+// Import the rate limiter; voting gets a stricter limit than other routes.
+const { rateLimit } = require("../middleware/rate_limit");
+// Import the middleware that checks each request against its schema, and the share route schemas.
+const { validate } = require("../middleware/validate");
+const shareSchemas = require("../schemas/share");
+
+/**
+ * @route   GET /p/:code
+ * @desc    Route to show a poll to voters by its share code, with its options by position and their vote links.
+ * @access  Public (anonymous or any role); private polls need their access token
+ * @controller shareController.view
+ */
+router.get("/:code", validate(shareSchemas.view), shareController.view);
+
+/**
+ * @route   POST /p/:code/vote/:position
+ * @desc    Route to vote for the option at a position (starting at 1) of an open single-choice poll.
+ * @access  Public (anonymous or any role); private polls need their access token
+ * @controller ballotController.voteByCode
+ */
+router.post(
+  "/:code/vote/:position",
+  rateLimit("vote"),
+  validate(shareSchemas.vote),
+  ballotController.voteByCode
+);
+
+/**
+ * @route   PUT /p/:code/vote/:position
+ * @desc    Route to move the caller's vote to the option at a position of an open single-choice poll.
+ * @access  Public (anonymous or any role); private polls need their access token
+ * @controller ballotController.voteByCode
+ */
+router.put(
+  "/:code/vote/:position",
+  rateLimit("vote"),
+  validate(shareSchemas.vote),
+  ballotController.voteByCode
+);
+
+/**
+ * @route   POST /p/:code/ballot
+ * @desc    Route to submit the caller's ballot on an open poll, for any poll type, naming options by position.
+ * @access  Public (anonymous or any role); private polls need their access token
+ * @controller ballotController.submitByCode
+ */
+router.post(
+  "/:code/ballot",
+  rateLimit("vote"),
+  validate(shareSchemas.ballot),
+  ballotController.submitByCode
+);
+
+/**
+ * @route   PUT /p/:code/ballot
+ * @desc    Route to replace the caller's existing ballot on an open poll, naming options by position.
+ * @access  Public (anonymous or any role); private polls need their access token
+ * @controller ballotController.replaceByCode
+ */
+router.put(
+  "/:code/ballot",
+  rateLimit("vote"),
+  validate(shareSchemas.ballot),
+  ballotController.replaceByCode
+);
+
+// Export the router so it can be mounted under '/p'.
+module.exports = router;
@@ -0,0 +1,49 @@
+// Import the Express framework to create a router for user management routes.
+const express = require("express");
+// Create a new router instance specific to user-related routes.
+const router = express.Router();
+
+// Import the controller module that manages API users and their keys.
+const userController = require("../controller/user_controller");
+// Import the auth middleware that restricts routes to authenticated users and roles.
+const { requireAuth, requireRole } = require("../middleware/auth");
+// Import the middleware that checks each request against its schema, and the user route schemas.
+const { validate } = require("../middleware/validate");
+const userSchemas = require("../schemas/user");
+
+/**
+ * @route   GET /users/me
+ * @desc    Route to return the user the request's API key belongs to.
+ * @access  Any authenticated user
+ * @controller userController.me
+ */
+router.get("/me", requireAuth, userController.me);
+
+/**
+ * @route   POST /users
+ * @desc    Route to create a new API user with a role ('admin', 'owner' or 'voter') and issue their API key.
+ * @access  Admin
+ * @controller userController.create
+ */
+router.post(
+  "/",
+  requireRole("admin"),
+  validate(userSchemas.create),
+  userController.create
+);
+
+/**
+ * @route   DELETE /users/:id
+ * @desc    Route to delete a user, revoking their API key.
+ * @access  Admin
+ * @controller userController.delete
+ */
+router.delete(
+  "/:id",
+  requireRole("admin"),
+  validate(userSchemas.byId),
+  userController.delete
+);
+
+// Export the router so it can be mounted under '/users' in routes/index.js.
+module.exports = router;
@@ -0,0 +1,42 @@
+// Import the Express framework to create the router for version 1 of the REST API.
+const express = require("express");
+// Create a new router instance; it is mounted under '/api/v1' in routes/index.js.
+const router = express.Router();
+
+/**
+ * @description Delegates '/api/v1/questions/...' routes (including the nested '/questions/:id/options') to the question router.
+ * @path /questions
+ * @router ./question
+ */
+router.use("/questions", require("./question"));
+
+/**
+ * @description Delegates '/api/v1/options/...' routes to the option router.
+ * @path /options
+ * @router ./option
+ */
+router.use("/options", require("./option"));
+
+/**
+ * @description Delegates '/api/v1/users/...' routes to the user router, whose routes already follow REST conventions.
+ * @path /users
+ * @router ../user
+ */
+router.use("/users", require("../user"));
+
+/**
+ * @description Delegates '/api/v1/webhooks/...' routes to the webhook router.
+ * @path /webhooks
+ * @router ./webhook
+ */
+router.use("/webhooks", require("./webhook"));
+
+/**
+ * @description Delegates '/api/v1/templates/...' routes to the template router.
+ * @path /templates
+ * @router ./template
+ */
+router.use("/templates", require("./template"));
+
+// Export the router so it can be mounted under '/api/v1'.
+module.exports = router;
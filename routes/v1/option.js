@@ -0,0 +1,83 @@
+// Import the Express framework to create the router for option routes of the REST API.
+const express = require("express");
+// Create a new router instance; it is mounted under '/api/v1/options'.
+const router = express.Router();
+
+// Import the controller that handles option and vote requests.
+const optionController = require("../../controller/option_controller");
+// Import the auth middleware that restricts option management to question owners and admins.
+const { requireRole, requireOptionOwner } = require("../../middleware/auth");
+// Import the rate limiter; voting gets stricter limits than other routes.
+const { rateLimit } = require("../../middleware/rate_limit");
+// Import the middleware that checks each request against its schema, and the option route schemas.
+const { validate } = require("../../middleware/validate");
+const optionSchemas = require("../../schemas/option");
+
+/**
+ * @route   PATCH /api/v1/options/:id
+ * @desc    Route to edit an option's text and details. Changing the text or description is refused once the option
+ *          has votes, unless an admin passes `force`.
+ * @access  Owner of the option's question, or admin
+ * @controller optionController.update
+ */
+router.patch(
+  "/:id",
+  requireOptionOwner,
+  validate(optionSchemas.update),
+  optionController.update
+);
+
+/**
+ * @route   DELETE /api/v1/options/:id
+ * @desc    Route to delete (archive) an option of a draft question, if it has no votes.
+ * @access  Owner of the option's question, or admin
+ * @controller optionController.delete
+ */
+router.delete(
+  "/:id",
+  requireOptionOwner,
+  validate(optionSchemas.byId),
+  optionController.delete
+);
+
+/**
+ * @route   POST /api/v1/options/:id/restore
+ * @desc    Route to restore a deleted (archived) option to its draft question before it is purged.
+ * @access  Admin
+ * @controller optionController.restore
+ */
+router.post(
+  "/:id/restore",
+  requireRole("admin"),
+  validate(optionSchemas.byId),
+  optionController.restore
+);
+
+/**
+ * @route   POST /api/v1/options/:id/votes
+ * @desc    Route to cast the caller's vote for an option of a single-choice question.
+ * @access  Public (anonymous or any role)
+ * @controller optionController.addVote
+ */
+router.post(
+  "/:id/votes",
+  rateLimit("vote"),
+  validate(optionSchemas.vote),
+  optionController.addVote
+);
+
+/**
+ * @route   PUT /api/v1/options/:id/votes
+ * @desc    Route to move the caller's existing vote on the question to this option.
+ * @access  Public (anonymous or any role)
+ * @controller optionController.changeVote
+ */
+router.put(
+  "/:id/votes",
+  rateLimit("vote"),
+  validate(optionSchemas.byId),
+  optionController.changeVote
+);
+
+// Export the router so it can be mounted under '/api/v1/options'.
+module.exports = router;
@@ -0,0 +1,439 @@
+// Import the Express framework to create the router for question routes of the REST API.
+const express = require("express");
+// Create a new router instance; it is mounted under '/api/v1/questions'.
+const router = express.Router();
+
+// Import the controllers that handle question, option, ballot, write-in, transfer, audit, share and template requests.
+const homeController = require("../../controller/home_controller");
+const questionController = require("../../controller/question_controller");
+const optionController = require("../../controller/option_controller");
+const ballotController = require("../../controller/ballot_controller");
+const writeInController = require("../../controller/write_in_controller");
+const transferController = require("../../controller/transfer_controller");
+const auditController = require("../../controller/audit_controller");
+const shareController = require("../../controller/share_controller");
+const templateController = require("../../controller/template_controller");
+// Import the auth middleware that restricts management routes to question owners and admins.
+const { requireRole, requireQuestionOwner } = require("../../middleware/auth");
+// Import the rate limiter; creating and voting get stricter limits than other routes.
+const { rateLimit } = require("../../middleware/rate_limit");
+// Import the middleware that checks each request against its schema, and the route schemas.
+const { validate } = require("../../middleware/validate");
+const questionSchemas = require("../../schemas/question");
+const optionSchemas = require("../../schemas/option");
+const templateSchemas = require("../../schemas/template");
+const writeInSchemas = require("../../schemas/write_in");
+
+/**
+ * @route   GET /api/v1/questions
+ * @desc    Route to list questions, one page at a time, with search, filters and sorting.
+ * @access  Public (anonymous or any role)
+ * @controller homeController.home
+ */
+router.get("/", validate(questionSchemas.list), homeController.home);
+
+/**
+ * @route   POST /api/v1/questions
+ * @desc    Route to create a new question. New questions start as drafts.
+ * @access  Admin or owner role (the caller becomes the question's owner)
+ * @controller questionController.create
+ */
+router.post(
+  "/",
+  rateLimit("create"),
+  requireRole("admin", "owner"),
+  validate(questionSchemas.create),
+  questionController.create
+);
+
+/**
+ * @route   POST /api/v1/questions/bulk
+ * @desc    Route to create a question together with its options in one atomic request.
+ * @access  Admin or owner role (the caller becomes the question's owner)
+ * @controller questionController.bulkCreate
+ */
+router.post(
+  "/bulk",
+  rateLimit("create"),
+  requireRole("admin", "owner"),
+  validate(questionSchemas.bulkCreate),
+  questionController.bulkCreate
+);
+
+/**
+ * @route   POST /api/v1/questions/batch
+ * @desc    Route to create many questions, each with its options, in one atomic request.
+ * @access  Admin or owner role (the caller becomes the owner of every question)
+ * @controller questionController.batchCreate
+ */
+router.post(
+  "/batch",
+  rateLimit("create"),
+  requireRole("admin", "owner"),
+  validate(questionSchemas.batchCreate),
+  questionController.batchCreate
+);
+
+/**
+ * @route   GET /api/v1/questions/export
+ * @desc    Route to export every question and its options as one JSON document.
+ * @access  Admin
+ * @controller transferController.exportAll
+ */
+router.get(
+  "/export",
+  requireRole("admin"),
+  validate(questionSchemas.exportAll),
+  transferController.exportAll
+);
+
+/**
+ * @route   POST /api/v1/questions/import
+ * @desc    Route to import questions, options and ballots from a JSON export under new IDs.
+ * @access  Admin or owner role (the caller becomes the owner of every imported question)
+ * @controller transferController.importPolls
+ */
+router.post(
+  "/import",
+  rateLimit("create"),
+  requireRole("admin", "owner"),
+  validate(questionSchemas.importPolls),
+  transferController.importPolls
+);
+
+/**
+ * @route   GET /api/v1/questions/:id
+ * @desc    Route to retrieve a question with its options.
+ * @access  Public (anonymous or any role)
+ * @controller questionController.getQuestion
+ */
+router.get(
+  "/:id",
+  validate(questionSchemas.byId),
+  questionController.getQuestion
+);
+
+/**
+ * @route   PATCH /api/v1/questions/:id
+ * @desc    Route to edit a question; each edit is recorded in its revision history.
+ * @access  Owner of the question, or admin
+ * @controller questionController.update
+ */
+router.patch(
+  "/:id",
+  requireQuestionOwner,
+  validate(questionSchemas.update),
+  questionController.update
+);
+
+/**
+ * @route   DELETE /api/v1/questions/:id
+ * @desc    Route to delete (archive) a question, votes and all. An admin can restore it until it is purged.
+ * @access  Owner of the question, or admin
+ * @controller questionController.delete
+ */
+router.delete(
+  "/:id",
+  requireQuestionOwner,
+  validate(questionSchemas.byId),
+  questionController.delete
+);
+
+/**
+ * @route   POST /api/v1/questions/:id/restore
+ * @desc    Route to restore a deleted (archived) question before it is purged.
+ * @access  Admin
+ * @controller questionController.restore
+ */
+router.post(
+  "/:id/restore",
+  requireRole("admin"),
+  validate(questionSchemas.byId),
+  questionController.restore
+);
+
+/**
+ * @route   POST /api/v1/questions/:id/clone
+ * @desc    Route to copy a question with its options into a new draft, without its votes.
+ * @access  Owner of the question, or admin (the caller becomes the copy's owner)
+ * @controller questionController.clone
+ */
+router.post(
+  "/:id/clone",
+  rateLimit("create"),
+  requireRole("admin", "owner"),
+  requireQuestionOwner,
+  validate(questionSchemas.clone),
+  questionController.clone
+);
+
+/**
+ * @route   POST /api/v1/questions/:id/template
+ * @desc    Route to save a question with its options as a template, optionally recurring.
+ * @access  Owner of the question, or admin (the caller becomes the template's owner)
+ * @controller templateController.fromQuestion
+ */
+router.post(
+  "/:id/template",
+  rateLimit("create"),
+  requireRole("admin", "owner"),
+  requireQuestionOwner,
+  validate(templateSchemas.fromQuestion),
+  templateController.fromQuestion
+);
+
+/**
+ * @route   GET /api/v1/questions/:id/options
+ * @desc    Route to list the options of a question.
+ * @access  Public (anonymous or any role)
+ * @controller optionController.list
+ */
+router.get("/:id/options", validate(optionSchemas.list), optionController.list);
+
+/**
+ * @route   POST /api/v1/questions/:id/options
+ * @desc    Route to add an option to a draft question.
+ * @access  Owner of the question, or admin
+ * @controller optionController.create
+ */
+router.post(
+  "/:id/options",
+  rateLimit("create"),
+  requireQuestionOwner,
+  validate(optionSchemas.create),
+  optionController.create
+);
+
+/**
+ * @route   PUT /api/v1/questions/:id/options/order
+ * @desc    Route to arrange the options of a draft question: the body lists every option ID in the new order.
+ * @access  Owner of the question, or admin
+ * @controller optionController.reorder
+ */
+router.put(
+  "/:id/options/order",
+  requireQuestionOwner,
+  validate(optionSchemas.reorder),
+  optionController.reorder
+);
+
+/**
+ * @route   POST /api/v1/questions/:id/open
+ * @desc    Route to open a draft question for voting, immediately or at the time given in `opensAt`.
+ * @access  Owner of the question, or admin
+ * @controller questionController.open
+ */
+router.post(
+  "/:id/open",
+  requireQuestionOwner,
+  validate(questionSchemas.open),
+  questionController.open
+);
+
+/**
+ * @route   POST /api/v1/questions/:id/close
+ * @desc    Route to close a question so that no further votes are accepted.
+ * @access  Owner of the question, or admin
+ * @controller questionController.close
+ */
+router.post(
+  "/:id/close",
+  requireQuestionOwner,
+  validate(questionSchemas.byId),
+  questionController.close
+);
+
+/**
+ * @route   GET /api/v1/questions/:id/results
+ * @desc    Route to compute the results of a question according to its type.
+ * @access  Public (anonymous or any role)
+ * @controller questionController.results
+ */
+router.get(
+  "/:id/results",
+  validate(questionSchemas.byId),
+  questionController.results
+);
+
+/**
+ * @route   GET /api/v1/questions/:id/results/segments
+ * @desc    Route to break the results of a question down by a voter attribute, e.g. region or plan.
+ * @access  Public (anonymous or any role)
+ * @controller questionController.segments
+ */
+router.get(
+  "/:id/results/segments",
+  validate(questionSchemas.segments),
+  questionController.segments
+);
+
+/**
+ * @route   GET /api/v1/questions/:id/stream
+ * @desc    Route to subscribe to live results of a question as Server-Sent Events.
+ *          WebSocket clients connect to the same path (see services/websocket_server.js).
+ * @access  Public (anonymous or any role)
+ * @controller questionController.stream
+ */
+router.get(
+  "/:id/stream",
+  validate(questionSchemas.byId),
+  questionController.stream
+);
+
+/**
+ * @route   GET /api/v1/questions/:id/analytics
+ * @desc    Route to follow a question's votes over time: per option and in total, per minute, hour or day.
+ * @access  Public (anonymous or any role)
+ * @controller questionController.analytics
+ */
+router.get(
+  "/:id/analytics",
+  validate(questionSchemas.analytics),
+  questionController.analytics
+);
+
+/**
+ * @route   GET /api/v1/questions/:id/export
+ * @desc    Route to export a question with its options, results and anonymized ballots as JSON or CSV.
+ * @access  Owner of the question, or admin
+ * @controller transferController.exportQuestion
+ */
+router.get(
+  "/:id/export",
+  requireQuestionOwner,
+  validate(questionSchemas.exportQuestion),
+  transferController.exportQuestion
+);
+
+/**
+ * @route   GET /api/v1/questions/:id/audit
+ * @desc    Route to list the audit log of a question: every change to it, its options and its ballots.
+ * @access  Owner of the question, or admin (checked by the controller, since deleted questions are included)
+ * @controller auditController.list
+ */
+router.get(
+  "/:id/audit",
+  requireRole("admin", "owner"),
+  validate(questionSchemas.audit),
+  auditController.list
+);
+
+/**
+ * @route   GET /api/v1/questions/:id/share
+ * @desc    Route to get a question's share code, share links and, for private polls, access token.
+ * @access  Owner of the question, or admin
+ * @controller shareController.get
+ */
+router.get(
+  "/:id/share",
+  requireQuestionOwner,
+  validate(questionSchemas.byId),
+  shareController.get
+);
+
+/**
+ * @route   POST /api/v1/questions/:id/share/token
+ * @desc    Route to make a poll private by giving it an access token, or to replace its token.
+ * @access  Owner of the question, or admin
+ * @controller shareController.createAccessToken
+ */
+router.post(
+  "/:id/share/token",
+  requireQuestionOwner,
+  validate(questionSchemas.byId),
+  shareController.createAccessToken
+);
+
+/**
+ * @route   DELETE /api/v1/questions/:id/share/token
+ * @desc    Route to make a private poll public again by removing its access token.
+ * @access  Owner of the question, or admin
+ * @controller shareController.removeAccessToken
+ */
+router.delete(
+  "/:id/share/token",
+  requireQuestionOwner,
+  validate(questionSchemas.byId),
+  shareController.removeAccessToken
+);
+
+/**
+ * @route   POST /api/v1/questions/:id/ballot
+ * @desc    Route to submit the caller's ballot on an open question, for any poll type.
+ * @access  Public (anonymous or any role)
+ * @controller ballotController.submit
+ */
+router.post(
+  "/:id/ballot",
+  rateLimit("vote"),
+  validate(questionSchemas.ballot),
+  ballotController.submit
+);
+
+/**
+ * @route   PUT /api/v1/questions/:id/ballot
+ * @desc    Route to replace the caller's existing ballot on an open question.
+ * @access  Public (anonymous or any role)
+ * @controller ballotController.replace
+ */
+router.put(
+  "/:id/ballot",
+  rateLimit("vote"),
+  validate(questionSchemas.ballot),
+  ballotController.replace
+);
+
+/**
+ * @route   GET /api/v1/questions/:id/write-ins
+ * @desc    Route to list the answers voters wrote in on a question, with their moderation status.
+ * @access  Owner of the question, or admin
+ * @controller writeInController.list
+ */
+router.get(
+  "/:id/write-ins",
+  requireQuestionOwner,
+  validate(writeInSchemas.list),
+  writeInController.list
+);
+
+/**
+ * @route   POST /api/v1/questions/:id/write-ins/:writeInId/approve
+ * @desc    Route to turn a pending write-in into a new option, carrying its votes over.
+ * @access  Owner of the question, or admin
+ * @controller writeInController.approve
+ */
+router.post(
+  "/:id/write-ins/:writeInId/approve",
+  requireQuestionOwner,
+  validate(writeInSchemas.approve),
+  writeInController.approve
+);
+
+/**
+ * @route   POST /api/v1/questions/:id/write-ins/:writeInId/merge
+ * @desc    Route to count a pending write-in's votes for an existing option.
+ * @access  Owner of the question, or admin
+ * @controller writeInController.merge
+ */
+router.post(
+  "/:id/write-ins/:writeInId/merge",
+  requireQuestionOwner,
+  validate(writeInSchemas.merge),
+  writeInController.merge
+);
+
+/**
+ * @route   POST /api/v1/questions/:id/write-ins/:writeInId/reject
+ * @desc    Route to reject a pending write-in, dropping it from the ballots that carry it.
+ * @access  Owner of the question, or admin
+ * @controller writeInController.reject
+ */
+router.post(
+  "/:id/write-ins/:writeInId/reject",
+  requireQuestionOwner,
+  validate(writeInSchemas.reject),
+  writeInController.reject
+);
+
+// Export the router so it can be mounted under '/api/v1/questions'.
+module.exports = router;
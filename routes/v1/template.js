@@ -0,0 +1,89 @@
+// Import the Express framework to create the router for template routes of the REST API.
+const express = require("express");
+// Create a new router instance; it is mounted under '/api/v1/templates'.
+const router = express.Router();
+
+// Import the controller that manages question templates and creates questions from them.
+const templateController = require("../../controller/template_controller");
+// Import the auth middleware; only admins and owners create questions, so only they use templates.
+const { requireRole } = require("../../middleware/auth");
+// Import the rate limiter; routes that create templates or questions get the stricter 'create' limits.
+const { rateLimit } = require("../../middleware/rate_limit");
+// Import the middleware that checks each request against its schema, and the template route schemas.
+const { validate } = require("../../middleware/validate");
+const templateSchemas = require("../../schemas/template");
+
+/**
+ * @description Every template route needs the admin or owner role. Which templates a caller may
+ *              use (their own, or any for admins) is checked by the controller.
+ */
+router.use(requireRole("admin", "owner"));
+
+/**
+ * @route   GET /api/v1/templates
+ * @desc    Route to list the caller's templates (every template, for admins).
+ * @access  Admin or owner role
+ * @controller templateController.list
+ */
+router.get("/", validate(templateSchemas.list), templateController.list);
+
+/**
+ * @route   POST /api/v1/templates
+ * @desc    Route to save a question with its options as a template, optionally recurring.
+ * @access  Admin or owner role (the caller becomes the template's owner)
+ * @controller templateController.create
+ */
+router.post(
+  "/",
+  rateLimit("create"),
+  validate(templateSchemas.create),
+  templateController.create
+);
+
+/**
+ * @route   GET /api/v1/templates/:id
+ * @desc    Route to retrieve a template.
+ * @access  Owner of the template, or admin
+ * @controller templateController.get
+ */
+router.get("/:id", validate(templateSchemas.byId), templateController.get);
+
+/**
+ * @route   PATCH /api/v1/templates/:id
+ * @desc    Route to edit a template's name, question, options or recurrence.
+ * @access  Owner of the template, or admin
+ * @controller templateController.update
+ */
+router.patch(
+  "/:id",
+  validate(templateSchemas.update),
+  templateController.update
+);
+
+/**
+ * @route   DELETE /api/v1/templates/:id
+ * @desc    Route to delete a template; the questions created from it are kept.
+ * @access  Owner of the template, or admin
+ * @controller templateController.delete
+ */
+router.delete(
+  "/:id",
+  validate(templateSchemas.byId),
+  templateController.delete
+);
+
+/**
+ * @route   POST /api/v1/templates/:id/questions
+ * @desc    Route to create a new draft question, with its options, from a template.
+ * @access  Owner of the template, or admin (the caller becomes the question's owner)
+ * @controller templateController.instantiate
+ */
+router.post(
+  "/:id/questions",
+  rateLimit("create"),
+  validate(templateSchemas.instantiate),
+  templateController.instantiate
+);
+
+// Export the router so it can be mounted under '/api/v1/templates'.
+module.exports = router;
@@ -0,0 +1,118 @@
+// Import the Express framework to create the router for webhook routes of the REST API.
+const express = require("express");
+// Create a new router instance; it is mounted under '/api/v1/webhooks'.
+const router = express.Router();
+
+// Import the controller that manages webhooks and their delivery log.
+const webhookController = require("../../controller/webhook_controller");
+// Import the auth middleware; only admins and question owners may use webhooks.
+const { requireRole } = require("../../middleware/auth");
+// Import the rate limiter; routes that make the server send requests get the stricter 'create' limits.
+const { rateLimit } = require("../../middleware/rate_limit");
+// Import the middleware that checks each request against its schema, and the webhook route schemas.
+const { validate } = require("../../middleware/validate");
+const webhookSchemas = require("../../schemas/webhook");
+
+/**
+ * @description Every webhook route needs the admin or owner role. Which webhooks a caller may
+ *              manage (their own, or any for admins) is checked by the controller.
+ */
+router.use(requireRole("admin", "owner"));
+
+/**
+ * @route   GET /api/v1/webhooks
+ * @desc    Route to list the caller's webhooks (every webhook, for admins).
+ * @access  Admin or owner role
+ * @controller webhookController.list
+ */
+router.get("/", validate(webhookSchemas.list), webhookController.list);
+
+/**
+ * @route   POST /api/v1/webhooks
+ * @desc    Route to register a webhook for one question, or (admins only) for every question.
+ * @access  Admin, or owner of the question
+ * @controller webhookController.create
+ */
+router.post(
+  "/",
+  rateLimit("create"),
+  validate(webhookSchemas.create),
+  webhookController.create
+);
+
+/**
+ * @route   GET /api/v1/webhooks/:id
+ * @desc    Route to retrieve a webhook.
+ * @access  Owner of the webhook, or admin
+ * @controller webhookController.get
+ */
+router.get("/:id", validate(webhookSchemas.byId), webhookController.get);
+
+/**
+ * @route   PATCH /api/v1/webhooks/:id
+ * @desc    Route to change a webhook's URL, events or description, or to pause or resume it.
+ * @access  Owner of the webhook, or admin
+ * @controller webhookController.update
+ */
+router.patch("/:id", validate(webhookSchemas.update), webhookController.update);
+
+/**
+ * @route   DELETE /api/v1/webhooks/:id
+ * @desc    Route to delete a webhook and its delivery log.
+ * @access  Owner of the webhook, or admin
+ * @controller webhookController.delete
+ */
+router.delete("/:id", validate(webhookSchemas.byId), webhookController.delete);
+
+/**
+ * @route   POST /api/v1/webhooks/:id/ping
+ * @desc    Route to send a test 'ping' event to a webhook and report how its receiver answered.
+ * @access  Owner of the webhook, or admin
+ * @controller webhookController.ping
+ */
+router.post(
+  "/:id/ping",
+  rateLimit("create"),
+  validate(webhookSchemas.byId),
+  webhookController.ping
+);
+
+/**
+ * @route   GET /api/v1/webhooks/:id/deliveries
+ * @desc    Route to list a webhook's delivery log, newest first.
+ * @access  Owner of the webhook, or admin
+ * @controller webhookController.deliveries
+ */
+router.get(
+  "/:id/deliveries",
+  validate(webhookSchemas.deliveries),
+  webhookController.deliveries
+);
+
+/**
+ * @route   GET /api/v1/webhooks/:id/deliveries/:deliveryId
+ * @desc    Route to retrieve one delivery, with its payload and every attempt.
+ * @access  Owner of the webhook, or admin
+ * @controller webhookController.getDelivery
+ */
+router.get(
+  "/:id/deliveries/:deliveryId",
+  validate(webhookSchemas.delivery),
+  webhookController.getDelivery
+);
+
+/**
+ * @route   POST /api/v1/webhooks/:id/deliveries/:deliveryId/replay
+ * @desc    Route to send a logged delivery's payload again.
+ * @access  Owner of the webhook, or admin
+ * @controller webhookController.replay
+ */
+router.post(
+  "/:id/deliveries/:deliveryId/replay",
+  rateLimit("create"),
+  validate(webhookSchemas.delivery),
+  webhookController.replay
+);
+
+// Export the router so it can be mounted under '/api/v1/webhooks'.
+module.exports = router;
@@ -0,0 +1,108 @@
+// schemas/option.js
+//
+// Request schemas for the option routes, checked by middleware/validate.js before the controllers run.
+
+// Import the formats and limits of an option's details.
+const {
+  isHttpUrl,
+  OPTION_COLOR,
+  OPTION_DESCRIPTION_LENGTH,
+  OPTION_IMAGE_URL_LENGTH,
+} = require("../services/question_builder");
+
+// The option ID in the URL.
+const params = {
+  id: {
+    type: "objectId",
+    required: true,
+    message: "Invalid Option ID format",
+  },
+};
+
+// The question ID in the URL of the routes that manage a question's options.
+const questionParams = {
+  id: {
+    type: "objectId",
+    required: true,
+    message: "Invalid Question ID format",
+  },
+};
+
+// The optional details of an option besides its text; empty values clear them on an update.
+const details = {
+  description: { type: "string", maxLength: OPTION_DESCRIPTION_LENGTH },
+  imageUrl: {
+    type: "string",
+    maxLength: OPTION_IMAGE_URL_LENGTH,
+    check: (value) => (isHttpUrl(value) ? undefined : "must be an http(s) URL"),
+  },
+  color: {
+    type: "string",
+    check: (value) =>
+      OPTION_COLOR.test(value)
+        ? undefined
+        : "must be a hex color such as #1e90ff",
+  },
+};
+
+module.exports = {
+  // POST /options/:id/create and POST /api/v1/questions/:id/options, where the ID is the question's.
+  create: {
+    params: questionParams,
+    body: {
+      text: {
+        type: "string",
+        required: true,
+        message: "Option text cannot be empty",
+      },
+      ...details,
+    },
+  },
+
+  // GET /api/v1/questions/:id/options, where the ID is the question's.
+  list: { params: questionParams },
+
+  // PUT /api/v1/questions/:id/options/order, where the ID is the question's.
+  reorder: {
+    params: questionParams,
+    body: {
+      options: {
+        type: "array",
+        required: true,
+        minItems: 1,
+        check: (value) =>
+          value.every(
+            (id) => typeof id === "string" && /^[0-9a-fA-F]{24}$/.test(id)
+          )
+            ? undefined
+            : "must be a list of option IDs",
+      },
+    },
+  },
+
+  // PATCH /options/:id; every field is optional, but text can't be emptied.
+  update: {
+    params,
+    body: {
+      text: {
+        type: "string",
+        allowEmpty: false,
+        message: "Option text cannot be empty",
+      },
+      ...details,
+      force: { type: "boolean" },
+    },
+  },
+
+  // Routes that only take the option ID: delete, restore, the legacy add_vote (a GET, so without
+  // voter attributes) and change_vote.
+  byId: { params },
+
+  // POST /options/:id/votes; the voter attributes are checked against the question by services/ballot.js.
+  vote: {
+    params,
+    body: {
+      attributes: { type: "object" },
+    },
+  },
+};
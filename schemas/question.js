@@ -0,0 +1,244 @@
+// schemas/question.js
+//
+// Request schemas for the question routes, checked by middleware/validate.js before the controllers run.
+// They cover the shape of each field; rules that depend on several fields or on the stored question
+// (e.g. closesAt after opensAt, or which fields an open question may change) stay in the controllers and services.
+
+// Import the poll types a question can have.
+const { QUESTION_TYPES } = require("../services/question_builder");
+// Import the poll event types, which name the actions in the audit log.
+const { EVENT_TYPES } = require("../services/poll_events");
+// Import the intervals the vote analytics can be grouped by.
+const { BUCKETS } = require("../services/analytics");
+// Import the server settings, which set the page and batch size limits.
+const { limits } = require("../config/server");
+// Import the segment settings, which set the smallest segment size a question may ask for.
+const segments = require("../config/segments");
+
+// The largest page of questions a client may ask for (PAGE_MAX_SIZE).
+const MAX_PAGE_SIZE = limits.pageSize;
+// The most questions a single batch request may create (BATCH_MAX_QUESTIONS).
+const MAX_BATCH_SIZE = limits.batchQuestions;
+
+// The question ID in the URL.
+const params = {
+  id: {
+    type: "objectId",
+    required: true,
+    message: "Invalid Question ID format",
+  },
+};
+
+// The settings of a question, shared by creation and updates.
+const settings = {
+  tags: { type: ["array", "string"] },
+  type: { type: "string", oneOf: QUESTION_TYPES },
+  minSelections: { type: "integer", min: 1 },
+  maxSelections: { type: "integer", min: 1 },
+  quorum: { type: "integer", min: 1 },
+  electorateSize: { type: "integer", min: 1 },
+  minTurnout: {
+    type: "number",
+    check: (value) =>
+      value > 0 && value <= 100
+        ? undefined
+        : "must be a percentage above 0 and up to 100",
+  },
+  opensAt: { type: "date" },
+  closesAt: { type: "date" },
+  // Each attribute's name, values and required flag are checked by services/question_builder.js.
+  voterAttributes: { type: "array", maxItems: segments.maxAttributes },
+  minCellSize: { type: "integer", min: segments.minCellSize },
+  shuffleOptions: { type: "boolean" },
+  allowWriteIns: { type: "boolean" },
+};
+
+// The fields of a new question.
+const newQuestion = {
+  title: {
+    type: "string",
+    required: true,
+    message: "Question title cannot be empty",
+  },
+  ...settings,
+};
+
+module.exports = {
+  MAX_PAGE_SIZE,
+  MAX_BATCH_SIZE,
+
+  // GET / and GET /api/v1/questions
+  list: {
+    query: {
+      limit: {
+        type: "integer",
+        min: 1,
+        max: MAX_PAGE_SIZE,
+        message: `limit must be a whole number from 1 to ${MAX_PAGE_SIZE}`,
+      },
+      cursor: { type: "string" },
+      sort: { type: "string", oneOf: ["newest", "oldest", "votes"] },
+      search: { type: "string" },
+      status: { type: "string", oneOf: ["draft", "open", "closed"] },
+      owner: {
+        type: "string",
+        check: (value) =>
+          value === "me" || /^[0-9a-fA-F]{24}$/.test(value)
+            ? undefined
+            : "must be a user ID or 'me'",
+      },
+      tag: { type: "string" },
+      createdFrom: { type: "date" },
+      createdTo: { type: "date" },
+      includeOptions: { type: "boolean" },
+      archived: { type: "boolean" },
+    },
+  },
+
+  // POST /questions/create
+  create: { body: newQuestion },
+
+  // POST /questions/bulk
+  bulkCreate: {
+    body: {
+      ...newQuestion,
+      options: {
+        type: "array",
+        required: true,
+        minItems: 2,
+        message: "options must be a list of at least two options",
+      },
+    },
+  },
+
+  // POST /questions/batch; each poll is checked like a bulk request by the controller.
+  batchCreate: {
+    body: {
+      questions: {
+        type: "array",
+        required: true,
+        minItems: 1,
+        maxItems: MAX_BATCH_SIZE,
+      },
+    },
+  },
+
+  // POST /questions/import; the document itself is checked by services/poll_transfer.js.
+  importPolls: {
+    body: {
+      format: { type: "string", required: true },
+      version: { type: "integer", required: true },
+      questions: { type: "array", required: true, minItems: 1 },
+    },
+  },
+
+  // GET /questions/export
+  exportAll: {
+    query: { ballots: { type: "boolean" } },
+  },
+
+  // Routes that only take the question ID: GET, DELETE, restore, close, results, stream, share.
+  byId: { params },
+
+  // PATCH /questions/:id; every field is optional, and empty values clear optional settings.
+  update: {
+    params,
+    body: {
+      title: {
+        type: "string",
+        allowEmpty: false,
+        message: "Question title cannot be empty",
+      },
+      ...settings,
+      force: { type: "boolean" },
+    },
+  },
+
+  // POST /api/v1/questions/:id/clone
+  clone: {
+    params,
+    body: {
+      title: { type: "string", allowEmpty: false },
+      opensAt: { type: "date" },
+      closesAt: { type: "date" },
+    },
+  },
+
+  // POST /questions/:id/open
+  open: {
+    params,
+    body: {
+      opensAt: { type: "date" },
+      closesAt: { type: "date" },
+    },
+  },
+
+  // GET /questions/:id/export
+  exportQuestion: {
+    params,
+    query: {
+      format: { type: "string", oneOf: ["json", "csv"] },
+      part: { type: "string", oneOf: ["results", "ballots"] },
+    },
+  },
+
+  // POST and PUT /questions/:id/ballot; which of these fields a ballot needs depends on the
+  // question type, so services/ballot.js checks that once the question is loaded.
+  ballot: {
+    params,
+    body: {
+      option: { type: "objectId" },
+      options: { type: ["array", "objectId"] },
+      ranking: { type: ["array", "objectId"] },
+      ratings: { type: ["object", "array"] },
+      writeIn: { type: "string" },
+      attributes: { type: "object" },
+    },
+  },
+
+  // GET /questions/:id/results/segments
+  segments: {
+    params,
+    query: {
+      by: {
+        type: "string",
+        required: true,
+        message: "Name the voter attribute to break the results down by",
+      },
+    },
+  },
+
+  // GET /questions/:id/analytics
+  analytics: {
+    params,
+    query: {
+      bucket: { type: "string", oneOf: BUCKETS },
+      timezone: {
+        type: "string",
+        check: (value) => {
+          try {
+            new Intl.DateTimeFormat("en", { timeZone: value });
+            return undefined;
+          } catch (err) {
+            return "must be a time zone name, e.g. 'Europe/Berlin'";
+          }
+        },
+      },
+      from: { type: "date" },
+      to: { type: "date" },
+    },
+  },
+
+  // GET /questions/:id/audit
+  audit: {
+    params,
+    query: {
+      action: { type: "string", oneOf: EVENT_TYPES },
+      actor: { type: "objectId", message: "Invalid User ID format" },
+      from: { type: "date" },
+      to: { type: "date" },
+      limit: { type: "integer", min: 1, max: MAX_PAGE_SIZE },
+      cursor: { type: "string" },
+    },
+  },
+};
@@ -0,0 +1,59 @@
+// schemas/share.js
+//
+// Request schemas for the share routes (/p/:code), checked by middleware/validate.js before the controllers run.
+
+// Import the Question model, which knows the format of share codes.
+const Question = require("../models/question");
+
+// The share code in the URL.
+const params = {
+  code: {
+    type: "string",
+    required: true,
+    check: (value) =>
+      Question.isShareCode(value) ? undefined : "is not a valid share code",
+    message: "Invalid share code",
+  },
+};
+
+// The access token of a private poll, which share links carry in the query string.
+const query = {
+  token: { type: "string" },
+};
+
+module.exports = {
+  // GET /p/:code
+  view: { params, query },
+
+  // POST and PUT /p/:code/vote/:position
+  vote: {
+    params: {
+      ...params,
+      position: {
+        type: "integer",
+        required: true,
+        min: 1,
+        message: "The option position must be a whole number from 1",
+      },
+    },
+    query,
+    body: {
+      attributes: { type: "object" },
+    },
+  },
+
+  // POST and PUT /p/:code/ballot; the same ballot as POST /api/v1/questions/:id/ballot, with
+  // options named by their position in the poll (1 for the first option) instead of their ID.
+  ballot: {
+    params,
+    query,
+    body: {
+      option: { type: "integer", min: 1 },
+      options: { type: ["array", "integer"] },
+      ranking: { type: ["array", "integer"] },
+      ratings: { type: ["object", "array"] },
+      writeIn: { type: "string" },
+      attributes: { type: "object" },
+    },
+  },
+};
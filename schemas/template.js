@@ -0,0 +1,90 @@
+// schemas/template.js
+//
+// Request schemas for the template routes, checked by middleware/validate.js before the controllers run.
+// The question and its options are checked like a new poll by services/templates.js, which also
+// checks the recurrence.
+
+// Import the question schemas, whose poll fields templates share.
+const questionSchemas = require("./question");
+
+// The template ID in the URL.
+const params = {
+  id: {
+    type: "objectId",
+    required: true,
+    message: "Invalid Template ID format",
+  },
+};
+
+/**
+ * Copies the rules of a schema's body without some of its fields.
+ * @param {object} rules - The body rules.
+ * @param {Array<string>} fields - The fields to leave out.
+ * @returns {object} - The remaining rules.
+ */
+function without(rules, fields) {
+  return Object.fromEntries(
+    Object.entries(rules).filter(([field]) => !fields.includes(field))
+  );
+}
+
+// Templates don't keep a schedule; each question created from one gets its own.
+const SCHEDULE = ["opensAt", "closesAt"];
+
+const name = { type: "string", maxLength: 100 };
+const description = { type: "string", maxLength: 200 };
+
+// When a template creates questions by itself; its fields are checked by services/templates.js.
+const recurrence = { type: "object" };
+
+module.exports = {
+  // GET /api/v1/templates
+  list: {
+    query: { recurring: { type: "boolean" } },
+  },
+
+  // POST /api/v1/templates
+  create: {
+    body: {
+      name: {
+        ...name,
+        required: true,
+        message: "Template name cannot be empty",
+      },
+      description,
+      ...without(questionSchemas.bulkCreate.body, SCHEDULE),
+      recurrence,
+    },
+  },
+
+  // POST /api/v1/questions/:id/template
+  fromQuestion: {
+    params: questionSchemas.byId.params,
+    body: { name, description, recurrence },
+  },
+
+  // GET and DELETE /api/v1/templates/:id
+  byId: { params },
+
+  // PATCH /api/v1/templates/:id; every field is optional, and empty values clear optional settings.
+  update: {
+    params,
+    body: {
+      name: { ...name, allowEmpty: false },
+      description,
+      ...without(questionSchemas.update.body, [...SCHEDULE, "force"]),
+      options: { type: "array", minItems: 2 },
+      recurrence,
+    },
+  },
+
+  // POST /api/v1/templates/:id/questions
+  instantiate: {
+    params,
+    body: {
+      title: { type: "string", allowEmpty: false },
+      opensAt: { type: "date" },
+      closesAt: { type: "date" },
+    },
+  },
+};
@@ -0,0 +1,28 @@
+// schemas/user.js
+//
+// Request schemas for the user routes, checked by middleware/validate.js before the controllers run.
+
+module.exports = {
+  // POST /users
+  create: {
+    body: {
+      name: {
+        type: "string",
+        required: true,
+        message: "User name cannot be empty",
+      },
+      role: { type: "string", oneOf: ["admin", "owner", "voter"] },
+    },
+  },
+
+  // DELETE /users/:id
+  byId: {
+    params: {
+      id: {
+        type: "objectId",
+        required: true,
+        message: "Invalid User ID format",
+      },
+    },
+  },
+};
@@ -0,0 +1,102 @@
+// schemas/webhook.js
+//
+// Request schemas for the webhook routes, checked by middleware/validate.js before the controllers run.
+
+// Import the poll event types a webhook can subscribe to.
+const { EVENT_TYPES } = require("../services/poll_events");
+// Import the check that keeps deliveries away from private and reserved hosts.
+const { reservedHostReason } = require("../utils/public_address");
+
+// The webhook ID in the URL.
+const params = {
+  id: {
+    type: "objectId",
+    required: true,
+    message: "Invalid Webhook ID format",
+  },
+};
+
+// The URL deliveries are sent to. Hosts are checked here without resolving them; the controller
+// then checks what a host name resolves to (see controller/webhook_controller.js).
+const url = {
+  type: "string",
+  maxLength: 2000,
+  check: (value) => {
+    let parsed;
+    try {
+      parsed = new URL(value);
+    } catch (err) {
+      parsed = null;
+    }
+    if (!parsed || !["http:", "https:"].includes(parsed.protocol)) {
+      return "must be an http(s) URL";
+    }
+    return reservedHostReason(parsed.hostname);
+  },
+};
+
+// The event types to deliver; one event may be sent as a plain string.
+const events = {
+  type: ["array", "string"],
+  check: (value) =>
+    [].concat(value).every((type) => EVENT_TYPES.includes(type))
+      ? undefined
+      : `must only list these events: ${EVENT_TYPES.join(", ")}`,
+};
+
+const description = { type: "string", maxLength: 200 };
+
+module.exports = {
+  // POST /api/v1/webhooks
+  create: {
+    body: {
+      url: { ...url, required: true },
+      events,
+      question: { type: "objectId", message: "Invalid Question ID format" },
+      description,
+    },
+  },
+
+  // GET /api/v1/webhooks
+  list: {
+    query: {
+      question: { type: "objectId", message: "Invalid Question ID format" },
+    },
+  },
+
+  // GET and DELETE /api/v1/webhooks/:id, and POST /api/v1/webhooks/:id/ping
+  byId: { params },
+
+  // PATCH /api/v1/webhooks/:id; the question a webhook belongs to can't be changed.
+  update: {
+    params,
+    body: {
+      url: { ...url, allowEmpty: false },
+      events,
+      description,
+      active: { type: "boolean" },
+    },
+  },
+
+  // GET /api/v1/webhooks/:id/deliveries
+  deliveries: {
+    params,
+    query: {
+      status: { type: "string", oneOf: ["pending", "delivered", "failed"] },
+      limit: { type: "integer", min: 1, max: 100 },
+      cursor: { type: "string" },
+    },
+  },
+
+  // GET /api/v1/webhooks/:id/deliveries/:deliveryId and POST .../replay
+  delivery: {
+    params: {
+      ...params,
+      deliveryId: {
+        type: "objectId",
+        required: true,
+        message: "Invalid Delivery ID format",
+      },
+    },
+  },
+};
@@ -0,0 +1,67 @@
+// schemas/write_in.js
+//
+// Request schemas for the write-in moderation routes, checked by middleware/validate.js before the controllers run.
+
+// Import the server settings, which set the largest page a client may ask for (PAGE_MAX_SIZE).
+const { limits } = require("../config/server");
+
+// The question and write-in IDs in the URL.
+const params = {
+  id: {
+    type: "objectId",
+    required: true,
+    message: "Invalid Question ID format",
+  },
+  writeInId: {
+    type: "objectId",
+    required: true,
+    message: "Invalid Write-in ID format",
+  },
+};
+
+// Lets an admin moderate the answers of a closed question.
+const force = { type: "boolean" };
+
+module.exports = {
+  // GET /questions/:id/write-ins
+  list: {
+    params: { id: params.id },
+    query: {
+      status: {
+        type: "string",
+        oneOf: ["pending", "approved", "merged", "rejected"],
+      },
+      limit: { type: "integer", min: 1, max: limits.pageSize },
+      cursor: { type: "string" },
+    },
+  },
+
+  // POST /questions/:id/write-ins/:writeInId/approve
+  approve: {
+    params,
+    body: {
+      // The new option's text, to correct the answer's spelling; defaults to the answer.
+      text: { type: "string", allowEmpty: false },
+      force,
+    },
+  },
+
+  // POST /questions/:id/write-ins/:writeInId/merge
+  merge: {
+    params,
+    body: {
+      option: {
+        type: "objectId",
+        required: true,
+        message: "Name the option to merge the answer into",
+      },
+      force,
+    },
+  },
+
+  // POST /questions/:id/write-ins/:writeInId/reject
+  reject: {
+    params,
+    body: { force },
+  },
+};
@@ -0,0 +1,98 @@
+// scripts/check_openapi.js
+//
+// Checks that the OpenAPI document served at /openapi.json describes exactly the routes the app
+// registers: fails (exit code 1) if a route is missing from the document, or if the document
+// describes a route that doesn't exist. Run with `npm test`.
+
+// Load the same environment as the server, since the settings decide some of the document.
+require("dotenv").config();
+// Import the Express application (without starting it) and the OpenAPI document.
+const app = require("../app");
+const { openApiDocument, toOpenApiPath } = require("../openapi");
+
+// The HTTP methods an OpenAPI path item can describe.
+const METHODS = [
+  "get",
+  "put",
+  "post",
+  "delete",
+  "options",
+  "head",
+  "patch",
+  "trace",
+];
+
+/**
+ * Reads the path a router was mounted at back from the layer Express created for it.
+ * Express 4 only keeps the compiled regular expression, e.g. /^\/api\/v1\/?(?=\/|$)/i for '/api/v1'.
+ * @param {object} layer - The router's layer in its parent's stack.
+ * @returns {string} - The mount path, '' for routers mounted at the root.
+ * @throws {Error} - If the mount path isn't a plain path this script can read.
+ */
+function mountPath(layer) {
+  if (layer.regexp.fast_slash) {
+    return "";
+  }
+  const path = layer.regexp.source
+    .replace(/^\^/, "")
+    .replace("\\/?(?=\\/|$)", "")
+    .replace(/\\\//g, "/");
+  if (!/^[\w/.-]*$/.test(path)) {
+    throw new Error(`Can't read the mount path of ${layer.regexp}`);
+  }
+  return path;
+}
+
+/**
+ * Lists the routes registered on a router and on the routers mounted in it.
+ * @param {Array<object>} stack - The router's layers.
+ * @param {string} prefix - The path the router is mounted at.
+ * @returns {Array<string>} - The routes, as "METHOD /openapi/{style}/path".
+ */
+function listRoutes(stack, prefix) {
+  const routes = [];
+  for (const layer of stack) {
+    if (layer.route) {
+      for (const path of [].concat(layer.route.path)) {
+        const fullPath = (prefix + path).replace(/\/+$/, "") || "/";
+        for (const method of Object.keys(layer.route.methods)) {
+          if (method !== "_all") {
+            routes.push(`${method.toUpperCase()} ${toOpenApiPath(fullPath)}`);
+          }
+        }
+      }
+    } else if (layer.name === "router" && layer.handle.stack) {
+      routes.push(...listRoutes(layer.handle.stack, prefix + mountPath(layer)));
+    }
+  }
+  return routes;
+}
+
+const registered = new Set(listRoutes(app._router.stack, ""));
+const documented = new Set();
+for (const [path, item] of Object.entries(openApiDocument().paths)) {
+  for (const method of METHODS) {
+    if (item[method]) {
+      documented.add(`${method.toUpperCase()} ${path}`);
+    }
+  }
+}
+
+const undocumented = [...registered].filter((route) => !documented.has(route));
+const unknown = [...documented].filter((route) => !registered.has(route));
+
+if (undocumented.length > 0) {
+  console.error(
+    "Routes missing from the OpenAPI document (openapi/operations.js):"
+  );
+  undocumented.forEach((route) => console.error(`  ${route}`));
+}
+if (unknown.length > 0) {
+  console.error("Documented routes that the app doesn't register:");
+  unknown.forEach((route) => console.error(`  ${route}`));
+}
+if (undocumented.length > 0 || unknown.length > 0) {
+  process.exitCode = 1;
+} else {
+  console.log(`OpenAPI document covers all ${registered.size} routes.`);
+}
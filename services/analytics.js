@@ -0,0 +1,135 @@
+// Import the VoteEvent model, which holds the history of every option's vote count.
+const VoteEvent = require("../models/vote_event");
+
+// The intervals votes can be grouped by; each is a unit of MongoDB's $dateTrunc.
+const BUCKETS = ["minute", "hour", "day"];
+
+// What is counted per interval: votes gained, votes lost to changed ballots, and the difference.
+const INTERVAL_COUNTS = {
+  votes: { $sum: { $max: ["$delta", 0] } },
+  removed: { $sum: { $max: [{ $multiply: ["$delta", -1] }, 0] } },
+  net: { $sum: "$delta" },
+};
+
+/**
+ * Builds the aggregation stages that turn a question's vote events into one entry per interval:
+ * the counts of the interval and the running total at its end. Only intervals with votes are listed.
+ * @param {object} key - What to group by besides the interval, e.g. `{ option: "$option" }`, or `{}` for every option together.
+ * @param {object} settings - The interval settings.
+ * @param {string} settings.bucket - The interval length, one of BUCKETS.
+ * @param {string} settings.timezone - The time zone intervals are aligned to, e.g. for days to start at local midnight.
+ * @param {Date} [settings.from] - Leaves out intervals before the one containing this moment.
+ * @returns {Array<object>} - The aggregation stages.
+ */
+function intervalStages(key, { bucket, timezone, from }) {
+  const stages = [
+    {
+      $group: {
+        _id: {
+          ...key,
+          at: { $dateTrunc: { date: "$at", unit: bucket, timezone } },
+        },
+        ...INTERVAL_COUNTS,
+      },
+    },
+    // The running total includes every earlier interval, also those before `from`.
+    {
+      $setWindowFields: {
+        ...(key.option ? { partitionBy: "$_id.option" } : {}),
+        sortBy: { "_id.at": 1 },
+        output: {
+          cumulative: {
+            $sum: "$net",
+            window: { documents: ["unbounded", "current"] },
+          },
+        },
+      },
+    },
+  ];
+  if (from) {
+    stages.push({
+      $match: {
+        $expr: {
+          $gte: [
+            "$_id.at",
+            { $dateTrunc: { date: from, unit: bucket, timezone } },
+          ],
+        },
+      },
+    });
+  }
+  stages.push(
+    { $sort: { "_id.at": 1 } },
+    {
+      $project: {
+        _id: 0,
+        ...(key.option ? { option: "$_id.option" } : {}),
+        at: "$_id.at",
+        votes: 1,
+        removed: 1,
+        net: 1,
+        cumulative: 1,
+      },
+    }
+  );
+  return stages;
+}
+
+/**
+ * Computes how a question's votes developed over time, from the vote history (see models/vote_event.js),
+ * in one aggregation. For each option, and for all options together, it lists per interval:
+ *   - votes:      votes gained in the interval (the voting rate),
+ *   - removed:    votes lost in the interval to ballots changed to other options,
+ *   - net:        votes minus removed,
+ *   - cumulative: the vote count at the end of the interval.
+ * Options are counted like the option counters: on ranked-choice polls only first preferences count,
+ * and on rating polls each rating is one vote. Ballots cast before the history was kept, and imported
+ * ballots (whose casting time isn't exported), aren't included.
+ * @param {object} question - The Question document, with its options populated.
+ * @param {object} [settings={}] - The interval settings.
+ * @param {string} [settings.bucket='hour'] - The interval length: 'minute', 'hour' or 'day'.
+ * @param {string} [settings.timezone='UTC'] - The time zone intervals are aligned to.
+ * @param {Date} [settings.from] - Only list intervals from this moment on.
+ * @param {Date} [settings.to] - Only count votes up to this moment.
+ * @returns {Promise<object>} - The timeline: the settings, `options` (each with its `series`) and `totals`.
+ */
+async function voteTimeline(
+  question,
+  { bucket = "hour", timezone = "UTC", from, to } = {}
+) {
+  const match = { question: question._id };
+  if (to) {
+    match.at = { $lte: to };
+  }
+  const settings = { bucket, timezone, from };
+
+  const [{ byOption, totals }] = await VoteEvent.aggregate([
+    { $match: match },
+    {
+      $facet: {
+        byOption: intervalStages({ option: "$option" }, settings),
+        totals: intervalStages({}, settings),
+      },
+    },
+  ]);
+
+  return {
+    bucket,
+    timezone,
+    from: from || null,
+    to: to || null,
+    options: question.options.map((option) => {
+      const series = byOption
+        .filter((entry) => String(entry.option) === String(option._id))
+        .map(({ option: id, ...entry }) => entry);
+      return {
+        _id: option._id,
+        text: option.text,
+        series,
+      };
+    }),
+    totals,
+  };
+}
+
+module.exports = { BUCKETS, voteTimeline };
@@ -0,0 +1,96 @@
+// Import the AuditEntry model, which stores the audit log.
+const AuditEntry = require("../models/audit_entry");
+
+// The fields of a ballot kept in its audit snapshots. Its choices, written-in answer, voter
+// attributes and voter ID are all left out, see `auditEntry`.
+const BALLOT_FIELDS = [
+  "_id",
+  "question",
+  "voterType",
+  "createdAt",
+  "updatedAt",
+];
+
+/**
+ * Turns a document into the plain object stored as an audit snapshot: references are kept as IDs,
+ * and the edit history (already recorded by earlier entries) and a private poll's access token are left out.
+ * Ballots only keep the fields in `BALLOT_FIELDS`.
+ * @param {object|null} doc - A Mongoose document (or plain object).
+ * @param {string} [kind] - The kind of record, e.g. 'vote'.
+ * @returns {object|undefined} - The snapshot, or undefined if there is no document.
+ */
+function snapshot(doc, kind) {
+  if (!doc) {
+    return undefined;
+  }
+  const plain =
+    typeof doc.toObject === "function"
+      ? doc.toObject({ depopulate: true, versionKey: false })
+      : { ...doc };
+  if (kind === "vote") {
+    return Object.fromEntries(
+      BALLOT_FIELDS.filter((field) => plain[field] !== undefined).map(
+        (field) => [field, plain[field]]
+      )
+    );
+  }
+  delete plain.revisions;
+  delete plain.accessToken;
+  return plain;
+}
+
+/**
+ * Builds the audit log entry for a change, naming the caller as the actor.
+ * Ballots are the exception: owners read the log, and a voter's identity next to their choices
+ * (or their voter attributes, which the segmented results hide behind `minCellSize`) would tell
+ * them who voted for what. So entries for ballots record neither the actor nor the choices,
+ * only that a ballot was cast or changed, and when.
+ * @param {object|null} req - The Express request object of the change, or null for changes the server makes on its own.
+ * @param {string} action - What happened, one of the poll event types, e.g. 'option.deleted'.
+ * @param {*} questionId - The ID of the question the change belongs to.
+ * @param {object} change - What changed, see `recordAudit`.
+ * @returns {object} - The fields of the AuditEntry to store.
+ */
+function auditEntry(req, action, questionId, { kind, id, before, after }) {
+  return {
+    action,
+    question: questionId,
+    target: { kind, id },
+    actor:
+      req && kind !== "vote"
+        ? {
+            user: req.user ? req.user._id : undefined,
+            role: req.user ? req.user.role : undefined,
+            ip: req.ip,
+            userAgent: req.get("user-agent") || undefined,
+          }
+        : {},
+    before: snapshot(before, kind),
+    after: snapshot(after, kind),
+  };
+}
+
+/**
+ * Appends an entry to the audit log of a question, naming the caller as the actor (see `auditEntry`).
+ * Called by the controllers after a change has been stored. A failure to write the entry is
+ * logged rather than reported to the client, since the change itself has already been made.
+ * @param {object|null} req - The Express request object of the change, used to identify the actor;
+ *                            null for changes the server makes on its own, such as recurring questions.
+ * @param {string} action - What happened, one of the poll event types, e.g. 'option.deleted'.
+ * @param {*} questionId - The ID of the question the change belongs to.
+ * @param {object} change - What changed.
+ * @param {string} change.kind - The kind of record that changed: 'question', 'option', 'vote' or 'writeIn'.
+ * @param {*} change.id - The ID of the record that changed.
+ * @param {object} [change.before] - The record before the change (a document or plain object).
+ * @param {object} [change.after] - The record after the change.
+ * @returns {Promise<void>}
+ */
+async function recordAudit(req, action, questionId, change) {
+  try {
+    await AuditEntry.create(auditEntry(req, action, questionId, change));
+  } catch (err) {
+    console.error(`Error writing the audit entry for ${action}:`, err);
+  }
+}
+
+module.exports = { recordAudit, auditEntry, snapshot };
@@ -0,0 +1,498 @@
+// Import Mongoose for ObjectId validation of the option IDs on a ballot.
+const mongoose = require("mongoose");
+// Import the Option model, whose counters are updated whenever a ballot is cast or changed.
+const Option = require("../models/option");
+// Import the Question model, whose ballot total is updated whenever a ballot is cast.
+const Question = require("../models/question");
+// Import the Vote model, which stores each voter's ballot.
+const Vote = require("../models/vote");
+// Import the VoteEvent model, which keeps the history of the option counters for analytics.
+const VoteEvent = require("../models/vote_event");
+// Import the WriteIn model, which queues the answers voters write in for moderation.
+const WriteIn = require("../models/write_in");
+// Import the helper that groups the ballot and counter writes into one transaction.
+const { runInTransaction } = require("../utils/transaction");
+
+// The range of scores accepted on rating ballots.
+const MIN_RATING = 1;
+const MAX_RATING = 5;
+
+// The longest answer a voter may write in.
+const WRITE_IN_LENGTH = 200;
+
+/**
+ * Normalizes a list of option IDs from the request body.
+ * URL-encoded bodies send a single value as a string and repeated values as an array.
+ * @param {*} value - The raw value.
+ * @returns {Array<string>|null} - The IDs as strings, or null if nothing usable was sent.
+ */
+function toIdList(value) {
+  if (value === undefined || value === null || value === "") {
+    return null;
+  }
+  return [].concat(value).map(String);
+}
+
+/**
+ * Checks a list of option IDs against the question's options.
+ * @param {object} question - The Question document.
+ * @param {Array<string>} ids - The option IDs from the ballot.
+ * @returns {string|null} - An error message, or null if every ID is a distinct option of the question.
+ */
+function checkOptionIds(question, ids) {
+  const validIds = question.options.map((option) =>
+    String(option._id || option)
+  );
+  for (const id of ids) {
+    if (!mongoose.isValidObjectId(id) || !validIds.includes(id)) {
+      return `Option ${id} does not belong to this question`;
+    }
+  }
+  if (new Set(ids).size !== ids.length) {
+    return "Each option may only appear once on a ballot";
+  }
+  return null;
+}
+
+/**
+ * Validates the answer a voter wrote in with a ballot, on questions that allow write-ins.
+ * Runs of whitespace are collapsed, so answers that only differ in spacing are the same answer.
+ * @param {object} question - The Question document the ballot is for.
+ * @param {*} value - The `writeIn` of the request body.
+ * @returns {{ writeIn?: string, error?: string }} - The answer (`undefined` if none was sent),
+ *          or an error message describing why it is invalid.
+ */
+function parseWriteIn(question, value) {
+  if (value === undefined || value === null || value === "") {
+    return {};
+  }
+  if (!question.allowWriteIns) {
+    return { error: "This question doesn't accept write-ins" };
+  }
+  const text =
+    typeof value === "string" ? value.trim().replace(/\s+/g, " ") : "";
+  if (!text || text.length > WRITE_IN_LENGTH) {
+    return {
+      error: `writeIn must be a text of up to ${WRITE_IN_LENGTH} characters`,
+    };
+  }
+  return { writeIn: text };
+}
+
+/**
+ * Validates the voter attributes sent with a ballot against those the question asks for
+ * (see models/question.js): only attributes of the question, each with one of its allowed values
+ * (any text of up to 100 characters if it lists none), and every required one.
+ * @param {object} question - The Question document the ballot is for.
+ * @param {*} value - The `attributes` of the request body: an object of attribute names to values.
+ * @returns {{ attributes?: object, error?: string }} - The attributes to store (`undefined` if there are none),
+ *          or an error message describing why they are invalid.
+ */
+function validateAttributes(question, value) {
+  const defined = question.voterAttributes || [];
+  if (value === undefined || value === null || value === "") {
+    value = {};
+  }
+  if (typeof value !== "object" || Array.isArray(value)) {
+    return {
+      error: "attributes must be an object of attribute names to values",
+    };
+  }
+
+  const attributes = {};
+  for (const name of Object.keys(value)) {
+    const attribute = defined.find((item) => item.name === name);
+    if (!attribute) {
+      return {
+        error:
+          defined.length > 0
+            ? `Unknown voter attribute "${name}"; this question asks for: ${defined
+                .map((item) => item.name)
+                .join(", ")}`
+            : "This question doesn't ask for voter attributes",
+      };
+    }
+    const raw = value[name];
+    if (raw === undefined || raw === null || raw === "") {
+      continue;
+    }
+    const text = typeof raw === "string" ? raw.trim() : null;
+    if (!text || text.length > 100) {
+      return {
+        error: `Voter attribute "${name}" must be a text of up to 100 characters`,
+      };
+    }
+    if (attribute.values.length > 0 && !attribute.values.includes(text)) {
+      return {
+        error: `Voter attribute "${name}" must be one of: ${attribute.values.join(
+          ", "
+        )}`,
+      };
+    }
+    attributes[name] = text;
+  }
+
+  const missing = defined.find(
+    (attribute) =>
+      attribute.required && attributes[attribute.name] === undefined
+  );
+  if (missing) {
+    return { error: `Voter attribute "${missing.name}" is required` };
+  }
+  return {
+    attributes: Object.keys(attributes).length > 0 ? attributes : undefined,
+  };
+}
+
+/**
+ * Validates a ballot from the request body against the question's type and turns it into
+ * the `choices` stored on the Vote record, along with the voter attributes sent in `attributes`
+ * (see `validateAttributes`).
+ *
+ * Expected body shapes:
+ *   - single: `{ "option": "<id>" }`, or `{ "writeIn": "<answer>" }` on questions that allow write-ins
+ *   - multi:  `{ "options": ["<id>", ...] }`, plus an optional `writeIn` on questions that allow them
+ *   - ranked: `{ "ranking": ["<first choice id>", "<second choice id>", ...] }`
+ *   - rating: `{ "ratings": { "<id>": 4, ... } }` or `{ "ratings": [{ "option": "<id>", "score": 4 }, ...] }`
+ *
+ * A ballot that replaces an earlier one may leave out `attributes` to keep the earlier ballot's.
+ *
+ * @param {object} question - The Question document the ballot is for.
+ * @param {object} body - The request body.
+ * @param {{ replacing?: boolean }} [mode={}] - Set `replacing` when the ballot replaces the voter's earlier one.
+ * @returns {{ choices?: Array<object>, writeIn?: string, attributes?: object, error?: string }} - The choices,
+ *          the written-in answer and the attributes, or an error message describing why the ballot is invalid.
+ *          When replacing, `attributes` is `undefined` if they were left out (keep the earlier ones) and
+ *          `null` if they were cleared.
+ */
+module.exports.validateBallot = function (question, body, { replacing } = {}) {
+  body = body || {};
+  const result = validateChoices(question, body);
+  if (result.error) {
+    return result;
+  }
+  const { choices, writeIn } = result;
+  if (replacing && body.attributes === undefined) {
+    return { choices, writeIn };
+  }
+  const { attributes, error } = validateAttributes(question, body.attributes);
+  if (replacing && !error && attributes === undefined) {
+    return { choices, writeIn, attributes: null };
+  }
+  if (error) {
+    return { error };
+  }
+  return { choices, writeIn, attributes };
+};
+
+/**
+ * Validates the choices of a ballot against the question's type (see `validateBallot`).
+ * A written-in answer counts as one of the selections of a multi-select ballot.
+ * @param {object} question - The Question document the ballot is for.
+ * @param {object} body - The request body.
+ * @returns {{ choices?: Array<object>, writeIn?: string, error?: string }} - The choices and the
+ *          written-in answer, or an error message describing why they are invalid.
+ */
+function validateChoices(question, body) {
+  const { writeIn, error: writeInError } = parseWriteIn(question, body.writeIn);
+  if (writeInError) {
+    return { error: writeInError };
+  }
+
+  switch (question.type) {
+    case "multi": {
+      const ids = toIdList(body.options) || (writeIn ? [] : null);
+      if (!ids) {
+        return { error: "A multi-select ballot needs an 'options' list" };
+      }
+      const error = checkOptionIds(question, ids);
+      if (error) {
+        return { error };
+      }
+      const selections = ids.length + (writeIn ? 1 : 0);
+      if (selections < question.minSelections) {
+        return {
+          error: `Select at least ${question.minSelections} option(s)`,
+        };
+      }
+      if (question.maxSelections && selections > question.maxSelections) {
+        return {
+          error: `Select at most ${question.maxSelections} option(s)`,
+        };
+      }
+      return { choices: ids.map((id) => ({ option: id })), writeIn };
+    }
+
+    case "ranked": {
+      const ids = toIdList(body.ranking);
+      if (!ids) {
+        return { error: "A ranked-choice ballot needs a 'ranking' list" };
+      }
+      const error = checkOptionIds(question, ids);
+      if (error) {
+        return { error };
+      }
+      // Ranks follow the order of the list: the first entry is the first preference.
+      return {
+        choices: ids.map((id, index) => ({ option: id, rank: index + 1 })),
+      };
+    }
+
+    case "rating": {
+      // Accept either a map of option ID to score, or a list of { option, score } entries.
+      let entries = body.ratings;
+      if (entries && !Array.isArray(entries) && typeof entries === "object") {
+        entries = Object.keys(entries).map((option) => ({
+          option,
+          score: entries[option],
+        }));
+      }
+      if (!Array.isArray(entries) || entries.length === 0) {
+        return {
+          error: "A rating ballot needs at least one entry in 'ratings'",
+        };
+      }
+      const ids = entries.map((entry) => String(entry && entry.option));
+      const error = checkOptionIds(question, ids);
+      if (error) {
+        return { error };
+      }
+      const choices = [];
+      for (const entry of entries) {
+        const score = Number(entry.score);
+        if (
+          !Number.isInteger(score) ||
+          score < MIN_RATING ||
+          score > MAX_RATING
+        ) {
+          return {
+            error: `Ratings must be whole numbers from ${MIN_RATING} to ${MAX_RATING}`,
+          };
+        }
+        choices.push({ option: String(entry.option), score });
+      }
+      return { choices };
+    }
+
+    default: {
+      // Single choice: accept `option`, or an `options` list holding exactly one ID.
+      const ids = toIdList(
+        body.option !== undefined ? body.option : body.options
+      );
+      // A written-in answer takes the place of the option.
+      if (writeIn) {
+        return ids
+          ? {
+              error:
+                "A single-choice ballot takes either an 'option' or a 'writeIn', not both",
+            }
+          : { choices: [], writeIn };
+      }
+      if (!ids || ids.length !== 1) {
+        return { error: "A single-choice ballot needs exactly one 'option'" };
+      }
+      const error = checkOptionIds(question, ids);
+      if (error) {
+        return { error };
+      }
+      return { choices: [{ option: ids[0] }] };
+    }
+  }
+}
+
+/**
+ * Builds the Option counter updates for a set of choices.
+ * Every option on the ballot gets its `votes` counter adjusted, except on ranked-choice ballots,
+ * where only the first preference is counted (later rounds are computed from the Vote records).
+ * Rating ballots also adjust `scoreTotal` by the score given.
+ * @param {string} type - The question type.
+ * @param {Array<object>} choices - The ballot's choices.
+ * @param {number} sign - `1` to add the ballot to the counters, `-1` to remove it.
+ * @returns {Array<object>} - Operations for `Option.bulkWrite()`.
+ */
+function counterUpdates(type, choices, sign) {
+  return choices
+    .filter((choice) => type !== "ranked" || choice.rank === 1)
+    .map((choice) => ({
+      updateOne: {
+        filter: { _id: choice.option },
+        update: {
+          $inc:
+            type === "rating"
+              ? { votes: sign, scoreTotal: sign * choice.score }
+              : { votes: sign },
+        },
+      },
+    }));
+}
+
+/**
+ * Applies counter updates, skipping the round trip when there are none, and records each of them
+ * in the vote history (see models/vote_event.js).
+ * @param {object} question - The Question document.
+ * @param {Array<object>} operations - Operations for `Option.bulkWrite()`, from `counterUpdates()`.
+ * @param {object|null} session - The transaction session, if any.
+ * @returns {Promise<void>}
+ */
+async function applyCounterUpdates(question, operations, session) {
+  if (operations.length > 0) {
+    await Option.bulkWrite(operations, { session });
+    // A changed ballot that keeps an option removes and adds a vote for it; that's no change at all.
+    const deltas = new Map();
+    for (const { updateOne } of operations) {
+      const option = String(updateOne.filter._id);
+      deltas.set(
+        option,
+        (deltas.get(option) || 0) + updateOne.update.$inc.votes
+      );
+    }
+    // Every event of one change shares its timestamp, so a changed ballot moves votes in one instant.
+    const at = new Date();
+    const events = [...deltas]
+      .filter(([, delta]) => delta !== 0)
+      .map(([option, delta]) => ({
+        question: question._id,
+        option,
+        delta,
+        at,
+      }));
+    if (events.length > 0) {
+      await VoteEvent.insertMany(events, { session });
+    }
+  }
+}
+
+/**
+ * Adds a written-in answer to the question's moderation queue, or finds it there if another voter
+ * already wrote it in. The write always touches the entry, so a concurrent moderation of the same
+ * answer conflicts with the ballot's transaction instead of missing the ballot.
+ * @param {object} question - The Question document.
+ * @param {{ text: string, key: string }} [writeIn] - The answer, from `resolveWriteIn()` (services/write_ins.js).
+ * @param {object|null} session - The transaction session, if any.
+ * @returns {Promise<*>} - The ID of the pending WriteIn to store on the ballot (`undefined` without an
+ *          answer), or null if the answer was moderated since the ballot was validated.
+ */
+async function queueWriteIn(question, writeIn, session) {
+  if (!writeIn) {
+    return undefined;
+  }
+  const entry = await WriteIn.findOneAndUpdate(
+    { question: question._id, key: writeIn.key },
+    { $setOnInsert: { text: writeIn.text, status: "pending" } },
+    { upsert: true, new: true, session }
+  );
+  return entry.status === "pending" ? entry._id : null;
+}
+
+/**
+ * Stores a new ballot and adds it to the option counters and the question's ballot total, in one transaction.
+ * Rejects with a duplicate key error (code 11000) if the voter already has a ballot on the question.
+ * @param {object} question - The Question document.
+ * @param {{ voterType: string, voterId: string }} voter - The voter's identity (see utils/voter.js).
+ * @param {Array<object>} choices - The validated choices from `validateBallot()`.
+ * @param {object} [attributes] - The validated voter attributes from `validateBallot()`.
+ * @param {{ text: string, key: string }} [writeIn] - The written-in answer still to be moderated,
+ *                                                    from `resolveWriteIn()` (services/write_ins.js).
+ * @returns {Promise<object|null>} - The new Vote document, or null (with nothing stored) if the
+ *          written-in answer was moderated meanwhile; validating the ballot again picks up the decision.
+ */
+module.exports.castBallot = function (
+  question,
+  voter,
+  choices,
+  attributes,
+  writeIn
+) {
+  return runInTransaction(async (session) => {
+    const writeInId = await queueWriteIn(question, writeIn, session);
+    if (writeInId === null) {
+      return null;
+    }
+    const [vote] = await Vote.create(
+      [
+        {
+          question: question._id,
+          choices,
+          writeIn: writeInId,
+          attributes,
+          ...voter,
+        },
+      ],
+      { session }
+    );
+    await applyCounterUpdates(
+      question,
+      counterUpdates(question.type, choices, 1),
+      session
+    );
+    await Question.updateOne(
+      { _id: question._id },
+      { $inc: { totalVotes: 1 } },
+      { session }
+    );
+    return vote;
+  });
+};
+
+/**
+ * Replaces a voter's existing ballot and moves the option counters accordingly, in one transaction.
+ * The replacement only goes through if the ballot hasn't changed since it was read (its `__v` still matches);
+ * otherwise nothing is written and null is returned, so two concurrent changes can't both adjust the counters.
+ * The new ballot replaces the written-in answer as well: without one, the earlier answer is dropped.
+ * @param {object} question - The Question document.
+ * @param {object} vote - The voter's current Vote document.
+ * @param {Array<object>} choices - The validated new choices from `validateBallot()`.
+ * @param {object|null} [attributes] - The validated new voter attributes from `validateBallot()`; `null`
+ *                                     clears them, and leaving them out keeps the ballot's current ones.
+ * @param {{ text: string, key: string }} [writeIn] - The written-in answer still to be moderated,
+ *                                                    from `resolveWriteIn()` (services/write_ins.js).
+ * @returns {Promise<object|null>} - The updated Vote document, or null if it was changed concurrently
+ *          (or its written-in answer was moderated meanwhile).
+ */
+module.exports.replaceBallot = function (
+  question,
+  vote,
+  choices,
+  attributes,
+  writeIn
+) {
+  return runInTransaction(async (session) => {
+    const writeInId = await queueWriteIn(question, writeIn, session);
+    if (writeInId === null) {
+      return null;
+    }
+    const update = { $set: { choices }, $inc: { __v: 1 } };
+    if (writeInId) {
+      update.$set.writeIn = writeInId;
+    } else {
+      update.$unset = { writeIn: "" };
+    }
+    if (attributes === null) {
+      update.$unset = { ...update.$unset, attributes: "" };
+    } else if (attributes !== undefined) {
+      update.$set.attributes = attributes;
+    }
+    const updated = await Vote.findOneAndUpdate(
+      { _id: vote._id, __v: vote.__v },
+      update,
+      { new: true, session }
+    );
+    if (!updated) {
+      return null;
+    }
+    await applyCounterUpdates(
+      question,
+      [
+        ...counterUpdates(question.type, vote.choices, -1),
+        ...counterUpdates(question.type, choices, 1),
+      ],
+      session
+    );
+    return updated;
+  });
+};
+
+// Exported separately so votes cast through the option routes, which carry no ballot, are checked the same way.
+module.exports.validateAttributes = validateAttributes;
+// Exported separately so imported ballots can be counted with the same rules (see services/poll_transfer.js).
+module.exports.counterUpdates = counterUpdates;
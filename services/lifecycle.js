@@ -0,0 +1,95 @@
+// Import the Question model, whose stored state the lifecycle job brings up to date.
+const Question = require("../models/question");
+// Import the event bus and the audit log, which record each scheduled opening and closing.
+const { publish } = require("./poll_events");
+const { recordAudit } = require("./audit");
+// Import the lifecycle settings: how often to look for questions whose schedule has come up.
+const settings = require("../config/lifecycle");
+
+// How many questions are moved on per round, so one run never loads every due question at once.
+const BATCH_SIZE = 100;
+
+// The scheduled transitions: which stored states move on once which time has passed, and the
+// event (and audit action) each sends. Openings run first, so a question that both opened and
+// closed while the server was down sends both events, in order.
+const TRANSITIONS = [
+  {
+    to: "open",
+    event: "question.opened",
+    due: (now) => ({
+      status: { $in: ["draft", null] },
+      opensAt: { $ne: null, $lte: now },
+    }),
+  },
+  {
+    to: "closed",
+    event: "question.closed",
+    due: (now) => ({
+      status: { $ne: "closed" },
+      closesAt: { $ne: null, $lte: now },
+    }),
+  },
+];
+
+/**
+ * Stores the state of the questions whose `opensAt` or `closesAt` has passed, and sends their
+ * `question.opened` and `question.closed` events. Each question is moved on with a conditional
+ * update, so every transition is stored, published and audited exactly once, even with several
+ * processes running the job, and never for questions opened or closed by hand in the meantime.
+ * @param {Date} [now=new Date()] - The moment the schedules are compared with.
+ * @returns {Promise<object>} - The number of questions opened and closed.
+ */
+async function applySchedules(now = new Date()) {
+  const applied = { opened: 0, closed: 0 };
+
+  for (const transition of TRANSITIONS) {
+    const due = transition.due(now);
+    let questions;
+    do {
+      questions = await Question.find(due).limit(BATCH_SIZE);
+      for (const question of questions) {
+        const updated = await Question.findOneAndUpdate(
+          { _id: question._id, ...due },
+          { $set: { status: transition.to } },
+          { new: true }
+        );
+        if (!updated) {
+          // Another process, or a request, moved it on first.
+          continue;
+        }
+        applied[transition.to === "open" ? "opened" : "closed"]++;
+        publish(transition.event, updated._id);
+        await recordAudit(null, transition.event, updated._id, {
+          kind: "question",
+          id: updated._id,
+          before: question,
+          after: updated,
+        });
+      }
+    } while (questions.length === BATCH_SIZE);
+  }
+
+  return applied;
+}
+
+module.exports.applySchedules = applySchedules;
+
+/**
+ * Starts storing scheduled openings and closings every LIFECYCLE_SWEEP_INTERVAL_SECONDS,
+ * and once right away. Called once, when the server starts.
+ */
+module.exports.startLifecycleJob = function () {
+  const run = () =>
+    applySchedules()
+      .then(({ opened, closed }) => {
+        if (opened > 0 || closed > 0) {
+          console.log(
+            `Opened ${opened} and closed ${closed} scheduled question(s)`
+          );
+        }
+      })
+      .catch((err) => console.error("Error applying question schedules:", err));
+  // Don't keep the process alive just for the lifecycle job.
+  setInterval(run, settings.sweepIntervalSeconds * 1000).unref();
+  run();
+};
@@ -0,0 +1,55 @@
+// Import Node's EventEmitter, used as an in-process bus for poll events.
+const EventEmitter = require("events");
+
+/**
+ * In-process event bus for changes to polls.
+ * Controllers publish an event after every successful mutation; listeners such as the
+ * live result stream (services/result_stream.js) subscribe to it.
+ *
+ * Every event is emitted under the name 'event' with the shape:
+ *   { type: string, questionId: string, payload: object, at: Date }
+ *
+ * Event types: see EVENT_TYPES below.
+ */
+const pollEvents = new EventEmitter();
+
+// Every event type that is published. Webhooks (services/webhooks.js) can subscribe to any of them.
+const EVENT_TYPES = [
+  "question.created",
+  "question.opened",
+  "question.closed",
+  "question.updated",
+  "question.deleted",
+  "question.restored",
+  "option.added",
+  "option.updated",
+  "option.deleted",
+  "option.restored",
+  "vote.cast",
+  "vote.changed",
+  "writeIn.approved",
+  "writeIn.merged",
+  "writeIn.rejected",
+];
+
+/**
+ * Publishes a poll event to all listeners.
+ * Listener errors are caught and logged so a failing listener can never break the request that published the event.
+ * @param {string} type - The event type (one of EVENT_TYPES).
+ * @param {*} questionId - The ID of the question the event relates to.
+ * @param {object} [payload={}] - Event-specific data, e.g. the affected option.
+ */
+function publish(type, questionId, payload = {}) {
+  try {
+    pollEvents.emit("event", {
+      type,
+      questionId: String(questionId),
+      payload,
+      at: new Date(),
+    });
+  } catch (err) {
+    console.error(`Error in listener for poll event ${type}:`, err);
+  }
+}
+
+module.exports = { pollEvents, publish, EVENT_TYPES };
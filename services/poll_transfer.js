@@ -0,0 +1,451 @@
+// Import Mongoose to generate new IDs for imported questions, options and ballots.
+const mongoose = require("mongoose");
+// Import the Question model to walk the whole collection for full exports.
+const Question = require("../models/question");
+// Import the Vote model to export the individual ballots.
+const Vote = require("../models/vote");
+// Import the results helper so exported results match GET /questions/:id/results exactly.
+const { buildResults } = require("./results");
+// Import the ballot helpers so imported ballots are validated and counted like submitted ones.
+const { validateBallot, counterUpdates } = require("./ballot");
+// Import the helpers that validate question settings and store whole polls atomically.
+const {
+  validateQuestion,
+  parseOptionDetails,
+  insertPollDocuments,
+} = require("./question_builder");
+// Import the helper that builds each option's voting link from the poll's share code.
+const { shareVoteLink } = require("../utils/links");
+// Import the server settings, which set how many questions an import may create.
+const { limits } = require("../config/server");
+// Import the CSV formatter for the spreadsheet-friendly export.
+const { toCsv } = require("../utils/csv");
+
+// Identifies export documents, so an import can reject files in another format.
+const EXPORT_FORMAT = "polling-system.polls";
+const EXPORT_VERSION = 1;
+
+// The most questions a single import may create (IMPORT_MAX_QUESTIONS).
+const MAX_IMPORT_QUESTIONS = limits.importQuestions;
+
+// The per-option result fields exported as CSV columns, by question type (see services/tally.js).
+const RESULT_COLUMNS = {
+  single: ["votes"],
+  multi: ["votes"],
+  ranked: ["firstPreferences", "eliminatedInRound"],
+  rating: ["ratings", "average"],
+};
+
+/**
+ * Builds the fields every export document starts with.
+ * @returns {object} - The format identifier, version and export time.
+ */
+function exportHeader() {
+  return {
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt: new Date(),
+  };
+}
+
+/**
+ * Loads a question's ballots without anything that identifies the voters.
+ * Voters are replaced by pseudonyms numbered per question (so the same voter can't be followed
+ * across questions) and the ballots are shuffled, so their order doesn't reveal when each was cast.
+ * Ballots holding only a written-in answer still awaiting moderation count for no option yet and are
+ * left out; a pending answer on a ballot with other choices is left out of it.
+ * @param {object} question - The Question document.
+ * @returns {Promise<Array<object>>} - The ballots: `{ voter, choices }`.
+ */
+async function anonymizedBallots(question) {
+  const votes = await Vote.find(
+    { question: question._id, "choices.0": { $exists: true } },
+    "choices"
+  ).lean();
+  for (let i = votes.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [votes[i], votes[j]] = [votes[j], votes[i]];
+  }
+  return votes.map((vote, index) => ({
+    voter: `voter-${index + 1}`,
+    choices: vote.choices,
+  }));
+}
+
+/**
+ * Converts a question into its export entry: its settings and options, and optionally its results and ballots.
+ * @param {object} question - The Question document, with its 'options' populated.
+ * @param {{ results?: boolean, ballots?: boolean }} [include={}] - Which optional parts to add.
+ * @returns {Promise<object>} - The export entry.
+ */
+async function serializeQuestion(question, include = {}) {
+  const entry = {
+    _id: question._id,
+    title: question.title,
+    type: question.type,
+    minSelections: question.minSelections,
+    maxSelections: question.maxSelections,
+    quorum: question.quorum,
+    electorateSize: question.electorateSize,
+    minTurnout: question.minTurnout,
+    voterAttributes: question.voterAttributes,
+    minCellSize: question.minCellSize,
+    shuffleOptions: question.shuffleOptions,
+    allowWriteIns: question.allowWriteIns,
+    tags: question.tags,
+    status: question.currentStatus(),
+    opensAt: question.opensAt,
+    closesAt: question.closesAt,
+    createdAt: question.createdAt,
+    options: question.options.map((option) => ({
+      _id: option._id,
+      text: option.text,
+      description: option.description,
+      imageUrl: option.imageUrl,
+      color: option.color,
+      votes: option.votes,
+      scoreTotal: option.scoreTotal,
+    })),
+  };
+  if (include.results) {
+    entry.results = await buildResults(question);
+  }
+  if (include.ballots) {
+    entry.ballots = await anonymizedBallots(question);
+  }
+  return entry;
+}
+
+/**
+ * Exports one question as a JSON document, with its results and anonymized ballots.
+ * @param {object} question - The Question document, with its 'options' populated.
+ * @returns {Promise<object>} - The export document, in the format accepted by `validateImport`.
+ */
+module.exports.exportQuestion = async function (question) {
+  return {
+    ...exportHeader(),
+    questions: [
+      await serializeQuestion(question, { results: true, ballots: true }),
+    ],
+  };
+};
+
+/**
+ * Exports every question and its options as one JSON document, produced piece by piece
+ * so the whole database never has to be held in memory.
+ * @param {{ ballots?: boolean }} [include={}] - Set `ballots` to also export the anonymized ballots.
+ * @returns {AsyncGenerator<string>} - The chunks of the JSON document, in order.
+ */
+module.exports.exportAll = async function* (include = {}) {
+  const header = JSON.stringify(exportHeader());
+  yield `${header.slice(0, -1)},"questions":[`;
+
+  const cursor = Question.find().sort({ _id: 1 }).populate("options").cursor();
+  let first = true;
+  for await (const question of cursor) {
+    const entry = await serializeQuestion(question, {
+      ballots: include.ballots,
+    });
+    yield (first ? "" : ",") + JSON.stringify(entry);
+    first = false;
+  }
+
+  yield "]}";
+};
+
+/**
+ * Exports a question's results as CSV, one row per option in rank order.
+ * The columns depend on the question type and match the fields of GET /questions/:id/results.
+ * @param {object} question - The Question document, with its 'options' populated.
+ * @returns {Promise<string>} - The CSV text.
+ */
+module.exports.resultsCsv = async function (question) {
+  const results = await buildResults(question);
+  const columns = [
+    "_id",
+    "text",
+    ...RESULT_COLUMNS[results.type],
+    "percentage",
+    "rank",
+  ];
+  return toCsv(
+    columns,
+    results.options.map((option) => columns.map((column) => option[column]))
+  );
+};
+
+/**
+ * Exports a question's anonymized ballots as CSV, one row per choice on a ballot.
+ * @param {object} question - The Question document, with its 'options' populated.
+ * @returns {Promise<string>} - The CSV text.
+ */
+module.exports.ballotsCsv = async function (question) {
+  const texts = new Map(
+    question.options.map((option) => [String(option._id), option.text])
+  );
+  const rows = [];
+  for (const ballot of await anonymizedBallots(question)) {
+    for (const choice of ballot.choices) {
+      rows.push([
+        ballot.voter,
+        choice.option,
+        texts.get(String(choice.option)),
+        choice.rank,
+        choice.score,
+      ]);
+    }
+  }
+  return toCsv(["voter", "option", "text", "rank", "score"], rows);
+};
+
+/**
+ * Turns the choices of an exported ballot back into the request body `validateBallot` expects.
+ * @param {string} type - The question type.
+ * @param {Array<object>} choices - The exported choices.
+ * @returns {object} - The ballot body.
+ */
+function ballotBody(type, choices) {
+  switch (type) {
+    case "ranked":
+      return {
+        ranking: choices
+          .slice()
+          .sort((a, b) => a.rank - b.rank)
+          .map((choice) => choice.option),
+      };
+    case "rating":
+      return { ratings: choices };
+    default:
+      return { options: choices.map((choice) => choice.option) };
+  }
+}
+
+/**
+ * Validates one question of an import document.
+ * @param {object} item - The exported question entry.
+ * @returns {{ poll?: object, error?: string }} - The poll to import, or an error message.
+ */
+function validateImportedQuestion(item) {
+  if (!item || typeof item !== "object") {
+    return { error: "Question must be an object" };
+  }
+  const { question, error } = validateQuestion(item);
+  if (error) {
+    return { error };
+  }
+
+  const status = item.status || "draft";
+  if (!["draft", "open", "closed"].includes(status)) {
+    return { error: "status must be one of: draft, open, closed" };
+  }
+
+  if (!Array.isArray(item.options)) {
+    return { error: "options must be a list" };
+  }
+  const options = [];
+  const oldIds = new Set();
+  for (let i = 0; i < item.options.length; i++) {
+    const option = item.options[i] || {};
+    if (typeof option.text !== "string" || option.text.trim() === "") {
+      return { error: `Option ${i + 1} has no text` };
+    }
+    // The original ID is only needed to match the option to the ballots that chose it.
+    const oldId = option._id !== undefined ? String(option._id) : null;
+    if (
+      oldId !== null &&
+      (!mongoose.isValidObjectId(oldId) || oldIds.has(oldId))
+    ) {
+      return { error: `Option ${i + 1} has an invalid or repeated _id` };
+    }
+    if (oldId !== null) {
+      oldIds.add(oldId);
+    }
+    const { details, error: detailsError } = parseOptionDetails(option);
+    if (detailsError) {
+      return { error: `Option ${i + 1}: ${detailsError}` };
+    }
+    options.push({ oldId, text: option.text.trim(), ...details });
+  }
+
+  const ballots = [];
+  if (item.ballots !== undefined) {
+    if (!Array.isArray(item.ballots)) {
+      return { error: "ballots must be a list" };
+    }
+    if (item.ballots.length > 0 && status === "draft") {
+      return { error: "A draft question can't have ballots" };
+    }
+    // Check each ballot against the question exactly like a submitted one.
+    const target = {
+      type: question.type,
+      minSelections: question.minSelections || 1,
+      maxSelections: question.maxSelections,
+      options: [...oldIds],
+    };
+    for (let j = 0; j < item.ballots.length; j++) {
+      const choices = (item.ballots[j] || {}).choices;
+      if (
+        !Array.isArray(choices) ||
+        choices.length === 0 ||
+        choices.some((choice) => !choice || typeof choice !== "object")
+      ) {
+        return { error: `Ballot ${j + 1} has no choices` };
+      }
+      const result = validateBallot(target, ballotBody(question.type, choices));
+      if (result.error) {
+        return { error: `Ballot ${j + 1}: ${result.error}` };
+      }
+      ballots.push(result.choices);
+    }
+  }
+
+  return {
+    poll: {
+      oldId: item._id !== undefined ? String(item._id) : null,
+      question: { ...question, status },
+      options,
+      ballots,
+    },
+  };
+}
+
+/**
+ * Validates an import document: an export produced by this API (or written by hand in the same format).
+ * Every question is checked before anything is imported, so all problems are reported at once.
+ * @param {object} body - The import document.
+ * @returns {{ polls?: Array<object>, error?: string, errors?: Array<{index: number, message: string}> }} -
+ *          The polls to import, or a general error, or the problems found per question.
+ */
+module.exports.validateImport = function (body) {
+  if (!body || typeof body !== "object") {
+    return { error: "The import must be a JSON document" };
+  }
+  if (body.format !== EXPORT_FORMAT || body.version !== EXPORT_VERSION) {
+    return {
+      error: `Unsupported format; expected format "${EXPORT_FORMAT}" version ${EXPORT_VERSION}`,
+    };
+  }
+  if (!Array.isArray(body.questions) || body.questions.length === 0) {
+    return { error: "questions must be a non-empty list" };
+  }
+  if (body.questions.length > MAX_IMPORT_QUESTIONS) {
+    return {
+      error: `An import may create at most ${MAX_IMPORT_QUESTIONS} questions`,
+    };
+  }
+
+  const polls = [];
+  const errors = [];
+  body.questions.forEach((item, index) => {
+    const { poll, error } = validateImportedQuestion(item);
+    if (error) {
+      errors.push({ index, message: error });
+    } else {
+      polls.push(poll);
+    }
+  });
+  return errors.length > 0 ? { errors } : { polls };
+};
+
+/**
+ * Creates the validated polls of an import, with their ballots, under new IDs.
+ * Option counters and ballot totals are computed from the imported ballots (never copied from the file),
+ * so they are consistent with the Vote records, and every vote they count is added to the vote history
+ * as cast at the time of the import. Imported ballots are stored as anonymous 'imported' voters.
+ * Everything is stored atomically: either the whole import exists afterwards or nothing does.
+ * @param {Array<object>} polls - The polls from `validateImport`.
+ * @param {object} owner - The user who will own the imported questions.
+ * @returns {Promise<object>} - How many questions, options and ballots were created, `questionIds`,
+ *          the IDs of the new questions, and `idMap`, which maps the original question and option IDs to the new ones.
+ */
+module.exports.importPolls = async function (polls, owner) {
+  const idMap = { questions: {}, options: {} };
+  const questions = [];
+  const options = [];
+  const votes = [];
+  const voteEvents = [];
+  // The exported ballots don't say when they were cast, so their votes enter the history
+  // (see models/vote_event.js) at the moment of the import.
+  const importedAt = new Date();
+
+  for (const poll of polls) {
+    const questionId = new mongoose.Types.ObjectId();
+    // The share code is assigned up front, so the options' voting links can be built from it.
+    const shareCode = Question.generateShareCode();
+    if (poll.oldId) {
+      idMap.questions[poll.oldId] = String(questionId);
+    }
+
+    // Create the options with empty counters, remembering the new ID of every original one.
+    const newIds = new Map();
+    const counters = new Map();
+    const optionDocs = poll.options.map((option, index) => {
+      const optionId = new mongoose.Types.ObjectId();
+      if (option.oldId) {
+        newIds.set(option.oldId, optionId);
+        idMap.options[option.oldId] = String(optionId);
+      }
+      const doc = {
+        _id: optionId,
+        text: option.text,
+        description: option.description,
+        imageUrl: option.imageUrl,
+        color: option.color,
+        question: questionId,
+        link_to_vote: shareVoteLink(shareCode, index + 1),
+        votes: 0,
+        scoreTotal: 0,
+      };
+      counters.set(String(optionId), doc);
+      return doc;
+    });
+    options.push(...optionDocs);
+
+    // Point every ballot at the new option IDs and add it to the counters.
+    poll.ballots.forEach((ballotChoices, index) => {
+      const choices = ballotChoices.map((choice) => ({
+        ...choice,
+        option: newIds.get(String(choice.option)),
+      }));
+      for (const operation of counterUpdates(poll.question.type, choices, 1)) {
+        const doc = counters.get(String(operation.updateOne.filter._id));
+        const $inc = operation.updateOne.update.$inc;
+        doc.votes += $inc.votes || 0;
+        doc.scoreTotal += $inc.scoreTotal || 0;
+        if ($inc.votes) {
+          voteEvents.push({
+            question: questionId,
+            option: doc._id,
+            delta: $inc.votes,
+            at: importedAt,
+          });
+        }
+      }
+      votes.push({
+        question: questionId,
+        choices,
+        voterType: "imported",
+        voterId: `ballot-${index + 1}`,
+      });
+    });
+
+    questions.push({
+      ...poll.question,
+      _id: questionId,
+      shareCode,
+      owner: owner._id,
+      options: optionDocs.map((option) => option._id),
+      totalVotes: poll.ballots.length,
+    });
+  }
+
+  await insertPollDocuments({ questions, options, votes, voteEvents });
+
+  return {
+    questions: questions.length,
+    options: options.length,
+    ballots: votes.length,
+    questionIds: questions.map((question) => String(question._id)),
+    idMap,
+  };
+};
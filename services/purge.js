@@ -0,0 +1,87 @@
+// Import the models of everything that goes when an archived question is purged.
+const Question = require("../models/question");
+const Option = require("../models/option");
+const Vote = require("../models/vote");
+const VoteEvent = require("../models/vote_event");
+const WriteIn = require("../models/write_in");
+const Webhook = require("../models/webhook");
+const WebhookDelivery = require("../models/webhook_delivery");
+// Import the archive settings: how long archived items are kept, and how often to look for expired ones.
+const archive = require("../config/archive");
+
+// How many questions are purged per round, so one run never loads the whole archive at once.
+const BATCH_SIZE = 100;
+
+/**
+ * Permanently removes the questions and options that were archived (deleted through the API)
+ * longer ago than the retention period. A purged question takes its options, ballots (with
+ * their vote history), written-in answers and webhooks (with their delivery logs) with it. Safe to run from several processes at once.
+ * @param {Date} [now=new Date()] - The moment the retention period is measured from.
+ * @returns {Promise<object>} - The number of questions and options removed.
+ */
+async function purgeArchived(now = new Date()) {
+  const cutoff = new Date(
+    now.getTime() - archive.retentionDays * 24 * 60 * 60 * 1000
+  );
+  const expired = { archivedAt: { $ne: null, $lte: cutoff } };
+  const purged = { questions: 0, options: 0 };
+
+  let questions;
+  do {
+    questions = await Question.find(expired, "options")
+      .sort({ archivedAt: 1 })
+      .limit(BATCH_SIZE);
+    if (questions.length === 0) {
+      break;
+    }
+    const ids = questions.map((question) => question._id);
+    // Options created before the `question` back-reference existed are only found through the
+    // question's 'options' array.
+    const optionIds = questions.flatMap((question) => question.options);
+
+    const webhooks = await Webhook.find({ question: { $in: ids } }, "_id");
+    await WebhookDelivery.deleteMany({
+      webhook: { $in: webhooks.map((webhook) => webhook._id) },
+    });
+    await Webhook.deleteMany({ question: { $in: ids } });
+    await Vote.deleteMany({ question: { $in: ids } });
+    await VoteEvent.deleteMany({ question: { $in: ids } });
+    await WriteIn.deleteMany({ question: { $in: ids } });
+    const options = await Option.deleteMany({
+      $or: [{ question: { $in: ids } }, { _id: { $in: optionIds } }],
+    });
+    // The question goes last, so a run that stops halfway leaves it to be found again next time.
+    const removed = await Question.deleteMany({ _id: { $in: ids } });
+
+    purged.questions += removed.deletedCount;
+    purged.options += options.deletedCount;
+  } while (questions.length === BATCH_SIZE);
+
+  // Options archived on their own (their question is still live). Archived options never have votes.
+  const options = await Option.deleteMany(expired);
+  purged.options += options.deletedCount;
+
+  return purged;
+}
+
+module.exports.purgeArchived = purgeArchived;
+
+/**
+ * Starts purging expired archived items every ARCHIVE_PURGE_INTERVAL_MINUTES, and once right away.
+ * Called once, when the server starts.
+ */
+module.exports.startPurgeJob = function () {
+  const run = () =>
+    purgeArchived()
+      .then(({ questions, options }) => {
+        if (questions > 0 || options > 0) {
+          console.log(
+            `Purged ${questions} archived question(s) and ${options} archived option(s)`
+          );
+        }
+      })
+      .catch((err) => console.error("Error purging archived items:", err));
+  // Don't keep the process alive just to purge.
+  setInterval(run, archive.purgeIntervalMinutes * 60 * 1000).unref();
+  run();
+};
@@ -0,0 +1,498 @@
+// Import Mongoose to generate the IDs that link new questions and options before they are saved.
+const mongoose = require("mongoose");
+// Import the Question and Option models the new polls are stored in.
+const Question = require("../models/question");
+const Option = require("../models/option");
+// Import the Vote and VoteEvent models, for polls imported together with their ballots and vote history.
+const Vote = require("../models/vote");
+const VoteEvent = require("../models/vote_event");
+// Import the helper that groups the writes of a whole poll into one transaction.
+const { runInTransaction } = require("../utils/transaction");
+// Import the helper that builds each option's voting link from the poll's share code.
+const { shareVoteLink } = require("../utils/links");
+// Import the segment settings, which limit the voter attributes a question may define.
+const segments = require("../config/segments");
+
+// The poll types a question can be created with (see models/question.js).
+const QUESTION_TYPES = ["single", "multi", "ranked", "rating"];
+// The poll types that can accept write-in answers: a write-in only takes the place of a selection,
+// so it can't be given a rank or a score.
+const WRITE_IN_TYPES = ["single", "multi"];
+
+// The format of an option's color: a hex RGB value such as '#1e90ff'.
+const OPTION_COLOR = /^#[0-9a-fA-F]{6}$/;
+// The longest option description, and the longest image URL.
+const OPTION_DESCRIPTION_LENGTH = 500;
+const OPTION_IMAGE_URL_LENGTH = 2000;
+
+/**
+ * Checks whether a value is an absolute http(s) URL.
+ * @param {*} value - The value to check.
+ * @returns {boolean}
+ */
+function isHttpUrl(value) {
+  if (typeof value !== "string") {
+    return false;
+  }
+  try {
+    return ["http:", "https:"].includes(new URL(value).protocol);
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Parses an optional positive number from the request body.
+ * @param {*} value - The raw value from the request body.
+ * @returns {number|undefined|null} - The number, `undefined` if no value was given, or `null` if it isn't a positive number.
+ */
+function parseOptionalNumber(value) {
+  if (value === undefined || value === null || value === "") {
+    return undefined;
+  }
+  const number = Number(value);
+  return Number.isFinite(number) && number > 0 ? number : null;
+}
+
+/**
+ * Parses tags from the request body, accepting a list or a comma-separated string.
+ * @param {*} value - The raw value from the request body.
+ * @returns {Array<string>} - The non-empty tags.
+ */
+function parseTags(value) {
+  if (!value) {
+    return [];
+  }
+  const list = Array.isArray(value) ? value : String(value).split(",");
+  return list.map((tag) => String(tag).trim()).filter((tag) => tag !== "");
+}
+
+/**
+ * Parses an optional date from the request body.
+ * @param {*} value - The raw value from the request body (ISO string or timestamp).
+ * @returns {Date|undefined|null} - The parsed Date, `undefined` if no value was given, or `null` if it isn't a valid date.
+ */
+function parseOptionalDate(value) {
+  if (value === undefined || value === null || value === "") {
+    return undefined;
+  }
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Parses the voter attributes a question asks for from the request body. Each attribute is either
+ * its name, or an object with its `name`, optionally the `values` a ballot may send and whether it is `required`.
+ * @param {*} value - The raw value from the request body.
+ * @returns {{ attributes?: Array<object>, error?: string }} - The attributes (`undefined` if none were given),
+ *          or an error message describing why the input is invalid.
+ */
+function parseVoterAttributes(value) {
+  if (value === undefined || value === null || value === "") {
+    return { attributes: undefined };
+  }
+  if (!Array.isArray(value)) {
+    return { error: "voterAttributes must be a list" };
+  }
+  if (value.length > segments.maxAttributes) {
+    return {
+      error: `A question may ask for at most ${segments.maxAttributes} voter attributes`,
+    };
+  }
+
+  const attributes = [];
+  for (let i = 0; i < value.length; i++) {
+    const entry =
+      typeof value[i] === "object" && value[i] !== null
+        ? value[i]
+        : { name: value[i] };
+    const name = typeof entry.name === "string" ? entry.name.trim() : "";
+    if (!/^[A-Za-z][A-Za-z0-9_]{0,39}$/.test(name)) {
+      return {
+        error: `Voter attribute ${
+          i + 1
+        } needs a name of up to 40 letters, digits and underscores, starting with a letter`,
+      };
+    }
+    if (attributes.some((attribute) => attribute.name === name)) {
+      return { error: `Voter attribute "${name}" is listed twice` };
+    }
+
+    const values = entry.values === undefined ? [] : entry.values;
+    if (
+      !Array.isArray(values) ||
+      values.some((item) => typeof item !== "string" || item.trim() === "")
+    ) {
+      return {
+        error: `The values of voter attribute "${name}" must be a list of texts`,
+      };
+    }
+    const trimmed = values.map((item) => item.trim());
+    if (new Set(trimmed).size !== trimmed.length) {
+      return { error: `Voter attribute "${name}" repeats a value` };
+    }
+    if (trimmed.length > segments.maxValues) {
+      return {
+        error: `Voter attribute "${name}" may list at most ${segments.maxValues} values`,
+      };
+    }
+    if (entry.required !== undefined && typeof entry.required !== "boolean") {
+      return {
+        error: `required of voter attribute "${name}" must be true or false`,
+      };
+    }
+
+    attributes.push({
+      name,
+      values: trimmed,
+      required: entry.required === true,
+    });
+  }
+  return { attributes };
+}
+
+/**
+ * Parses the optional details of an option besides its text: a `description`, an `imageUrl`
+ * to show with it and a `color` to draw it in.
+ * @param {object} entry - The option from the request body.
+ * @returns {{ details?: object, error?: string }} - The details that were given,
+ *          or an error message describing why the input is invalid.
+ */
+function parseOptionDetails(entry) {
+  const details = {};
+  const given = (field) =>
+    entry[field] !== undefined && entry[field] !== null && entry[field] !== "";
+
+  if (given("description")) {
+    if (
+      typeof entry.description !== "string" ||
+      entry.description.trim().length > OPTION_DESCRIPTION_LENGTH
+    ) {
+      return {
+        error: `description must be a text of at most ${OPTION_DESCRIPTION_LENGTH} characters`,
+      };
+    }
+    details.description = entry.description.trim();
+  }
+  if (given("imageUrl")) {
+    if (
+      !isHttpUrl(entry.imageUrl) ||
+      entry.imageUrl.length > OPTION_IMAGE_URL_LENGTH
+    ) {
+      return { error: "imageUrl must be an http(s) URL" };
+    }
+    details.imageUrl = entry.imageUrl;
+  }
+  if (given("color")) {
+    if (typeof entry.color !== "string" || !OPTION_COLOR.test(entry.color)) {
+      return { error: "color must be a hex color such as #1e90ff" };
+    }
+    details.color = entry.color.toLowerCase();
+  }
+  return { details };
+}
+
+/**
+ * Validates the title and settings of a new question from the request body.
+ * @param {object} body - The request body: `title` plus the optional `tags`, `type`, `minSelections`,
+ *                        `maxSelections`, `quorum`, `electorateSize`, `minTurnout`, `opensAt`, `closesAt`,
+ *                        `voterAttributes`, `minCellSize`, `shuffleOptions` and `allowWriteIns`.
+ * @returns {{ question?: object, error?: string }} - The fields to create the question with,
+ *          or an error message describing why the input is invalid.
+ */
+function validateQuestion(body) {
+  body = body || {};
+
+  if (typeof body.title !== "string" || body.title.trim() === "") {
+    return { error: "Question title cannot be empty" };
+  }
+
+  // Optional schedule: when the poll should open and close automatically.
+  const opensAt = parseOptionalDate(body.opensAt);
+  const closesAt = parseOptionalDate(body.closesAt);
+  if (opensAt === null || closesAt === null) {
+    return { error: "opensAt and closesAt must be valid dates" };
+  }
+  if (opensAt && closesAt && closesAt <= opensAt) {
+    return { error: "closesAt must be later than opensAt" };
+  }
+
+  // Poll type and, for multi-select polls, how many options a ballot may select.
+  const type = body.type || "single";
+  if (!QUESTION_TYPES.includes(type)) {
+    return { error: `type must be one of: ${QUESTION_TYPES.join(", ")}` };
+  }
+  let minSelections;
+  let maxSelections;
+  if (type === "multi") {
+    minSelections =
+      body.minSelections !== undefined ? Number(body.minSelections) : 1;
+    maxSelections =
+      body.maxSelections !== undefined ? Number(body.maxSelections) : undefined;
+    if (
+      !Number.isInteger(minSelections) ||
+      minSelections < 1 ||
+      (maxSelections !== undefined &&
+        (!Number.isInteger(maxSelections) || maxSelections < minSelections))
+    ) {
+      return {
+        error:
+          "minSelections and maxSelections must be whole numbers with 1 <= minSelections <= maxSelections",
+      };
+    }
+  }
+
+  // Optional validity rules: a minimum number of ballots, and/or a minimum turnout of an electorate.
+  const quorum = parseOptionalNumber(body.quorum);
+  const electorateSize = parseOptionalNumber(body.electorateSize);
+  const minTurnout = parseOptionalNumber(body.minTurnout);
+  if (
+    quorum === null ||
+    electorateSize === null ||
+    minTurnout === null ||
+    (quorum !== undefined && !Number.isInteger(quorum)) ||
+    (electorateSize !== undefined && !Number.isInteger(electorateSize)) ||
+    (minTurnout !== undefined && minTurnout > 100)
+  ) {
+    return {
+      error:
+        "quorum and electorateSize must be positive whole numbers, and minTurnout a percentage up to 100",
+    };
+  }
+  if (minTurnout !== undefined && electorateSize === undefined) {
+    return { error: "minTurnout requires electorateSize to be set" };
+  }
+
+  // Optional voter attributes to break results down by, and the smallest segment to show.
+  const { attributes: voterAttributes, error: attributeError } =
+    parseVoterAttributes(body.voterAttributes);
+  if (attributeError) {
+    return { error: attributeError };
+  }
+  const minCellSize = parseOptionalNumber(body.minCellSize);
+  if (
+    minCellSize === null ||
+    (minCellSize !== undefined &&
+      (!Number.isInteger(minCellSize) || minCellSize < segments.minCellSize))
+  ) {
+    return {
+      error: `minCellSize must be a whole number of at least ${segments.minCellSize}`,
+    };
+  }
+
+  // Optionally show each voter the options in their own random order.
+  if (
+    body.shuffleOptions !== undefined &&
+    typeof body.shuffleOptions !== "boolean"
+  ) {
+    return { error: "shuffleOptions must be true or false" };
+  }
+
+  // Optionally let voters submit answers that aren't listed, held for the owner to moderate.
+  if (
+    body.allowWriteIns !== undefined &&
+    typeof body.allowWriteIns !== "boolean"
+  ) {
+    return { error: "allowWriteIns must be true or false" };
+  }
+  if (body.allowWriteIns && !WRITE_IN_TYPES.includes(type)) {
+    return {
+      error: `Only ${WRITE_IN_TYPES.join(
+        " and "
+      )} questions can allow write-ins`,
+    };
+  }
+
+  return {
+    question: {
+      title: body.title.trim(),
+      // Optional tags, sent as a list or as a comma-separated string.
+      tags: parseTags(body.tags),
+      type,
+      minSelections,
+      maxSelections,
+      quorum,
+      electorateSize,
+      minTurnout,
+      opensAt,
+      closesAt,
+      voterAttributes,
+      minCellSize,
+      shuffleOptions: body.shuffleOptions || undefined,
+      allowWriteIns: body.allowWriteIns || undefined,
+    },
+  };
+}
+
+/**
+ * Validates the options of a new poll from the request body, keeping their order.
+ * Each option is either its text or an object with a `text` field and optionally
+ * `description`, `imageUrl` and `color` (see `parseOptionDetails`).
+ * A poll needs at least two distinct options to be opened, so fewer are rejected up-front.
+ * @param {*} value - The raw `options` value from the request body.
+ * @param {object} question - The validated question fields (see `validateQuestion`).
+ * @returns {{ options?: Array<object>, error?: string }} - The fields to create each option with,
+ *          or an error message describing why the input is invalid.
+ */
+function validateOptions(value, question) {
+  if (!Array.isArray(value) || value.length < 2) {
+    return { error: "options must be a list of at least two options" };
+  }
+
+  const options = [];
+  const seen = new Set();
+  for (let i = 0; i < value.length; i++) {
+    const entry = value[i];
+    const text =
+      typeof entry === "object" && entry !== null ? entry.text : entry;
+    if (typeof text !== "string" || text.trim() === "") {
+      return { error: `Option ${i + 1} has no text` };
+    }
+    const key = text.trim().toLowerCase();
+    if (seen.has(key)) {
+      return { error: `Option ${i + 1} repeats the text "${text.trim()}"` };
+    }
+    seen.add(key);
+    const { details, error } =
+      typeof entry === "object" && entry !== null
+        ? parseOptionDetails(entry)
+        : { details: {} };
+    if (error) {
+      return { error: `Option ${i + 1}: ${error}` };
+    }
+    options.push({ text: text.trim(), ...details });
+  }
+
+  if (question.type === "multi" && options.length < question.minSelections) {
+    return {
+      error: `A multi-select question requiring ${question.minSelections} selections needs at least that many options`,
+    };
+  }
+  return { options };
+}
+
+/**
+ * Validates a whole poll (question settings plus options) from the request body.
+ * @param {object} body - The request body: the fields accepted by `validateQuestion` plus `options`.
+ * @returns {{ poll?: { question: object, options: Array<object> }, error?: string }} - The validated poll,
+ *          or an error message describing why the input is invalid.
+ */
+module.exports.validatePoll = function (body) {
+  const { question, error } = validateQuestion(body);
+  if (error) {
+    return { error };
+  }
+  const result = validateOptions((body || {}).options, question);
+  if (result.error) {
+    return { error: result.error };
+  }
+  return { poll: { question, options: result.options } };
+};
+
+/**
+ * Inserts the documents of new polls (questions, their options and optionally their votes and
+ * vote events) atomically.
+ * The documents must already carry their `_id`s and reference each other.
+ * Everything is inserted in one transaction: either every document exists afterwards or none does.
+ * On deployments without transactions (see utils/transaction.js), options are inserted before the
+ * questions that list them and votes and vote events last, and anything already written is deleted
+ * again if a later insert fails, so a failure never leaves half-built polls behind.
+ * @param {{ questions: Array<object>, options: Array<object>, votes?: Array<object>, voteEvents?: Array<object> }} docs -
+ *        The documents to insert.
+ * @returns {Promise<void>}
+ */
+async function insertPollDocuments({
+  questions,
+  options,
+  votes = [],
+  voteEvents = [],
+}) {
+  await runInTransaction(async (session) => {
+    try {
+      await Option.insertMany(options, { session });
+      await Question.insertMany(questions, { session });
+      if (votes.length > 0) {
+        await Vote.insertMany(votes, { session });
+      }
+      if (voteEvents.length > 0) {
+        await VoteEvent.insertMany(voteEvents, { session });
+      }
+    } catch (err) {
+      // Inside a transaction the abort discards every write. Without one, undo them by hand.
+      if (!session) {
+        const ids = (docs) => ({ _id: { $in: docs.map((doc) => doc._id) } });
+        await VoteEvent.deleteMany({
+          question: { $in: questions.map((question) => question._id) },
+        });
+        await Vote.deleteMany(ids(votes));
+        await Question.deleteMany(ids(questions));
+        await Option.deleteMany(ids(options));
+      }
+      throw err;
+    }
+  });
+}
+
+/**
+ * Creates one or more validated polls, each question together with its options.
+ * All IDs are generated up-front so the questions and options can reference each other, then
+ * everything is inserted atomically (see `insertPollDocuments`): either every poll exists afterwards or none does.
+ * @param {Array<{ question: object, options: Array<object> }>} polls - Polls from `validatePoll`.
+ * @param {object} owner - The user who will own the new questions.
+ * @returns {Promise<Array<object>>} - The created Question documents, with their options populated, in input order.
+ */
+module.exports.createPolls = async function (polls, owner) {
+  const questionDocs = [];
+  const optionDocs = [];
+
+  for (const poll of polls) {
+    const questionId = new mongoose.Types.ObjectId();
+    // The share code is assigned up front, so the options' voting links can be built from it.
+    const shareCode = Question.generateShareCode();
+    const options = poll.options.map((option, index) => ({
+      ...option,
+      _id: new mongoose.Types.ObjectId(),
+      // Keep a back-reference to the question so votes can be tied to it.
+      question: questionId,
+      link_to_vote: shareVoteLink(shareCode, index + 1),
+    }));
+    optionDocs.push(...options);
+    questionDocs.push({
+      ...poll.question,
+      _id: questionId,
+      shareCode,
+      owner: owner._id,
+      options: options.map((option) => option._id),
+    });
+  }
+
+  await insertPollDocuments({ questions: questionDocs, options: optionDocs });
+
+  const created = await Question.find({
+    _id: { $in: questionDocs.map((question) => question._id) },
+  })
+    .populate("options")
+    .exec();
+  // Return the questions in the order they were submitted.
+  const byId = new Map(
+    created.map((question) => [String(question._id), question])
+  );
+  return questionDocs.map((question) => byId.get(String(question._id)));
+};
+
+// Exported separately so single questions can be validated without options (see question_controller.create),
+// polls built elsewhere (see services/poll_transfer.js) can be stored the same way,
+// and the parsers reused by the endpoints that edit questions and options and by the route schemas.
+module.exports.validateQuestion = validateQuestion;
+module.exports.insertPollDocuments = insertPollDocuments;
+module.exports.QUESTION_TYPES = QUESTION_TYPES;
+module.exports.WRITE_IN_TYPES = WRITE_IN_TYPES;
+module.exports.parseOptionalNumber = parseOptionalNumber;
+module.exports.parseTags = parseTags;
+module.exports.parseOptionalDate = parseOptionalDate;
+module.exports.parseVoterAttributes = parseVoterAttributes;
+module.exports.parseOptionDetails = parseOptionDetails;
+module.exports.isHttpUrl = isHttpUrl;
+module.exports.OPTION_COLOR = OPTION_COLOR;
+module.exports.OPTION_DESCRIPTION_LENGTH = OPTION_DESCRIPTION_LENGTH;
+module.exports.OPTION_IMAGE_URL_LENGTH = OPTION_IMAGE_URL_LENGTH;
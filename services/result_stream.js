@@ -0,0 +1,233 @@
+// Import the Question model to reload a question when its results change.
+const Question = require("../models/question");
+// Import the results helper so streamed results match GET /questions/:id/results exactly.
+const { buildResults } = require("./results");
+// Import the poll event bus the stream listens to.
+const { pollEvents } = require("./poll_events");
+
+// How often every subscriber receives a heartbeat, so proxies don't close idle connections
+// and dead connections are noticed.
+const HEARTBEAT_INTERVAL_MS = 15000;
+
+// Active subscribers, grouped by question ID: Map<questionId, Set<subscriber>>.
+const subscribersByQuestion = new Map();
+
+// The last results sent for each question with subscribers, used to compute deltas.
+const lastResults = new Map();
+
+// Questions whose results are being recomputed, and those that changed again meanwhile.
+const computing = new Set();
+const dirty = new Set();
+
+let heartbeatTimer = null;
+
+/**
+ * Loads a question and builds its current results.
+ * @param {string} questionId - The question ID.
+ * @returns {Promise<object|null>} - The results, or null if the question no longer exists.
+ */
+async function loadResults(questionId) {
+  const question = await Question.findById(questionId)
+    .populate("options")
+    .exec();
+  if (!question) {
+    return null;
+  }
+  return {
+    _id: question._id,
+    title: question.title,
+    ...(await buildResults(question)),
+  };
+}
+
+/**
+ * Computes what changed between two results objects.
+ * Options are compared one by one and only the changed ones are included;
+ * every other top-level field is included only if its value changed.
+ * @param {object} previous - The results sent last.
+ * @param {object} current - The new results.
+ * @returns {object|null} - The delta, or null if nothing changed.
+ */
+function diffResults(previous, current) {
+  const delta = {};
+  let changed = false;
+
+  for (const key of Object.keys(current)) {
+    if (key === "options") {
+      continue;
+    }
+    if (JSON.stringify(previous[key]) !== JSON.stringify(current[key])) {
+      delta[key] = current[key];
+      changed = true;
+    }
+  }
+
+  const before = new Map(
+    previous.options.map((option) => [
+      String(option._id),
+      JSON.stringify(option),
+    ])
+  );
+  const changedOptions = current.options.filter(
+    (option) => before.get(String(option._id)) !== JSON.stringify(option)
+  );
+  const currentIds = new Set(
+    current.options.map((option) => String(option._id))
+  );
+  const removedOptions = [...before.keys()].filter((id) => !currentIds.has(id));
+
+  if (changedOptions.length > 0) {
+    delta.options = changedOptions;
+    changed = true;
+  }
+  if (removedOptions.length > 0) {
+    delta.removedOptions = removedOptions;
+    changed = true;
+  }
+  return changed ? delta : null;
+}
+
+/**
+ * Sends a message to one subscriber, respecting backpressure.
+ * If the subscriber's connection is congested, the message is not queued; instead the subscriber is
+ * flagged to receive a fresh full snapshot once the connection drains. Memory per slow subscriber
+ * therefore stays bounded no matter how many updates happen meanwhile.
+ * @param {object} subscriber - The subscriber.
+ * @param {string} event - The message type ('snapshot', 'delta', 'deleted').
+ * @param {object} data - The message body.
+ */
+function deliver(subscriber, event, data) {
+  if (subscriber.congested) {
+    subscriber.needsSnapshot = true;
+    return;
+  }
+  const ok = subscriber.transport.send(event, data);
+  if (!ok) {
+    subscriber.congested = true;
+  }
+}
+
+/**
+ * Recomputes a question's results once and fans the delta out to all of its subscribers.
+ * Bursts of events are coalesced: while a recomputation is running, further events only mark the
+ * question dirty, and a single follow-up recomputation picks them all up.
+ * @param {string} questionId - The question ID.
+ * @param {string} reason - The type of the event that triggered the update.
+ */
+async function refresh(questionId, reason) {
+  if (computing.has(questionId)) {
+    dirty.add(questionId);
+    return;
+  }
+  computing.add(questionId);
+  try {
+    const current = await loadResults(questionId);
+    const subscribers = subscribersByQuestion.get(questionId);
+    if (!subscribers) {
+      return;
+    }
+    if (!current) {
+      subscribers.forEach((subscriber) => {
+        deliver(subscriber, "deleted", { _id: questionId });
+        subscriber.transport.close();
+      });
+      return;
+    }
+    const previous = lastResults.get(questionId);
+    lastResults.set(questionId, current);
+    const changes = previous ? diffResults(previous, current) : current;
+    if (changes) {
+      subscribers.forEach((subscriber) =>
+        deliver(subscriber, "delta", { _id: questionId, reason, changes })
+      );
+    }
+  } catch (err) {
+    console.error(`Error streaming results for question ${questionId}:`, err);
+  } finally {
+    computing.delete(questionId);
+    if (dirty.delete(questionId)) {
+      refresh(questionId, reason);
+    }
+  }
+}
+
+/**
+ * Sends a heartbeat to every subscriber. Runs only while there are subscribers.
+ */
+function heartbeat() {
+  subscribersByQuestion.forEach((subscribers) =>
+    subscribers.forEach((subscriber) => subscriber.transport.ping())
+  );
+}
+
+/**
+ * Subscribes a connection to live results for a question.
+ * The subscriber immediately receives a 'snapshot' with the full current results, then a 'delta'
+ * whenever a vote, option or status change alters them.
+ *
+ * `transport` adapts the underlying connection (SSE response or WebSocket) and must provide:
+ *   - send(event, data): writes a message; returns false if the connection is congested.
+ *   - onDrain(listener): calls `listener` when a congested connection can accept data again.
+ *   - ping(): sends a heartbeat.
+ *   - close(): closes the connection.
+ *
+ * @param {string} questionId - The question ID.
+ * @param {object} transport - The connection adapter.
+ * @returns {Promise<function|null>} - A function that unsubscribes, or null if the question doesn't exist.
+ */
+module.exports.subscribe = async function (questionId, transport) {
+  questionId = String(questionId);
+  const results =
+    lastResults.get(questionId) || (await loadResults(questionId));
+  if (!results) {
+    return null;
+  }
+
+  const subscriber = { transport, congested: false, needsSnapshot: false };
+  if (!subscribersByQuestion.has(questionId)) {
+    subscribersByQuestion.set(questionId, new Set());
+    lastResults.set(questionId, results);
+  }
+  subscribersByQuestion.get(questionId).add(subscriber);
+
+  // Once a congested connection drains, resynchronise it with a full snapshot
+  // rather than replaying the deltas it missed.
+  transport.onDrain(() => {
+    subscriber.congested = false;
+    if (subscriber.needsSnapshot) {
+      subscriber.needsSnapshot = false;
+      deliver(subscriber, "snapshot", lastResults.get(questionId));
+    }
+  });
+
+  deliver(subscriber, "snapshot", lastResults.get(questionId));
+
+  if (!heartbeatTimer) {
+    heartbeatTimer = setInterval(heartbeat, HEARTBEAT_INTERVAL_MS);
+    // Don't keep the process alive just for heartbeats.
+    heartbeatTimer.unref();
+  }
+
+  return function unsubscribe() {
+    const subscribers = subscribersByQuestion.get(questionId);
+    if (!subscribers) {
+      return;
+    }
+    subscribers.delete(subscriber);
+    if (subscribers.size === 0) {
+      subscribersByQuestion.delete(questionId);
+      lastResults.delete(questionId);
+    }
+    if (subscribersByQuestion.size === 0 && heartbeatTimer) {
+      clearInterval(heartbeatTimer);
+      heartbeatTimer = null;
+    }
+  };
+};
+
+// Recompute results whenever a poll event touches a question somebody is watching.
+pollEvents.on("event", (event) => {
+  if (subscribersByQuestion.has(event.questionId)) {
+    refresh(event.questionId, event.type);
+  }
+});
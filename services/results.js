@@ -0,0 +1,161 @@
+// Import the tally helper, which produces the raw per-type counts this module builds on.
+const { tallyQuestion } = require("./tally");
+
+/**
+ * Rounds a percentage to two decimal places.
+ * @param {number} part - The part.
+ * @param {number} whole - The whole; a zero whole yields 0%.
+ * @returns {number} - The percentage.
+ */
+function percentage(part, whole) {
+  return whole > 0 ? Math.round((part / whole) * 10000) / 100 : 0;
+}
+
+/**
+ * Picks the value options are ranked by for a given question type.
+ * Higher is better. Options that can't be scored (e.g. unrated options) get -Infinity so they rank last.
+ * @param {string} type - The question type.
+ * @param {object} option - The option entry from the tally.
+ * @param {object} tally - The full tally (needed for ranked-choice rounds).
+ * @returns {number} - The ranking score.
+ */
+function rankingScore(type, option, tally) {
+  if (type === "rating") {
+    return option.average === null ? -Infinity : option.average;
+  }
+  if (type === "ranked") {
+    // Options that survive longer in the runoff rank higher; the winner(s) survive every round.
+    // Options eliminated in the same round are separated by the votes they had in that round, and
+    // options still in the running when the count ended (e.g. everyone but a first-round winner)
+    // by the votes they had in the last round.
+    const id = String(option._id);
+    if (tally.winners.includes(id)) {
+      return Infinity;
+    }
+    const lastRound = tally.rounds.length;
+    const round = option.eliminatedInRound || lastRound;
+    const counts = round ? tally.rounds[round - 1].counts : {};
+    return round * 1e9 + (counts[id] || 0);
+  }
+  return option.votes;
+}
+
+/**
+ * Assigns competition ranks ("1, 1, 3") by score: options with equal scores share a rank.
+ * @param {Array<object>} options - Options with a `score` property. Ranks are written to `rank`.
+ */
+function assignRanks(options) {
+  // Compare explicitly rather than subtracting, since scores can be +/-Infinity.
+  const sorted = options
+    .slice()
+    .sort((a, b) => (b.score > a.score ? 1 : b.score < a.score ? -1 : 0));
+  sorted.forEach((option, index) => {
+    const previous = sorted[index - 1];
+    option.rank =
+      previous && previous.score === option.score ? previous.rank : index + 1;
+  });
+}
+
+/**
+ * Checks the question's quorum and minimum-turnout rules against the number of ballots cast.
+ * @param {object} question - The Question document.
+ * @param {number} totalBallots - The number of ballots cast.
+ * @returns {object} - The rule settings, the turnout achieved, and whether the rules were met.
+ */
+function checkQuorum(question, totalBallots) {
+  const quorum = {
+    ballots: totalBallots,
+    minBallots: question.quorum || null,
+    electorateSize: question.electorateSize || null,
+    minTurnout: question.minTurnout || null,
+    turnout: question.electorateSize
+      ? percentage(totalBallots, question.electorateSize)
+      : null,
+    met: true,
+  };
+  if (quorum.minBallots && totalBallots < quorum.minBallots) {
+    quorum.met = false;
+  }
+  if (
+    quorum.minTurnout &&
+    quorum.turnout !== null &&
+    quorum.turnout < quorum.minTurnout
+  ) {
+    quorum.met = false;
+  }
+  return quorum;
+}
+
+/**
+ * Builds the full results of a question: per-option percentages and ranks, the leader(s) with tie
+ * detection, whether the quorum/turnout rules are met, and, for closed questions, the declared outcome.
+ *
+ * Percentages are relative to the number of ballots cast, so on multi-select and rating polls they
+ * can add up to more than 100%. On ranked-choice polls they are first-preference shares.
+ *
+ * @param {object} question - The Question document, with its 'options' populated.
+ * @returns {Promise<object>} - The results.
+ */
+module.exports.buildResults = async function (question) {
+  const tally = await tallyQuestion(question);
+  const status = question.currentStatus();
+
+  // Score, rank and express each option as a share of the ballots cast.
+  const options = tally.options.map((option) => {
+    const count =
+      question.type === "rating"
+        ? option.ratings
+        : question.type === "ranked"
+        ? option.firstPreferences
+        : option.votes;
+    return {
+      ...option,
+      percentage: percentage(count, tally.totalBallots),
+      score: rankingScore(question.type, option, tally),
+    };
+  });
+  assignRanks(options);
+
+  // Leaders are the options sharing first place, once at least one ballot has been cast.
+  const leaders =
+    tally.totalBallots > 0
+      ? options
+          .filter((option) => option.rank === 1 && option.score !== -Infinity)
+          .map((option) => ({ _id: option._id, text: option.text }))
+      : [];
+  const tie = leaders.length > 1;
+
+  const quorum = checkQuorum(question, tally.totalBallots);
+
+  // Only closed questions get a declared outcome; open ones are still in progress.
+  let outcome = null;
+  if (status === "closed") {
+    if (!quorum.met) {
+      outcome = { decided: false, reason: "quorum_not_met" };
+    } else if (leaders.length === 0) {
+      outcome = { decided: false, reason: "no_votes" };
+    } else if (tie) {
+      outcome = { decided: false, reason: "tie", tiedOptions: leaders };
+    } else {
+      outcome = { decided: true, winner: leaders[0] };
+    }
+  }
+
+  // The internal ranking score isn't part of the response.
+  options.forEach((option) => delete option.score);
+  options.sort((a, b) => a.rank - b.rank);
+
+  return {
+    ...tally,
+    status,
+    options,
+    leaders,
+    tie,
+    quorum,
+    valid: quorum.met,
+    outcome,
+  };
+};
+
+// Exported so results broken down by voter attribute (services/segments.js) round the same way.
+module.exports.percentage = percentage;
@@ -0,0 +1,146 @@
+// Import the Vote model; segments are counted from the ballots and the voter attributes they carry.
+const Vote = require("../models/vote");
+// Import the segment settings, which hold the server-wide minimum cell size.
+const segments = require("../config/segments");
+// Import the percentage helper, so segment shares are rounded like the overall results.
+const { percentage } = require("./results");
+
+/**
+ * Works out the fewest ballots a segment of a question's results needs to be shown: the question's
+ * own `minCellSize`, but never less than the server-wide minimum (SEGMENT_MIN_CELL_SIZE).
+ * @param {object} question - The Question document.
+ * @returns {number} - The minimum cell size.
+ */
+function minimumCellSize(question) {
+  return Math.max(question.minCellSize || 0, segments.minCellSize);
+}
+
+/**
+ * Decides which segments to suppress. Segments with fewer ballots than the minimum are suppressed;
+ * then, since the overall results are public, the smallest remaining segments are suppressed as well
+ * until the suppressed segments together hold at least the minimum, so the hidden counts can't be
+ * worked out by subtracting the shown ones from the totals. Empty segments reveal nothing and stay shown.
+ * @param {Array<{ ballots: number }>} cells - The segments. Each gets a `suppressed` flag.
+ * @param {number} minimum - The minimum cell size.
+ */
+function suppressSmallCells(cells, minimum) {
+  let hidden = 0;
+  for (const cell of cells) {
+    cell.suppressed = cell.ballots > 0 && cell.ballots < minimum;
+    hidden += cell.suppressed ? cell.ballots : 0;
+  }
+  const shown = cells
+    .filter((cell) => !cell.suppressed && cell.ballots > 0)
+    .sort((a, b) => a.ballots - b.ballots);
+  while (hidden > 0 && hidden < minimum && shown.length > 0) {
+    const cell = shown.shift();
+    cell.suppressed = true;
+    hidden += cell.ballots;
+  }
+}
+
+/**
+ * Breaks a question's results down by one of its voter attributes: for each value of the attribute
+ * (every allowed value, any other value sent, and `null` for ballots without one), the number of
+ * ballots and the tally of each option within them, counted in one aggregation. Options are counted
+ * like the overall results before a ranked-choice runoff: votes for single-choice and multi-select
+ * polls, first preferences for ranked-choice polls, and ratings with their average for rating polls.
+ * Segments too small to keep their voters anonymous are suppressed (see `suppressSmallCells`) and
+ * reported without any counts, and without their value unless it is one of the allowed values.
+ * @param {object} question - The Question document, with its options populated.
+ * @param {object} attribute - The voter attribute to break the results down by, from `question.voterAttributes`.
+ * @returns {Promise<object>} - The breakdown: the attribute, the minimum cell size and the `segments`.
+ */
+async function segmentResults(question, attribute) {
+  // Ballots without a value for the attribute form the `null` segment.
+  const field = { $ifNull: [`$attributes.${attribute.name}`, null] };
+  const [{ ballots, choices }] = await Vote.aggregate([
+    { $match: { question: question._id } },
+    {
+      $facet: {
+        ballots: [{ $group: { _id: field, ballots: { $sum: 1 } } }],
+        choices: [
+          { $unwind: "$choices" },
+          // Ranked-choice ballots count for their first preference only.
+          ...(question.type === "ranked"
+            ? [{ $match: { "choices.rank": 1 } }]
+            : []),
+          {
+            $group: {
+              _id: { segment: field, option: "$choices.option" },
+              count: { $sum: 1 },
+              scoreTotal: { $sum: { $ifNull: ["$choices.score", 0] } },
+            },
+          },
+        ],
+      },
+    },
+  ]);
+
+  // Allowed values come first, in the question's order, then any other values and the ballots without one.
+  const counted = new Map(ballots.map((entry) => [entry._id, entry.ballots]));
+  const others = [...counted.keys()]
+    .filter((value) => value !== null && !attribute.values.includes(value))
+    .sort();
+  const values = [...attribute.values, ...others];
+  if (counted.has(null)) {
+    values.push(null);
+  }
+  const cells = values.map((value) => ({
+    value,
+    ballots: counted.get(value) || 0,
+  }));
+
+  const minimum = minimumCellSize(question);
+  suppressSmallCells(cells, minimum);
+
+  return {
+    attribute: attribute.name,
+    type: question.type,
+    minCellSize: minimum,
+    segments: cells.map((cell) => {
+      if (cell.suppressed) {
+        // Values outside the allowed list are free text the voter typed, which can single them out
+        // (a name, an email address), so a suppressed segment only shows values from the list.
+        const listed =
+          cell.value === null || attribute.values.includes(cell.value);
+        return listed
+          ? { value: cell.value, suppressed: true }
+          : { suppressed: true };
+      }
+      return {
+        value: cell.value,
+        suppressed: false,
+        ballots: cell.ballots,
+        options: question.options.map((option) => {
+          const entry = choices.find(
+            (item) =>
+              item._id.segment === cell.value &&
+              String(item._id.option) === String(option._id)
+          );
+          const count = entry ? entry.count : 0;
+          if (question.type === "rating") {
+            return {
+              _id: option._id,
+              text: option.text,
+              ratings: count,
+              average:
+                count > 0
+                  ? Math.round((entry.scoreTotal / count) * 100) / 100
+                  : null,
+              percentage: percentage(count, cell.ballots),
+            };
+          }
+          return {
+            _id: option._id,
+            text: option.text,
+            [question.type === "ranked" ? "firstPreferences" : "votes"]: count,
+            percentage: percentage(count, cell.ballots),
+          };
+        }),
+      };
+    }),
+  };
+}
+
+module.exports = { minimumCellSize, segmentResults };
@@ -0,0 +1,96 @@
+// Import the WebSocket class for its readyState constants.
+const { WebSocket } = require("ws");
+
+// Once this many bytes are waiting to be sent on a WebSocket, the connection counts as congested.
+const WS_HIGH_WATER_MARK = 1024 * 1024;
+
+/**
+ * Adapts an Express response into a Server-Sent Events transport for the result stream
+ * (see services/result_stream.js for the transport interface).
+ * The SSE headers are only written with the first message, so the caller can still send a
+ * normal error response if subscribing fails.
+ * @param {object} res - The Express response object.
+ * @returns {object} - The transport.
+ */
+module.exports.sseTransport = function (res) {
+  function start() {
+    if (!res.headersSent) {
+      res.writeHead(200, {
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache",
+        Connection: "keep-alive",
+        // Stop reverse proxies such as nginx from buffering the stream.
+        "X-Accel-Buffering": "no",
+      });
+    }
+  }
+
+  return {
+    // `res.write()` returns false once Node's socket buffer is full, which signals backpressure.
+    send(event, data) {
+      start();
+      return res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    onDrain(listener) {
+      res.on("drain", listener);
+    },
+    // Lines starting with ':' are comments in SSE; clients ignore them, but they keep the connection alive.
+    ping() {
+      start();
+      res.write(`: heartbeat ${Date.now()}\n\n`);
+    },
+    close() {
+      res.end();
+    },
+  };
+};
+
+/**
+ * Adapts a WebSocket connection into a transport for the result stream.
+ * Messages are sent as JSON text frames: `{ "event": "snapshot" | "delta" | "deleted", "data": {...} }`.
+ * Heartbeats use WebSocket ping frames; a connection that didn't answer the previous ping is terminated.
+ * @param {object} ws - The WebSocket connection.
+ * @returns {object} - The transport.
+ */
+module.exports.webSocketTransport = function (ws) {
+  let congested = false;
+  let drainListener = null;
+  let alive = true;
+
+  ws.on("pong", () => {
+    alive = true;
+  });
+
+  return {
+    send(event, data) {
+      if (ws.readyState !== WebSocket.OPEN) {
+        return true;
+      }
+      ws.send(JSON.stringify({ event, data }), () => {
+        // Each send callback runs once its frame has been flushed; use it to notice the buffer emptying.
+        if (congested && ws.bufferedAmount < WS_HIGH_WATER_MARK) {
+          congested = false;
+          if (drainListener) {
+            drainListener();
+          }
+        }
+      });
+      congested = ws.bufferedAmount >= WS_HIGH_WATER_MARK;
+      return !congested;
+    },
+    onDrain(listener) {
+      drainListener = listener;
+    },
+    ping() {
+      if (!alive) {
+        ws.terminate();
+        return;
+      }
+      alive = false;
+      ws.ping();
+    },
+    close() {
+      ws.close(1000);
+    },
+  };
+};
@@ -0,0 +1,140 @@
+// Import the Vote model; ranked-choice results are computed from the individual ballots.
+const Vote = require("../models/vote");
+
+/**
+ * Runs an instant-runoff count over a set of ranked ballots.
+ *
+ * Each round, every ballot counts for its highest-ranked option that is still in the running.
+ * An option with more than half of the ballots still counting wins. Otherwise the option(s)
+ * with the fewest votes are eliminated and the next round is counted. Options tied for last place
+ * are eliminated together; if every remaining option is tied, they are all returned as winners.
+ *
+ * @param {Array<string>} candidates - IDs of all options on the question.
+ * @param {Array<Array<string>>} rankings - One list of option IDs per ballot, first preference first.
+ * @returns {{ winners: Array<string>, rounds: Array<object> }} - The winning option ID(s)
+ *          (empty if there were no ballots) and the counts of every round.
+ */
+function instantRunoff(candidates, rankings) {
+  const continuing = new Set(candidates);
+  const rounds = [];
+
+  while (continuing.size > 0) {
+    // Count each ballot towards its highest-ranked option still in the running.
+    const counts = {};
+    continuing.forEach((id) => {
+      counts[id] = 0;
+    });
+    let exhausted = 0;
+    for (const ranking of rankings) {
+      const top = ranking.find((id) => continuing.has(id));
+      if (top) {
+        counts[top] += 1;
+      } else {
+        // Every option on this ballot has been eliminated.
+        exhausted += 1;
+      }
+    }
+
+    const round = {
+      round: rounds.length + 1,
+      counts,
+      exhausted,
+      eliminated: [],
+    };
+    rounds.push(round);
+
+    const active = rankings.length - exhausted;
+    if (active === 0) {
+      return { winners: [], rounds };
+    }
+
+    // A majority of the ballots still counting wins outright.
+    const ids = Object.keys(counts);
+    const highest = Math.max(...ids.map((id) => counts[id]));
+    if (highest * 2 > active) {
+      return { winners: ids.filter((id) => counts[id] === highest), rounds };
+    }
+
+    // Otherwise eliminate the last-placed option(s), unless that would eliminate everyone.
+    const lowest = Math.min(...ids.map((id) => counts[id]));
+    const last = ids.filter((id) => counts[id] === lowest);
+    if (last.length === continuing.size) {
+      return { winners: last, rounds };
+    }
+    last.forEach((id) => continuing.delete(id));
+    round.eliminated = last;
+  }
+
+  return { winners: [], rounds };
+}
+
+/**
+ * Computes the results of a question according to its type.
+ *   - single / multi: the number of ballots that picked each option.
+ *   - rating: the number of ratings and the average score per option.
+ *   - ranked: first-preference counts per option plus a full instant-runoff count.
+ * @param {object} question - The Question document, with its 'options' populated.
+ * @returns {Promise<object>} - The tally: `type`, `totalBallots` and per-option results,
+ *                              plus `rounds` and `winners` for ranked-choice questions.
+ */
+module.exports.tallyQuestion = async function (question) {
+  const totalBallots = await Vote.countDocuments({ question: question._id });
+  const result = { type: question.type, totalBallots };
+
+  if (question.type === "rating") {
+    result.options = question.options.map((option) => ({
+      _id: option._id,
+      text: option.text,
+      ratings: option.votes,
+      average:
+        option.votes > 0
+          ? Math.round((option.scoreTotal / option.votes) * 100) / 100
+          : null,
+    }));
+    return result;
+  }
+
+  if (question.type === "ranked") {
+    // Instant-runoff needs every ballot's full ranking, not just the first-preference counters.
+    const ballots = await Vote.find(
+      { question: question._id },
+      "choices"
+    ).lean();
+    const rankings = ballots.map((ballot) =>
+      ballot.choices
+        .slice()
+        .sort((a, b) => a.rank - b.rank)
+        .map((choice) => String(choice.option))
+    );
+    const runoff = instantRunoff(
+      question.options.map((option) => String(option._id)),
+      rankings
+    );
+
+    result.options = question.options.map((option) => {
+      const eliminatedIn = runoff.rounds.find((round) =>
+        round.eliminated.includes(String(option._id))
+      );
+      return {
+        _id: option._id,
+        text: option.text,
+        firstPreferences: option.votes,
+        eliminatedInRound: eliminatedIn ? eliminatedIn.round : null,
+      };
+    });
+    result.rounds = runoff.rounds;
+    result.winners = runoff.winners;
+    return result;
+  }
+
+  // Single choice and multi-select: the counters already hold the tally.
+  result.options = question.options.map((option) => ({
+    _id: option._id,
+    text: option.text,
+    votes: option.votes,
+  }));
+  return result;
+};
+
+// Exported separately so the runoff can be reused without loading a question.
+module.exports.instantRunoff = instantRunoff;
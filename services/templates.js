@@ -0,0 +1,372 @@
+// Import the Template model, which holds the saved questions and their recurrence.
+const Template = require("../models/template");
+// Import the helpers that validate and create whole polls, so instances are checked like new polls.
+const {
+  validatePoll,
+  createPolls,
+  parseOptionalDate,
+} = require("./question_builder");
+// Import the event bus and the audit log, which record recurring instances like any new question.
+const { publish } = require("./poll_events");
+const { recordAudit } = require("./audit");
+// Import the recurrence settings: how often to look for due templates, and how early to create instances.
+const settings = require("../config/templates");
+
+// How often a recurring template creates a new question.
+const FREQUENCIES = ["daily", "weekly", "monthly"];
+
+// The question settings a template keeps. The schedule (opensAt, closesAt) belongs to each instance.
+const TEMPLATE_FIELDS = [
+  "title",
+  "tags",
+  "type",
+  "minSelections",
+  "maxSelections",
+  "quorum",
+  "electorateSize",
+  "minTurnout",
+  "voterAttributes",
+  "minCellSize",
+  "shuffleOptions",
+  "allowWriteIns",
+];
+
+// How many due templates are handled per round, so one run never loads every template at once.
+const BATCH_SIZE = 100;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Reads the settings a template keeps from a question, or from a template's stored question.
+ * @param {object} source - A Question document, or the `question` of a Template document.
+ * @returns {object} - The settings, as plain values, without the ones that aren't set.
+ */
+function templateSettings(source) {
+  const plain =
+    typeof source.toObject === "function" ? source.toObject() : source;
+  const fields = {};
+  for (const field of TEMPLATE_FIELDS) {
+    if (plain[field] !== undefined && plain[field] !== null) {
+      fields[field] = plain[field];
+    }
+  }
+  return fields;
+}
+
+/**
+ * Picks out the fields of an option that templates and copies keep: its text and details, without
+ * its votes or links.
+ * @param {object} option - An Option document, or an option of a template or validated poll.
+ * @returns {object} - The option's `text`, `description`, `imageUrl` and `color`, where set.
+ */
+function optionFields(option) {
+  const fields = { text: option.text };
+  for (const field of ["description", "imageUrl", "color"]) {
+    if (option[field]) {
+      fields[field] = option[field];
+    }
+  }
+  return fields;
+}
+
+/**
+ * Validates a template's question and options, the same way a new poll is validated
+ * (see services/question_builder.js), and picks out what the template stores.
+ * @param {object} body - The question settings (without a schedule) and `options`.
+ * @returns {{ question?: object, options?: Array<object>, error?: string }} - The template's
+ *          question settings and options, or an error message describing why the input is invalid.
+ */
+function validateTemplate(body) {
+  const { poll, error } = validatePoll({
+    ...body,
+    opensAt: undefined,
+    closesAt: undefined,
+  });
+  if (error) {
+    return { error };
+  }
+  return {
+    question: templateSettings(poll.question),
+    options: poll.options.map(optionFields),
+  };
+}
+
+/**
+ * Parses the recurrence of a template from the request body.
+ * @param {*} value - The raw value: `{ frequency, interval, startsAt, openFor, until }`, or empty for none.
+ * @returns {{ recurrence?: object|null, error?: string }} - The recurrence (`null` for none),
+ *          or an error message describing why the input is invalid.
+ */
+function parseRecurrence(value) {
+  if (value === undefined || value === null || value === "") {
+    return { recurrence: null };
+  }
+  if (typeof value !== "object" || Array.isArray(value)) {
+    return { error: "recurrence must be an object" };
+  }
+  if (!FREQUENCIES.includes(value.frequency)) {
+    return {
+      error: `recurrence.frequency must be one of: ${FREQUENCIES.join(", ")}`,
+    };
+  }
+  const interval = value.interval === undefined ? 1 : Number(value.interval);
+  if (!Number.isInteger(interval) || interval < 1 || interval > 365) {
+    return {
+      error: "recurrence.interval must be a whole number from 1 to 365",
+    };
+  }
+  const startsAt = parseOptionalDate(value.startsAt);
+  if (!startsAt) {
+    return { error: "recurrence.startsAt must be a valid date" };
+  }
+  const until = parseOptionalDate(value.until);
+  if (until === null || (until && until < startsAt)) {
+    return {
+      error: "recurrence.until must be a valid date no earlier than startsAt",
+    };
+  }
+  const openFor =
+    value.openFor === undefined || value.openFor === null
+      ? undefined
+      : Number(value.openFor);
+  if (openFor !== undefined && (!Number.isInteger(openFor) || openFor < 1)) {
+    return {
+      error: "recurrence.openFor must be a whole number of minutes",
+    };
+  }
+  return {
+    recurrence: {
+      frequency: value.frequency,
+      interval,
+      startsAt,
+      openFor,
+      until,
+      // Start counting occurrences from the first one.
+      count: 0,
+      nextRunAt: startsAt,
+    },
+  };
+}
+
+/**
+ * Works out when an occurrence of a recurring template opens. Occurrences are counted from
+ * `startsAt` in UTC; a monthly occurrence falling on a day the month doesn't have (e.g. the 31st)
+ * opens on the month's last day instead.
+ * @param {object} recurrence - The template's recurrence.
+ * @param {number} n - The occurrence, counting from 0 for `startsAt`.
+ * @returns {Date} - When the occurrence opens.
+ */
+function occurrence(recurrence, n) {
+  const start = new Date(recurrence.startsAt);
+  const steps = n * (recurrence.interval || 1);
+  if (recurrence.frequency === "daily") {
+    return new Date(start.getTime() + steps * DAY_MS);
+  }
+  if (recurrence.frequency === "weekly") {
+    return new Date(start.getTime() + steps * 7 * DAY_MS);
+  }
+  const date = new Date(start);
+  date.setUTCDate(1);
+  date.setUTCMonth(date.getUTCMonth() + steps);
+  const lastDay = new Date(
+    Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)
+  ).getUTCDate();
+  date.setUTCDate(Math.min(start.getUTCDate(), lastDay));
+  return date;
+}
+
+/**
+ * Fills in the `{date}` placeholder of a template's title.
+ * @param {string} title - The title, e.g. 'Retro {date}'.
+ * @param {Date} date - The date the question opens, or is created.
+ * @returns {string} - The title with the date as YYYY-MM-DD, e.g. 'Retro 2024-05-13'.
+ */
+function formatTitle(title, date) {
+  return title.replace(/\{date\}/g, date.toISOString().slice(0, 10));
+}
+
+/**
+ * Builds a new poll from a template, validated like any new poll.
+ * @param {object} template - The Template document.
+ * @param {object} [overrides={}] - Settings of the new question: `title` (defaults to the template's),
+ *                                  `opensAt` and `closesAt`.
+ * @returns {{ poll?: object, error?: string }} - The poll to pass to `createPolls`, linked to the
+ *          template, or an error message describing why it is invalid.
+ */
+function pollFromTemplate(template, { title, opensAt, closesAt } = {}) {
+  const { poll, error } = validatePoll({
+    ...templateSettings(template.question),
+    title: formatTitle(title || template.question.title, opensAt || new Date()),
+    opensAt,
+    closesAt,
+    options: template.options.map(optionFields),
+  });
+  if (error) {
+    return { error };
+  }
+  poll.question.template = template._id;
+  return { poll };
+}
+
+/**
+ * Builds a copy of a question: its settings and options, without its votes, state or schedule.
+ * @param {object} question - The Question document, with its options populated.
+ * @param {object} [overrides={}] - Settings of the copy: `title` (defaults to the original's),
+ *                                  `opensAt` and `closesAt`.
+ * @returns {{ poll?: object, error?: string }} - The poll to pass to `createPolls`, linked to the
+ *          original, or an error message describing why it is invalid.
+ */
+function pollFromQuestion(question, { title, opensAt, closesAt } = {}) {
+  const { poll, error } = validatePoll({
+    ...templateSettings(question),
+    title: title || question.title,
+    opensAt,
+    closesAt,
+    options: question.options.map(optionFields),
+  });
+  if (error) {
+    return { error };
+  }
+  poll.question.clonedFrom = question._id;
+  return { poll };
+}
+
+/**
+ * Creates the instance of a recurring template that opens at the given time.
+ * The instance belongs to the template's owner and is announced and audited like any new question,
+ * with no one as the actor.
+ * @param {object} template - The Template document.
+ * @param {Date} opensAt - When the instance opens.
+ * @returns {Promise<object|null>} - The new Question document, or null if the template no longer
+ *          makes a valid poll (e.g. the server's limits changed since it was saved).
+ */
+async function createInstance(template, opensAt) {
+  const { openFor } = template.recurrence;
+  const { poll, error } = pollFromTemplate(template, {
+    opensAt,
+    closesAt: openFor
+      ? new Date(opensAt.getTime() + openFor * 60 * 1000)
+      : undefined,
+  });
+  if (error) {
+    console.error(
+      `Template ${template._id} can't create its recurring question: ${error}`
+    );
+    return null;
+  }
+  const [question] = await createPolls([poll], { _id: template.owner });
+  publish("question.created", question._id);
+  await recordAudit(null, "question.created", question._id, {
+    kind: "question",
+    id: question._id,
+    after: question,
+  });
+  return question;
+}
+
+/**
+ * Creates the instances of recurring templates that open within the lead time
+ * (TEMPLATE_RECURRENCE_LEAD_MINUTES). If occurrences were missed, e.g. while the server was down,
+ * only the latest of them is created, and only if it hasn't closed already, so a restart never
+ * floods owners with stale polls. Safe to run from several processes at once: each occurrence is
+ * claimed by advancing the template's count before its instance is created.
+ * @param {Date} [now=new Date()] - The current time.
+ * @returns {Promise<object>} - The number of instances created and of occurrences skipped.
+ */
+async function runRecurringTemplates(now = new Date()) {
+  const horizon = new Date(
+    now.getTime() + settings.recurrenceLeadMinutes * 60 * 1000
+  );
+  const isOver = (recurrence, date) =>
+    Boolean(recurrence.until) && date > recurrence.until;
+  const result = { created: 0, skipped: 0 };
+
+  let templates;
+  do {
+    templates = await Template.find({
+      "recurrence.nextRunAt": { $ne: null, $lte: horizon },
+    })
+      .sort({ "recurrence.nextRunAt": 1 })
+      .limit(BATCH_SIZE);
+
+    for (const template of templates) {
+      const recurrence = template.recurrence;
+      // Catch up to the latest occurrence that is due.
+      let count = recurrence.count;
+      let due = occurrence(recurrence, count);
+      let next = occurrence(recurrence, count + 1);
+      while (next <= horizon && !isOver(recurrence, next)) {
+        result.skipped += 1;
+        count += 1;
+        due = next;
+        next = occurrence(recurrence, count + 1);
+      }
+
+      // Claim the occurrence; if another process got there first, the count has moved on.
+      const claimed = await Template.findOneAndUpdate(
+        { _id: template._id, "recurrence.count": recurrence.count },
+        {
+          $set: {
+            "recurrence.count": count + 1,
+            "recurrence.nextRunAt": isOver(recurrence, next) ? null : next,
+          },
+        },
+        { new: true }
+      );
+      if (!claimed) {
+        continue;
+      }
+
+      const closesAt =
+        recurrence.openFor &&
+        new Date(due.getTime() + recurrence.openFor * 60 * 1000);
+      if (closesAt && closesAt <= now) {
+        result.skipped += 1;
+        continue;
+      }
+      const question = await createInstance(claimed, due);
+      if (question) {
+        await Template.updateOne(
+          { _id: template._id },
+          { $set: { "recurrence.lastQuestion": question._id } }
+        );
+        result.created += 1;
+      }
+    }
+  } while (templates.length === BATCH_SIZE);
+
+  return result;
+}
+
+/**
+ * Starts creating the instances of recurring templates every TEMPLATE_RECURRENCE_INTERVAL_MINUTES,
+ * and once right away. Called once, when the server starts.
+ */
+function startRecurrenceJob() {
+  const run = () =>
+    runRecurringTemplates()
+      .then(({ created }) => {
+        if (created > 0) {
+          console.log(`Created ${created} recurring question(s)`);
+        }
+      })
+      .catch((err) =>
+        console.error("Error creating recurring questions:", err)
+      );
+  // Don't keep the process alive just for the recurrence job.
+  setInterval(run, settings.recurrenceIntervalMinutes * 60 * 1000).unref();
+  run();
+}
+
+module.exports = {
+  FREQUENCIES,
+  templateSettings,
+  optionFields,
+  validateTemplate,
+  parseRecurrence,
+  occurrence,
+  pollFromTemplate,
+  pollFromQuestion,
+  runRecurringTemplates,
+  startRecurrenceJob,
+};
@@ -0,0 +1,305 @@
+// Import Node's crypto module to sign deliveries and give each event an ID.
+const crypto = require("crypto");
+// Import Node's HTTP clients, which let deliveries check the addresses they connect to.
+const http = require("http");
+const https = require("https");
+// Import the Webhook model to find the webhooks an event goes to.
+const Webhook = require("../models/webhook");
+// Import the WebhookDelivery model, which queues deliveries and records their attempts.
+const WebhookDelivery = require("../models/webhook_delivery");
+// Import the poll event bus the webhooks listen to.
+const { pollEvents } = require("./poll_events");
+// Import the delivery settings: attempts, backoff, timeout.
+const settings = require("../config/webhooks");
+// Import the checks that keep deliveries away from private and reserved addresses.
+const { reservedHostReason, publicLookup } = require("../utils/public_address");
+
+// How often the dispatcher looks for deliveries whose retry is due.
+const POLL_INTERVAL_MS = 5000;
+// How many deliveries are attempted at the same time, so one slow receiver doesn't hold up the others.
+const CONCURRENCY = 5;
+// Extra time, beyond the request timeout, before a claimed delivery may be picked up again
+// (e.g. because the process handling it died mid-attempt).
+const CLAIM_MARGIN_MS = 30000;
+// Identifies the API to receivers.
+const USER_AGENT = "polling-api-webhooks/1";
+
+// Whether the dispatcher is running, and whether more deliveries became due meanwhile.
+let dispatching = false;
+let dispatchAgain = false;
+
+/**
+ * Signs a delivery. Receivers recompute the signature with their copy of the secret and compare;
+ * the timestamp is part of the signed text, so an intercepted delivery can't be replayed later
+ * under a fresh timestamp.
+ * @param {string} secret - The webhook's signing secret.
+ * @param {number} timestamp - The time of the attempt, in Unix seconds.
+ * @param {string} body - The exact request body.
+ * @returns {string} - The signature header value, 'sha256=<hex HMAC>'.
+ */
+function sign(secret, timestamp, body) {
+  const hmac = crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+  return `sha256=${hmac}`;
+}
+
+/**
+ * Computes when a failed delivery is retried: the retry delay doubles after every failed attempt.
+ * @param {number} failedAttempts - The number of attempts made so far, all failed.
+ * @returns {Date} - The time of the next attempt.
+ */
+function nextRetry(failedAttempts) {
+  const delayMs = settings.retryDelaySeconds * 1000 * 2 ** (failedAttempts - 1);
+  return new Date(Date.now() + delayMs);
+}
+
+/**
+ * Sends a delivery's request. The receiver's address is checked when the connection is made
+ * (see utils/public_address.js), so a host name that resolved to a public address when the webhook
+ * was registered can't be pointed at a private one later. Redirects aren't followed, so a delivery
+ * only ever goes to the registered URL, and the answer's body is discarded.
+ * @param {string} url - The webhook URL.
+ * @param {object} headers - The request headers.
+ * @param {string} body - The request body.
+ * @returns {Promise<number>} - The status the receiver answered with.
+ * @throws {Error} - If the receiver couldn't be reached (code 'ERESERVED' for a reserved address),
+ *                   or didn't answer within the timeout (code 'ETIMEDOUT').
+ */
+function post(url, headers, body) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    if (reservedHostReason(target.hostname)) {
+      const blocked = new Error(`${target.hostname} is a reserved address`);
+      blocked.code = "ERESERVED";
+      reject(blocked);
+      return;
+    }
+    const client = target.protocol === "https:" ? https : http;
+    const request = client.request(target, {
+      method: "POST",
+      headers: { ...headers, "Content-Length": Buffer.byteLength(body) },
+      lookup: publicLookup,
+    });
+    const timer = setTimeout(() => {
+      const timeout = new Error("The receiver didn't answer in time");
+      timeout.code = "ETIMEDOUT";
+      request.destroy(timeout);
+    }, settings.timeoutMs);
+    request.on("response", (response) => {
+      clearTimeout(timer);
+      response.resume();
+      resolve(response.statusCode);
+    });
+    request.on("error", (err) => {
+      clearTimeout(timer);
+      reject(err);
+    });
+    request.end(body);
+  });
+}
+
+/**
+ * Makes one attempt at a delivery and records its outcome: delivered on a 2xx answer, otherwise
+ * scheduled for a retry, or failed for good once every attempt has been used.
+ * Failures are recorded with a generic reason, never the receiver's own error text.
+ * @param {object} delivery - The WebhookDelivery document, claimed by the caller.
+ * @returns {Promise<object>} - The updated delivery.
+ */
+async function attempt(delivery) {
+  const webhook = await Webhook.findById(delivery.webhook).select("+secret");
+  const record = { at: new Date() };
+
+  if (!webhook) {
+    record.error = "The webhook was deleted";
+  } else {
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    try {
+      const statusCode = await post(
+        webhook.url,
+        {
+          "Content-Type": "application/json",
+          "User-Agent": USER_AGENT,
+          "X-Webhook-Id": String(webhook._id),
+          "X-Webhook-Delivery": String(delivery._id),
+          "X-Webhook-Event": delivery.event,
+          "X-Webhook-Timestamp": String(timestamp),
+          "X-Webhook-Signature": sign(webhook.secret, timestamp, body),
+        },
+        body
+      );
+      record.statusCode = statusCode;
+      if (statusCode < 200 || statusCode > 299) {
+        record.error = "The receiver didn't answer with a 2xx status";
+      }
+    } catch (err) {
+      if (err.code === "ERESERVED") {
+        record.error =
+          "The webhook URL points to a private or reserved address";
+      } else if (err.code === "ETIMEDOUT") {
+        record.error = `The receiver didn't answer within ${settings.timeoutMs} ms`;
+      } else {
+        record.error = "The receiver couldn't be reached";
+      }
+    }
+    record.durationMs = Date.now() - record.at.getTime();
+  }
+
+  delivery.attempts.push(record);
+  if (!record.error) {
+    delivery.status = "delivered";
+    delivery.nextAttemptAt = undefined;
+  } else if (!webhook || delivery.attempts.length >= settings.maxAttempts) {
+    delivery.status = "failed";
+    delivery.nextAttemptAt = undefined;
+  } else {
+    delivery.nextAttemptAt = nextRetry(delivery.attempts.length);
+  }
+  return delivery.save();
+}
+
+/**
+ * Claims the next pending delivery that is due, so no other dispatcher attempts it at the same time.
+ * @returns {Promise<object|null>} - The claimed delivery, or null if none is due.
+ */
+function claimNext() {
+  return WebhookDelivery.findOneAndUpdate(
+    { status: "pending", nextAttemptAt: { $lte: new Date() } },
+    {
+      $set: {
+        nextAttemptAt: new Date(
+          Date.now() + settings.timeoutMs + CLAIM_MARGIN_MS
+        ),
+      },
+    },
+    { sort: { nextAttemptAt: 1 }, new: true }
+  );
+}
+
+/**
+ * Attempts every delivery that is due, a few at a time, until none are left.
+ * Calls made while the dispatcher is already running only make it look again once it is done.
+ */
+async function dispatchDue() {
+  if (dispatching) {
+    dispatchAgain = true;
+    return;
+  }
+  dispatching = true;
+  try {
+    do {
+      dispatchAgain = false;
+      let batch;
+      do {
+        batch = [];
+        for (let i = 0; i < CONCURRENCY; i++) {
+          const delivery = await claimNext();
+          if (!delivery) {
+            break;
+          }
+          batch.push(delivery);
+        }
+        await Promise.all(batch.map(attempt));
+      } while (batch.length === CONCURRENCY);
+    } while (dispatchAgain);
+  } catch (err) {
+    console.error("Error dispatching webhook deliveries:", err);
+  } finally {
+    dispatching = false;
+  }
+}
+
+/**
+ * Queues a delivery of a poll event to every active webhook that subscribes to it.
+ * @param {object} event - The poll event (see services/poll_events.js).
+ */
+async function enqueue(event) {
+  const webhooks = await Webhook.find({
+    active: true,
+    $or: [{ question: null }, { question: event.questionId }],
+  });
+  // Every webhook receives the same event ID, which stays the same across retries and replays,
+  // so receivers can recognise an event they already handled.
+  const payload = {
+    id: crypto.randomUUID(),
+    event: event.type,
+    questionId: event.questionId,
+    data: JSON.parse(JSON.stringify(event.payload)),
+    occurredAt: event.at,
+  };
+  const deliveries = webhooks
+    .filter((webhook) => webhook.wants(event.type))
+    .map((webhook) => ({ webhook: webhook._id, event: event.type, payload }));
+  if (deliveries.length === 0) {
+    return;
+  }
+  await WebhookDelivery.insertMany(deliveries);
+  dispatchDue();
+}
+
+/**
+ * Creates a delivery and attempts it right away, for pings and replays, whose result the caller
+ * waits for. If the attempt fails, the delivery is retried like any other.
+ * @param {object} fields - The delivery's webhook, event, payload and optional `replayOf`.
+ * @returns {Promise<object>} - The delivery, with the outcome of its first attempt.
+ */
+async function deliverNow(fields) {
+  const delivery = await WebhookDelivery.create({
+    ...fields,
+    // Claimed from the start, so the dispatcher leaves it to this attempt.
+    nextAttemptAt: new Date(Date.now() + settings.timeoutMs + CLAIM_MARGIN_MS),
+  });
+  return attempt(delivery);
+}
+
+/**
+ * Sends a 'ping' event to a webhook, to check that its receiver is reachable and verifies signatures.
+ * Pings are sent even to paused webhooks, so a receiver can be tested before it is activated.
+ * @param {object} webhook - The Webhook document.
+ * @returns {Promise<object>} - The ping's delivery, with the outcome of its first attempt.
+ */
+module.exports.sendPing = function (webhook) {
+  return deliverNow({
+    webhook: webhook._id,
+    event: "ping",
+    payload: {
+      id: crypto.randomUUID(),
+      event: "ping",
+      questionId: webhook.question ? String(webhook.question) : null,
+      data: { webhook: String(webhook._id) },
+      occurredAt: new Date(),
+    },
+  });
+};
+
+/**
+ * Sends a logged delivery's payload again, as a new delivery with its own attempts.
+ * @param {object} delivery - The WebhookDelivery document to replay.
+ * @returns {Promise<object>} - The new delivery, with the outcome of its first attempt.
+ */
+module.exports.replayDelivery = function (delivery) {
+  return deliverNow({
+    webhook: delivery.webhook,
+    event: delivery.event,
+    payload: delivery.payload,
+    replayOf: delivery._id,
+  });
+};
+
+/**
+ * Starts delivering poll events to webhooks: every event is queued for the webhooks that want it,
+ * and pending deliveries are attempted as soon as they are queued or their retry is due.
+ * Pending deliveries are stored, so retries survive a restart. Called once, when the server starts.
+ */
+module.exports.startWebhookDispatcher = function () {
+  pollEvents.on("event", (event) => {
+    enqueue(event).catch((err) =>
+      console.error(`Error queueing webhooks for ${event.type}:`, err)
+    );
+  });
+  // Don't keep the process alive just to poll for retries.
+  setInterval(dispatchDue, POLL_INTERVAL_MS).unref();
+  dispatchDue();
+};
@@ -0,0 +1,77 @@
+// Import the WebSocket server from the 'ws' library.
+const { WebSocketServer } = require("ws");
+// Import the Question model to check access to private polls.
+const Question = require("../models/question");
+// Import the result stream, which WebSocket connections subscribe to.
+const { subscribe } = require("./result_stream");
+// Import the comparison of access tokens, for private polls.
+const { tokenMatches } = require("../utils/poll_access");
+// Import the adapter that turns a WebSocket into a result stream transport.
+const { webSocketTransport } = require("./stream_transports");
+
+// WebSocket clients connect to the same URL as the SSE stream:
+// /api/v1/questions/:id/stream, or the legacy /questions/:id/stream.
+const STREAM_PATH = /^(?:\/api\/v1)?\/questions\/([0-9a-fA-F]{24})\/stream\/?$/;
+
+/**
+ * Subscribes a new WebSocket connection to a question's live results.
+ * Closes the connection with code 4404 if the question doesn't exist, and with 4403 if it is a
+ * private poll and the URL doesn't carry its access token (`?token=`); WebSocket clients can't
+ * authenticate with an API key, so even owners need the token.
+ * @param {object} ws - The WebSocket connection.
+ * @param {string} questionId - The question ID from the URL.
+ * @param {string|null} token - The `token` query parameter of the URL.
+ */
+async function onConnection(ws, questionId, token) {
+  try {
+    const question = await Question.findById(questionId, "accessToken");
+    if (!question) {
+      ws.close(4404, "Question not found");
+      return;
+    }
+    if (question.accessToken && !tokenMatches(question.accessToken, token)) {
+      ws.close(4403, "This poll is private; add its access token to the URL");
+      return;
+    }
+
+    const unsubscribe = await subscribe(questionId, webSocketTransport(ws));
+    if (!unsubscribe) {
+      ws.close(4404, "Question not found");
+      return;
+    }
+    // The client may have disconnected while the subscription was being set up.
+    if (ws.readyState !== ws.OPEN) {
+      unsubscribe();
+      return;
+    }
+    ws.on("close", unsubscribe);
+  } catch (err) {
+    console.error("Error subscribing WebSocket to results:", err);
+    ws.close(1011, "Internal server error");
+  }
+}
+
+/**
+ * Attaches the WebSocket endpoint for live results to the HTTP server.
+ * Upgrade requests to /api/v1/questions/:id/stream (or the legacy /questions/:id/stream) are accepted; any other upgrade request is rejected with 404.
+ * @param {object} server - The Node HTTP server returned by `app.listen()`.
+ * @returns {object} - The WebSocket server.
+ */
+module.exports.attachWebSocketServer = function (server) {
+  const wss = new WebSocketServer({ noServer: true });
+
+  server.on("upgrade", (req, socket, head) => {
+    const { pathname, searchParams } = new URL(req.url, "http://localhost");
+    const match = STREAM_PATH.exec(pathname);
+    if (!match) {
+      socket.write("HTTP/1.1 404 Not Found\r\nConnection: close\r\n\r\n");
+      socket.destroy();
+      return;
+    }
+    wss.handleUpgrade(req, socket, head, (ws) =>
+      onConnection(ws, match[1], searchParams.get("token"))
+    );
+  });
+
+  return wss;
+};
@@ -0,0 +1,304 @@
+// Import Mongoose to generate the IDs of options created from approved write-ins.
+const mongoose = require("mongoose");
+// Import the models a moderation decision touches: the answer, the ballots carrying it, the option
+// they move to and the question that lists it.
+const WriteIn = require("../models/write_in");
+const Vote = require("../models/vote");
+const Option = require("../models/option");
+const Question = require("../models/question");
+// Import the VoteEvent model, which records the votes a moderation decision moves to an option.
+const VoteEvent = require("../models/vote_event");
+// Import the helper that groups the moderation writes into one transaction.
+const { runInTransaction } = require("../utils/transaction");
+// Import the helpers that build each option's voting link from the configured base URL.
+const { voteLink, shareVoteLink } = require("../utils/links");
+
+/**
+ * Normalizes an answer for matching: the same answer written with different case or spacing
+ * is queued once, and an answer matching a listed option counts for that option.
+ * @param {string} text - The answer, or an option's text.
+ * @returns {string} - The answer in lowercase, with single spaces.
+ */
+function writeInKey(text) {
+  return text.trim().replace(/\s+/g, " ").toLowerCase();
+}
+
+/**
+ * Works out what a ballot's written-in answer stands for, before the ballot is stored:
+ *   - an answer matching one of the question's options, or one already approved or merged, is
+ *     counted for that option, as if the voter had picked it;
+ *   - an answer the owner rejected is refused;
+ *   - any other answer is queued for moderation when the ballot is stored (see services/ballot.js).
+ * @param {object} question - The Question document.
+ * @param {{ choices: Array<object>, writeIn?: string }} ballot - The validated ballot, from `validateBallot()`.
+ * @returns {Promise<{ ballot?: object, error?: string, rejected?: boolean }>} - The ballot, with the
+ *          answer either turned into a choice or prepared for the queue as `{ text, key }`; or an error
+ *          message, with `rejected` set if the owner rejected the answer.
+ */
+async function resolveWriteIn(question, ballot) {
+  if (!ballot.writeIn) {
+    return { ballot };
+  }
+  const key = writeInKey(ballot.writeIn);
+
+  const options = await Option.find({ _id: { $in: question.options } }, "text");
+  const listed = options.find((option) => writeInKey(option.text) === key);
+  let optionId = listed ? listed._id : null;
+  if (!optionId) {
+    const entry = await WriteIn.findOne({ question: question._id, key });
+    if (entry && entry.status === "rejected") {
+      return {
+        error: `The answer "${entry.text}" was rejected for this question`,
+        rejected: true,
+      };
+    }
+    if (entry && entry.status !== "pending") {
+      optionId = entry.option;
+    }
+  }
+
+  if (!optionId) {
+    return {
+      ballot: { ...ballot, writeIn: { text: ballot.writeIn, key } },
+    };
+  }
+  if (
+    ballot.choices.some((choice) => String(choice.option) === String(optionId))
+  ) {
+    return {
+      error: `The written-in answer "${ballot.writeIn}" is an option already on the ballot`,
+    };
+  }
+  return {
+    ballot: {
+      ...ballot,
+      choices: [...ballot.choices, { option: optionId }],
+      writeIn: undefined,
+    },
+  };
+}
+
+/**
+ * Counts the ballots that carry each of the given pending answers.
+ * @param {Array<object>} entries - WriteIn documents.
+ * @returns {Promise<Map<string, number>>} - The number of ballots by WriteIn ID.
+ */
+async function countBallots(entries) {
+  const counts = await Vote.aggregate([
+    { $match: { writeIn: { $in: entries.map((entry) => entry._id) } } },
+    { $group: { _id: "$writeIn", votes: { $sum: 1 } } },
+  ]);
+  return new Map(counts.map((count) => [String(count._id), count.votes]));
+}
+
+/**
+ * Moves the ballots carrying an answer to an option: each ballot gets the option as a choice in
+ * place of the answer, and the option's counter and vote history follow. A ballot that already
+ * picked the option just loses the answer. The ballots' versions are bumped, so a voter's
+ * replacement racing with the move is refused and retried (see `replaceBallot` in services/ballot.js).
+ * @param {object} question - The Question document.
+ * @param {object} entry - The WriteIn document.
+ * @param {*} optionId - The ID of the option the ballots move to.
+ * @param {object|null} session - The transaction session, if any.
+ * @returns {Promise<number>} - The number of ballots now counting for the option because of the move.
+ */
+async function moveBallots(question, entry, optionId, session) {
+  const ballots = await Vote.find(
+    { writeIn: entry._id },
+    "choices updatedAt"
+  ).session(session);
+  const moved = ballots.filter(
+    (ballot) => !ballot.choices.some((choice) => choice.option.equals(optionId))
+  );
+
+  await Vote.updateMany(
+    { _id: { $in: moved.map((ballot) => ballot._id) } },
+    {
+      $push: { choices: { option: optionId } },
+      $unset: { writeIn: "" },
+      $inc: { __v: 1 },
+    },
+    { session }
+  );
+  await Vote.updateMany(
+    { writeIn: entry._id },
+    { $unset: { writeIn: "" }, $inc: { __v: 1 } },
+    { session }
+  );
+
+  if (moved.length > 0) {
+    await Option.updateOne(
+      { _id: optionId },
+      { $inc: { votes: moved.length } },
+      { session }
+    );
+    // The votes are dated when the voters cast them, not when the answer was moderated,
+    // so the vote history shows them when they were made.
+    await VoteEvent.insertMany(
+      moved.map((ballot) => ({
+        question: question._id,
+        option: optionId,
+        delta: 1,
+        at: ballot.updatedAt,
+      })),
+      { session }
+    );
+  }
+  return moved.length;
+}
+
+/**
+ * Claims a pending answer for a moderation decision, so two moderators can't both decide on it.
+ * @param {object} entry - The WriteIn document.
+ * @param {object} decision - The fields to set: `status`, `option`, `moderatedBy`.
+ * @param {object|null} session - The transaction session, if any.
+ * @returns {Promise<object|null>} - The updated WriteIn document, or null if it was no longer pending.
+ */
+function claim(entry, decision, session) {
+  return WriteIn.findOneAndUpdate(
+    { _id: entry._id, status: "pending" },
+    { $set: { ...decision, moderatedAt: new Date() } },
+    { new: true, session }
+  );
+}
+
+/**
+ * Approves a pending answer: it becomes a new option at the end of the question's list, and the
+ * ballots that wrote it in count for it. All of it happens in one transaction.
+ * @param {object} question - The Question document.
+ * @param {object} entry - The pending WriteIn document.
+ * @param {object} moderator - The user approving it.
+ * @param {string} [text] - The new option's text, to correct the answer's spelling; defaults to the answer.
+ * @returns {Promise<{ writeIn: object, option: object, position: number }|null>} - The moderated answer,
+ *          the new option and its position in the question (starting at 1), or null if the answer was
+ *          no longer pending.
+ */
+function approveWriteIn(question, entry, moderator, text) {
+  return runInTransaction(async (session) => {
+    const optionId = new mongoose.Types.ObjectId();
+    const claimed = await claim(
+      entry,
+      { status: "approved", option: optionId, moderatedBy: moderator._id },
+      session
+    );
+    if (!claimed) {
+      return null;
+    }
+    // List the option first, so its position (and with it its voting link) is known.
+    const listed = await Question.findOneAndUpdate(
+      { _id: question._id },
+      { $push: { options: optionId } },
+      { new: true, session }
+    );
+    // Create the option without votes; moving the ballots counts them.
+    await Option.create(
+      [
+        {
+          _id: optionId,
+          text: text || claimed.text,
+          question: question._id,
+          link_to_vote: listed.shareCode
+            ? shareVoteLink(listed.shareCode, listed.options.length)
+            : voteLink(optionId),
+        },
+      ],
+      { session }
+    );
+    const votes = await moveBallots(question, claimed, optionId, session);
+    const writeIn = await WriteIn.findByIdAndUpdate(
+      claimed._id,
+      { $set: { votes } },
+      { new: true, session }
+    );
+    const option = await Option.findById(optionId).session(session);
+    return { writeIn, option, position: listed.options.length };
+  });
+}
+
+/**
+ * Merges a pending answer into an existing option of the question that means the same: the ballots
+ * that wrote it in count for the option instead. All of it happens in one transaction.
+ * @param {object} question - The Question document.
+ * @param {object} entry - The pending WriteIn document.
+ * @param {object} moderator - The user merging it.
+ * @param {object} option - The Option document to merge the answer into.
+ * @returns {Promise<{ writeIn: object, option: object }|null>} - The moderated answer and the option,
+ *          or null if the answer was no longer pending.
+ */
+function mergeWriteIn(question, entry, moderator, option) {
+  return runInTransaction(async (session) => {
+    const claimed = await claim(
+      entry,
+      { status: "merged", option: option._id, moderatedBy: moderator._id },
+      session
+    );
+    if (!claimed) {
+      return null;
+    }
+    const votes = await moveBallots(question, claimed, option._id, session);
+    const writeIn = await WriteIn.findByIdAndUpdate(
+      claimed._id,
+      { $set: { votes } },
+      { new: true, session }
+    );
+    const merged = await Option.findById(option._id).session(session);
+    return { writeIn, option: merged };
+  });
+}
+
+/**
+ * Rejects a pending answer: it is dropped from the ballots that wrote it in. Ballots left without
+ * any choice (a single-choice ballot holding only the answer) are removed, so those voters can vote
+ * again. All of it happens in one transaction.
+ * @param {object} question - The Question document.
+ * @param {object} entry - The pending WriteIn document.
+ * @param {object} moderator - The user rejecting it.
+ * @returns {Promise<{ writeIn: object, removedBallots: number }|null>} - The moderated answer and the
+ *          number of ballots removed, or null if the answer was no longer pending.
+ */
+function rejectWriteIn(question, entry, moderator) {
+  return runInTransaction(async (session) => {
+    const claimed = await claim(
+      entry,
+      { status: "rejected", moderatedBy: moderator._id },
+      session
+    );
+    if (!claimed) {
+      return null;
+    }
+    const votes = await Vote.countDocuments({ writeIn: claimed._id }).session(
+      session
+    );
+    const removed = await Vote.deleteMany(
+      { writeIn: claimed._id, choices: { $size: 0 } },
+      { session }
+    );
+    await Vote.updateMany(
+      { writeIn: claimed._id },
+      { $unset: { writeIn: "" }, $inc: { __v: 1 } },
+      { session }
+    );
+    if (removed.deletedCount > 0) {
+      await Question.updateOne(
+        { _id: question._id },
+        { $inc: { totalVotes: -removed.deletedCount } },
+        { session }
+      );
+    }
+    const writeIn = await WriteIn.findByIdAndUpdate(
+      claimed._id,
+      { $set: { votes } },
+      { new: true, session }
+    );
+    return { writeIn, removedBallots: removed.deletedCount };
+  });
+}
+
+module.exports = {
+  writeInKey,
+  resolveWriteIn,
+  countBallots,
+  approveWriteIn,
+  mergeWriteIn,
+  rejectWriteIn,
+};
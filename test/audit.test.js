@@ -0,0 +1,90 @@
+// test/audit.test.js
+//
+// Checks what the audit log keeps of a ballot. Owners of a question can read its log, so a ballot's
+// entry must tell them neither who cast it nor what it chose.
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+
+const AuditEntry = require("../models/audit_entry");
+const { auditEntry } = require("../services/audit");
+
+// The caller casting the ballot, as the Express request object the audit log reads.
+const req = {
+  user: { _id: new mongoose.Types.ObjectId(), role: "user" },
+  ip: "198.51.100.7",
+  get: (name) => (name.toLowerCase() === "user-agent" ? "browser" : undefined),
+};
+
+/**
+ * Builds a ballot choosing one option.
+ * @param {object} option - The ID of the chosen option.
+ * @returns {object} - The ballot, as stored on a Vote.
+ */
+function ballot(option) {
+  return {
+    _id: new mongoose.Types.ObjectId(),
+    question: new mongoose.Types.ObjectId(),
+    choices: [{ option }],
+    writeIn: new mongoose.Types.ObjectId(),
+    attributes: { region: "EU" },
+    voterType: "user",
+    voterId: String(req.user._id),
+    createdAt: new Date(),
+    updatedAt: new Date(),
+  };
+}
+
+test("a changed ballot's entry shows neither the voter nor the choices", () => {
+  const before = ballot(new mongoose.Types.ObjectId());
+  const after = {
+    ...before,
+    choices: [{ option: new mongoose.Types.ObjectId() }],
+  };
+  const entry = new AuditEntry(
+    auditEntry(req, "vote.changed", before.question, {
+      kind: "vote",
+      id: before._id,
+      before,
+      after,
+    })
+  ).toJSON();
+
+  // An empty actor is left out of the stored entry.
+  assert.equal(entry.actor, undefined);
+  for (const side of [entry.before, entry.after]) {
+    assert.deepEqual(Object.keys(side).sort(), [
+      "_id",
+      "createdAt",
+      "question",
+      "updatedAt",
+      "voterType",
+    ]);
+  }
+  const serialized = JSON.stringify(entry);
+  assert.ok(!serialized.includes(String(req.user._id)));
+  assert.ok(!serialized.includes(req.ip));
+  assert.ok(!serialized.includes(String(before.choices[0].option)));
+  assert.ok(!serialized.includes(String(after.choices[0].option)));
+});
+
+test("other entries still name the actor", () => {
+  const entry = auditEntry(
+    req,
+    "option.deleted",
+    new mongoose.Types.ObjectId(),
+    {
+      kind: "option",
+      id: new mongoose.Types.ObjectId(),
+      before: { text: "Blue" },
+    }
+  );
+  assert.deepEqual(entry.actor, {
+    user: req.user._id,
+    role: "user",
+    ip: req.ip,
+    userAgent: "browser",
+  });
+  assert.deepEqual(entry.before, { text: "Blue" });
+});
@@ -0,0 +1,199 @@
+// test/concurrent_votes.test.js
+//
+// Fires hundreds of parallel votes and ballots at the API, backed by an in-memory MongoDB replica set
+// (so `runInTransaction` runs real transactions), and checks that no vote is lost or counted twice:
+// every option's counter matches the Vote records that chose it, the question's ballot total matches
+// its Vote records, and every voter ends up with exactly one ballot.
+// Run with `npm test`. mongodb-memory-server downloads a MongoDB binary on first use; point
+// MONGOMS_SYSTEM_BINARY at a local `mongod` to run it offline.
+
+// Raise the rate limits before the app reads them: every request here comes from 127.0.0.1.
+process.env.RATE_LIMIT_IP = "100000";
+process.env.RATE_LIMIT_VOTE_IP = "100000";
+
+const { describe, test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const { MongoMemoryReplSet } = require("mongodb-memory-server");
+
+const app = require("../app");
+const Question = require("../models/question");
+const Option = require("../models/option");
+const Vote = require("../models/vote");
+
+// How many distinct voters take part in each scenario, and how many requests each of them sends at once.
+const VOTERS = 60;
+const REQUESTS_PER_VOTER = 5;
+
+let replSet;
+let server;
+let baseUrl;
+
+/**
+ * Creates an open question with its options, directly in the database.
+ * @param {object} fields - The question's fields besides its title, status and options.
+ * @param {number} count - The number of options.
+ * @returns {Promise<{ question: object, options: Array<object> }>}
+ */
+async function openQuestion(fields, count) {
+  const question = await Question.create({
+    title: `Concurrency ${fields.type}`,
+    status: "open",
+    ...fields,
+  });
+  const options = await Option.insertMany(
+    Array.from({ length: count }, (_, i) => ({
+      text: `Option ${i + 1}`,
+      question: question._id,
+    }))
+  );
+  question.options = options.map((option) => option._id);
+  await question.save();
+  return { question, options };
+}
+
+/**
+ * Sends a JSON request as an anonymous voter. Voters are told apart by their user agent,
+ * since every request comes from the same address.
+ * @param {string} method - The HTTP method.
+ * @param {string} path - The path, e.g. '/api/v1/options/<id>/votes'.
+ * @param {number} voter - The voter's number.
+ * @param {object} [body] - The JSON body.
+ * @returns {Promise<{ status: number, body: object }>}
+ */
+async function send(method, path, voter, body) {
+  const response = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers: {
+      "Content-Type": "application/json",
+      "User-Agent": `concurrency-test-voter-${voter}`,
+    },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+/**
+ * Checks that the stored counters agree with the Vote records of a question.
+ * @param {object} question - The Question document.
+ * @param {Array<object>} options - The question's Option documents.
+ */
+async function assertConsistent(question, options) {
+  const votes = await Vote.find({ question: question._id }).lean();
+
+  for (const option of options) {
+    const stored = await Option.findById(option._id).lean();
+    const chosen = votes.filter((vote) =>
+      vote.choices.some((choice) => choice.option.equals(option._id))
+    ).length;
+    assert.equal(
+      stored.votes,
+      chosen,
+      `${option.text}: counter ${stored.votes}, ballots ${chosen}`
+    );
+  }
+
+  const stored = await Question.findById(question._id).lean();
+  assert.equal(stored.totalVotes, votes.length);
+
+  const voters = new Set(
+    votes.map((vote) => `${vote.voterType}|${vote.voterId}`)
+  );
+  assert.equal(voters.size, votes.length, "a voter has more than one ballot");
+  assert.equal(votes.length, VOTERS);
+}
+
+describe("concurrent voting", { timeout: 300000 }, () => {
+  before(async () => {
+    replSet = await MongoMemoryReplSet.create({ replSet: { count: 1 } });
+    await mongoose.connect(replSet.getUri());
+    // Build the indexes first, above all the unique (question, voter) index on votes.
+    await Promise.all([Question.init(), Option.init(), Vote.init()]);
+    await new Promise((resolve) => {
+      server = app.listen(0, "127.0.0.1", resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    if (server) {
+      await new Promise((resolve) => server.close(resolve));
+    }
+    await mongoose.disconnect();
+    if (replSet) {
+      await replSet.stop();
+    }
+  });
+
+  test("parallel single-option votes, with duplicates from the same voters", async () => {
+    const { question, options } = await openQuestion({ type: "single" }, 3);
+
+    // Each voter sends several votes at once, for different options; only one may count.
+    const requests = [];
+    for (let voter = 0; voter < VOTERS; voter++) {
+      for (let i = 0; i < REQUESTS_PER_VOTER; i++) {
+        const option = options[(voter + i) % options.length];
+        requests.push(
+          send("POST", `/api/v1/options/${option._id}/votes`, voter)
+        );
+      }
+    }
+    const responses = await Promise.all(requests);
+
+    const accepted = responses.filter((response) => response.status === 200);
+    const refused = responses.filter((response) => response.status === 409);
+    assert.equal(accepted.length, VOTERS);
+    assert.equal(refused.length, responses.length - VOTERS);
+    for (const response of refused) {
+      assert.equal(response.body.error.code, "ALREADY_VOTED");
+    }
+    await assertConsistent(question, options);
+  });
+
+  test("parallel ballots and replacements, with duplicates from the same voters", async () => {
+    const { question, options } = await openQuestion({ type: "multi" }, 4);
+    const ids = options.map((option) => String(option._id));
+    const path = `/api/v1/questions/${question._id}/ballot`;
+
+    // Each voter submits several different ballots at once and replaces its ballot at the same time,
+    // so submissions race with each other and with replacements of the ballot they create.
+    const requests = [];
+    for (let voter = 0; voter < VOTERS; voter++) {
+      for (let i = 0; i < REQUESTS_PER_VOTER; i++) {
+        const selected = ids.filter((_, j) => (voter + i + j) % 2 === 0);
+        requests.push(
+          send("POST", path, voter, { options: selected }).then((response) => ({
+            ...response,
+            method: "POST",
+          }))
+        );
+      }
+      requests.push(
+        send("PUT", path, voter, { options: [ids[voter % ids.length]] }).then(
+          (response) => ({ ...response, method: "PUT" })
+        )
+      );
+    }
+    const responses = await Promise.all(requests);
+
+    const submitted = responses.filter(
+      (response) => response.method === "POST"
+    );
+    assert.equal(
+      submitted.filter((response) => response.status === 201).length,
+      VOTERS
+    );
+    for (const response of submitted.filter((r) => r.status !== 201)) {
+      assert.equal(response.status, 409);
+      assert.equal(response.body.error.code, "ALREADY_VOTED");
+    }
+    // A replacement fails if it comes before the voter's ballot exists (404) or loses a race (409).
+    for (const response of responses.filter((r) => r.method === "PUT")) {
+      assert.ok(
+        [200, 404, 409].includes(response.status),
+        `replacement answered ${response.status}`
+      );
+    }
+    await assertConsistent(question, options);
+  });
+});
@@ -0,0 +1,141 @@
+// test/lifecycle.test.js
+//
+// Checks that scheduled openings and closings are stored and announced exactly once: the lifecycle
+// job, run several times at once, moves each question on once and sends one event per transition.
+// Closing by hand uses the same conditional update, so parallel requests close a question once.
+// Like test/concurrent_votes.test.js, this runs against mongodb-memory-server (see MONGOMS_SYSTEM_BINARY).
+
+const { describe, test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const { MongoMemoryServer } = require("mongodb-memory-server");
+
+const Question = require("../models/question");
+const AuditEntry = require("../models/audit_entry");
+const { pollEvents } = require("../services/poll_events");
+const { applySchedules } = require("../services/lifecycle");
+const questionController = require("../controller/question_controller");
+
+const MINUTE = 60 * 1000;
+
+/**
+ * Closes a question through the controller, as a request from its owner would.
+ * @param {object} question - The Question document.
+ * @returns {Promise<number>} - The status code the request is answered with.
+ */
+function closeByHand(question) {
+  return new Promise((resolve) => {
+    const req = {
+      params: { id: String(question._id) },
+      body: {},
+      user: { _id: new mongoose.Types.ObjectId(), role: "admin" },
+      ip: "127.0.0.1",
+      get: () => undefined,
+    };
+    const res = {
+      status(code) {
+        return { json: () => resolve(code) };
+      },
+    };
+    questionController.close(req, res, (err) => resolve(err.status || 500));
+  });
+}
+
+let mongod;
+
+describe("scheduled openings and closings", { timeout: 300000 }, () => {
+  before(async () => {
+    mongod = await MongoMemoryServer.create();
+    await mongoose.connect(mongod.getUri());
+  });
+
+  after(async () => {
+    await mongoose.disconnect();
+    if (mongod) {
+      await mongod.stop();
+    }
+  });
+
+  test("each transition is stored and published once", async () => {
+    const now = Date.now();
+    const [opening, openedAndClosed, closing, manual, later] =
+      await Question.create([
+        { title: "Opening", opensAt: new Date(now - MINUTE) },
+        {
+          title: "Opened and closed",
+          opensAt: new Date(now - 2 * MINUTE),
+          closesAt: new Date(now - MINUTE),
+        },
+        {
+          title: "Closing",
+          status: "open",
+          closesAt: new Date(now - MINUTE),
+        },
+        { title: "Opened by hand", status: "open", opensAt: new Date(now) },
+        { title: "Later", opensAt: new Date(now + 60 * MINUTE) },
+      ]);
+
+    const events = [];
+    const listener = (event) =>
+      events.push(`${event.type} ${event.questionId}`);
+    pollEvents.on("event", listener);
+    try {
+      await Promise.all([applySchedules(), applySchedules(), applySchedules()]);
+      await applySchedules();
+    } finally {
+      pollEvents.off("event", listener);
+    }
+
+    assert.deepEqual(
+      events.sort(),
+      [
+        `question.closed ${closing._id}`,
+        `question.closed ${openedAndClosed._id}`,
+        `question.opened ${opening._id}`,
+        `question.opened ${openedAndClosed._id}`,
+      ].sort()
+    );
+
+    const stored = async (question) =>
+      (await Question.findById(question._id).lean()).status;
+    assert.equal(await stored(opening), "open");
+    assert.equal(await stored(openedAndClosed), "closed");
+    assert.equal(await stored(closing), "closed");
+    assert.equal(await stored(manual), "open");
+    assert.equal(await stored(later), "draft");
+
+    const audited = await AuditEntry.countDocuments({
+      action: { $in: ["question.opened", "question.closed"] },
+    });
+    assert.equal(audited, events.length);
+  });
+
+  test("a question closed by several requests at once is closed once", async () => {
+    const question = await Question.create({
+      title: "Closing by hand",
+      status: "open",
+    });
+
+    const events = [];
+    const listener = (event) => events.push(event.type);
+    pollEvents.on("event", listener);
+    let statuses;
+    try {
+      statuses = await Promise.all([
+        closeByHand(question),
+        closeByHand(question),
+        closeByHand(question),
+      ]);
+    } finally {
+      pollEvents.off("event", listener);
+    }
+
+    assert.deepEqual(statuses.sort(), [200, 409, 409]);
+    assert.deepEqual(events, ["question.closed"]);
+    const audited = await AuditEntry.countDocuments({
+      action: "question.closed",
+      question: question._id,
+    });
+    assert.equal(audited, 1);
+  });
+});
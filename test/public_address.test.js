@@ -0,0 +1,74 @@
+// test/public_address.test.js
+//
+// Checks that webhook URLs can't reach the server's own network: loopback, private, link-local and
+// other reserved addresses are refused, written in any form, as are internal host names.
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+
+const {
+  isReservedAddress,
+  reservedHostReason,
+  publicLookup,
+} = require("../utils/public_address");
+
+test("reserved addresses are refused, public ones allowed", () => {
+  for (const address of [
+    "127.0.0.1",
+    "10.1.2.3",
+    "172.20.0.1",
+    "192.168.1.1",
+    "169.254.169.254",
+    "100.64.0.1",
+    "0.0.0.0",
+    "::",
+    "::1",
+    "fe80::1",
+    "fd00::1",
+    "::ffff:192.168.0.1",
+    "64:ff9b::a9fe:a9fe",
+  ]) {
+    assert.equal(isReservedAddress(address), true, address);
+  }
+  for (const address of ["8.8.8.8", "1.1.1.1", "2606:4700::1111"]) {
+    assert.equal(isReservedAddress(address), false, address);
+  }
+});
+
+test("hosts are checked in every form a URL accepts", () => {
+  for (const host of [
+    "localhost",
+    "mongo",
+    "metadata.google.internal",
+    "printer.local",
+    "[::1]",
+    "127.1",
+    "0x7f.0.0.1",
+    "2130706433",
+  ]) {
+    const { hostname } = new URL(`http://${host}/hook`);
+    assert.ok(reservedHostReason(hostname), host);
+  }
+  assert.equal(reservedHostReason("hooks.example.com"), undefined);
+});
+
+test("connections to names resolving to a reserved address are refused", async () => {
+  const server = http.createServer((req, res) => res.end());
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  try {
+    const error = await new Promise((resolve) => {
+      http
+        .request(
+          `http://localhost:${server.address().port}/`,
+          { method: "POST", lookup: publicLookup },
+          () => resolve(null)
+        )
+        .on("error", resolve)
+        .end();
+    });
+    assert.equal(error && error.code, "ERESERVED");
+  } finally {
+    server.close();
+  }
+});
@@ -0,0 +1,115 @@
+// test/voter.test.js
+//
+// Checks who votes are attributed to: only an authenticated user, never an identity the client
+// makes up, so sending a user ID or an unverified API key can't buy another vote. (Anonymous
+// fingerprints are best effort: a new User-Agent does give a new one.)
+// Behind a trusted proxy (TRUST_PROXY), anonymous voters are fingerprinted by their own address,
+// not the proxy's.
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+
+// The app trusts a proxy on the same host, as when running behind a local reverse proxy.
+process.env.TRUST_PROXY = "loopback";
+const app = require("../app");
+const { identifyVoter } = require("../utils/voter");
+
+/**
+ * Builds the parts of an Express request that `identifyVoter` reads.
+ * @param {object} [fields] - `user`, `headers` and `body` of the request.
+ * @returns {object} - The request.
+ */
+function request({ user, headers = {}, body = {} } = {}) {
+  const lower = Object.fromEntries(
+    Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value])
+  );
+  return {
+    user,
+    ip: "203.0.113.7",
+    body,
+    get: (name) => lower[name.toLowerCase()],
+  };
+}
+
+test("anonymous voters can't choose their identity", () => {
+  const plain = identifyVoter(
+    request({ headers: { "User-Agent": "browser" } })
+  );
+  assert.equal(plain.voterType, "fingerprint");
+
+  for (const userId of ["a", "b", String(new mongoose.Types.ObjectId())]) {
+    const claimed = identifyVoter(
+      request({
+        headers: { "User-Agent": "browser", "X-User-Id": userId },
+        body: { userId },
+      })
+    );
+    assert.deepEqual(claimed, plain);
+  }
+});
+
+test("an unverified X-API-Key header doesn't change the identity", () => {
+  const plain = identifyVoter(
+    request({ headers: { "User-Agent": "browser" } })
+  );
+  const keyed = identifyVoter(
+    request({ headers: { "User-Agent": "browser", "X-API-Key": "made-up" } })
+  );
+  assert.deepEqual(keyed, plain);
+});
+
+test("authenticated users vote as themselves", () => {
+  const user = { _id: new mongoose.Types.ObjectId() };
+  const voter = identifyVoter(
+    request({ user, headers: { "X-User-Id": "someone-else" } })
+  );
+  assert.deepEqual(voter, { voterType: "user", voterId: String(user._id) });
+});
+
+/**
+ * Builds a request of the app, as it arrives over a connection from `remoteAddress`.
+ * @param {string} remoteAddress - The address of the connecting peer.
+ * @param {object} headers - The request headers, in lower case.
+ * @returns {object} - The request.
+ */
+function appRequest(remoteAddress, headers) {
+  const req = Object.create(app.request);
+  req.app = app;
+  req.headers = headers;
+  req.connection = req.socket = { remoteAddress };
+  return req;
+}
+
+test("clients behind a trusted proxy get their own fingerprints", () => {
+  const first = identifyVoter(
+    appRequest("127.0.0.1", {
+      "user-agent": "browser",
+      "x-forwarded-for": "198.51.100.1",
+    })
+  );
+  const second = identifyVoter(
+    appRequest("127.0.0.1", {
+      "user-agent": "browser",
+      "x-forwarded-for": "198.51.100.2",
+    })
+  );
+  assert.equal(first.voterType, "fingerprint");
+  assert.notEqual(first.voterId, second.voterId);
+});
+
+test("clients connecting directly can't pick their address with X-Forwarded-For", () => {
+  const first = identifyVoter(
+    appRequest("198.51.100.9", {
+      "user-agent": "browser",
+      "x-forwarded-for": "198.51.100.1",
+    })
+  );
+  const second = identifyVoter(
+    appRequest("198.51.100.9", {
+      "user-agent": "browser",
+      "x-forwarded-for": "198.51.100.2",
+    })
+  );
+  assert.deepEqual(first, second);
+});
@@ -0,0 +1,32 @@
+// utils/api_error.js
+
+/**
+ * An error that maps onto an API error response.
+ * Controllers and middleware throw it (or pass it to `next`), and the error handler
+ * (middleware/error_handler.js) turns it into the common error envelope:
+ *
+ *   { "message": "<what went wrong>", "error": { "code": "<CODE>", "details": <optional> } }
+ *
+ * `code` is a stable, machine-readable identifier such as 'QUESTION_NOT_FOUND' (see the README for
+ * the full list); `message` is meant for humans and may change.
+ */
+class ApiError extends Error {
+  /**
+   * @param {number} status - The HTTP status code to respond with.
+   * @param {string} code - The machine-readable error code.
+   * @param {string} message - A human-readable description of the problem.
+   * @param {object} [options]
+   * @param {*} [options.details] - Extra information for the client, e.g. the fields that failed validation.
+   * @param {object} [options.headers] - Response headers to send with the error, e.g. `Retry-After`.
+   */
+  constructor(status, code, message, { details, headers } = {}) {
+    super(message);
+    this.name = "ApiError";
+    this.status = status;
+    this.code = code;
+    this.details = details;
+    this.headers = headers;
+  }
+}
+
+module.exports = ApiError;
@@ -0,0 +1,33 @@
+/**
+ * Formats one CSV cell following RFC 4180: values containing a comma, quote or line break are
+ * quoted, with quotes doubled. Text starting with a character spreadsheets treat as a formula
+ * (=, +, -, @) is prefixed with an apostrophe, so exported option texts can't run as formulas.
+ * @param {*} value - The cell value; null and undefined become an empty cell.
+ * @returns {string} - The formatted cell.
+ */
+function formatCell(value) {
+  if (value === undefined || value === null) {
+    return "";
+  }
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === "string" && /^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+  if (/[",\r\n]/.test(text)) {
+    text = `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+/**
+ * Formats rows as a CSV document.
+ * @param {Array<string>} header - The column names.
+ * @param {Array<Array<*>>} rows - The rows, one value per column.
+ * @returns {string} - The CSV text, with CRLF line endings.
+ */
+module.exports.toCsv = function (header, rows) {
+  return [header, ...rows]
+    .map((row) => row.map(formatCell).join(","))
+    .join("\r\n")
+    .concat("\r\n");
+};
@@ -0,0 +1,30 @@
+// Import Mongoose for ObjectId validation of decoded cursors.
+const mongoose = require("mongoose");
+
+/**
+ * Encodes a pagination cursor.
+ * A cursor records the sort order and the position of the last item on the page, so the next page
+ * starts right after it, even if items are added or removed in between.
+ * @param {object} position - The sort order (`sort`), the last item's `_id` and, if the order uses one, its sort value (`value`).
+ * @returns {string} - An opaque URL-safe string.
+ */
+module.exports.encodeCursor = function (position) {
+  return Buffer.from(JSON.stringify(position)).toString("base64url");
+};
+
+/**
+ * Decodes a pagination cursor created by `encodeCursor`.
+ * @param {string} cursor - The cursor from the query string.
+ * @returns {object|null} - The position, or null if the cursor is malformed.
+ */
+module.exports.decodeCursor = function (cursor) {
+  try {
+    const position = JSON.parse(Buffer.from(cursor, "base64url").toString());
+    if (!position || !mongoose.isValidObjectId(position._id)) {
+      return null;
+    }
+    return position;
+  } catch (err) {
+    return null;
+  }
+};
@@ -0,0 +1,52 @@
+// utils/links.js
+
+// Import the server settings, which hold the public base URL of the API.
+const { baseUrl } = require("../config/server");
+
+/**
+ * Builds the link that casts a vote for an option (the `link_to_vote` of each option): the v1
+ * `POST /api/v1/options/:id/votes` route, not the deprecated GET add_vote, so following the link
+ * never casts a vote by itself.
+ * Links start with the configured public base URL (PUBLIC_BASE_URL), so they work for clients
+ * behind proxies and under public domains, not just on the machine running the server.
+ * @param {*} optionId - The option ID.
+ * @returns {string} - The URL to POST a vote for the option to.
+ */
+module.exports.voteLink = function (optionId) {
+  return `${baseUrl}/api/v1/options/${optionId}/votes`;
+};
+
+/**
+ * Adds a private poll's access token to a share link.
+ * @param {string} url - The link.
+ * @param {string} [token] - The access token, for private polls.
+ * @returns {string} - The link, with `?token=` if a token was given.
+ */
+function withToken(url, token) {
+  return token ? `${url}?token=${encodeURIComponent(token)}` : url;
+}
+
+/**
+ * Builds the link voters open a poll with, from its share code, or one of the poll's other share routes.
+ * @param {string} code - The question's share code.
+ * @param {string} [token] - The access token, for private polls.
+ * @param {string} [path=""] - The route below the poll's link, e.g. '/ballot'.
+ * @returns {string} - The URL of the poll's voter view, or of the given route.
+ */
+function shareLink(code, token, path = "") {
+  return withToken(`${baseUrl}/p/${code}${path}`, token);
+}
+
+module.exports.shareLink = shareLink;
+
+/**
+ * Builds the link that casts a vote for an option through the poll's share code, by the option's
+ * position (1 for the first option), so no internal ID appears in it.
+ * @param {string} code - The question's share code.
+ * @param {number} position - The option's position in the poll, starting at 1.
+ * @param {string} [token] - The access token, for private polls.
+ * @returns {string} - The URL that casts a vote for the option.
+ */
+module.exports.shareVoteLink = function (code, position, token) {
+  return shareLink(code, token, `/vote/${position}`);
+};
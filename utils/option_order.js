@@ -0,0 +1,73 @@
+// utils/option_order.js
+
+// Import Node's crypto module to derive each voter's order of the options.
+const crypto = require("crypto");
+// Import the helper that works out who the caller is, the same way votes are attributed.
+const { identifyVoter } = require("./voter");
+// Import the helper that reads the access token a caller sent, to put in private polls' vote links.
+const { sentToken } = require("./poll_access");
+
+/**
+ * Checks whether the caller manages a question (its owner, or an admin). They always see the
+ * options in the order they were arranged in, so they can review and reorder them.
+ * @param {object} req - The Express request object.
+ * @param {object} question - The Question document.
+ * @returns {boolean}
+ */
+function managesQuestion(req, question) {
+  return Boolean(
+    req.user &&
+      (req.user.role === "admin" ||
+        (question.owner && question.owner.equals(req.user._id)))
+  );
+}
+
+/**
+ * Puts options into a random order that is fixed for one seed: each option is ranked by a hash of
+ * the seed and its ID, so the same voter gets the same order every time, while the order doesn't
+ * depend on the one the options were arranged in.
+ * @param {Array<object>} options - The options, each with an `_id`.
+ * @param {string} seed - The seed, e.g. derived from the question and the voter.
+ * @returns {Array<object>} - The options in shuffled order (a new array).
+ */
+function shuffle(options, seed) {
+  const key = (option) =>
+    crypto.createHash("sha256").update(`${seed}|${option._id}`).digest("hex");
+  return options
+    .map((option) => ({ option, key: key(option) }))
+    .sort((a, b) => (a.key < b.key ? -1 : a.key > b.key ? 1 : 0))
+    .map((entry) => entry.option);
+}
+
+/**
+ * Prepares a question's options for a response: each option gets its `position` in the order
+ * the owner arranged (1 for the first) and its `link_to_vote`, built from the question's share code
+ * and that position (with the access token the caller sent, on private polls), and on questions with
+ * `shuffleOptions` the list is put into the caller's own order, the same on every request. The
+ * question's owner and admins always get the arranged order.
+ * @param {object} req - The Express request object, used to identify the caller.
+ * @param {object} question - The Question document.
+ * @param {Array<object>} options - The question's options, in their arranged order (documents or plain objects).
+ * @returns {Array<object>} - The options as plain objects, with `position`, in the order to show them.
+ */
+function presentOptions(req, question, options) {
+  const token = question.accessToken ? sentToken(req) : undefined;
+  const listed = options.map((option, index) => {
+    const position = index + 1;
+    // Questions created before share codes existed keep the option's v1 vote link (see models/option.js).
+    const link = question.shareCode
+      ? { shareCode: question.shareCode, position, token }
+      : {};
+    return {
+      ...(typeof option.toJSON === "function" ? option.toJSON(link) : option),
+      position,
+    };
+  });
+  if (!question.shuffleOptions || managesQuestion(req, question)) {
+    return listed;
+  }
+  const { voterType, voterId } = identifyVoter(req);
+  return shuffle(listed, `${question._id}|${voterType}|${voterId}`);
+}
+
+module.exports = { shuffle, presentOptions };
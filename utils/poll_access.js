@@ -0,0 +1,72 @@
+// utils/poll_access.js
+
+// Import Node's crypto module to compare access tokens in constant time.
+const crypto = require("crypto");
+// Import the error type the error handler turns into the common error envelope.
+const ApiError = require("./api_error");
+
+/**
+ * Compares an access token sent by a client with the poll's, without leaking through timing
+ * how much of it was right.
+ * @param {string} expected - The poll's access token.
+ * @param {string} [sent] - The token the client sent.
+ * @returns {boolean} - True if they match.
+ */
+function tokenMatches(expected, sent) {
+  if (typeof sent !== "string") {
+    return false;
+  }
+  const a = Buffer.from(expected);
+  const b = Buffer.from(sent);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Reads the poll access token a request carries: the X-Poll-Token header, or the `token`
+ * query parameter, which is what share links use.
+ * @param {object} req - The Express request object.
+ * @returns {string|undefined} - The token, if one was sent.
+ */
+function sentToken(req) {
+  const token = req.get("x-poll-token") || req.query.token;
+  return typeof token === "string" ? token : undefined;
+}
+
+/**
+ * Checks whether the caller may see and vote on a poll. Public polls are open to everyone;
+ * private polls (those with an access token) only to callers sending the token, the owner and admins.
+ * @param {object} req - The Express request object.
+ * @param {object} question - The Question document.
+ * @returns {boolean}
+ */
+function canAccessPoll(req, question) {
+  if (!question.accessToken) {
+    return true;
+  }
+  if (
+    req.user &&
+    (req.user.role === "admin" ||
+      (question.owner && question.owner.equals(req.user._id)))
+  ) {
+    return true;
+  }
+  return tokenMatches(question.accessToken, sentToken(req));
+}
+
+/**
+ * Throws unless the caller may see and vote on a poll (see `canAccessPoll`).
+ * @param {object} req - The Express request object.
+ * @param {object} question - The Question document.
+ * @throws {ApiError} - 403 if the poll is private and the caller didn't send its access token.
+ */
+function assertPollAccess(req, question) {
+  if (!canAccessPoll(req, question)) {
+    throw new ApiError(
+      403,
+      "POLL_TOKEN_REQUIRED",
+      "This poll is private; send its access token as the 'token' query parameter or the X-Poll-Token header"
+    );
+  }
+}
+
+module.exports = { tokenMatches, sentToken, canAccessPoll, assertPollAccess };
@@ -0,0 +1,157 @@
+// utils/public_address.js
+//
+// Keeps server-side requests to user-supplied URLs (webhook deliveries) on the public internet:
+// loopback, private (RFC 1918), link-local (such as the 169.254.169.254 cloud metadata service) and
+// other reserved addresses are refused, as are names that only resolve inside a network.
+
+// Import Node's DNS and net modules to resolve host names and match addresses against reserved ranges.
+const dns = require("dns");
+const net = require("net");
+
+// The address ranges no request may go to.
+const RESERVED = new net.BlockList();
+for (const [address, prefix] of [
+  ["0.0.0.0", 8], // "This network"
+  ["10.0.0.0", 8], // Private
+  ["100.64.0.0", 10], // Carrier-grade NAT
+  ["127.0.0.0", 8], // Loopback
+  ["169.254.0.0", 16], // Link-local, including cloud metadata services
+  ["172.16.0.0", 12], // Private
+  ["192.0.0.0", 24], // IETF protocol assignments
+  ["192.0.2.0", 24], // Documentation
+  ["192.88.99.0", 24], // 6to4 relay anycast
+  ["192.168.0.0", 16], // Private
+  ["198.18.0.0", 15], // Benchmarking
+  ["198.51.100.0", 24], // Documentation
+  ["203.0.113.0", 24], // Documentation
+  ["224.0.0.0", 4], // Multicast
+  ["240.0.0.0", 4], // Reserved, including broadcast
+]) {
+  RESERVED.addSubnet(address, prefix, "ipv4");
+}
+for (const [address, prefix] of [
+  ["::", 96], // Unspecified, loopback and IPv4-compatible
+  ["64:ff9b:1::", 48], // Local-use IPv4/IPv6 translation
+  ["100::", 64], // Discard-only
+  ["2001:db8::", 32], // Documentation
+  ["2002::", 16], // 6to4, which can carry any IPv4 address
+  ["fc00::", 7], // Unique local
+  ["fe80::", 10], // Link-local
+  ["ff00::", 8], // Multicast
+]) {
+  RESERVED.addSubnet(address, prefix, "ipv6");
+}
+// IPv4-mapped addresses (::ffff:a.b.c.d) are matched against the IPv4 ranges by the block list itself.
+
+// Names that only resolve inside a network.
+const INTERNAL_SUFFIXES = [".localhost", ".local", ".internal", ".home.arpa"];
+
+/**
+ * Checks whether an IP address is loopback, private, link-local or otherwise reserved.
+ * Addresses of the well-known NAT64 prefix (64:ff9b::/96) are checked by the IPv4 address they carry.
+ * @param {string} address - An IPv4 or IPv6 address.
+ * @returns {boolean}
+ */
+function isReservedAddress(address) {
+  const family = net.isIP(address);
+  if (family === 4) {
+    return RESERVED.check(address, "ipv4");
+  }
+  if (family !== 6) {
+    return true;
+  }
+  const nat64 = /^64:ff9b::(?:ffff:)?([0-9a-f]{1,4}):([0-9a-f]{1,4})$/i.exec(
+    address
+  );
+  if (nat64) {
+    const high = parseInt(nat64[1], 16);
+    const low = parseInt(nat64[2], 16);
+    return RESERVED.check(
+      [high >> 8, high & 255, low >> 8, low & 255].join("."),
+      "ipv4"
+    );
+  }
+  return RESERVED.check(address, "ipv6");
+}
+
+/**
+ * Checks the host of a URL without resolving it: IP addresses must be public, and names must not be
+ * ones that only resolve inside a network (localhost, single labels like 'mongo', '.internal', ...).
+ * @param {string} hostname - The URL's hostname, as given by `new URL(...).hostname`.
+ * @returns {string|undefined} - Why the host is refused, or undefined if it may be used.
+ */
+function reservedHostReason(hostname) {
+  // IPv6 hosts come in brackets, e.g. '[::1]'.
+  const host = hostname.replace(/^\[(.*)\]$/, "$1").toLowerCase();
+  if (net.isIP(host)) {
+    return isReservedAddress(host)
+      ? "must not point to a private or reserved address"
+      : undefined;
+  }
+  const name = host.replace(/\.$/, "");
+  if (
+    !name.includes(".") ||
+    name === "localhost" ||
+    INTERNAL_SUFFIXES.some((suffix) => name.endsWith(suffix))
+  ) {
+    return "must point to a public host name";
+  }
+  return undefined;
+}
+
+/**
+ * Checks that a URL's host is public and, for host names, that every address it resolves to is public.
+ * @param {string} url - An http(s) URL.
+ * @returns {Promise<string|undefined>} - Why the URL is refused, or undefined if it may be used.
+ */
+async function publicUrlProblem(url) {
+  const { hostname } = new URL(url);
+  const reason = reservedHostReason(hostname);
+  if (reason || net.isIP(hostname.replace(/^\[(.*)\]$/, "$1"))) {
+    return reason;
+  }
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(hostname, { all: true });
+  } catch (err) {
+    return "must point to a host that can be resolved";
+  }
+  return addresses.some((entry) => isReservedAddress(entry.address))
+    ? "must not point to a private or reserved address"
+    : undefined;
+}
+
+/**
+ * A `lookup` for http(s) requests that refuses host names resolving to a reserved address.
+ * Since the check is made on the very addresses the socket connects to, a name can't pass a
+ * check and then resolve somewhere else for the request itself.
+ * Requests to IP addresses don't go through `lookup`; check them with `reservedHostReason` first.
+ * @param {string} hostname - The host name to resolve.
+ * @param {object} options - The options of `dns.lookup`.
+ * @param {function} callback - Called like the callback of `dns.lookup`.
+ */
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) {
+      return callback(err);
+    }
+    if (addresses.some((entry) => isReservedAddress(entry.address))) {
+      const blocked = new Error(
+        `${hostname} resolves to a private or reserved address`
+      );
+      blocked.code = "ERESERVED";
+      return callback(blocked);
+    }
+    if (options.all) {
+      return callback(null, addresses);
+    }
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+module.exports = {
+  isReservedAddress,
+  reservedHostReason,
+  publicUrlProblem,
+  publicLookup,
+};
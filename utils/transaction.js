@@ -0,0 +1,63 @@
+// Import Mongoose to start client sessions for multi-document transactions.
+const mongoose = require("mongoose");
+
+// Remembers whether the connected MongoDB deployment supports transactions.
+// Starts as `true` and flips to `false` the first time the server rejects one,
+// so later calls skip the failed attempt.
+let transactionsSupported = true;
+
+/**
+ * Checks whether an error means the server can't run transactions at all.
+ * Standalone MongoDB servers (the default local setup) reject them with code 20 (IllegalOperation);
+ * only replica sets and sharded clusters support multi-document transactions.
+ * @param {Error} err - The error thrown by the driver.
+ * @returns {boolean} - True if transactions are unsupported by the deployment.
+ */
+function isTransactionUnsupported(err) {
+  return (
+    err.code === 20 ||
+    /Transaction numbers are only allowed/.test(err.message || "")
+  );
+}
+
+/**
+ * Runs `work` inside a MongoDB transaction so that all of its writes commit or abort together.
+ * `work` receives the session and must pass it to every query (`{ session }`).
+ * Transient errors such as write conflicts between concurrent voters are retried by
+ * `session.withTransaction()`, so `work` may run more than once and must not have side effects
+ * outside the database.
+ *
+ * If the deployment doesn't support transactions, `work` is run once with a `null` session.
+ * Individual updates are still atomic in that case, but writes to several documents are not
+ * grouped, so callers should order their writes so a failure leaves consistent data behind.
+ *
+ * @param {function(object|null): Promise<*>} work - The database work to run.
+ * @returns {Promise<*>} - Resolves with whatever `work` resolves with.
+ */
+module.exports.runInTransaction = async function (work) {
+  if (!transactionsSupported) {
+    return work(null);
+  }
+
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await work(session);
+    });
+    return result;
+  } catch (err) {
+    // The server rejects the very first operation of the transaction, so nothing has been written yet
+    // and it is safe to run the work again without a session.
+    if (isTransactionUnsupported(err)) {
+      console.log(
+        "MongoDB deployment does not support transactions; falling back to single-document atomic updates."
+      );
+      transactionsSupported = false;
+      return work(null);
+    }
+    throw err;
+  } finally {
+    session.endSession();
+  }
+};
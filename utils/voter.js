@@ -0,0 +1,34 @@
+// Import Node's built-in crypto module, used to hash voter identifiers before they are stored.
+const crypto = require("crypto");
+
+/**
+ * Hashes a value with SHA-256 and returns the hex digest.
+ * Used so raw IP/user-agent pairs never end up in the database.
+ * @param {string} value - The value to hash.
+ * @returns {string} - The hex encoded hash.
+ */
+function hash(value) {
+  return crypto.createHash("sha256").update(value).digest("hex");
+}
+
+/**
+ * Works out who is casting a vote, so duplicate votes on the same question can be detected.
+ * Identification is attempted in order of reliability:
+ *   1. The authenticated user (`req.user`, resolved from the API key by middleware/auth.js).
+ *   2. A fingerprint made from the client's IP address and user agent, for anonymous voters.
+ * @param {object} req - The Express request object.
+ * @returns {{ voterType: string, voterId: string }} - The identity to store on the Vote record.
+ */
+module.exports.identifyVoter = function (req) {
+  // Authenticated callers vote as their user, whichever of their API keys they use.
+  if (req.user) {
+    return { voterType: "user", voterId: String(req.user._id) };
+  }
+
+  // Anonymous callers are fingerprinted by IP address and user agent.
+  // This is best effort only: voters behind the same NAT with the same browser will collide.
+  // `req.ip` is the client's address only if the proxies in front of the server are trusted
+  // (TRUST_PROXY in config/server.js); otherwise every client behind a proxy shares the proxy's.
+  const userAgent = req.get("user-agent") || "";
+  return { voterType: "fingerprint", voterId: hash(`${req.ip}|${userAgent}`) };
+};